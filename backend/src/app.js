@@ -0,0 +1,105 @@
+import express from "express";
+import cors from "cors";
+import morgan from "morgan";
+
+// Import routes
+import authRoutes from "./routes/authRoutes.js";
+import courseRoutes from "./routes/courseRoutes.js";
+import enrollmentRoutes from "./routes/enrollmentRoutes.js";
+import certificateRoutes from "./routes/certificateRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import docsRoutes from "./routes/docsRoutes.js";
+
+// Import middleware
+import { handleMulterError } from "./config/multer.js";
+import { createUploadsHandler } from "./services/storage/index.js";
+import { NOTIFICATION_SOCKET_PATH } from "./services/notifications/index.js";
+
+/**
+ * Build the Express application
+ * How: Registers middleware, routes and error handlers without connecting to the
+ *      database or listening on a port (index.js does both)
+ * Why: Lets tests boot the full app against their own database connection
+ */
+const createApp = () => {
+  const app = express();
+
+  // Honour X-Forwarded-For when running behind a proxy so rate limits see real client IPs
+  if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", process.env.TRUST_PROXY);
+  }
+
+  // Middleware
+  app.use(
+    cors({
+      origin: process.env.FRONTEND_URL || "http://localhost:5173", // Vite default port
+      credentials: true,
+    })
+  );
+
+  if (process.env.NODE_ENV !== "test") {
+    app.use(morgan("dev")); // Logging
+  }
+  app.use(express.json({ limit: "10mb" })); // Parse JSON bodies
+  app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Parse URL-encoded bodies
+
+  // Serve uploaded files (local and memory storage drivers; S3 serves its own)
+  app.use("/uploads", createUploadsHandler());
+
+  // Health check route
+  app.get("/", (req, res) => {
+    res.json({
+      success: true,
+      message: "🚀 Novanector API Server is running!",
+      version: "1.0.0",
+      endpoints: {
+        auth: "/api/auth",
+        courses: "/api/courses",
+        enrollments: "/api/enrollments",
+        certificates: "/api/certificates",
+        notifications: "/api/notifications",
+        notificationSocket: NOTIFICATION_SOCKET_PATH,
+        admin: "/api/admin",
+        uploads: "/uploads",
+        docs: "/api/docs",
+        openapi: "/api/openapi.json",
+      },
+    });
+  });
+
+  // API Routes
+  app.use("/api/auth", authRoutes);
+  app.use("/api/courses", courseRoutes);
+  app.use("/api/enrollments", enrollmentRoutes);
+  app.use("/api/certificates", certificateRoutes);
+  app.use("/api/notifications", notificationRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api", docsRoutes);
+
+  // Handle multer errors
+  app.use(handleMulterError);
+
+  // 404 Handler
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: `Route ${req.originalUrl} not found`,
+    });
+  });
+
+  // Global error handler
+  app.use((error, req, res, next) => {
+    console.error("Global error:", error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  });
+
+  return app;
+};
+
+export default createApp;
@@ -0,0 +1,19 @@
+/**
+ * Account deletion configuration
+ * How: Read lazily from the environment (see config/jwt.js for why)
+ */
+
+const readCount = (value, fallback) => {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < 0 ? fallback : count;
+};
+
+// Days a deleted account can still be restored by an admin (ACCOUNT_DELETION_GRACE_DAYS)
+// Note: 0 purges deleted accounts on the next purge run
+export const getDeletionGraceDays = () =>
+  readCount(process.env.ACCOUNT_DELETION_GRACE_DAYS, 30);
+
+// Minutes between purge runs of the server (ACCOUNT_PURGE_INTERVAL_MINUTES)
+// Note: 0 disables the built-in schedule, e.g. when a cron job runs `npm run accounts:purge`
+export const getPurgeIntervalMinutes = () =>
+  readCount(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 60);
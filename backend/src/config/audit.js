@@ -0,0 +1,19 @@
+/**
+ * Audit log configuration
+ * How: Read lazily from the environment (see config/jwt.js for why)
+ */
+
+// Days an audit entry is kept (AUDIT_LOG_RETENTION_DAYS); 0 keeps entries forever
+// Note: Applies to entries written from now on, each entry stores its own expiry date
+export const getAuditRetentionDays = () => {
+  const days = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 365 : days;
+};
+
+// Fields whose values are never written to the audit log (only the fact that they changed)
+export const REDACTED_AUDIT_FIELDS = [
+  "password",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+];
@@ -0,0 +1,28 @@
+/**
+ * JWT configuration
+ * How: Reads signing secret and token lifetimes lazily from the environment on every call
+ * Why: dotenv is loaded after module imports, so values cannot be captured at import time
+ */
+const DEVELOPMENT_SECRET = "your_jwt_secret";
+
+export const getJwtSecret = () => process.env.JWT_SECRET || DEVELOPMENT_SECRET;
+
+// Lifetime of access tokens, in any format accepted by jsonwebtoken's expiresIn
+export const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Lifetime of refresh tokens (and therefore of an idle session) in days
+export const getRefreshTokenTtlDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Refuse to start in production with a missing or placeholder secret
+// Why: Tokens signed with a publicly known secret can be forged by anyone
+export const assertJwtConfig = () => {
+  if (process.env.NODE_ENV !== "production") return;
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret || secret === DEVELOPMENT_SECRET || secret.length < 32) {
+    throw new Error(
+      "JWT_SECRET must be set to a random value of at least 32 characters in production."
+    );
+  }
+};
@@ -1,20 +1,12 @@
 import multer from "multer";
 import path from "path";
 import crypto from "crypto";
-import fs from "fs";
-import { fileURLToPath } from "url";
-
-// Get current directory (ES6 modules)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, "../../uploads/profile-pictures");
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+import { getStorage, removeStoredFile } from "../services/storage/index.js";
+import { processImage } from "../services/imageProcessing.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
 
 // File filter function to validate image types
+// Note: This only checks what the client claims; processImageUpload verifies the actual content
 const fileFilter = (req, file, cb) => {
   // Allowed image MIME types
   const allowedMimeTypes = [
@@ -23,7 +15,6 @@ const fileFilter = (req, file, cb) => {
     "image/png",
     "image/gif",
     "image/webp",
-    "image/bmp",
     "image/tiff",
   ];
 
@@ -34,7 +25,7 @@ const fileFilter = (req, file, cb) => {
     ".png",
     ".gif",
     ".webp",
-    ".bmp",
+    ".tif",
     ".tiff",
   ];
   const fileExtension = path.extname(file.originalname).toLowerCase();
@@ -48,68 +39,273 @@ const fileFilter = (req, file, cb) => {
   } else {
     cb(
       new Error(
-        "Invalid file type. Only JPEG, PNG, GIF, WebP, BMP, and TIFF images are allowed."
+        "Invalid file type. Only JPEG, PNG, GIF, WebP, and TIFF images are allowed."
       ),
       false
     );
   }
 };
 
-// Local storage configuration
-const localStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Ensure the uploads directory exists
-    const uploadPath = path.join(__dirname, "../../uploads/profile-pictures");
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp and random string
-    const timestamp = Date.now();
-    const randomString = crypto.randomBytes(8).toString("hex");
-    const extension = path.extname(file.originalname).toLowerCase();
-    const originalName = path
-      .parse(file.originalname)
-      .name.replace(/[^a-zA-Z0-9]/g, "_") // Replace special characters with underscore
-      .substring(0, 20); // Limit name length
+// Lesson attachments: extension -> accepted MIME types (stored as uploaded, never executed)
+const attachmentTypes = {
+  ".pdf": ["application/pdf"],
+  ".zip": ["application/zip", "application/x-zip-compressed"],
+  ".docx": [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  ".pptx": [
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ],
+  ".xlsx": [
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+  ".txt": ["text/plain"],
+  ".md": ["text/markdown", "text/x-markdown", "text/plain"],
+  ".png": ["image/png"],
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+};
 
-    const filename = `${originalName}-${timestamp}-${randomString}${extension}`;
-    cb(null, filename);
+const attachmentFileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (attachmentTypes[fileExtension]?.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        "Invalid file type. Allowed attachments: PDF, ZIP, DOCX, PPTX, XLSX, TXT, Markdown, PNG and JPEG."
+      ),
+      false
+    );
+  }
+};
+
+// Assignment submissions: extension -> accepted MIME types and the size limit for that type
+const MB = 1024 * 1024;
+const submissionTypes = {
+  ".pdf": { mimeTypes: ["application/pdf"], maxSize: 10 * MB },
+  ".docx": {
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    maxSize: 10 * MB,
   },
-});
+  ".zip": {
+    mimeTypes: ["application/zip", "application/x-zip-compressed"],
+    maxSize: 50 * MB,
+  },
+};
+
+const submissionFileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (submissionTypes[fileExtension]?.mimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error("Invalid file type. Only PDF, DOCX and ZIP files are allowed."),
+      false
+    );
+  }
+};
+
+// Keep uploads in memory; persistUpload hands them to the configured storage driver
+const memoryStorage = multer.memoryStorage();
+
+// Generate unique storage key (without extension) with timestamp and random string
+const buildStorageBase = (folder, originalname) => {
+  const timestamp = Date.now();
+  const randomString = crypto.randomBytes(8).toString("hex");
+  const originalName = path
+    .parse(originalname)
+    .name.replace(/[^a-zA-Z0-9]/g, "_") // Replace special characters with underscore
+    .substring(0, 20); // Limit name length
+
+  return `${folder}/${originalName}-${timestamp}-${randomString}`;
+};
+
+// Every storage key written for an uploaded file (including image variants)
+const getUploadedKeys = (file) =>
+  file.variants ? file.variants.map((variant) => variant.key) : [file.key];
+
+const getUploadedFiles = (req) =>
+  req.file ? [req.file] : Array.isArray(req.files) ? req.files : [];
+
+// Remove uploads again if the request ends in an error, so failed requests leave no orphans
+const cleanupOnFailure = (res, files) => {
+  res.on("finish", () => {
+    if (res.statusCode >= 400) {
+      files.flatMap(getUploadedKeys).forEach((key) => removeStoredFile(key));
+    }
+  });
+};
+
+// Store the parsed upload(s) as-is and expose their storage key and public URL on the file object
+const persistUpload = (folder) => async (req, res, next) => {
+  const files = getUploadedFiles(req);
+  if (files.length === 0) return next();
+
+  try {
+    cleanupOnFailure(res, files);
+
+    for (const file of files) {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const { key, url } = await getStorage().put(
+        `${buildStorageBase(folder, file.originalname)}${extension}`,
+        file.buffer,
+        { contentType: file.mimetype }
+      );
+      file.key = key;
+      file.url = url;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify, normalize and store uploaded image(s) with resized variants
+ * How: Runs services/imageProcessing.js on each file, stores every variant next to the
+ *      full-size image ("<base>.webp", "<base>-64.webp", ...) and sets file.key/url to the
+ *      full-size image and file.variants to [{ label, key, url, width, height }]
+ */
+const processImageUpload =
+  (folder, { sizes = [] } = {}) =>
+  async (req, res, next) => {
+    const files = getUploadedFiles(req);
+    if (files.length === 0) return next();
+
+    try {
+      cleanupOnFailure(res, files);
+
+      for (const file of files) {
+        const processed = await processImage(file.buffer, { sizes });
+        const base = buildStorageBase(folder, file.originalname);
+
+        file.variants = [];
+        for (const variant of processed.variants) {
+          const suffix =
+            variant.label === "original" ? "" : `-${variant.label}`;
+          const { key, url } = await getStorage().put(
+            `${base}${suffix}${processed.extension}`,
+            variant.buffer,
+            { contentType: processed.contentType }
+          );
+          file.variants.push({
+            label: variant.label,
+            key,
+            url,
+            width: variant.width,
+            height: variant.height,
+          });
+        }
+
+        file.mimetype = processed.contentType;
+        file.key = file.variants[0].key;
+        file.url = file.variants[0].url;
+        file.buffer = null;
+      }
+
+      next();
+    } catch (error) {
+      if (error instanceof HttpError) return sendHttpError(res, error);
+      next(error);
+    }
+  };
 
 // Multer configuration for profile pictures
+const imageLimits = {
+  fileSize: 5 * 1024 * 1024, // 5MB file size limit
+  files: 1, // Only one file at a time
+};
+
 const profilePictureUpload = multer({
-  storage: localStorage,
+  storage: memoryStorage,
   fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB file size limit
-    files: 1, // Only one file at a time
-  },
+  limits: imageLimits,
+});
+
+// Multer configuration for lesson attachments
+const attachmentLimits = {
+  fileSize: 20 * 1024 * 1024, // 20MB per file
+  files: 5,
+};
+
+const attachmentUpload = multer({
+  storage: memoryStorage,
+  fileFilter: attachmentFileFilter,
+  limits: attachmentLimits,
 });
 
+// Multer configuration for assignment submissions
+// Note: multer only knows one size limit, so it gets the largest one and
+// enforceTypeSizeLimits checks each file against the limit of its type
+const submissionLimits = {
+  fileSize: Math.max(
+    ...Object.values(submissionTypes).map((type) => type.maxSize)
+  ),
+  files: 5,
+};
+
+const submissionUpload = multer({
+  storage: memoryStorage,
+  fileFilter: submissionFileFilter,
+  limits: submissionLimits,
+});
+
+const enforceTypeSizeLimits = (types) => (req, res, next) => {
+  for (const file of getUploadedFiles(req)) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const maxSize = types[extension]?.maxSize;
+
+    if (maxSize && file.size > maxSize) {
+      const type = extension.slice(1).toUpperCase();
+      return res.status(400).json({
+        success: false,
+        message: `File '${file.originalname}' is too large. Maximum size for ${type} files is ${maxSize / MB}MB.`,
+        error: "FILE_TOO_LARGE",
+      });
+    }
+  }
+  next();
+};
+
+// Remember the limits of the upload on the request so handleMulterError can report them
+const withLimits = (limits) => (req, res, next) => {
+  req.uploadLimits = limits;
+  next();
+};
+
 // Error handling middleware for multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
+    const limits = req.uploadLimits || imageLimits;
+
     switch (error.code) {
       case "LIMIT_FILE_SIZE":
         return res.status(400).json({
           success: false,
-          message: "File size too large. Maximum size allowed is 5MB.",
+          message: `File size too large. Maximum size allowed is ${
+            limits.fileSize / (1024 * 1024)
+          }MB.`,
           error: "FILE_TOO_LARGE",
         });
       case "LIMIT_FILE_COUNT":
         return res.status(400).json({
           success: false,
-          message: "Too many files. Only one file is allowed.",
+          message:
+            limits.files === 1
+              ? "Too many files. Only one file is allowed."
+              : `Too many files. At most ${limits.files} files are allowed.`,
           error: "TOO_MANY_FILES",
         });
       case "LIMIT_UNEXPECTED_FILE":
         return res.status(400).json({
           success: false,
-          message: "Unexpected field name. Use 'profilePicture' as field name.",
+          message: `Unexpected file field '${error.field}'.`,
           error: "UNEXPECTED_FIELD",
         });
       default:
@@ -130,70 +326,49 @@ const handleMulterError = (error, req, res, next) => {
 };
 
 // Single file upload middleware for profile pictures
-const uploadProfilePicture = profilePictureUpload.single("profilePicture");
+// Thumbnail sizes (square, in pixels) generated for every profile picture
+const PROFILE_PICTURE_SIZES = [64, 256, 512];
 
-// Multiple files upload (if needed for other features)
-const uploadMultipleImages = profilePictureUpload.array("images", 5);
+const uploadProfilePicture = [
+  profilePictureUpload.single("profilePicture"),
+  processImageUpload("profile-pictures", { sizes: PROFILE_PICTURE_SIZES }),
+];
 
-// Utility function to delete image from local storage
-const deleteImageFromLocal = async (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return { success: true, message: "File deleted successfully" };
-    } else {
-      return { success: false, message: "File not found" };
-    }
-  } catch (error) {
-    console.error("Error deleting image from local storage:", error);
-    throw error;
-  }
-};
-
-// Utility function to get file path from filename
-const getLocalImagePath = (filename) => {
-  if (!filename) return null;
-  return path.join(__dirname, "../../uploads/profile-pictures", filename);
-};
+// Single cover image for courses (no thumbnails; the full-size image is capped at 2048px)
+const uploadCourseCover = [
+  profilePictureUpload.single("coverImage"),
+  processImageUpload("course-covers"),
+];
 
-// Utility function to extract filename from local URL
-const extractFilenameFromUrl = (url) => {
-  if (!url) return null;
+// Up to 5 lesson attachments, stored unprocessed
+const uploadLessonAttachments = [
+  withLimits(attachmentLimits),
+  attachmentUpload.array("attachments", attachmentLimits.files),
+  persistUpload("lesson-attachments"),
+];
 
-  try {
-    // For local URLs like: http://localhost:3000/uploads/profile-pictures/filename.jpg
-    const parts = url.split("/");
-    return parts[parts.length - 1];
-  } catch (error) {
-    console.error("Error extracting filename:", error);
-    return null;
-  }
-};
-
-// Generate URL for locally stored images
-const generateImageUrl = (filename, req) => {
-  if (!filename) return null;
-
-  // Generate URL based on server configuration
-  const protocol = req.protocol;
-  const host = req.get("host");
-  return `${protocol}://${host}/uploads/profile-pictures/${filename}`;
-};
+// Up to 5 assignment files (PDF, DOCX, ZIP), stored unprocessed
+const uploadSubmissionFiles = [
+  withLimits(submissionLimits),
+  submissionUpload.array("files", submissionLimits.files),
+  enforceTypeSizeLimits(submissionTypes),
+  persistUpload("submissions"),
+];
 
 // Validation helper for image URLs
 const isValidImageUrl = (url) => {
   const imageUrlRegex =
-    /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|webp|bmp|tiff))$/i;
+    /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|webp))$/i;
   return imageUrlRegex.test(url);
 };
 
 export {
   uploadProfilePicture,
-  uploadMultipleImages,
+  uploadCourseCover,
+  uploadLessonAttachments,
+  uploadSubmissionFiles,
   handleMulterError,
-  deleteImageFromLocal,
-  getLocalImagePath,
-  extractFilenameFromUrl,
-  generateImageUrl,
+  persistUpload,
+  processImageUpload,
   isValidImageUrl,
 };
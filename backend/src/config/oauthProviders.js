@@ -0,0 +1,91 @@
+/**
+ * OAuth2 / OpenID Connect provider configuration
+ * How: OAUTH_PROVIDERS lists enabled provider ids (e.g. "google,github"). Each id reads
+ *      OAUTH_<ID>_CLIENT_ID / _CLIENT_SECRET plus either _ISSUER (OIDC discovery) or explicit
+ *      _AUTHORIZATION_URL / _TOKEN_URL / _USERINFO_URL; _SCOPES and _REDIRECT_URI are optional.
+ *      Known providers ship presets so usually only the client credentials are needed.
+ * Why: Any standards-compliant provider, including a local mock OIDC server, can be added from env
+ */
+const presets = {
+  google: {
+    name: "Google",
+    type: "oidc",
+    issuer: "https://accounts.google.com",
+    scopes: ["openid", "email", "profile"],
+  },
+  github: {
+    name: "GitHub",
+    type: "oauth2",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    userinfoUrl: "https://api.github.com/user",
+    emailsUrl: "https://api.github.com/user/emails",
+    scopes: ["read:user", "user:email"],
+  },
+};
+
+const readProviderEnv = (id) => {
+  const prefix = `OAUTH_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+  const env = (name) => process.env[`${prefix}${name}`];
+
+  return {
+    name: env("NAME"),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    issuer: env("ISSUER"),
+    authorizationUrl: env("AUTHORIZATION_URL"),
+    tokenUrl: env("TOKEN_URL"),
+    userinfoUrl: env("USERINFO_URL"),
+    scopes: env("SCOPES")?.split(/[\s,]+/).filter(Boolean),
+    redirectUri: env("REDIRECT_URI"),
+  };
+};
+
+// Drop undefined values so they do not override presets
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+const getEnabledProviderIds = () =>
+  (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+// Full configuration of an enabled provider, or null if it is not enabled/configured
+export const getOAuthProvider = (id) => {
+  if (!getEnabledProviderIds().includes(id)) return null;
+
+  const provider = {
+    id,
+    name: id,
+    scopes: ["openid", "email", "profile"],
+    ...presets[id],
+    ...compact(readProviderEnv(id)),
+  };
+
+  // A provider with an issuer but no preset type is treated as OpenID Connect
+  if (!provider.type) provider.type = provider.issuer ? "oidc" : "oauth2";
+
+  if (!provider.redirectUri) {
+    const baseUrl =
+      process.env.OAUTH_REDIRECT_BASE_URL ||
+      `http://localhost:${process.env.PORT || 3000}`;
+    provider.redirectUri = `${baseUrl}/api/auth/oauth/${id}/callback`;
+  }
+
+  if (!provider.clientId) return null;
+  if (!provider.issuer && !(provider.authorizationUrl && provider.tokenUrl)) {
+    return null;
+  }
+
+  return provider;
+};
+
+// Public list of providers the frontend can offer as "Sign in with ..." buttons
+export const listOAuthProviders = () =>
+  getEnabledProviderIds()
+    .map(getOAuthProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
@@ -0,0 +1,82 @@
+/**
+ * Route access policies
+ * How: Each entry names the roles allowed on a route, whether the target user may act on
+ *      their own account (`allowSelf`, matched against `req.params.userId`), who owns the
+ *      resource loaded for the request (`getOwnerId`, e.g. a course's instructor) and which
+ *      body fields only admins may set (`adminOnlyFields`)
+ * Why: Keeps every authorization rule in one table instead of scattering role and
+ *      ownership checks across controllers
+ */
+const policies = {
+  register: {
+    public: true,
+    adminOnlyFields: ["role"],
+  },
+  listUsers: {
+    roles: ["admin"],
+  },
+  getUser: {
+    roles: ["admin"],
+    allowSelf: true,
+  },
+  updateUser: {
+    roles: ["admin"],
+    allowSelf: true,
+    adminOnlyFields: ["role"],
+  },
+  checkAvailability: {
+    roles: ["admin"],
+    allowSelf: true,
+  },
+  updatePicture: {
+    roles: ["admin"],
+    allowSelf: true,
+  },
+  deleteUser: {
+    roles: ["admin"],
+  },
+  restoreUser: {
+    roles: ["admin"],
+  },
+  exportUserData: {
+    roles: ["admin"],
+    allowSelf: true,
+  },
+  unlockUser: {
+    roles: ["admin"],
+  },
+  viewLoginAttempts: {
+    roles: ["admin"],
+  },
+  manageTwoFactorPolicy: {
+    roles: ["admin"],
+  },
+  viewStats: {
+    roles: ["admin"],
+  },
+  viewAuditLog: {
+    roles: ["admin"],
+  },
+
+  // Courses (req.course is loaded by middleware/courseMiddleware.js)
+  createCourse: {
+    roles: ["admin", "instructor"],
+    adminOnlyFields: ["instructor"],
+  },
+  manageCourse: {
+    roles: ["admin"],
+    getOwnerId: (req) => req.course?.instructor,
+    adminOnlyFields: ["instructor"],
+  },
+
+  // Certificates (req.certificate is loaded by middleware/certificateMiddleware.js)
+  downloadCertificate: {
+    roles: ["admin"],
+    getOwnerId: (req) => req.certificate?.student,
+  },
+  revokeCertificate: {
+    roles: ["admin"],
+  },
+};
+
+export default policies;
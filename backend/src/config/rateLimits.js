@@ -0,0 +1,42 @@
+/**
+ * Brute-force protection settings
+ * How: Fixed-window limits per client IP / account email, plus progressive lockout of accounts
+ * Why: Keeps every threshold in one place so they can be tuned without touching the middleware
+ */
+const MINUTE = 60 * 1000;
+
+export const rateLimits = {
+  // Login attempts from a single IP address
+  loginPerIp: { windowMs: 15 * MINUTE, max: 20 },
+  // Login attempts against a single email address, from any IP
+  loginPerEmail: { windowMs: 15 * MINUTE, max: 10 },
+  // Account registrations from a single IP address
+  registerPerIp: { windowMs: 60 * MINUTE, max: 5 },
+  // Verification / password reset emails requested from a single IP address
+  emailPerIp: { windowMs: 60 * MINUTE, max: 5 },
+  // Public certificate verifications from a single IP address (guessing IDs)
+  certificateVerifyPerIp: { windowMs: 15 * MINUTE, max: 60 },
+  // Username/email availability checks by a single account (profile forms check while typing)
+  availabilityPerUser: { windowMs: 15 * MINUTE, max: 100 },
+  // Password changes of a single account (each one checks the current password)
+  passwordChangePerUser: { windowMs: 15 * MINUTE, max: 10 },
+  // Personal data exports of a single account (each one reads every collection)
+  dataExportPerUser: { windowMs: 60 * MINUTE, max: 5 },
+};
+
+export const accountLockout = {
+  // Consecutive failed logins before the account is locked
+  threshold: 5,
+  // First lockout duration; doubles with every further failure
+  baseDurationMs: MINUTE,
+  maxDurationMs: 60 * MINUTE,
+};
+
+// Lockout duration after a given number of consecutive failures (exponential backoff)
+export const getLockoutDuration = (failedAttempts) => {
+  const exponent = Math.max(0, failedAttempts - accountLockout.threshold);
+  return Math.min(
+    accountLockout.baseDurationMs * 2 ** exponent,
+    accountLockout.maxDurationMs
+  );
+};
@@ -0,0 +1,197 @@
+import Auth from "../models/authModel.js";
+import { consumeAuthToken } from "../services/authTokenService.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../services/accountEmailService.js";
+import {
+  revokeAllSessions,
+  revokeOtherSessions,
+} from "../services/tokenService.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+import { recordAudit, redactedChange } from "../services/auditService.js";
+
+// Confirm an email address with the token from the verification email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await consumeAuthToken(token, "email_verification");
+
+    const user = await Auth.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Email verified successfully.",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+
+    console.error("Error verifying email:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Send a fresh verification email
+// Why: Always answers the same way so the endpoint cannot be used to discover registered emails
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await Auth.findOne({ email });
+    if (user && !user.emailVerified) {
+      // A delivery failure must not change the answer either
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent.",
+    });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Email a password reset link
+// Why: Answers the same whether or not the email belongs to an account, even when the
+//      email cannot be sent, so the endpoint cannot be used to discover registered emails
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await Auth.findOne({ email });
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error("Error sending password reset email:", mailError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Set a new password with the token from the reset email and sign out every session
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeAuthToken(token, "password_reset");
+
+    const user = await Auth.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    // Hashed by the pre-save hook in authModel.js
+    user.password = password;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    // Receiving the reset link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, "password_reset");
+    await recordAudit(req, {
+      action: "user.password_reset",
+      actor: user,
+      target: user,
+      changes: [redactedChange("password")],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+
+    console.error("Error resetting password:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Change the signed-in user's password after checking the current one
+// How: Every other session is signed out; the one making the request stays signed in
+// Note: Accounts that only sign in through an identity provider have no current password
+//       and set their first one here
+export const changePassword = async (req, res) => {
+  try {
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    if (user.password && !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect.",
+        error: "INVALID_PASSWORD",
+      });
+    }
+
+    // Hashed by the pre-save hook in authModel.js
+    user.password = newPassword;
+    await user.save();
+
+    await revokeOtherSessions(user._id, req.auth.sid, "password_change");
+    await recordAudit(req, {
+      action: "user.password_change",
+      target: user,
+      changes: [redactedChange("password")],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password changed successfully. Other sessions were signed out.",
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
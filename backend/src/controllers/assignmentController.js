@@ -0,0 +1,526 @@
+import Assignment from "../models/assignmentModel.js";
+import Submission from "../models/submissionModel.js";
+import {
+  sendInternalError,
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import { removeStoredFiles } from "../services/storage/index.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+import { notify } from "../services/notifications/index.js";
+
+const STUDENT_FIELDS = "username email profilePicture";
+
+const sendAssignmentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Assignment not found.",
+  });
+
+// Students only see published assignments
+const isVisible = (req, assignment) =>
+  assignment.status === "published" || canManageCourse(req.user, req.course);
+
+// The lesson an assignment is attached to must be part of the same course
+const hasUnknownLesson = (course, lessonId) =>
+  Boolean(lessonId) && !course.findLesson(lessonId);
+
+const sendUnknownLesson = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "Lesson not found in this course.",
+  });
+
+// File entries for uploads stored by uploadSubmissionFiles
+const toFiles = (files = []) =>
+  files.map((file) => ({
+    name: file.originalname,
+    url: file.url,
+    key: file.key,
+    size: file.size,
+    contentType: file.mimetype,
+  }));
+
+const getFileKeys = (submissions) =>
+  submissions.flatMap((submission) =>
+    submission.files.map((file) => file.key)
+  );
+
+/**
+ * Score a submission against the assignment's rubric
+ * How: Every criterion must be scored once and within its maxPoints; the late penalty
+ *      (a percentage of the rubric total) is deducted unless the grader waives it
+ * Returns { errors } in the validation error format, or { grade }
+ */
+const buildGrade = (assignment, submission, body, grader) => {
+  const { rubricScores, feedback, waiveLatePenalty } = body;
+  const errors = [];
+
+  rubricScores.forEach((entry, index) => {
+    const criterion = assignment.rubric.id(entry.criterion);
+    if (!criterion) {
+      errors.push({
+        field: `rubricScores.${index}.criterion`,
+        location: "body",
+        message: "Unknown rubric criterion.",
+      });
+    } else if (entry.points > criterion.maxPoints) {
+      errors.push({
+        field: `rubricScores.${index}.points`,
+        location: "body",
+        message: `At most ${criterion.maxPoints} points can be given for '${criterion.title}'.`,
+      });
+    }
+  });
+
+  const scored = new Set(rubricScores.map((entry) => entry.criterion));
+  if (scored.size !== rubricScores.length) {
+    errors.push({
+      field: "rubricScores",
+      location: "body",
+      message: "Each rubric criterion can only be scored once.",
+    });
+  }
+  for (const criterion of assignment.rubric) {
+    if (!scored.has(criterion._id.toString())) {
+      errors.push({
+        field: "rubricScores",
+        location: "body",
+        message: `Missing score for '${criterion.title}'.`,
+      });
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const rawScore = rubricScores.reduce((sum, entry) => sum + entry.points, 0);
+  const latePenalty = waiveLatePenalty
+    ? 0
+    : assignment.getLatePenalty(submission.daysLate);
+
+  return {
+    grade: {
+      rubricScores,
+      rawScore,
+      latePenalty,
+      // Rounded to two decimals
+      score: Math.round(rawScore * (100 - latePenalty)) / 100,
+      maxScore: assignment.getMaxPoints(),
+      feedback,
+      gradedBy: grader._id,
+      gradedAt: new Date(),
+    },
+  };
+};
+
+// Assignment details for lists (students also get the state of their own submission)
+const describeAssignment = (assignment, submission) => ({
+  _id: assignment._id,
+  lesson: assignment.lesson,
+  title: assignment.title,
+  dueAt: assignment.dueAt,
+  status: assignment.status,
+  maxPoints: assignment.getMaxPoints(),
+  allowLateSubmissions: assignment.allowLateSubmissions,
+  ...(submission !== undefined && {
+    submission: submission && {
+      _id: submission._id,
+      status: submission.status,
+      submittedAt: submission.submittedAt,
+      isLate: submission.isLate,
+      score: submission.grade?.score ?? null,
+      maxScore: submission.grade?.maxScore ?? null,
+    },
+  }),
+});
+
+// List the assignments of a course (instructor and admins also see drafts)
+export const listAssignments = async (req, res) => {
+  try {
+    const isManager = canManageCourse(req.user, req.course);
+
+    const query = { course: req.course._id };
+    if (!isManager) query.status = "published";
+
+    const assignments = await Assignment.find(query).sort({ dueAt: 1 });
+
+    let submissionByAssignment = null;
+    if (!isManager) {
+      const submissions = await Submission.find({
+        course: req.course._id,
+        student: req.user._id,
+      });
+      submissionByAssignment = new Map(
+        submissions.map((entry) => [entry.assignment.toString(), entry])
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Assignments retrieved successfully.",
+      assignments: assignments.map((assignment) =>
+        describeAssignment(
+          assignment,
+          submissionByAssignment
+            ? submissionByAssignment.get(assignment._id.toString()) || null
+            : undefined
+        )
+      ),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving assignments");
+  }
+};
+
+// Get an assignment (students also get their own submission)
+export const getAssignment = async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    if (!isVisible(req, assignment)) return sendAssignmentNotFound(res);
+
+    const submission = canManageCourse(req.user, req.course)
+      ? undefined
+      : await Submission.findOne({
+          assignment: assignment._id,
+          student: req.user._id,
+        });
+
+    return res.status(200).json({
+      success: true,
+      message: "Assignment retrieved successfully.",
+      assignment,
+      ...(submission !== undefined && { submission }),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving assignment");
+  }
+};
+
+// Create an assignment in a course (course instructor or admin)
+export const createAssignment = async (req, res) => {
+  try {
+    if (hasUnknownLesson(req.course, req.body.lesson)) {
+      return sendUnknownLesson(res);
+    }
+
+    const assignment = await Assignment.create({
+      ...req.body,
+      course: req.course._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Assignment created successfully.",
+      assignment,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+    return sendInternalError(res, error, "creating assignment");
+  }
+};
+
+// Update an assignment; rubric criteria sent with their `_id` keep the scores given for them
+export const updateAssignment = async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    if (hasUnknownLesson(req.course, req.body.lesson)) {
+      return sendUnknownLesson(res);
+    }
+
+    assignment.set(req.body);
+    await assignment.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Assignment updated successfully.",
+      assignment,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+    return sendInternalError(res, error, "updating assignment");
+  }
+};
+
+// Delete an assignment with all submissions and their files
+export const deleteAssignment = async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const submissions = await Submission.find(
+      { assignment: assignment._id },
+      { "files.key": 1 }
+    );
+
+    await assignment.deleteOne();
+    await Submission.deleteMany({ assignment: assignment._id });
+    await removeStoredFiles(getFileKeys(submissions));
+
+    return res.status(200).json({
+      success: true,
+      message: "Assignment deleted successfully.",
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "deleting assignment");
+  }
+};
+
+/**
+ * Submit (or resubmit) files for an assignment
+ * How: A resubmission replaces the previous files and submission time until the work is
+ *      graded; lateness is measured from the due date at the time of (re)submission
+ */
+export const submitAssignment = async (req, res) => {
+  try {
+    const assignment = req.assignment;
+    const files = toFiles(req.files);
+
+    // Instructors and admins are not enrolled (see requireEnrollment)
+    if (!req.enrollment) {
+      return res.status(400).json({
+        success: false,
+        message: "Only enrolled students can submit assignments.",
+      });
+    }
+    if (!isVisible(req, assignment)) return sendAssignmentNotFound(res);
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Attach at least one file.",
+      });
+    }
+
+    const submittedAt = new Date();
+    const daysLate = assignment.getDaysLate(submittedAt);
+    if (daysLate > 0 && !assignment.allowLateSubmissions) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "The due date has passed and late submissions are not accepted.",
+      });
+    }
+
+    let submission = await Submission.findOne({
+      assignment: assignment._id,
+      student: req.user._id,
+    });
+    if (submission?.status === "graded") {
+      return res.status(400).json({
+        success: false,
+        message: "This submission has already been graded.",
+      });
+    }
+
+    const previousKeys = submission ? getFileKeys([submission]) : [];
+    submission =
+      submission ||
+      new Submission({
+        assignment: assignment._id,
+        course: req.course._id,
+        student: req.user._id,
+      });
+
+    submission.set({
+      files,
+      comment: req.body.comment ?? "",
+      submittedAt,
+      isLate: daysLate > 0,
+      daysLate,
+    });
+    await submission.save();
+
+    // Remove the replaced files once the new ones are saved
+    await removeStoredFiles(previousKeys);
+
+    const latePenalty = assignment.getLatePenalty(daysLate);
+
+    return res.status(previousKeys.length ? 200 : 201).json({
+      success: true,
+      message: daysLate
+        ? `Submitted ${daysLate} day(s) late. A late penalty of ${latePenalty}% applies.`
+        : "Assignment submitted successfully.",
+      submission,
+    });
+  } catch (error) {
+    // Two submissions for the same assignment raced each other
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A submission was just made. Please try again.",
+      });
+    }
+    return sendInternalError(res, error, "submitting assignment");
+  }
+};
+
+// The signed-in student's submission with its grade and grade history
+export const getMySubmission = async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      assignment: req.assignment._id,
+      student: req.user._id,
+    });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "You have not submitted this assignment.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Submission retrieved successfully.",
+      submission,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving submission");
+  }
+};
+
+// All submissions for an assignment (course instructor and admins)
+export const listSubmissions = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+
+    const query = { assignment: req.assignment._id };
+    if (status) query.status = status;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const submissions = await Submission.find(query)
+      .populate("student", STUDENT_FIELDS)
+      .sort({ submittedAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalSubmissions = await Submission.countDocuments(query);
+    const totalPages = Math.ceil(totalSubmissions / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Submissions retrieved successfully.",
+      submissions,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalSubmissions: totalSubmissions,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving submissions");
+  }
+};
+
+// Grade (or regrade) a submission; the previous grade moves to gradeHistory
+export const gradeSubmission = async (req, res) => {
+  try {
+    const assignment = req.assignment;
+
+    const submission = await Submission.findOne({
+      _id: req.params.submissionId,
+      assignment: assignment._id,
+    });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found.",
+      });
+    }
+
+    const { errors, grade } = buildGrade(
+      assignment,
+      submission,
+      req.body,
+      req.user
+    );
+    if (errors) return sendValidationError(res, errors);
+
+    const regraded = Boolean(submission.grade);
+    if (regraded) {
+      submission.gradeHistory.push(submission.grade);
+    }
+    submission.grade = grade;
+    submission.status = "graded";
+    await submission.save();
+
+    await notify(submission.student, {
+      type: "assignment_graded",
+      title: regraded ? "Your grade was updated" : "Your assignment was graded",
+      body: `${assignment.title}: ${grade.score}/${grade.maxScore}`,
+      link: `/courses/${req.course.slug}/assignments/${assignment._id}`,
+      data: {
+        course: req.course._id,
+        assignment: assignment._id,
+        submission: submission._id,
+        score: grade.score,
+        maxScore: grade.maxScore,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Submission graded successfully.",
+      submission,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "grading submission");
+  }
+};
+
+// Grade history of the signed-in student across courses ("My grades")
+export const getMyGrades = async (req, res) => {
+  try {
+    const { page, limit, course } = req.query;
+
+    const query = { student: req.user._id };
+    if (course) query.course = course;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const submissions = await Submission.find(query)
+      .populate("assignment", "title dueAt rubric")
+      .populate("course", "title slug")
+      .sort({ submittedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalSubmissions = await Submission.countDocuments(query);
+    const totalPages = Math.ceil(totalSubmissions / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Grades retrieved successfully.",
+      // Submissions of deleted assignments are skipped
+      grades: submissions
+        .filter((submission) => submission.assignment && submission.course)
+        .map((submission) => ({
+          submission: submission._id,
+          course: submission.course,
+          assignment: submission.assignment,
+          status: submission.status,
+          submittedAt: submission.submittedAt,
+          isLate: submission.isLate,
+          grade: submission.grade,
+          gradeHistory: submission.gradeHistory,
+        })),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalSubmissions: totalSubmissions,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving grades");
+  }
+};
@@ -0,0 +1,53 @@
+import AuditLog from "../models/auditLogModel.js";
+
+// Audit log entries, newest first (admin functionality)
+export const listAuditLog = async (req, res) => {
+  try {
+    // Query is validated and coerced by listAuditLogSchema
+    const { page, limit, action, actor, target, user, ip, from, to } =
+      req.query;
+
+    // Build query object
+    const query = {};
+    if (action) query.action = { $in: action };
+    if (actor) query.actor = actor;
+    if (target) query.target = target;
+    if (user) query.$or = [{ actor: user }, { target: user }];
+    if (ip) query.ip = ip;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalEntries = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Audit log retrieved successfully.",
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalEntries: totalEntries,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving audit log:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
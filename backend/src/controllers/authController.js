@@ -1,43 +1,58 @@
 import Auth from "../models/authModel.js";
-import { generateImageUrl } from "../config/multer.js";
-import jwt from "jsonwebtoken";
+import {
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { removeStoredFiles } from "../services/storage/index.js";
+import {
+  beginLogin,
+  buildLoginResponse,
+} from "../services/loginService.js";
+import { sendVerificationEmail } from "../services/accountEmailService.js";
+import { recordLoginAttempt } from "../services/loginAttemptService.js";
+import { sendTooManyRequests } from "../middleware/rateLimiter.js";
+import {
+  notify,
+  notifyAccountDeleted,
+} from "../services/notifications/index.js";
+import {
+  recordAudit,
+  snapshotFields,
+  diffFields,
+} from "../services/auditService.js";
+import {
+  getProfilePictureKeys,
+  collectPersonalData,
+  createPersonalDataArchive,
+} from "../services/personalDataService.js";
+import { revokeAllSessions } from "../services/tokenService.js";
+import { getDeletionGraceDays } from "../config/accounts.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Point the user at a freshly uploaded (and processed) picture
+const applyProfilePicture = (user, uploadedFile) => {
+  user.profilePicture = uploadedFile.url;
+  user.profilePictureKey = uploadedFile.key;
+  user.profilePictureVariants = (uploadedFile.variants || []).map(
+    ({ label, key, url, width, height }) => ({ label, key, url, width, height })
+  );
+};
 
 export const createAuth = async (req, res) => {
   try {
+    // Body is validated by validation/authSchemas.js (registerSchema)
     const { username, email, password, role } = req.body;
 
-    // Validate required input fields
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Username, email, and password are required.",
-      });
-    }
-
     // Get uploaded file (single file from multer)
     const uploadedFile = req.file;
 
-    // Validate password length
-    if (password.length < 9) {
-      return res.status(400).json({
-        success: false,
-        message: "Password must be at least 9 characters long.",
-      });
-    }
-
-    // Validate email format (additional check)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide a valid email address.",
-      });
-    }
-
     // Check if user already exists (use findOne for better performance)
+    // Deleted accounts keep their email and username until they are purged
     const existingUser = await Auth.findOne({
       $or: [{ email: email }, { username: username }],
-    });
+    }).setOptions({ withDeleted: true });
 
     if (existingUser) {
       return res.status(400).json({
@@ -49,28 +64,35 @@ export const createAuth = async (req, res) => {
       });
     }
 
-    // Handle profile picture URL generation
-    let profilePictureUrl;
-    if (uploadedFile) {
-      // Generate URL for uploaded file
-      profilePictureUrl = generateImageUrl(uploadedFile.filename, req);
-    } else {
-      // Use default profile picture from authModel schema
-      profilePictureUrl = undefined; // Let mongoose use the default
-    }
-
-    // Create new user
+    // Create new user (without an upload, mongoose uses the default picture)
     const newUser = new Auth({
       username,
       email,
       password,
-      profilePicture: profilePictureUrl,
       role: role || "student", // Default role if not provided
     });
+    if (uploadedFile) {
+      applyProfilePicture(newUser, uploadedFile);
+    }
 
     // Save user to database
     await newUser.save();
 
+    // Admins creating accounts are the actor; otherwise the new user registered themselves
+    await recordAudit(req, {
+      action: "user.register",
+      actor: req.user || newUser,
+      target: newUser,
+      changes: diffFields({}, snapshotFields(newUser)),
+    });
+
+    // Send the verification email; registration still succeeds if delivery fails
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
     // Return success response (toJSON already removes password)
     return res.status(201).json({
       success: true,
@@ -80,14 +102,7 @@ export const createAuth = async (req, res) => {
   } catch (error) {
     // Handle mongoose validation errors
     if (error.name === "ValidationError") {
-      const errorMessages = Object.values(error.errors).map(
-        (err) => err.message
-      );
-      return res.status(400).json({
-        success: false,
-        message: "Validation error.",
-        errors: errorMessages,
-      });
+      return sendValidationError(res, mongooseValidationDetails(error));
     }
 
     // Handle duplicate key error (unique constraint)
@@ -112,51 +127,53 @@ export const loginAuth = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and password are required.",
-      });
-    }
-
     // Find user by email
-    const user = await Auth.findOne({ email: email.toLowerCase() });
+    const user = await Auth.findOne({ email });
     if (!user) {
+      await recordLoginAttempt(req, { email, reason: "unknown_email" });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password.",
       });
     }
 
+    // Refuse locked accounts before checking the password
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { email, user, reason: "account_locked" });
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      return sendTooManyRequests(
+        res,
+        retryAfter,
+        "Account temporarily locked due to too many failed login attempts."
+      );
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      await recordLoginAttempt(req, {
+        email,
+        user,
+        reason: "invalid_password",
+      });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password.",
       });
     }
 
-    // Generate JWT token for successful login
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        username: user.username,
-        role: user.role,
-      },
-      process.env.JWT_SECRET || "your_jwt_secret",
-      { expiresIn: "24h" }
-    );
+    // Issue a session, or ask for the second factor first when 2FA applies
+    const result = await beginLogin(user, req);
+
+    // With 2FA the login only counts as successful after /login/2fa
+    if (!result.mfaRequired) {
+      await user.resetFailedLogins();
+      await recordLoginAttempt(req, { email, user, reason: "success" });
+    }
 
     // Return success response (toJSON removes password)
-    return res.status(200).json({
-      success: true,
-      message: "Login successful.",
-      user: user.toJSON(),
-      token: token,
-    });
+    return res.status(200).json(buildLoginResponse(user, result));
   } catch (error) {
     console.error("Error during login:", error);
     return res.status(500).json({
@@ -183,8 +200,11 @@ export const updateUserProfile = async (req, res) => {
     }
 
     // Check if email/username is already taken by another user
+    // Deleted accounts keep their email and username until they are purged
     if (email && email !== user.email) {
-      const existingUser = await Auth.findOne({ email: email });
+      const existingUser = await Auth.findOne({
+        email: email,
+      }).setOptions({ withDeleted: true });
       if (existingUser) {
         return res.status(400).json({
           success: false,
@@ -194,7 +214,9 @@ export const updateUserProfile = async (req, res) => {
     }
 
     if (username && username !== user.username) {
-      const existingUser = await Auth.findOne({ username: username });
+      const existingUser = await Auth.findOne({
+        username: username,
+      }).setOptions({ withDeleted: true });
       if (existingUser) {
         return res.status(400).json({
           success: false,
@@ -203,19 +225,61 @@ export const updateUserProfile = async (req, res) => {
       }
     }
 
+    const before = snapshotFields(user);
+
     // Update profile picture if new file is uploaded
+    const previousPictureKeys = getProfilePictureKeys(user);
     if (uploadedFile) {
-      const newProfilePictureUrl = generateImageUrl(uploadedFile.filename, req);
-      user.profilePicture = newProfilePictureUrl;
+      applyProfilePicture(user, uploadedFile);
     }
 
     // Update other fields
+    const emailChanged = email && email !== user.email;
+    const previousRole = user.role;
     if (username) user.username = username;
     if (email) user.email = email;
     if (role) user.role = role;
 
+    // A changed address has to be verified again
+    if (emailChanged) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
     await user.save();
 
+    const changes = diffFields(before, snapshotFields(user));
+    if (changes.length > 0) {
+      await recordAudit(req, {
+        action: user.role !== previousRole ? "user.role_change" : "user.update",
+        target: user,
+        changes,
+      });
+    }
+
+    // Remove the replaced picture once the new one is saved
+    if (uploadedFile) {
+      await removeStoredFiles(previousPictureKeys);
+    }
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError);
+      }
+    }
+
+    if (user.role !== previousRole) {
+      await notify(user._id, {
+        type: "role_changed",
+        title: "Your role has changed",
+        body: `An administrator changed your role from ${previousRole} to ${user.role}.`,
+        link: "/profile",
+        data: { previousRole, role: user.role },
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: "Profile updated successfully.",
@@ -223,13 +287,15 @@ export const updateUserProfile = async (req, res) => {
     });
   } catch (error) {
     if (error.name === "ValidationError") {
-      const errorMessages = Object.values(error.errors).map(
-        (err) => err.message
-      );
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+
+    // Handle duplicate key error (unique constraint)
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
       return res.status(400).json({
         success: false,
-        message: "Validation error.",
-        errors: errorMessages,
+        message: `${field} already exists.`,
       });
     }
 
@@ -241,6 +307,41 @@ export const updateUserProfile = async (req, res) => {
   }
 };
 
+// Check whether a username and/or email could be used by a user, before they submit
+// How: Answers `available` for each field that was asked about; the user's own current
+//      values count as available
+// Note: Deleted accounts keep their username and email until they are purged, so those
+//       count as taken too (the unique index would refuse them)
+export const checkProfileAvailability = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const available = {};
+    for (const field of ["username", "email"]) {
+      const value = req.query[field];
+      if (!value) continue;
+
+      const taken = await Auth.exists({
+        [field]: value,
+        _id: { $ne: userId },
+      }).setOptions({ withDeleted: true });
+      available[field] = !taken;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Availability checked.",
+      available,
+    });
+  } catch (error) {
+    console.error("Error checking availability:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
 // Update only profile picture
 export const updateProfilePicture = async (req, res) => {
   try {
@@ -264,13 +365,22 @@ export const updateProfilePicture = async (req, res) => {
       });
     }
 
-    // Generate new profile picture URL
-    const newProfilePictureUrl = generateImageUrl(uploadedFile.filename, req);
+    const previousPictureKeys = getProfilePictureKeys(user);
+    const before = snapshotFields(user, ["profilePicture"]);
 
     // Update user profile picture
-    user.profilePicture = newProfilePictureUrl;
+    applyProfilePicture(user, uploadedFile);
     await user.save();
 
+    await recordAudit(req, {
+      action: "user.picture_update",
+      target: user,
+      changes: diffFields(before, snapshotFields(user, ["profilePicture"])),
+    });
+
+    // Remove the replaced picture once the new one is saved
+    await removeStoredFiles(previousPictureKeys);
+
     return res.status(200).json({
       success: true,
       message: "Profile picture updated successfully.",
@@ -316,32 +426,33 @@ export const getSingleUser = async (req, res) => {
 // Get all users (admin functionality)
 export const getAllUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, search } = req.query;
+    const { page = 1, limit = 10, role, search, deleted } = req.query;
 
-    // Build query object
-    let query = {};
+    // Build query object (the model hides deleted accounts unless asked for them)
+    let query = deleted ? { deletedAt: { $ne: null } } : {};
 
     // Filter by role if provided
     if (role) {
       query.role = role;
     }
 
-    // Search by username or email if provided
+    // Search by username or email if provided (escaped, so it is matched literally)
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { username: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
+        { username: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } },
       ];
     }
 
-    // Calculate pagination
+    // Calculate pagination (page/limit are numbers capped by listUsersSchema)
     const skip = (page - 1) * limit;
 
     // Get users with pagination
     const users = await Auth.find(query)
       .select("-password") // Exclude password field
       .skip(skip)
-      .limit(parseInt(limit))
+      .limit(limit)
       .sort({ createdAt: -1 });
 
     // Get total count for pagination
@@ -353,7 +464,7 @@ export const getAllUsers = async (req, res) => {
       message: "Users retrieved successfully.",
       users: users,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages: totalPages,
         totalUsers: totalUsers,
         hasNextPage: page < totalPages,
@@ -369,13 +480,14 @@ export const getAllUsers = async (req, res) => {
   }
 };
 
-// Delete user
+// Delete user (soft delete)
+// How: The account is signed out and hidden right away, and purged with its uploads and
+//      records once the grace period is over (services/personalDataService.js)
 export const deleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Find and delete user
-    const user = await Auth.findByIdAndDelete(userId);
+    const user = await Auth.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -383,9 +495,26 @@ export const deleteUser = async (req, res) => {
       });
     }
 
+    user.deletedAt = new Date();
+    user.deletedBy = req.user._id;
+    user.purgeAfter = new Date(Date.now() + getDeletionGraceDays() * DAY_MS);
+    await user.save();
+
+    await revokeAllSessions(user._id, "account_deleted");
+
+    await recordAudit(req, {
+      action: "user.delete",
+      target: user,
+      metadata: { purgeAfter: user.purgeAfter },
+    });
+
+    // Tell any open sessions before closing their notification sockets
+    await notifyAccountDeleted(user._id);
+
     return res.status(200).json({
       success: true,
       message: "User deleted successfully.",
+      purgeAfter: user.purgeAfter,
     });
   } catch (error) {
     console.error("Error deleting user:", error);
@@ -396,5 +525,90 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+// Restore a deleted account before it is purged (admin functionality)
+// Note: Sessions stay revoked, so the user signs in again
+export const restoreUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await Auth.findOne({ _id: userId, deletedAt: { $ne: null } });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted user not found.",
+      });
+    }
+
+    const { deletedAt, purgeAfter } = user;
+    user.deletedAt = null;
+    user.deletedBy = null;
+    user.purgeAfter = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.restore",
+      target: user,
+      metadata: { deletedAt, purgeAfter },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "User restored successfully.",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    console.error("Error restoring user:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Download everything stored about a user as JSON or a ZIP of JSON files
+export const exportUserData = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { format } = req.query;
+
+    const user = await Auth.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    const data = await collectPersonalData(user);
+
+    await recordAudit(req, {
+      action: "user.data_export",
+      target: user,
+      metadata: { format },
+    });
+
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    const filename = `novanector-data-${user.username}-${date}.${format}`;
+    res.attachment(filename);
+
+    if (format === "json") {
+      return res.status(200).send(JSON.stringify(data, null, 2));
+    }
+
+    const archive = createPersonalDataArchive(data);
+    archive.on("error", (error) => {
+      console.error("Error creating data export archive:", error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+  } catch (error) {
+    console.error("Error exporting user data:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
 // Alias for getSingleUser (for backward compatibility)
 export const getUserProfile = getSingleUser;
@@ -0,0 +1,104 @@
+import Certificate from "../models/certificateModel.js";
+import { renderCertificatePdf } from "../services/certificateService.js";
+import { sendInternalError } from "../utils/httpError.js";
+
+// Public verification for employers (no login); revoked certificates are reported as invalid
+export const verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found.",
+        valid: false,
+      });
+    }
+
+    const valid = certificate.status === "valid";
+    return res.status(200).json({
+      success: true,
+      message: valid
+        ? "Certificate is valid."
+        : "Certificate has been revoked.",
+      valid,
+      certificate: certificate.toPublicJSON(),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "verifying certificate");
+  }
+};
+
+// Certificates of the signed-in user
+export const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      student: req.user._id,
+    }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificates retrieved successfully.",
+      certificates: certificates.map((certificate) => ({
+        ...certificate.toPublicJSON(),
+        course: certificate.course,
+      })),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving certificates");
+  }
+};
+
+// Download the certificate PDF (its owner and admins, see config/policies.js)
+export const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = req.certificate;
+
+    if (certificate.status !== "valid") {
+      return res.status(410).json({
+        success: false,
+        message: "Certificate has been revoked.",
+      });
+    }
+
+    const pdf = await renderCertificatePdf(certificate);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="certificate-${certificate.certificateId}.pdf"`,
+      "Content-Length": String(pdf.length),
+    });
+    return res.status(200).send(pdf);
+  } catch (error) {
+    return sendInternalError(res, error, "generating certificate PDF");
+  }
+};
+
+// Revoke a certificate (admin only); verification reports it as invalid from now on
+export const revokeCertificate = async (req, res) => {
+  try {
+    const certificate = req.certificate;
+
+    if (certificate.status === "revoked") {
+      return res.status(400).json({
+        success: false,
+        message: "Certificate has already been revoked.",
+      });
+    }
+
+    certificate.status = "revoked";
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = req.user._id;
+    certificate.revocationReason = req.body.reason;
+    await certificate.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate revoked successfully.",
+      certificate,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "revoking certificate");
+  }
+};
@@ -0,0 +1,269 @@
+import Enrollment from "../models/enrollmentModel.js";
+import {
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import { removeStoredFiles } from "../services/storage/index.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+
+// Move (or insert) an item to a zero-based position within a document array
+const placeAt = (items, item, position) => {
+  const others = items.filter((entry) => !entry._id.equals(item._id));
+  const index =
+    position === undefined
+      ? others.length
+      : Math.min(Math.max(position, 0), others.length);
+  others.splice(index, 0, item);
+  return others;
+};
+
+// Attachment entries for files stored by uploadLessonAttachments
+const toAttachments = (files = []) =>
+  files.map((file) => ({
+    name: file.originalname,
+    url: file.url,
+    key: file.key,
+    size: file.size,
+    contentType: file.mimetype,
+  }));
+
+const getLessonAttachmentKeys = (lessons) =>
+  lessons.flatMap((lesson) =>
+    lesson.attachments.map((attachment) => attachment.key)
+  );
+
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+const handleSaveError = (res, error, action) => {
+  if (error.name === "ValidationError") {
+    return sendValidationError(res, mongooseValidationDetails(error));
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error.",
+  });
+};
+
+// Add a module to a course (at `position`, or at the end)
+export const createModule = async (req, res) => {
+  try {
+    const course = req.course;
+    const { position, ...fields } = req.body;
+
+    course.modules.push(fields);
+    const module = course.modules[course.modules.length - 1];
+    course.modules = placeAt(course.modules, module, position);
+    await course.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Module created successfully.",
+      module: course.modules.id(module._id),
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "creating module");
+  }
+};
+
+// Rename, describe or move a module
+export const updateModule = async (req, res) => {
+  try {
+    const course = req.course;
+    const { position, ...fields } = req.body;
+
+    const module = course.modules.id(req.params.moduleId);
+    if (!module) return sendNotFound(res, "Module not found.");
+
+    module.set(fields);
+    if (position !== undefined) {
+      course.modules = placeAt(course.modules, module, position);
+    }
+    await course.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Module updated successfully.",
+      module: course.modules.id(module._id),
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "updating module");
+  }
+};
+
+// Delete a module with its lessons and their attachments
+export const deleteModule = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const module = course.modules.id(req.params.moduleId);
+    if (!module) return sendNotFound(res, "Module not found.");
+
+    const attachmentKeys = getLessonAttachmentKeys(module.lessons);
+    module.deleteOne();
+    await course.save();
+
+    await removeStoredFiles(attachmentKeys);
+
+    return res.status(200).json({
+      success: true,
+      message: "Module deleted successfully.",
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "deleting module");
+  }
+};
+
+// Add a lesson (with optional attachments) to a module
+export const createLesson = async (req, res) => {
+  try {
+    const course = req.course;
+    const { position, ...fields } = req.body;
+
+    const module = course.modules.id(req.params.moduleId);
+    if (!module) return sendNotFound(res, "Module not found.");
+
+    module.lessons.push({ ...fields, attachments: toAttachments(req.files) });
+    const lesson = module.lessons[module.lessons.length - 1];
+    module.lessons = placeAt(module.lessons, lesson, position);
+    await course.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Lesson created successfully.",
+      lesson: module.lessons.id(lesson._id),
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "creating lesson");
+  }
+};
+
+// Edit a lesson, add attachments, or move it (within its module or to another one)
+export const updateLesson = async (req, res) => {
+  try {
+    const course = req.course;
+    const { position, moduleId, ...fields } = req.body;
+
+    const found = course.findLesson(req.params.lessonId);
+    if (!found) return sendNotFound(res, "Lesson not found.");
+    const { lesson } = found;
+
+    const target = moduleId ? course.modules.id(moduleId) : found.module;
+    if (!target) return sendNotFound(res, "Module not found.");
+
+    lesson.set(fields);
+    lesson.attachments.push(...toAttachments(req.files));
+
+    if (!target._id.equals(found.module._id)) {
+      const moved = lesson.toObject();
+      lesson.deleteOne();
+      target.lessons.push(moved);
+      target.lessons = placeAt(
+        target.lessons,
+        target.lessons.id(moved._id),
+        position
+      );
+    } else if (position !== undefined) {
+      target.lessons = placeAt(target.lessons, lesson, position);
+    }
+    await course.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Lesson updated successfully.",
+      lesson: course.findLesson(lesson._id).lesson,
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "updating lesson");
+  }
+};
+
+// Delete a lesson and its attachments
+export const deleteLesson = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const found = course.findLesson(req.params.lessonId);
+    if (!found) return sendNotFound(res, "Lesson not found.");
+
+    const attachmentKeys = getLessonAttachmentKeys([found.lesson]);
+    found.lesson.deleteOne();
+    await course.save();
+
+    await removeStoredFiles(attachmentKeys);
+
+    return res.status(200).json({
+      success: true,
+      message: "Lesson deleted successfully.",
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "deleting lesson");
+  }
+};
+
+// Remove a single attachment from a lesson
+export const deleteAttachment = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const found = course.findLesson(req.params.lessonId);
+    const attachment = found?.lesson.attachments.id(req.params.attachmentId);
+    if (!attachment) return sendNotFound(res, "Attachment not found.");
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    await course.save();
+
+    await removeStoredFiles([key]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Attachment deleted successfully.",
+    });
+  } catch (error) {
+    return handleSaveError(res, error, "deleting attachment");
+  }
+};
+
+// Read a lesson (enrolled students, the course instructor and admins)
+// Why: Opening a lesson is what "resume where I left off" remembers
+export const getLesson = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const found = course.findLesson(req.params.lessonId);
+    if (!found) return sendNotFound(res, "Lesson not found.");
+
+    if (!canManageCourse(req.user, course)) {
+      const enrollment = await Enrollment.findOneAndUpdate(
+        { student: req.user._id, course: course._id },
+        { lastAccessedLesson: found.lesson._id, lastAccessedAt: new Date() }
+      );
+      if (!enrollment) {
+        return res.status(403).json({
+          success: false,
+          message: "Enroll in this course to access its lessons.",
+          error: "FORBIDDEN",
+        });
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Lesson retrieved successfully.",
+      module: { _id: found.module._id, title: found.module.title },
+      lesson: found.lesson,
+    });
+  } catch (error) {
+    console.error("Error retrieving lesson:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
@@ -0,0 +1,352 @@
+import Course from "../models/courseModel.js";
+import Auth from "../models/authModel.js";
+import Enrollment from "../models/enrollmentModel.js";
+import Quiz from "../models/quizModel.js";
+import QuizAttempt from "../models/quizAttemptModel.js";
+import Assignment from "../models/assignmentModel.js";
+import Submission from "../models/submissionModel.js";
+import ForumBoard from "../models/forumBoardModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply from "../models/forumReplyModel.js";
+import {
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import {
+  removeStoredFiles,
+  resolveStoredKey,
+} from "../services/storage/index.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+import { calculateProgress } from "../services/progressService.js";
+
+const INSTRUCTOR_FIELDS = "username profilePicture";
+
+const SORT_ORDERS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  title: { title: 1 },
+};
+
+// Storage keys of a course's cover image and all of its processed variants
+const getCoverImageKeys = (course) => [
+  resolveStoredKey(course.coverImageKey, course.coverImage),
+  ...(course.coverImageVariants || []).map((variant) => variant.key),
+];
+
+// Point the course at a freshly uploaded (and processed) cover image
+const applyCoverImage = (course, uploadedFile) => {
+  course.coverImage = uploadedFile.url;
+  course.coverImageKey = uploadedFile.key;
+  course.coverImageVariants = (uploadedFile.variants || []).map(
+    ({ label, key, url, width, height }) => ({ label, key, url, width, height })
+  );
+};
+
+// Courses can only be assigned to instructors and admins
+const findAssignableInstructor = (userId) =>
+  Auth.findOne({ _id: userId, role: { $in: ["instructor", "admin"] } });
+
+const sendSlugTaken = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "Slug is already in use.",
+  });
+
+// List courses with filters, search and pagination
+// Why: Anonymous users and students only ever see published courses
+export const listCourses = async (req, res) => {
+  try {
+    // Query is validated and coerced by listCoursesSchema
+    const {
+      page,
+      limit,
+      search,
+      category,
+      tag,
+      level,
+      instructor,
+      minPrice,
+      maxPrice,
+      status,
+      mine,
+      sort,
+    } = req.query;
+
+    // Build query object
+    const query = {};
+
+    if (mine) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Authentication token is required.",
+          error: "UNAUTHORIZED",
+        });
+      }
+      query.instructor = req.user._id;
+      if (status) query.status = status;
+    } else {
+      if (instructor) query.instructor = instructor;
+      if (req.user?.role !== "admin") {
+        query.status = "published";
+      } else if (status) {
+        query.status = status;
+      }
+    }
+
+    if (category) query.category = category;
+    if (tag) query.tags = tag;
+    if (level) query.level = level;
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) query.price.$gte = minPrice;
+      if (maxPrice !== undefined) query.price.$lte = maxPrice;
+    }
+
+    // Search title, description and tags (escaped, so it is matched literally)
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { title: { $regex: pattern, $options: "i" } },
+        { description: { $regex: pattern, $options: "i" } },
+        { tags: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Lesson content is only returned by the course detail route
+    const courses = await Course.find(query)
+      .select("-modules")
+      .populate("instructor", INSTRUCTOR_FIELDS)
+      .sort(SORT_ORDERS[sort])
+      .skip(skip)
+      .limit(limit);
+
+    const totalCourses = await Course.countDocuments(query);
+    const totalPages = Math.ceil(totalCourses / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Courses retrieved successfully.",
+      courses,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalCourses: totalCourses,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving courses:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Get a single course by id or slug (drafts only for their instructor and admins)
+// Lesson content is included for the instructor, admins and enrolled students
+export const getCourse = async (req, res) => {
+  try {
+    const course = req.course;
+    const isManager = canManageCourse(req.user, course);
+
+    if (course.status !== "published" && !isManager) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found.",
+      });
+    }
+
+    const enrollment = req.user
+      ? await Enrollment.findOne({ student: req.user._id, course: course._id })
+      : null;
+
+    await course.populate("instructor", INSTRUCTOR_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: "Course retrieved successfully.",
+      course: isManager || enrollment ? course : course.toOutline(),
+      enrollment: enrollment && {
+        status: enrollment.status,
+        ...calculateProgress(enrollment, course),
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Create a course owned by the signed-in instructor (admins may assign another instructor)
+export const createCourse = async (req, res) => {
+  try {
+    // Body is validated by validation/courseSchemas.js (createCourseSchema)
+    const { instructor, slug, ...fields } = req.body;
+    const uploadedFile = req.file;
+
+    let instructorId = req.user._id;
+    if (instructor) {
+      const assigned = await findAssignableInstructor(instructor);
+      if (!assigned) {
+        return res.status(400).json({
+          success: false,
+          message: "Instructor not found.",
+        });
+      }
+      instructorId = assigned._id;
+    }
+
+    if (slug && (await Course.exists({ slug }))) {
+      return sendSlugTaken(res);
+    }
+
+    const course = new Course({
+      ...fields,
+      slug: slug || (await Course.generateSlug(fields.title)),
+      instructor: instructorId,
+    });
+    if (uploadedFile) {
+      applyCoverImage(course, uploadedFile);
+    }
+
+    await course.save();
+    await course.populate("instructor", INSTRUCTOR_FIELDS);
+
+    return res.status(201).json({
+      success: true,
+      message: "Course created successfully.",
+      course,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+
+    // Two courses generated the same slug at the same time
+    if (error.code === 11000) {
+      return sendSlugTaken(res);
+    }
+
+    console.error("Error creating course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Update a course (owning instructor or admin, enforced by the manageCourse policy)
+// Note: The slug only changes when one is sent, so existing course links keep working
+export const updateCourse = async (req, res) => {
+  try {
+    const course = req.course;
+    const { instructor, slug, ...fields } = req.body;
+    const uploadedFile = req.file;
+
+    if (instructor) {
+      const assigned = await findAssignableInstructor(instructor);
+      if (!assigned) {
+        return res.status(400).json({
+          success: false,
+          message: "Instructor not found.",
+        });
+      }
+      course.instructor = assigned._id;
+    }
+
+    if (slug && slug !== course.slug) {
+      if (await Course.exists({ slug, _id: { $ne: course._id } })) {
+        return sendSlugTaken(res);
+      }
+      course.slug = slug;
+    }
+
+    // Update cover image if new file is uploaded
+    const previousCoverKeys = getCoverImageKeys(course);
+    if (uploadedFile) {
+      applyCoverImage(course, uploadedFile);
+    }
+
+    Object.assign(course, fields);
+    await course.save();
+
+    // Remove the replaced cover once the new one is saved
+    if (uploadedFile) {
+      await removeStoredFiles(previousCoverKeys);
+    }
+
+    await course.populate("instructor", INSTRUCTOR_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: "Course updated successfully.",
+      course,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+
+    if (error.code === 11000) {
+      return sendSlugTaken(res);
+    }
+
+    console.error("Error updating course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Delete a course with its enrollments, quizzes, assignments and stored files
+export const deleteCourse = async (req, res) => {
+  try {
+    const course = req.course;
+    const submissions = await Submission.find(
+      { course: course._id },
+      { "files.key": 1 }
+    );
+
+    await course.deleteOne();
+    await Enrollment.deleteMany({ course: course._id });
+    await Quiz.deleteMany({ course: course._id });
+    await QuizAttempt.deleteMany({ course: course._id });
+    await Assignment.deleteMany({ course: course._id });
+    await Submission.deleteMany({ course: course._id });
+    await ForumBoard.deleteMany({ course: course._id });
+    await ForumThread.deleteMany({ course: course._id });
+    await ForumReply.deleteMany({ course: course._id });
+    await removeStoredFiles([
+      ...getCoverImageKeys(course),
+      ...course.getAttachmentKeys(),
+      ...submissions.flatMap((submission) =>
+        submission.files.map((file) => file.key)
+      ),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Course deleted successfully.",
+    });
+  } catch (error) {
+    console.error("Error deleting course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
@@ -0,0 +1,389 @@
+import Enrollment from "../models/enrollmentModel.js";
+import {
+  calculateProgress,
+  describeLesson,
+  getResumeLessonId,
+  updateCompletionStatus,
+} from "../services/progressService.js";
+import { issueCertificate } from "../services/certificateService.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+
+const STUDENT_FIELDS = "username email profilePicture";
+
+// Progress plus the lesson to continue with
+const describeProgress = (enrollment, course) => ({
+  status: enrollment.status,
+  enrolledAt: enrollment.createdAt,
+  completedAt: enrollment.completedAt,
+  ...calculateProgress(enrollment, course),
+  resumeLesson: describeLesson(course, getResumeLessonId(enrollment, course)),
+});
+
+const findOwnEnrollment = (req) =>
+  Enrollment.findOne({ student: req.user._id, course: req.course._id });
+
+// Issuing the certificate must not undo the completion, so failures are only logged
+// (the instructor can issue it later from the roster)
+const tryIssueCertificate = async (options) => {
+  try {
+    return await issueCertificate(options);
+  } catch (error) {
+    console.error("Error issuing certificate:", error);
+    return null;
+  }
+};
+
+const sendNotEnrolled = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "You are not enrolled in this course.",
+  });
+
+// Enroll the signed-in user in a published course
+export const enrollInCourse = async (req, res) => {
+  try {
+    const course = req.course;
+
+    if (course.status !== "published") {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found.",
+      });
+    }
+
+    if (canManageCourse(req.user, course)) {
+      return res.status(400).json({
+        success: false,
+        message: "You manage this course and cannot enroll in it.",
+      });
+    }
+
+    if (await findOwnEnrollment(req)) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already enrolled in this course.",
+      });
+    }
+
+    const enrollment = await Enrollment.create({
+      student: req.user._id,
+      course: course._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Enrolled successfully.",
+      enrollment: describeProgress(enrollment, course),
+    });
+  } catch (error) {
+    // Two enrollment requests raced each other
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already enrolled in this course.",
+      });
+    }
+
+    console.error("Error enrolling in course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Leave a course (progress is discarded)
+export const unenrollFromCourse = async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findOneAndDelete({
+      student: req.user._id,
+      course: req.course._id,
+    });
+    if (!enrollment) return sendNotEnrolled(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Unenrolled successfully.",
+    });
+  } catch (error) {
+    console.error("Error unenrolling from course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Progress of the signed-in user in one course, including where to resume
+export const getCourseProgress = async (req, res) => {
+  try {
+    const enrollment = await findOwnEnrollment(req);
+    if (!enrollment) return sendNotEnrolled(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Progress retrieved successfully.",
+      enrollment: describeProgress(enrollment, req.course),
+    });
+  } catch (error) {
+    console.error("Error retrieving progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Mark a lesson as completed (or, with DELETE, as not completed)
+const setLessonCompletion = (completed) => async (req, res) => {
+  try {
+    const course = req.course;
+    const { lessonId } = req.params;
+
+    if (!course.findLesson(lessonId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Lesson not found.",
+      });
+    }
+
+    const enrollment = await findOwnEnrollment(req);
+    if (!enrollment) return sendNotEnrolled(res);
+
+    if (completed && !enrollment.hasCompletedLesson(lessonId)) {
+      enrollment.completedLessons.push({ lesson: lessonId });
+    }
+    if (!completed) {
+      enrollment.completedLessons = enrollment.completedLessons.filter(
+        (entry) => entry.lesson.toString() !== lessonId
+      );
+    }
+    enrollment.lastAccessedLesson = lessonId;
+    enrollment.lastAccessedAt = new Date();
+
+    const courseCompleted = updateCompletionStatus(enrollment, course);
+    await enrollment.save();
+
+    const certificate = courseCompleted
+      ? await tryIssueCertificate({ enrollment, course })
+      : null;
+
+    return res.status(200).json({
+      success: true,
+      message: courseCompleted
+        ? "Lesson completed. Congratulations on finishing the course!"
+        : "Progress updated successfully.",
+      courseCompleted,
+      enrollment: describeProgress(enrollment, course),
+      certificate: certificate?.toPublicJSON() ?? null,
+    });
+  } catch (error) {
+    console.error("Error updating lesson progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+export const completeLesson = setLessonCompletion(true);
+export const uncompleteLesson = setLessonCompletion(false);
+
+// "My courses": every enrollment of the signed-in user with progress
+export const getMyEnrollments = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+
+    const query = { student: req.user._id };
+    if (status) query.status = status;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const enrollments = await Enrollment.find(query)
+      .populate("course")
+      .sort({ lastAccessedAt: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalEnrollments = await Enrollment.countDocuments(query);
+    const totalPages = Math.ceil(totalEnrollments / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Enrollments retrieved successfully.",
+      // Enrollments of deleted courses are skipped
+      enrollments: enrollments
+        .filter((enrollment) => enrollment.course)
+        .map((enrollment) => ({
+          _id: enrollment._id,
+          course: enrollment.course.toSummary(),
+          ...describeProgress(enrollment, enrollment.course),
+        })),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalEnrollments: totalEnrollments,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving enrollments:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// "Resume where I left off": the most recently studied unfinished course and its next lesson
+export const resumeLearning = async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({
+      student: req.user._id,
+      status: "active",
+    })
+      .populate("course")
+      .sort({ lastAccessedAt: -1, createdAt: -1 })
+      .limit(10);
+
+    for (const enrollment of enrollments) {
+      const course = enrollment.course;
+      const lessonId = course && getResumeLessonId(enrollment, course);
+      if (!lessonId) continue;
+
+      return res.status(200).json({
+        success: true,
+        message: "Resume point retrieved successfully.",
+        resume: {
+          course: course.toSummary(),
+          lesson: describeLesson(course, lessonId),
+          progress: calculateProgress(enrollment, course),
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "No course in progress.",
+      resume: null,
+    });
+  } catch (error) {
+    console.error("Error retrieving resume point:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Students of a course with their progress (course instructor and admins)
+export const getCourseRoster = async (req, res) => {
+  try {
+    const course = req.course;
+    const { page, limit, status } = req.query;
+
+    const query = { course: course._id };
+    if (status) query.status = status;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const enrollments = await Enrollment.find(query)
+      .populate("student", STUDENT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Course-wide summary over every enrollment, not just this page
+    const all = await Enrollment.find(
+      { course: course._id },
+      { completedLessons: 1, status: 1 }
+    );
+    const percentages = all.map(
+      (enrollment) => calculateProgress(enrollment, course).percentComplete
+    );
+
+    const totalEnrollments = await Enrollment.countDocuments(query);
+    const totalPages = Math.ceil(totalEnrollments / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Roster retrieved successfully.",
+      summary: {
+        totalStudents: all.length,
+        completedStudents: all.filter((e) => e.status === "completed").length,
+        averagePercentComplete: percentages.length
+          ? Math.round(
+              percentages.reduce((sum, value) => sum + value, 0) /
+                percentages.length
+            )
+          : 0,
+      },
+      students: enrollments.map((enrollment) => ({
+        student: enrollment.student,
+        ...describeProgress(enrollment, course),
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalEnrollments: totalEnrollments,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving course roster:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Mark a student's course as completed and issue the certificate (course instructor and admins)
+export const completeEnrollment = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const enrollment = await Enrollment.findOne({
+      student: req.params.studentId,
+      course: course._id,
+    });
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: "This student is not enrolled in the course.",
+      });
+    }
+
+    // Recorded as manual so later lesson changes by the student do not undo it
+    if (enrollment.completionSource !== "manual") {
+      enrollment.status = "completed";
+      enrollment.completedAt = enrollment.completedAt || new Date();
+      enrollment.completionSource = "manual";
+      enrollment.completedBy = req.user._id;
+      await enrollment.save();
+    }
+
+    const certificate = await issueCertificate({
+      enrollment,
+      course,
+      issuedBy: req.user._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Course marked as completed.",
+      enrollment: describeProgress(enrollment, course),
+      certificate: certificate.toPublicJSON(),
+    });
+  } catch (error) {
+    console.error("Error completing enrollment:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
@@ -0,0 +1,619 @@
+import ForumBoard from "../models/forumBoardModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply, { MAX_REPLY_DEPTH } from "../models/forumReplyModel.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import {
+  renderMarkdown,
+  resolveMentions,
+  buildReplyTree,
+} from "../services/forumService.js";
+import { notify } from "../services/notifications/index.js";
+import { sendInternalError } from "../utils/httpError.js";
+
+const AUTHOR_FIELDS = "username profilePicture role";
+
+const THREAD_SORTS = {
+  activity: { isPinned: -1, lastActivityAt: -1 },
+  votes: { isPinned: -1, upvoteCount: -1, lastActivityAt: -1 },
+  newest: { isPinned: -1, createdAt: -1 },
+};
+
+const REPLY_SORTS = {
+  oldest: { createdAt: 1 },
+  votes: { upvoteCount: -1, createdAt: 1 },
+};
+
+const isModerator = (req) => canManageCourse(req.user, req.course);
+
+/**
+ * Response shape of a thread or reply
+ * How: Voter lists become `hasUpvoted`; reports are only shown to moderators, and a hidden post
+ *      keeps its place in the thread for students but loses its content and author
+ */
+const describePost = (post, req) => {
+  const { upvotes, reports, ...described } = post.toObject();
+  described.hasUpvoted = upvotes.some((id) => id.equals(req.user._id));
+
+  if (isModerator(req)) {
+    described.reports = reports;
+    return described;
+  }
+
+  delete described.reportCount;
+  delete described.hiddenBy;
+  if (post.isHidden) {
+    Object.assign(described, {
+      author: null,
+      body: null,
+      bodyHtml: null,
+      mentions: [],
+    });
+  }
+  return described;
+};
+
+const threadLink = (req, thread) =>
+  `/courses/${req.course.slug}/forum/threads/${thread._id}`;
+
+// Store the Markdown, its sanitized HTML and the resolved @mentions
+const buildPostContent = async (body, course) => ({
+  body,
+  bodyHtml: renderMarkdown(body),
+  mentions: await resolveMentions(body, course),
+});
+
+// Notify mentioned users (never the author, nor anyone already notified about the post)
+const notifyMentions = async (req, post, thread, alreadyNotified = []) => {
+  const skip = new Set([
+    req.user._id.toString(),
+    ...alreadyNotified.map((id) => id.toString()),
+  ]);
+
+  for (const { user } of post.mentions) {
+    if (skip.has(user.toString())) continue;
+    skip.add(user.toString());
+
+    await notify(user, {
+      type: "forum_mention",
+      title: `${req.user.username} mentioned you`,
+      body: thread.title,
+      link: threadLink(req, thread),
+      data: { course: req.course._id, thread: thread._id, post: post._id },
+    });
+  }
+};
+
+// Boards of the course (the general board is created on first use)
+export const listBoards = async (req, res) => {
+  try {
+    const course = req.course;
+    await ForumBoard.ensureGeneralBoard(course._id);
+
+    const boards = await ForumBoard.find({ course: course._id }).sort({
+      position: 1,
+      createdAt: 1,
+    });
+
+    const match = { course: course._id };
+    if (!isModerator(req)) match.isHidden = false;
+    const counts = await ForumThread.aggregate([
+      { $match: match },
+      { $group: { _id: "$board", threadCount: { $sum: 1 } } },
+    ]);
+    const threadCounts = new Map(
+      counts.map((count) => [count._id.toString(), count.threadCount])
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Boards retrieved successfully.",
+      boards: boards.map((board) => ({
+        ...board.toObject(),
+        threadCount: threadCounts.get(board._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving boards");
+  }
+};
+
+// Create a topic board (course instructor and admins)
+export const createBoard = async (req, res) => {
+  try {
+    const { title, description, position } = req.body;
+
+    const board = await ForumBoard.create({
+      course: req.course._id,
+      title,
+      description,
+      position,
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Board created successfully.",
+      board,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "creating board");
+  }
+};
+
+export const updateBoard = async (req, res) => {
+  try {
+    const board = req.board;
+    const { title, description, position } = req.body;
+
+    if (title !== undefined) board.title = title;
+    if (description !== undefined) board.description = description;
+    if (position !== undefined && !board.isGeneral) board.position = position;
+    await board.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Board updated successfully.",
+      board,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "updating board");
+  }
+};
+
+// Delete a topic board with all of its threads and replies
+export const deleteBoard = async (req, res) => {
+  try {
+    const board = req.board;
+
+    if (board.isGeneral) {
+      return res.status(400).json({
+        success: false,
+        message: "The general board cannot be deleted.",
+      });
+    }
+
+    const threadIds = await ForumThread.find({ board: board._id }).distinct(
+      "_id"
+    );
+    await ForumReply.deleteMany({ thread: { $in: threadIds } });
+    await ForumThread.deleteMany({ board: board._id });
+    await board.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: "Board deleted successfully.",
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "deleting board");
+  }
+};
+
+// Threads of a board; pinned threads first, then by activity, votes or creation date
+export const listThreads = async (req, res) => {
+  try {
+    const { page, limit, sort, search } = req.query;
+
+    const query = { board: req.board._id };
+    if (!isModerator(req)) query.isHidden = false;
+    if (search) {
+      query.title = { $regex: escapeRegex(search), $options: "i" };
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const threads = await ForumThread.find(query)
+      .select("-body -bodyHtml")
+      .populate("author", AUTHOR_FIELDS)
+      .sort(THREAD_SORTS[sort])
+      .skip(skip)
+      .limit(limit);
+
+    const totalThreads = await ForumThread.countDocuments(query);
+    const totalPages = Math.ceil(totalThreads / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Threads retrieved successfully.",
+      board: req.board,
+      threads: threads.map((thread) => describePost(thread, req)),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalThreads: totalThreads,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving threads");
+  }
+};
+
+export const createThread = async (req, res) => {
+  try {
+    const board = req.board;
+    const { title, body } = req.body;
+
+    const thread = await ForumThread.create({
+      course: req.course._id,
+      board: board._id,
+      author: req.user._id,
+      title,
+      ...(await buildPostContent(body, req.course)),
+    });
+
+    board.lastActivityAt = thread.createdAt;
+    await board.save();
+    await notifyMentions(req, thread, thread);
+
+    return res.status(201).json({
+      success: true,
+      message: "Thread created successfully.",
+      thread: describePost(thread, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "creating thread");
+  }
+};
+
+// A thread with one page of top-level replies, each with its nested replies
+export const getThread = async (req, res) => {
+  try {
+    const thread = req.thread;
+    const { page, limit, sort } = req.query;
+
+    const query = { thread: thread._id, parent: null };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const roots = await ForumReply.find(query)
+      .populate("author", AUTHOR_FIELDS)
+      .sort(REPLY_SORTS[sort])
+      .skip(skip)
+      .limit(limit);
+    const descendants = await ForumReply.find({
+      thread: thread._id,
+      root: { $in: roots.map((reply) => reply._id) },
+    })
+      .populate("author", AUTHOR_FIELDS)
+      .sort(REPLY_SORTS[sort]);
+
+    const totalReplies = await ForumReply.countDocuments(query);
+    const totalPages = Math.ceil(totalReplies / limit);
+
+    await thread.populate("author", AUTHOR_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: "Thread retrieved successfully.",
+      thread: describePost(thread, req),
+      replies: buildReplyTree(roots, descendants, (reply) =>
+        describePost(reply, req)
+      ),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalReplies: totalReplies,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving thread");
+  }
+};
+
+// Reply to a thread, or (with `parent`) to another reply in it
+export const createReply = async (req, res) => {
+  try {
+    const thread = req.thread;
+    const { body, parent: parentId } = req.body;
+
+    if (thread.isLocked && !isModerator(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "This thread is locked.",
+        error: "THREAD_LOCKED",
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await ForumReply.findOne({ _id: parentId, thread: thread._id });
+      if (!parent || (parent.isHidden && !isModerator(req))) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent reply not found.",
+        });
+      }
+      if (parent.depth >= MAX_REPLY_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies can be nested at most ${MAX_REPLY_DEPTH} levels deep.`,
+        });
+      }
+    }
+
+    const reply = await ForumReply.create({
+      course: req.course._id,
+      thread: thread._id,
+      author: req.user._id,
+      parent: parent?._id ?? null,
+      root: parent ? (parent.root ?? parent._id) : null,
+      depth: parent ? parent.depth + 1 : 0,
+      ...(await buildPostContent(body, req.course)),
+    });
+
+    await ForumThread.updateOne(
+      { _id: thread._id },
+      { $inc: { replyCount: 1 }, lastActivityAt: reply.createdAt }
+    );
+    await ForumBoard.updateOne(
+      { _id: thread.board },
+      { lastActivityAt: reply.createdAt }
+    );
+
+    // The author of the post being answered hears about it as a reply, not a mention
+    const answeredAuthor = parent ? parent.author : thread.author;
+    if (!answeredAuthor.equals(req.user._id)) {
+      await notify(answeredAuthor, {
+        type: "forum_reply",
+        title: `${req.user.username} replied to you`,
+        body: thread.title,
+        link: threadLink(req, thread),
+        data: { course: req.course._id, thread: thread._id, post: reply._id },
+      });
+    }
+    await notifyMentions(req, reply, thread, [answeredAuthor]);
+
+    return res.status(201).json({
+      success: true,
+      message: "Reply posted successfully.",
+      reply: describePost(reply, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "posting reply");
+  }
+};
+
+/**
+ * Upvote a thread or reply (DELETE removes the vote)
+ * How: Conditional atomic updates, so a user's vote counts once even when requests race
+ */
+const setVote = (Model, getPost) => (upvoted) => async (req, res) => {
+  try {
+    const post = getPost(req);
+    const userId = req.user._id;
+
+    if (post.author.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot upvote your own post.",
+      });
+    }
+
+    if (upvoted) {
+      await Model.updateOne(
+        { _id: post._id, upvotes: { $ne: userId } },
+        { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+      );
+    } else {
+      await Model.updateOne(
+        { _id: post._id, upvotes: userId },
+        { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } }
+      );
+    }
+
+    const { upvoteCount } = await Model.findById(post._id, "upvoteCount");
+
+    return res.status(200).json({
+      success: true,
+      message: upvoted ? "Upvote recorded." : "Upvote removed.",
+      upvoteCount,
+      hasUpvoted: upvoted,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "updating vote");
+  }
+};
+
+const setThreadVote = setVote(ForumThread, (req) => req.thread);
+const setReplyVote = setVote(ForumReply, (req) => req.reply);
+
+export const upvoteThread = setThreadVote(true);
+export const removeThreadUpvote = setThreadVote(false);
+export const upvoteReply = setReplyVote(true);
+export const removeReplyUpvote = setReplyVote(false);
+
+// Mark a reply as the answer to the thread (course instructor and admins)
+export const markAnswer = async (req, res) => {
+  try {
+    const thread = req.thread;
+
+    const reply = await ForumReply.findOne({
+      _id: req.body.reply,
+      thread: thread._id,
+    });
+    if (!reply || reply.isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply not found.",
+      });
+    }
+
+    thread.answer = reply._id;
+    thread.answeredBy = req.user._id;
+    thread.answeredAt = new Date();
+    await thread.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Thread marked as answered.",
+      thread: describePost(thread, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "marking answer");
+  }
+};
+
+export const unmarkAnswer = async (req, res) => {
+  try {
+    const thread = req.thread;
+
+    thread.answer = null;
+    thread.answeredBy = null;
+    thread.answeredAt = null;
+    await thread.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Answer removed from thread.",
+      thread: describePost(thread, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "removing answer");
+  }
+};
+
+// Apply hide/dismiss (and for threads pin/lock) flags from a moderation request
+const applyModeration = (post, body, user) => {
+  const { isHidden, dismissReports, ...flags } = body;
+
+  Object.assign(post, flags);
+  if (isHidden !== undefined) {
+    post.isHidden = isHidden;
+    post.hiddenBy = isHidden ? user._id : null;
+  }
+  if (dismissReports) {
+    post.reports = [];
+    post.reportCount = 0;
+  }
+};
+
+// Pin, lock, hide or dismiss the reports of a thread (course instructor and admins)
+export const moderateThread = async (req, res) => {
+  try {
+    const thread = req.thread;
+
+    applyModeration(thread, req.body, req.user);
+    await thread.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Thread updated successfully.",
+      thread: describePost(thread, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "moderating thread");
+  }
+};
+
+// Hide or dismiss the reports of a reply (course instructor and admins)
+export const moderateReply = async (req, res) => {
+  try {
+    const reply = req.reply;
+
+    applyModeration(reply, req.body, req.user);
+    await reply.save();
+
+    // A hidden reply cannot stay the accepted answer
+    if (reply.isHidden && req.thread.answer?.equals(reply._id)) {
+      await ForumThread.updateOne(
+        { _id: req.thread._id },
+        { answer: null, answeredBy: null, answeredAt: null }
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Reply updated successfully.",
+      reply: describePost(reply, req),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "moderating reply");
+  }
+};
+
+// Report a post to the moderators (once per user and post)
+const reportPost = (Model, getPost) => async (req, res) => {
+  try {
+    const post = getPost(req);
+
+    const { modifiedCount } = await Model.updateOne(
+      { _id: post._id, "reports.user": { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason: req.body.reason } },
+        $inc: { reportCount: 1 },
+      }
+    );
+    if (modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reported this post.",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Thank you. A moderator will review this post.",
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "reporting post");
+  }
+};
+
+export const reportThread = reportPost(ForumThread, (req) => req.thread);
+export const reportReply = reportPost(ForumReply, (req) => req.reply);
+
+/**
+ * Moderation queue: reported threads and replies, most reported first
+ * How: Both collections are merged in memory, which is fine for the handful of open reports a
+ *      course has at any time
+ */
+export const listReports = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const query = { course: req.course._id, reportCount: { $gt: 0 } };
+
+    const [threads, replies] = await Promise.all([
+      ForumThread.find(query).populate("author", AUTHOR_FIELDS),
+      ForumReply.find(query)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("thread", "title"),
+    ]);
+
+    const reported = [
+      ...threads.map((thread) => ({
+        kind: "thread",
+        post: describePost(thread, req),
+      })),
+      ...replies.map((reply) => ({
+        kind: "reply",
+        post: describePost(reply, req),
+      })),
+    ].sort((a, b) => b.post.reportCount - a.post.reportCount);
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+    const totalReports = reported.length;
+    const totalPages = Math.ceil(totalReports / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Reported posts retrieved successfully.",
+      reports: reported.slice(skip, skip + limit),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalReports: totalReports,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving reported posts");
+  }
+};
@@ -0,0 +1,129 @@
+import Notification from "../models/notificationModel.js";
+import {
+  countUnread,
+  pushUnreadCount,
+} from "../services/notifications/index.js";
+import { sendInternalError } from "../utils/httpError.js";
+
+const describePreferences = (user) => ({
+  realtime: user.notificationPreferences?.realtime !== false,
+  mutedTypes: user.notificationPreferences?.mutedTypes || [],
+});
+
+// Inbox of the signed-in user, newest first
+export const listNotifications = async (req, res) => {
+  try {
+    const { page, limit, unread } = req.query;
+
+    const query = { user: req.user._id };
+    if (unread === true) query.readAt = null;
+    if (unread === false) query.readAt = { $ne: null };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalNotifications = await Notification.countDocuments(query);
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notifications retrieved successfully.",
+      notifications,
+      unreadCount: await countUnread(req.user._id),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalNotifications: totalNotifications,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving notifications");
+  }
+};
+
+// Mark one notification as read
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      user: req.user._id,
+    });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found.",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await pushUnreadCount(req.user._id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification marked as read.",
+      notification,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "marking notification as read");
+  }
+};
+
+// Mark every unread notification as read
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+    if (modifiedCount > 0) await pushUnreadCount(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "All notifications marked as read.",
+      updated: modifiedCount,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "marking notifications as read");
+  }
+};
+
+export const getNotificationPreferences = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    message: "Notification preferences retrieved successfully.",
+    preferences: describePreferences(req.user),
+  });
+};
+
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = req.user;
+    const { realtime, mutedTypes } = req.body;
+
+    if (realtime !== undefined) {
+      user.notificationPreferences.realtime = realtime;
+    }
+    if (mutedTypes !== undefined) {
+      user.notificationPreferences.mutedTypes = mutedTypes;
+    }
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences updated successfully.",
+      preferences: describePreferences(user),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "updating notification preferences");
+  }
+};
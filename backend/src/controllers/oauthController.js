@@ -0,0 +1,287 @@
+import Auth from "../models/authModel.js";
+import OAuthState from "../models/oauthStateModel.js";
+import {
+  getOAuthProvider,
+  listOAuthProviders,
+} from "../config/oauthProviders.js";
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  createRandomToken,
+  fetchProfile,
+} from "../services/oauth/oauthClient.js";
+import {
+  findOrCreateFederatedUser,
+  linkIdentity,
+} from "../services/oauth/accountLinking.js";
+import { beginLogin, buildLoginResponse } from "../services/loginService.js";
+import { recordLoginAttempt } from "../services/loginAttemptService.js";
+import {
+  recordAudit,
+  snapshotFields,
+  diffFields,
+} from "../services/auditService.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Only allow sending the browser back to the frontend origin (prevents open redirects)
+const isAllowedRedirect = (url) => {
+  if (!url) return false;
+  try {
+    const frontendOrigin = new URL(
+      process.env.FRONTEND_URL || "http://localhost:5173"
+    ).origin;
+    return new URL(url).origin === frontendOrigin;
+  } catch {
+    return false;
+  }
+};
+
+// Redirect with the result in the URL fragment so tokens never reach server logs
+const redirectWithResult = (res, redirectTo, result) => {
+  const fragment = new URLSearchParams(
+    Object.entries(result)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  );
+  return res.redirect(`${redirectTo}#${fragment.toString()}`);
+};
+
+const getProviderOr404 = (providerId) => {
+  const provider = getOAuthProvider(providerId);
+  if (!provider) {
+    throw new HttpError(
+      404,
+      `OAuth provider '${providerId}' is not configured.`,
+      "OAUTH_PROVIDER_NOT_FOUND"
+    );
+  }
+  return provider;
+};
+
+// Store a pending authorization request and build the provider URL for it
+const createAuthorizationRequest = async (
+  provider,
+  { redirectTo, linkUser }
+) => {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = createRandomToken();
+  const nonce = createRandomToken();
+
+  await OAuthState.create({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    redirectTo: isAllowedRedirect(redirectTo) ? redirectTo : null,
+    linkUser: linkUser || null,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  return buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+};
+
+// List configured providers for "Sign in with ..." buttons
+export const getOAuthProviders = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    message: "OAuth providers retrieved successfully.",
+    providers: listOAuthProviders(),
+  });
+};
+
+// Send the browser to the provider's consent screen
+export const startOAuthLogin = async (req, res) => {
+  try {
+    const provider = getProviderOr404(req.params.provider);
+    const authorizationUrl = await createAuthorizationRequest(provider, {
+      redirectTo: req.query.redirectTo,
+    });
+
+    return res.redirect(authorizationUrl);
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+
+    console.error("Error starting OAuth login:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Start linking a provider to the signed-in account
+// Why: Returns the URL instead of redirecting because the bearer token cannot survive a browser redirect
+export const startOAuthLink = async (req, res) => {
+  try {
+    const provider = getProviderOr404(req.params.provider);
+    const authorizationUrl = await createAuthorizationRequest(provider, {
+      redirectTo: req.body?.redirectTo,
+      linkUser: req.user._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Continue at the identity provider to link your account.",
+      authorizationUrl,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+
+    console.error("Error starting OAuth link:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Provider redirects here with ?code&state after the user consented
+export const oauthCallback = async (req, res) => {
+  let redirectTo = null;
+
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    // Each state can be used once; deleting it up front prevents replays
+    const pending = state
+      ? await OAuthState.findOneAndDelete({
+          state,
+          provider: req.params.provider,
+          expiresAt: { $gt: new Date() },
+        })
+      : null;
+    if (!pending) {
+      throw new HttpError(
+        400,
+        "Sign-in request is invalid or has expired. Please try again.",
+        "OAUTH_INVALID_STATE"
+      );
+    }
+    redirectTo = pending.redirectTo;
+
+    if (providerError || !code) {
+      throw new HttpError(
+        401,
+        "Sign-in was cancelled or denied at the identity provider.",
+        "OAUTH_ACCESS_DENIED"
+      );
+    }
+
+    const provider = getProviderOr404(pending.provider);
+    const profile = await fetchProfile(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+    });
+
+    // Linking flow: attach the identity and return to the settings page
+    if (pending.linkUser) {
+      const user = await linkIdentity(pending.linkUser, provider.id, profile);
+      const body = {
+        success: true,
+        message: `${provider.name} account linked successfully.`,
+        user: user.toJSON(),
+      };
+      return redirectTo
+        ? redirectWithResult(res, redirectTo, {
+            linked: provider.id,
+            message: body.message,
+          })
+        : res.status(200).json(body);
+    }
+
+    const { user, created } = await findOrCreateFederatedUser(
+      provider.id,
+      profile
+    );
+    if (created) {
+      await recordAudit(req, {
+        action: "user.register",
+        actor: user,
+        target: user,
+        changes: diffFields({}, snapshotFields(user)),
+        metadata: { provider: provider.id },
+      });
+    }
+
+    const result = await beginLogin(user, req);
+    if (!result.mfaRequired) {
+      await recordLoginAttempt(req, {
+        email: user.email,
+        user,
+        reason: "success",
+      });
+    }
+
+    const body = { ...buildLoginResponse(user, result), created };
+    if (redirectTo) {
+      return redirectWithResult(res, redirectTo, {
+        token: body.token,
+        refreshToken: body.refreshToken,
+        expiresIn: body.expiresIn,
+        mfaRequired: body.mfaRequired,
+        enrollmentRequired: body.enrollmentRequired,
+        mfaToken: body.mfaToken,
+        created,
+      });
+    }
+    return res.status(200).json(body);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return redirectTo
+        ? redirectWithResult(res, redirectTo, {
+            error: error.code,
+            message: error.message,
+          })
+        : sendHttpError(res, error);
+    }
+
+    console.error("Error completing OAuth login:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Remove a linked provider, as long as the account can still sign in another way
+export const unlinkOAuthProvider = async (req, res) => {
+  try {
+    const user = await Auth.findById(req.user._id);
+    const { provider } = req.params;
+
+    const remaining = user.identities.filter(
+      (identity) => identity.provider !== provider
+    );
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({
+        success: false,
+        message: "This provider is not linked to your account.",
+      });
+    }
+
+    if (!user.password && remaining.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Set a password before unlinking your only sign-in method.",
+      });
+    }
+
+    user.identities = remaining;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Provider unlinked successfully.",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    console.error("Error unlinking OAuth provider:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
@@ -0,0 +1,375 @@
+import Quiz from "../models/quizModel.js";
+import QuizAttempt from "../models/quizAttemptModel.js";
+import {
+  sendInternalError,
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import { canManageCourse } from "../middleware/courseMiddleware.js";
+import {
+  buildQuestionOrder,
+  buildQuizAnalytics,
+  gradeAttempt,
+  isAttemptExpired,
+} from "../services/quizService.js";
+
+const STUDENT_FIELDS = "username email profilePicture";
+
+const sendQuizNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Quiz not found.",
+  });
+
+const sendAttemptNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Attempt not found.",
+  });
+
+// Students only see published quizzes
+const isVisible = (req, quiz) =>
+  quiz.status === "published" || canManageCourse(req.user, req.course);
+
+// The lesson a quiz is attached to must be part of the same course
+const hasUnknownLesson = (course, lessonId) =>
+  Boolean(lessonId) && !course.findLesson(lessonId);
+
+const sendUnknownLesson = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "Lesson not found in this course.",
+  });
+
+// Close an attempt whose time ran out; answers that were never submitted score 0
+const closeIfExpired = async (quiz, attempt) => {
+  if (attempt.status !== "in_progress" || !isAttemptExpired(attempt)) {
+    return attempt;
+  }
+  gradeAttempt(quiz, attempt, []);
+  attempt.status = "expired";
+  return attempt.save();
+};
+
+/**
+ * Attempt as returned to its student
+ * How: In-progress attempts carry the questions (without answer keys); graded attempts carry
+ *      per-question results but never the correct answers
+ */
+const describeAttempt = (quiz, attempt) => ({
+  ...attempt.toSummary(),
+  ...(attempt.status === "in_progress"
+    ? { questions: quiz.toStudentView(attempt.questionOrder) }
+    : { answers: attempt.answers }),
+});
+
+// List the quizzes of a course (instructor and admins also see drafts)
+export const listQuizzes = async (req, res) => {
+  try {
+    const query = { course: req.course._id };
+    if (!canManageCourse(req.user, req.course)) query.status = "published";
+
+    const quizzes = await Quiz.find(query).sort({ createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Quizzes retrieved successfully.",
+      quizzes: quizzes.map((quiz) => quiz.toSummary()),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving quizzes");
+  }
+};
+
+// Instructor and admins get the full quiz with its answer key; students get the summary
+// and their own attempt history
+export const getQuiz = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+
+    if (canManageCourse(req.user, req.course)) {
+      return res.status(200).json({
+        success: true,
+        message: "Quiz retrieved successfully.",
+        quiz,
+      });
+    }
+
+    if (!isVisible(req, quiz)) return sendQuizNotFound(res);
+
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      student: req.user._id,
+    }).sort({ attemptNumber: 1 });
+    await Promise.all(attempts.map((attempt) => closeIfExpired(quiz, attempt)));
+
+    return res.status(200).json({
+      success: true,
+      message: "Quiz retrieved successfully.",
+      quiz: quiz.toSummary(),
+      attempts: attempts.map((attempt) => attempt.toSummary()),
+      attemptsRemaining: quiz.maxAttempts
+        ? Math.max(quiz.maxAttempts - attempts.length, 0)
+        : null,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving quiz");
+  }
+};
+
+// Create a quiz in a course (course instructor or admin)
+export const createQuiz = async (req, res) => {
+  try {
+    if (hasUnknownLesson(req.course, req.body.lesson)) {
+      return sendUnknownLesson(res);
+    }
+
+    const quiz = await Quiz.create({ ...req.body, course: req.course._id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Quiz created successfully.",
+      quiz,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+    return sendInternalError(res, error, "creating quiz");
+  }
+};
+
+// Update a quiz; questions sent with their `_id` keep their attempt analytics
+export const updateQuiz = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+
+    if (hasUnknownLesson(req.course, req.body.lesson)) {
+      return sendUnknownLesson(res);
+    }
+
+    quiz.set(req.body);
+    await quiz.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Quiz updated successfully.",
+      quiz,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+    return sendInternalError(res, error, "updating quiz");
+  }
+};
+
+// Delete a quiz and its attempt history
+export const deleteQuiz = async (req, res) => {
+  try {
+    await req.quiz.deleteOne();
+    await QuizAttempt.deleteMany({ quiz: req.quiz._id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Quiz deleted successfully.",
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "deleting quiz");
+  }
+};
+
+/**
+ * Start (or continue) an attempt
+ * How: An unfinished attempt within its time limit is returned again instead of starting a
+ *      new one, so reloading the page does not burn an attempt
+ */
+export const startAttempt = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+
+    // Instructors and admins are not enrolled (see requireEnrollment)
+    if (!req.enrollment) {
+      return res.status(400).json({
+        success: false,
+        message: "Only enrolled students can take quizzes.",
+      });
+    }
+    if (!isVisible(req, quiz)) return sendQuizNotFound(res);
+    if (quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This quiz has no questions yet.",
+      });
+    }
+
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      student: req.user._id,
+    });
+    await Promise.all(attempts.map((attempt) => closeIfExpired(quiz, attempt)));
+
+    const current = attempts.find(
+      (attempt) => attempt.status === "in_progress"
+    );
+    if (current) {
+      return res.status(200).json({
+        success: true,
+        message: "Attempt in progress.",
+        attempt: describeAttempt(quiz, current),
+      });
+    }
+
+    if (quiz.maxAttempts && attempts.length >= quiz.maxAttempts) {
+      return res.status(403).json({
+        success: false,
+        message: "You have used all attempts for this quiz.",
+        error: "ATTEMPT_LIMIT_REACHED",
+      });
+    }
+
+    const startedAt = new Date();
+    const attempt = await QuizAttempt.create({
+      quiz: quiz._id,
+      course: req.course._id,
+      student: req.user._id,
+      attemptNumber: attempts.length + 1,
+      questionOrder: buildQuestionOrder(quiz),
+      startedAt,
+      expiresAt: quiz.timeLimitMinutes
+        ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+        : null,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Attempt started.",
+      attempt: describeAttempt(quiz, attempt),
+    });
+  } catch (error) {
+    // Two start requests raced each other for the same attempt number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An attempt was just started. Please try again.",
+      });
+    }
+    return sendInternalError(res, error, "starting quiz attempt");
+  }
+};
+
+// Submit answers and grade the attempt
+// Note: Submissions after the time limit (plus a short grace period) are scored as unanswered
+export const submitAttempt = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      quiz: quiz._id,
+      student: req.user._id,
+    });
+    if (!attempt) return sendAttemptNotFound(res);
+
+    if (attempt.status !== "in_progress") {
+      return res.status(400).json({
+        success: false,
+        message: "This attempt has already been submitted.",
+      });
+    }
+
+    const expired = isAttemptExpired(attempt);
+    gradeAttempt(quiz, attempt, expired ? [] : req.body.answers);
+    attempt.status = expired ? "expired" : "submitted";
+    await attempt.save();
+
+    return res.status(200).json({
+      success: true,
+      message: expired
+        ? "Time limit exceeded. Your answers were not accepted."
+        : "Attempt submitted successfully.",
+      attempt: describeAttempt(quiz, attempt),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "submitting quiz attempt");
+  }
+};
+
+// Attempt history: students see their own; the instructor and admins see everyone's
+export const listAttempts = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+    const isManager = canManageCourse(req.user, req.course);
+
+    if (!isVisible(req, quiz)) return sendQuizNotFound(res);
+
+    const query = { quiz: quiz._id };
+    if (!isManager) {
+      query.student = req.user._id;
+    } else if (req.query.student) {
+      query.student = req.query.student;
+    }
+
+    let attemptsQuery = QuizAttempt.find(query).sort({ createdAt: -1 });
+    if (isManager) {
+      attemptsQuery = attemptsQuery.populate("student", STUDENT_FIELDS);
+    }
+    const attempts = await attemptsQuery;
+    await Promise.all(attempts.map((attempt) => closeIfExpired(quiz, attempt)));
+
+    return res.status(200).json({
+      success: true,
+      message: "Attempts retrieved successfully.",
+      attempts: attempts.map((attempt) => ({
+        ...attempt.toSummary(),
+        ...(isManager && { student: attempt.student }),
+      })),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving quiz attempts");
+  }
+};
+
+// A single attempt (its student, the course instructor or an admin)
+export const getAttempt = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+    const isManager = canManageCourse(req.user, req.course);
+
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      quiz: quiz._id,
+      ...(!isManager && { student: req.user._id }),
+    });
+    if (!attempt) return sendAttemptNotFound(res);
+
+    await closeIfExpired(quiz, attempt);
+
+    return res.status(200).json({
+      success: true,
+      message: "Attempt retrieved successfully.",
+      attempt: describeAttempt(quiz, attempt),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving quiz attempt");
+  }
+};
+
+// Per-question analytics for the course instructor and admins
+export const getQuizAnalytics = async (req, res) => {
+  try {
+    const quiz = req.quiz;
+    const attempts = await QuizAttempt.find(
+      { quiz: quiz._id, status: { $ne: "in_progress" } },
+      { student: 1, status: 1, answers: 1, percentScore: 1, passed: 1 }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Quiz analytics retrieved successfully.",
+      analytics: buildQuizAnalytics(quiz, attempts),
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving quiz analytics");
+  }
+};
@@ -0,0 +1,149 @@
+import Auth from "../models/authModel.js";
+import LoginAttempt from "../models/loginAttemptModel.js";
+
+// List recorded login attempts (admin functionality)
+export const getLoginAttempts = async (req, res) => {
+  try {
+    // Query is validated and coerced by loginAttemptsSchema
+    const { page, limit, email, ip, success, reason } = req.query;
+
+    // Build query object
+    const query = {};
+    if (email) query.email = email;
+    if (ip) query.ip = ip;
+    if (success !== undefined) query.success = success;
+    if (reason) query.reason = reason;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const attempts = await LoginAttempt.find(query)
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const totalAttempts = await LoginAttempt.countDocuments(query);
+    const totalPages = Math.ceil(totalAttempts / limit);
+
+    return res.status(200).json({
+      success: true,
+      message: "Login attempts retrieved successfully.",
+      attempts,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalAttempts: totalAttempts,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error retrieving login attempts:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Summarize failed logins per account and per IP over a recent time window
+export const getTargetedAccounts = async (req, res) => {
+  try {
+    const { hours } = req.query;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const failures = { success: false, createdAt: { $gte: since } };
+
+    const accounts = await LoginAttempt.aggregate([
+      { $match: failures },
+      {
+        $group: {
+          _id: "$email",
+          failedAttempts: { $sum: 1 },
+          distinctIps: { $addToSet: "$ip" },
+          lastAttemptAt: { $max: "$createdAt" },
+          userId: { $max: "$user" },
+        },
+      },
+      { $sort: { failedAttempts: -1 } },
+      { $limit: 50 },
+    ]);
+
+    const sources = await LoginAttempt.aggregate([
+      { $match: failures },
+      {
+        $group: {
+          _id: "$ip",
+          failedAttempts: { $sum: 1 },
+          targetedEmails: { $addToSet: "$email" },
+          lastAttemptAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { failedAttempts: -1 } },
+      { $limit: 50 },
+    ]);
+
+    // Flag accounts that are currently locked
+    const lockedUsers = await Auth.find({
+      _id: { $in: accounts.map((account) => account.userId).filter(Boolean) },
+      lockUntil: { $gt: new Date() },
+    }).select("_id lockUntil");
+    const lockedById = new Map(
+      lockedUsers.map((user) => [user._id.toString(), user.lockUntil])
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Targeted accounts retrieved successfully.",
+      since,
+      accounts: accounts.map((account) => ({
+        email: account._id,
+        userId: account.userId,
+        failedAttempts: account.failedAttempts,
+        distinctIps: account.distinctIps.length,
+        lastAttemptAt: account.lastAttemptAt,
+        lockedUntil: lockedById.get(account.userId?.toString()) || null,
+      })),
+      ips: sources.map((source) => ({
+        ip: source._id,
+        failedAttempts: source.failedAttempts,
+        targetedEmails: source.targetedEmails.length,
+        lastAttemptAt: source.lastAttemptAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Error retrieving targeted accounts:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Lift a lockout before it expires (admin functionality)
+export const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await Auth.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    await user.resetFailedLogins();
+
+    return res.status(200).json({
+      success: true,
+      message: "User unlocked successfully.",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
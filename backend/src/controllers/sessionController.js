@@ -0,0 +1,154 @@
+import Session from "../models/sessionModel.js";
+import {
+  rotateRefreshToken,
+  revokeSession as revokeSessionById,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+} from "../services/tokenService.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// Exchange a refresh token for a new access/refresh token pair
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    const { user, accessToken, refreshToken, expiresIn } =
+      await rotateRefreshToken(token, req);
+
+    return res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully.",
+      user: user.toJSON(),
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) return sendHttpError(res, error);
+
+    console.error("Error refreshing token:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// End the current session (identified by refresh token or by the access token's session)
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body || {};
+
+    let sessionId = req.auth?.sid;
+    if (token) {
+      const session = await findSessionByRefreshToken(token);
+      sessionId = session?._id;
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: "A valid refresh token or access token is required.",
+        error: "UNAUTHORIZED",
+      });
+    }
+
+    await revokeSessionById(sessionId, "logout");
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out successfully.",
+    });
+  } catch (error) {
+    console.error("Error during logout:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// End every session of the authenticated user
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, "logout_all");
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out of all sessions successfully.",
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error during logout-all:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// List the active sessions of the authenticated user
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    const currentSessionId = req.auth?.sid?.toString();
+
+    return res.status(200).json({
+      success: true,
+      message: "Sessions retrieved successfully.",
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error retrieving sessions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Revoke a single session belonging to the authenticated user
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found.",
+      });
+    }
+
+    await revokeSessionById(session._id, "revoked");
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked successfully.",
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
@@ -0,0 +1,99 @@
+import LoginAttempt from "../models/loginAttemptModel.js";
+import Auth from "../models/authModel.js";
+import {
+  getSeries,
+  getBreakdown,
+  getCollectionCounts,
+} from "../services/statsService.js";
+import { toCsv, sendCsv } from "../utils/csv.js";
+import { sendInternalError } from "../utils/httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Dashboard summary: collection totals, the main distributions and the last 7 days
+export const getStatsOverview = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 7 * DAY_MS);
+
+    const [collections, roles, profilePictures, signups, activeUsers] =
+      await Promise.all([
+        getCollectionCounts(),
+        getBreakdown("roles"),
+        getBreakdown("profilePictures"),
+        Auth.countDocuments({ createdAt: { $gte: since } }),
+        LoginAttempt.distinct("user", {
+          success: true,
+          createdAt: { $gte: since },
+        }),
+      ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Statistics retrieved successfully.",
+      collections,
+      roles: roles.values,
+      profilePictures: profilePictures.values,
+      lastSevenDays: {
+        since,
+        signups,
+        activeUsers: activeUsers.filter(Boolean).length,
+      },
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving statistics");
+  }
+};
+
+// One time series (JSON, or CSV with ?format=csv)
+export const getStatsSeries = async (req, res) => {
+  try {
+    const { from, to, granularity, format } = req.query;
+    const series = await getSeries(req.params.series, {
+      from,
+      to,
+      granularity,
+    });
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        `${series.series}-${granularity}-${formatDay(from)}-${formatDay(to)}.csv`,
+        toCsv(series.points, ["period", "count"])
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Series retrieved successfully.",
+      ...series,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving statistics series");
+  }
+};
+
+// One distribution (JSON, or CSV with ?format=csv)
+export const getStatsBreakdown = async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    const breakdown = await getBreakdown(req.params.breakdown, { from, to });
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        `${breakdown.breakdown}.csv`,
+        toCsv(breakdown.values, ["value", "count"])
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Breakdown retrieved successfully.",
+      ...breakdown,
+    });
+  } catch (error) {
+    return sendInternalError(res, error, "retrieving statistics breakdown");
+  }
+};
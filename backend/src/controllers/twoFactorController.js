@@ -0,0 +1,333 @@
+import Auth from "../models/authModel.js";
+import SecuritySetting from "../models/securitySettingModel.js";
+import {
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  verifyMfaToken,
+  verifySecondFactor,
+} from "../services/twoFactorService.js";
+import { issueSession } from "../services/tokenService.js";
+import { buildLoginResponse } from "../services/loginService.js";
+import { recordLoginAttempt } from "../services/loginAttemptService.js";
+import { sendTooManyRequests } from "../middleware/rateLimiter.js";
+import {
+  sendValidationError,
+  mongooseValidationDetails,
+} from "../utils/httpError.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+
+const TOTP_ISSUER = "Novanector";
+
+// Second login step: exchange an "mfa pending" token and a code for a session
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const payload = verifyMfaToken(mfaToken);
+    if (!payload || payload.enroll) {
+      return res.status(401).json({
+        success: false,
+        message: "MFA token is invalid or has expired. Please log in again.",
+        error: "INVALID_MFA_TOKEN",
+      });
+    }
+
+    const user = await Auth.findById(payload.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "MFA token is invalid or has expired. Please log in again.",
+        error: "INVALID_MFA_TOKEN",
+      });
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    if (user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      return sendTooManyRequests(
+        res,
+        retryAfter,
+        "Account temporarily locked due to too many failed login attempts."
+      );
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await user.registerFailedLogin();
+      await recordLoginAttempt(req, {
+        email: user.email,
+        user,
+        reason: "invalid_mfa_code",
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code.",
+        error: "INVALID_MFA_CODE",
+      });
+    }
+
+    await user.resetFailedLogins();
+    await recordLoginAttempt(req, {
+      email: user.email,
+      user,
+      reason: "success",
+    });
+
+    const session = await issueSession(user, req);
+    return res
+      .status(200)
+      .json(buildLoginResponse(user, { mfaRequired: false, ...session }));
+  } catch (error) {
+    console.error("Error verifying two-factor login:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Start enrollment: generate a secret and return it with an otpauth:// URI for QR codes
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled.",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "Scan the QR code with your authenticator app, then confirm with a code.",
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: TOTP_ISSUER,
+      }),
+    });
+  } catch (error) {
+    console.error("Error setting up two-factor authentication:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Finish enrollment with a code from the authenticator app and hand out recovery codes
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup before enabling it.",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code.",
+        error: "INVALID_MFA_CODE",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const response = {
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes: codes,
+    };
+
+    // Enrollment forced at login ends with a real session
+    if (req.auth?.type === "mfa_pending") {
+      await recordLoginAttempt(req, {
+        email: user.email,
+        user,
+        reason: "success",
+      });
+      const session = await issueSession(user, req);
+      return res.status(200).json({
+        ...buildLoginResponse(user, { mfaRequired: false, ...session }),
+        ...response,
+      });
+    }
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Turn 2FA off after re-checking the password and a second factor
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled.",
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for the '${user.role}' role.`,
+        error: "FORBIDDEN",
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password.",
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code.",
+        error: "INVALID_MFA_CODE",
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.enabledAt = null;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled.",
+    });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Replace all recovery codes (e.g. after using some of them)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled.",
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code.",
+        error: "INVALID_MFA_CODE",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await Auth.updateOne(
+      { _id: user._id },
+      { "twoFactor.recoveryCodes": hashes }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Read which roles must use 2FA (admin functionality)
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const settings = await SecuritySetting.getGlobal();
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor policy retrieved successfully.",
+      requireTwoFactorRoles: settings.requireTwoFactorRoles,
+    });
+  } catch (error) {
+    console.error("Error retrieving two-factor policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
+
+// Change which roles must use 2FA (admin functionality)
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requireTwoFactorRoles } = req.body;
+
+    const settings = await SecuritySetting.getGlobal();
+    settings.requireTwoFactorRoles = [...new Set(requireTwoFactorRoles)];
+    await settings.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor policy updated successfully.",
+      requireTwoFactorRoles: settings.requireTwoFactorRoles,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendValidationError(res, mongooseValidationDetails(error));
+    }
+
+    console.error("Error updating two-factor policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
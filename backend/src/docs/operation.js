@@ -0,0 +1,130 @@
+import { fromZod, envelope } from "./schemas.js";
+
+// Shared error responses (components.responses) by status code
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  410: "Gone",
+  429: "TooManyRequests",
+  500: "InternalError",
+};
+
+const SECURITY = {
+  required: [{ bearerAuth: [] }],
+  // Anonymous requests are allowed; a token changes what is returned
+  optional: [{ bearerAuth: [] }, {}],
+  none: [],
+};
+
+// OpenAPI parameters for one request location ("path" or "query") from its zod schema
+const parametersFrom = (schema, location) => {
+  if (!schema) return [];
+
+  const { properties = {}, required = [] } = fromZod(schema);
+  return Object.entries(properties).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: propertySchema,
+  }));
+};
+
+// File fields of a multipart body; `maxCount` above 1 makes the field an array
+const fileProperty = ({ description, maxCount = 1 }) => {
+  const file = { type: "string", format: "binary" };
+  return maxCount > 1
+    ? { type: "array", items: file, maxItems: maxCount, description }
+    : { ...file, description };
+};
+
+const requestBodyFrom = (schema, files) => {
+  if (!schema && !files) return undefined;
+
+  const jsonSchema = schema ? fromZod(schema) : { type: "object" };
+  if (!files) {
+    return {
+      required: true,
+      content: { "application/json": { schema: jsonSchema } },
+    };
+  }
+
+  const fileProperties = Object.fromEntries(
+    Object.entries(files).map(([name, file]) => [name, fileProperty(file)])
+  );
+  return {
+    required: true,
+    content: {
+      "multipart/form-data": {
+        schema: {
+          ...jsonSchema,
+          properties: { ...jsonSchema.properties, ...fileProperties },
+        },
+      },
+    },
+  };
+};
+
+/**
+ * Describe one API operation for the OpenAPI document (see docs/openapi.js)
+ * Options:
+ *   summary, description, tags
+ *   auth: "required" (default), "optional" or "none"
+ *   request: the { params, query, body } zod schemas the route validates with
+ *   files: file fields of a multipart/form-data body, e.g. { profilePicture: { maxCount: 1 } }
+ *   status, response: success status (default 200) and its JSON body (default: bare envelope)
+ *   content: non-JSON success content instead of `response` (e.g. a PDF download), null for none
+ *   errors: status codes of the shared error responses the route can also send
+ * How: 400 is added when the route validates input, 401 when it needs a token, 500 always
+ */
+export const operation = ({
+  summary,
+  description,
+  tags,
+  auth = "required",
+  request = {},
+  files,
+  status = 200,
+  response = envelope(),
+  content,
+  errors = [],
+}) => {
+  const errorCodes = new Set(errors);
+  if (request.params || request.query || request.body || files) {
+    errorCodes.add(400);
+  }
+  if (auth === "required") errorCodes.add(401);
+  errorCodes.add(500);
+
+  // `content: null` documents a response without a body (e.g. a redirect)
+  const responses = {
+    [status]: {
+      description: summary,
+      ...(content !== null && {
+        content: content || { "application/json": { schema: response } },
+      }),
+    },
+  };
+  for (const code of [...errorCodes].sort()) {
+    responses[code] = {
+      $ref: `#/components/responses/${ERROR_RESPONSES[code]}`,
+    };
+  }
+
+  const requestBody = requestBodyFrom(request.body, files);
+
+  return {
+    summary,
+    ...(description && { description }),
+    tags,
+    security: SECURITY[auth],
+    parameters: [
+      ...parametersFrom(request.params, "path"),
+      ...parametersFrom(request.query, "query"),
+    ],
+    ...(requestBody && { requestBody }),
+    responses,
+  };
+};
@@ -0,0 +1,162 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import {
+  listNotificationsSchema,
+  notificationRefSchema,
+  updatePreferencesSchema,
+} from "../../validation/notificationSchemas.js";
+import {
+  statsSeriesSchema,
+  statsBreakdownSchema,
+} from "../../validation/statsSchemas.js";
+import { listAuditLogSchema } from "../../validation/auditSchemas.js";
+
+// Routes of routes/notificationRoutes.js (mounted at /api/notifications) and
+// routes/adminRoutes.js (mounted at /api/admin)
+
+const preferencesResponse = envelope({
+  preferences: {
+    type: "object",
+    properties: {
+      realtime: {
+        type: "boolean",
+        description: "Push new notifications over the WebSocket",
+      },
+      mutedTypes: { type: "array", items: { type: "string" } },
+    },
+  },
+});
+
+// JSON by default, CSV with ?format=csv
+const jsonOrCsv = (schema) => ({
+  "application/json": { schema },
+  "text/csv": { schema: { type: "string" } },
+});
+
+const dateRange = {
+  from: { type: ["string", "null"], format: "date-time" },
+  to: { type: ["string", "null"], format: "date-time" },
+  total: { type: "integer" },
+};
+
+export const accountPaths = {
+  "/api/notifications": {
+    get: operation({
+      summary: "List the signed-in user's notifications, newest first",
+      tags: ["Notifications"],
+      request: listNotificationsSchema,
+      response: envelope({
+        notifications: { type: "array", items: ref("Notification") },
+        unreadCount: { type: "integer" },
+        pagination: pagination("totalNotifications"),
+      }),
+    }),
+  },
+  "/api/notifications/read-all": {
+    post: operation({
+      summary: "Mark every notification as read",
+      tags: ["Notifications"],
+      response: envelope({ updated: { type: "integer" } }),
+    }),
+  },
+  "/api/notifications/preferences": {
+    get: operation({
+      summary: "Get the notification preferences",
+      tags: ["Notifications"],
+      response: preferencesResponse,
+    }),
+    put: operation({
+      summary: "Change the notification preferences",
+      description: "Role changes and account deletion notices cannot be muted.",
+      tags: ["Notifications"],
+      request: updatePreferencesSchema,
+      response: preferencesResponse,
+    }),
+  },
+  "/api/notifications/{notificationId}/read": {
+    patch: operation({
+      summary: "Mark a notification as read",
+      tags: ["Notifications"],
+      request: notificationRefSchema,
+      response: envelope({ notification: ref("Notification") }),
+      errors: [404],
+    }),
+  },
+  "/api/admin/stats": {
+    get: operation({
+      summary: "Totals for the admin dashboard",
+      tags: ["Admin"],
+      response: envelope({
+        collections: {
+          type: "object",
+          additionalProperties: { type: "integer" },
+        },
+        roles: { type: "array", items: { type: "object" } },
+        profilePictures: { type: "array", items: { type: "object" } },
+        lastSevenDays: { type: "object" },
+      }),
+      errors: [403],
+    }),
+  },
+  "/api/admin/stats/series/{series}": {
+    get: operation({
+      summary: "Counts per day, week or month",
+      tags: ["Admin"],
+      request: statsSeriesSchema,
+      content: jsonOrCsv(
+        envelope({
+          series: { type: "string" },
+          granularity: { type: "string" },
+          ...dateRange,
+          points: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                period: { type: "string", format: "date-time" },
+                count: { type: "integer" },
+              },
+            },
+          },
+        })
+      ),
+      errors: [403],
+    }),
+  },
+  "/api/admin/stats/breakdowns/{breakdown}": {
+    get: operation({
+      summary: "Counts grouped by a field",
+      tags: ["Admin"],
+      request: statsBreakdownSchema,
+      content: jsonOrCsv(
+        envelope({
+          breakdown: { type: "string" },
+          ...dateRange,
+          values: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                value: { type: "string" },
+                count: { type: "integer" },
+              },
+            },
+          },
+        })
+      ),
+      errors: [403],
+    }),
+  },
+  "/api/admin/audit": {
+    get: operation({
+      summary: "Search the audit log of account and permission changes",
+      tags: ["Admin"],
+      request: listAuditLogSchema,
+      response: envelope({
+        entries: { type: "array", items: ref("AuditLogEntry") },
+        pagination: pagination("totalEntries"),
+      }),
+      errors: [403],
+    }),
+  },
+};
@@ -0,0 +1,111 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import { courseRefSchema } from "../../validation/courseSchemas.js";
+import {
+  createAssignmentSchema,
+  updateAssignmentSchema,
+  assignmentRefSchema,
+  submitAssignmentSchema,
+  listSubmissionsSchema,
+  gradeSubmissionSchema,
+} from "../../validation/assignmentSchemas.js";
+
+// Routes of routes/assignmentRoutes.js (mounted at /api/courses/:courseId/assignments)
+
+const tags = ["Assignments"];
+const base = "/api/courses/{courseId}/assignments";
+const assignmentResponse = envelope({ assignment: ref("Assignment") });
+const submissionResponse = envelope({ submission: ref("Submission") });
+
+export const assignmentPaths = {
+  [base]: {
+    get: operation({
+      summary: "List the assignments of a course",
+      description:
+        "Enrolled students see published assignments; the course instructor and admins see all.",
+      tags,
+      request: courseRefSchema,
+      response: envelope({
+        assignments: { type: "array", items: ref("Assignment") },
+      }),
+      errors: [403, 404],
+    }),
+    post: operation({
+      summary: "Create an assignment with its grading rubric",
+      tags,
+      request: { ...courseRefSchema, ...createAssignmentSchema },
+      status: 201,
+      response: assignmentResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{assignmentId}`]: {
+    get: operation({
+      summary: "Get an assignment",
+      tags,
+      request: assignmentRefSchema,
+      response: assignmentResponse,
+      errors: [403, 404],
+    }),
+    put: operation({
+      summary: "Update an assignment",
+      tags,
+      request: { ...assignmentRefSchema, ...updateAssignmentSchema },
+      response: assignmentResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete an assignment and its submissions",
+      tags,
+      request: assignmentRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{assignmentId}/submission`]: {
+    post: operation({
+      summary: "Submit files (replaces an earlier ungraded submission)",
+      description:
+        "201 for the first submission, 200 when it replaces one. Late submissions are marked and penalized, or refused when the assignment does not allow them.",
+      tags,
+      request: { ...assignmentRefSchema, ...submitAssignmentSchema },
+      files: {
+        files: {
+          description: "PDF or DOCX up to 10MB, ZIP up to 50MB",
+          maxCount: 5,
+        },
+      },
+      status: 201,
+      response: submissionResponse,
+      errors: [403, 404, 409],
+    }),
+    get: operation({
+      summary: "Get the signed-in student's submission with its grade",
+      tags,
+      request: assignmentRefSchema,
+      response: submissionResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{assignmentId}/submissions`]: {
+    get: operation({
+      summary: "List the submissions of an assignment",
+      tags,
+      request: listSubmissionsSchema,
+      response: envelope({
+        submissions: { type: "array", items: ref("Submission") },
+        pagination: pagination("totalSubmissions"),
+      }),
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{assignmentId}/submissions/{submissionId}/grade`]: {
+    put: operation({
+      summary: "Grade (or regrade) a submission with the rubric",
+      description: "Earlier grades are kept in `gradeHistory`.",
+      tags,
+      request: gradeSubmissionSchema,
+      response: submissionResponse,
+      errors: [403, 404],
+    }),
+  },
+};
@@ -0,0 +1,458 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import {
+  registerSchema,
+  loginSchema,
+  twoFactorLoginSchema,
+  verifyEmailSchema,
+  emailOnlySchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  sessionIdSchema,
+  oauthStartSchema,
+  oauthLinkSchema,
+  oauthCallbackSchema,
+  oauthProviderSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  twoFactorPolicySchema,
+  listUsersSchema,
+  userIdSchema,
+  exportUserDataSchema,
+  updateUserSchema,
+  availabilitySchema,
+  loginAttemptsSchema,
+  targetedAccountsSchema,
+} from "../../validation/authSchemas.js";
+
+// Routes of routes/authRoutes.js (mounted at /api/auth)
+
+const profilePicture = {
+  profilePicture: {
+    description:
+      "JPEG, PNG, GIF, WebP or TIFF image up to 5MB (resized to 64, 256 and 512px variants)",
+  },
+};
+
+const userResponse = envelope({ user: ref("User") });
+
+const sessionResponse = envelope({
+  user: ref("User"),
+  token: { type: "string", description: "Access token (Bearer)" },
+  refreshToken: { type: "string" },
+  expiresIn: { type: "string", example: "15m" },
+});
+
+const recoveryCodes = {
+  type: "array",
+  items: { type: "string" },
+  description: "One-time recovery codes; shown only once",
+};
+
+const twoFactorPolicy = envelope({
+  requireTwoFactorRoles: {
+    type: "array",
+    items: { type: "string", enum: ["admin", "instructor", "student"] },
+  },
+});
+
+export const authPaths = {
+  "/api/auth": {
+    get: operation({
+      summary: "Check that the auth API is up",
+      tags: ["Auth"],
+      auth: "none",
+    }),
+  },
+  "/api/auth/register": {
+    post: operation({
+      summary: "Create an account",
+      description:
+        "Open to everyone. Only a signed-in admin may set `role`; anyone else gets 403 for it. The body may be JSON or multipart with an optional profile picture.",
+      tags: ["Auth"],
+      auth: "optional",
+      request: registerSchema,
+      files: profilePicture,
+      status: 201,
+      response: userResponse,
+      errors: [403, 429],
+    }),
+  },
+  "/api/auth/login": {
+    post: operation({
+      summary: "Sign in with email and password",
+      description:
+        "Returns a session, or an `mfaToken` when the account has two-factor authentication (or its role requires it). Accounts are locked temporarily after repeated failures (429).",
+      tags: ["Auth"],
+      auth: "none",
+      request: loginSchema,
+      response: ref("LoginResponse"),
+      errors: [401, 429],
+    }),
+  },
+  "/api/auth/login/2fa": {
+    post: operation({
+      summary: "Finish signing in with a TOTP or recovery code",
+      tags: ["Auth", "Two-factor"],
+      auth: "none",
+      request: twoFactorLoginSchema,
+      response: sessionResponse,
+      errors: [401, 429],
+    }),
+  },
+  "/api/auth/verify-email": {
+    post: operation({
+      summary: "Confirm an email address with the token from the email",
+      tags: ["Account"],
+      auth: "none",
+      request: verifyEmailSchema,
+      response: userResponse,
+      errors: [404],
+    }),
+  },
+  "/api/auth/resend-verification": {
+    post: operation({
+      summary: "Send the verification email again",
+      description:
+        "Answers the same whether or not the address belongs to an account.",
+      tags: ["Account"],
+      auth: "none",
+      request: emailOnlySchema,
+      errors: [429],
+    }),
+  },
+  "/api/auth/forgot-password": {
+    post: operation({
+      summary: "Email a password reset link",
+      description:
+        "Answers the same whether or not the address belongs to an account.",
+      tags: ["Account"],
+      auth: "none",
+      request: emailOnlySchema,
+      errors: [429],
+    }),
+  },
+  "/api/auth/reset-password": {
+    post: operation({
+      summary: "Set a new password with the token from the reset email",
+      description: "Ends every session of the account.",
+      tags: ["Account"],
+      auth: "none",
+      request: resetPasswordSchema,
+      errors: [404],
+    }),
+  },
+  "/api/auth/change-password": {
+    post: operation({
+      summary: "Change the signed-in user's password",
+      description:
+        "Needs the current password (401 when it is wrong), except for accounts that only sign in through an identity provider. Ends every other session of the account.",
+      tags: ["Account"],
+      request: changePasswordSchema,
+      errors: [429],
+    }),
+  },
+  "/api/auth/oauth/providers": {
+    get: operation({
+      summary: "List the configured identity providers",
+      tags: ["OAuth"],
+      auth: "none",
+      response: envelope({
+        providers: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "string", example: "google" },
+              name: { type: "string", example: "Google" },
+            },
+          },
+        },
+      }),
+    }),
+  },
+  "/api/auth/oauth/{provider}": {
+    get: operation({
+      summary: "Start signing in with an identity provider",
+      description: "Redirects the browser to the provider's consent screen.",
+      tags: ["OAuth"],
+      auth: "none",
+      request: oauthStartSchema,
+      status: 302,
+      content: null,
+      errors: [404],
+    }),
+    delete: operation({
+      summary: "Unlink an identity provider from the signed-in account",
+      description:
+        "Refused (400) when it is the only way left to sign in to the account.",
+      tags: ["OAuth"],
+      request: oauthProviderSchema,
+      response: userResponse,
+      errors: [404],
+    }),
+  },
+  "/api/auth/oauth/{provider}/callback": {
+    get: operation({
+      summary: "Provider callback",
+      description:
+        "Signs the user in (or links the identity). Redirects to the `redirectTo` URL given when the flow started with the result in the fragment, or answers with the login response.",
+      tags: ["OAuth"],
+      auth: "none",
+      request: oauthCallbackSchema,
+      response: ref("LoginResponse"),
+      errors: [401, 403, 404, 409],
+    }),
+  },
+  "/api/auth/oauth/{provider}/link": {
+    post: operation({
+      summary: "Start linking an identity provider to the signed-in account",
+      description:
+        "Returns the URL to send the browser to (a redirect would lose the bearer token).",
+      tags: ["OAuth"],
+      request: oauthLinkSchema,
+      response: envelope({
+        authorizationUrl: { type: "string", format: "uri" },
+      }),
+      errors: [404],
+    }),
+  },
+  "/api/auth/2fa/setup": {
+    post: operation({
+      summary: "Generate a TOTP secret to scan into an authenticator app",
+      description:
+        "Also accepts the `mfaToken` of a login that requires enrollment as the bearer token.",
+      tags: ["Two-factor"],
+      response: envelope({
+        secret: { type: "string" },
+        otpauthUri: { type: "string" },
+      }),
+    }),
+  },
+  "/api/auth/2fa/enable": {
+    post: operation({
+      summary: "Confirm the setup with a code and turn 2FA on",
+      description:
+        "When called with an enrollment `mfaToken` the response also contains a session, like a login.",
+      tags: ["Two-factor"],
+      request: twoFactorCodeSchema,
+      response: envelope({ recoveryCodes }),
+    }),
+  },
+  "/api/auth/2fa/disable": {
+    post: operation({
+      summary: "Turn 2FA off",
+      description:
+        "Needs the password and a current or recovery code. Not allowed when the role requires 2FA.",
+      tags: ["Two-factor"],
+      request: disableTwoFactorSchema,
+      errors: [403],
+    }),
+  },
+  "/api/auth/2fa/recovery-codes": {
+    post: operation({
+      summary: "Replace the recovery codes",
+      tags: ["Two-factor"],
+      request: twoFactorCodeSchema,
+      response: envelope({ recoveryCodes }),
+    }),
+  },
+  "/api/auth/2fa/policy": {
+    get: operation({
+      summary: "Roles that must use two-factor authentication",
+      tags: ["Two-factor"],
+      response: twoFactorPolicy,
+      errors: [403],
+    }),
+    put: operation({
+      summary: "Change the roles that must use two-factor authentication",
+      tags: ["Two-factor"],
+      request: twoFactorPolicySchema,
+      response: twoFactorPolicy,
+      errors: [403],
+    }),
+  },
+  "/api/auth/refresh": {
+    post: operation({
+      summary: "Exchange a refresh token for a new token pair",
+      description:
+        "Refresh tokens are single use. Presenting one twice ends the whole session.",
+      tags: ["Sessions"],
+      auth: "none",
+      request: refreshTokenSchema,
+      response: sessionResponse,
+      errors: [401],
+    }),
+  },
+  "/api/auth/logout": {
+    post: operation({
+      summary: "End the current session",
+      description: "Identifies the session by the bearer token or a refresh token.",
+      tags: ["Sessions"],
+      auth: "optional",
+      request: logoutSchema,
+      errors: [401],
+    }),
+  },
+  "/api/auth/logout-all": {
+    post: operation({
+      summary: "End every session of the signed-in user",
+      tags: ["Sessions"],
+      response: envelope({ revokedSessions: { type: "integer" } }),
+    }),
+  },
+  "/api/auth/sessions": {
+    get: operation({
+      summary: "List the signed-in user's active sessions",
+      tags: ["Sessions"],
+      response: envelope({
+        sessions: { type: "array", items: ref("Session") },
+      }),
+    }),
+  },
+  "/api/auth/sessions/{sessionId}": {
+    delete: operation({
+      summary: "End one of the signed-in user's sessions",
+      tags: ["Sessions"],
+      request: sessionIdSchema,
+      errors: [404],
+    }),
+  },
+  "/api/auth/users": {
+    get: operation({
+      summary: "List users",
+      description:
+        "Admin only. Deleted accounts are left out unless `deleted=true`, which lists only them.",
+      tags: ["Users"],
+      request: listUsersSchema,
+      response: envelope({
+        users: { type: "array", items: ref("User") },
+        pagination: pagination("totalUsers"),
+      }),
+      errors: [403],
+    }),
+  },
+  "/api/auth/users/{userId}": {
+    get: operation({
+      summary: "Get a user",
+      description: "Admins, or the user themselves.",
+      tags: ["Users"],
+      request: userIdSchema,
+      response: userResponse,
+      errors: [403, 404],
+    }),
+    put: operation({
+      summary: "Update a user",
+      description:
+        "Admins, or the user themselves. Only admins may change `role`. The body may be JSON or multipart with a new profile picture.",
+      tags: ["Users"],
+      request: { ...userIdSchema, ...updateUserSchema },
+      files: profilePicture,
+      response: userResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a user",
+      description:
+        "Admin only. The account is signed out and hidden at once, and erased with its uploads and records once the grace period is over (ACCOUNT_DELETION_GRACE_DAYS). Until then an admin can restore it.",
+      tags: ["Users"],
+      request: userIdSchema,
+      response: envelope({
+        purgeAfter: { type: "string", format: "date-time" },
+      }),
+      errors: [403, 404],
+    }),
+  },
+  "/api/auth/users/{userId}/availability": {
+    get: operation({
+      summary: "Check whether a username or email is free for a user",
+      description:
+        "Admins, or the user themselves. `available` holds an entry for each field asked about; the user's own values count as available.",
+      tags: ["Users"],
+      request: availabilitySchema,
+      response: envelope({
+        available: {
+          type: "object",
+          properties: {
+            username: { type: "boolean" },
+            email: { type: "boolean" },
+          },
+        },
+      }),
+      errors: [403, 429],
+    }),
+  },
+  "/api/auth/users/{userId}/picture": {
+    put: operation({
+      summary: "Replace a user's profile picture",
+      description: "Admins, or the user themselves.",
+      tags: ["Users"],
+      request: userIdSchema,
+      files: profilePicture,
+      response: userResponse,
+      errors: [403, 404],
+    }),
+  },
+  "/api/auth/users/{userId}/restore": {
+    post: operation({
+      summary: "Restore a deleted user before it is purged",
+      description: "Admin only. The user signs in again afterwards.",
+      tags: ["Users"],
+      request: userIdSchema,
+      response: userResponse,
+      errors: [403, 404],
+    }),
+  },
+  "/api/auth/users/{userId}/export": {
+    get: operation({
+      summary: "Download everything stored about a user",
+      description:
+        "The user themselves, or admins. JSON document, or a ZIP with one JSON file per section.",
+      tags: ["Users"],
+      request: exportUserDataSchema,
+      content: {
+        "application/json": { schema: { type: "object" } },
+        "application/zip": {
+          schema: { type: "string", format: "binary" },
+        },
+      },
+      errors: [403, 404, 429],
+    }),
+  },
+  "/api/auth/users/{userId}/unlock": {
+    post: operation({
+      summary: "Unlock an account locked after failed logins",
+      tags: ["Users", "Security"],
+      request: userIdSchema,
+      response: userResponse,
+      errors: [403, 404],
+    }),
+  },
+  "/api/auth/security/login-attempts": {
+    get: operation({
+      summary: "List recorded login attempts",
+      tags: ["Security"],
+      request: loginAttemptsSchema,
+      response: envelope({
+        attempts: { type: "array", items: ref("LoginAttempt") },
+        pagination: pagination("totalAttempts"),
+      }),
+      errors: [403],
+    }),
+  },
+  "/api/auth/security/targeted-accounts": {
+    get: operation({
+      summary: "Accounts and IPs with the most failed logins",
+      tags: ["Security"],
+      request: targetedAccountsSchema,
+      response: envelope({
+        since: { type: "string", format: "date-time" },
+        accounts: { type: "array", items: { type: "object" } },
+        ips: { type: "array", items: { type: "object" } },
+      }),
+      errors: [403],
+    }),
+  },
+};
@@ -0,0 +1,261 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import {
+  courseRefSchema,
+  createCourseSchema,
+  updateCourseSchema,
+  listCoursesSchema,
+  createModuleSchema,
+  updateModuleSchema,
+  moduleRefSchema,
+  createLessonSchema,
+  updateLessonSchema,
+  lessonRefSchema,
+  attachmentRefSchema,
+} from "../../validation/courseSchemas.js";
+import {
+  rosterSchema,
+  completeEnrollmentSchema,
+} from "../../validation/enrollmentSchemas.js";
+
+// Routes of routes/courseRoutes.js (mounted at /api/courses); nested quiz, assignment and
+// forum routes are in their own files
+
+const tags = ["Courses"];
+const courseResponse = envelope({ course: ref("Course") });
+// Modules and lessons are embedded in the course document
+const moduleSchema = "#/components/schemas/Course/properties/modules/items";
+const lessonSchema = `${moduleSchema}/properties/lessons/items`;
+
+const coverImage = {
+  coverImage: {
+    description: "JPEG, PNG, GIF, WebP or TIFF image up to 5MB",
+  },
+};
+
+const attachments = {
+  attachments: {
+    description: "Lesson materials, up to 20MB each",
+    maxCount: 5,
+  },
+};
+
+const enrollmentResponse = envelope({ enrollment: ref("EnrollmentProgress") });
+
+export const coursePaths = {
+  "/api/courses": {
+    get: operation({
+      summary: "List courses",
+      description:
+        "Published courses for everyone; signed-in admins see drafts too, instructors their own drafts.",
+      tags,
+      auth: "optional",
+      request: listCoursesSchema,
+      response: envelope({
+        courses: { type: "array", items: ref("Course") },
+        pagination: pagination("totalCourses"),
+      }),
+    }),
+    post: operation({
+      summary: "Create a course",
+      description:
+        "Admins and instructors. Only admins may set `instructor`. The body may be JSON or multipart with a cover image.",
+      tags,
+      request: createCourseSchema,
+      files: coverImage,
+      status: 201,
+      response: courseResponse,
+      errors: [403],
+    }),
+  },
+  "/api/courses/{courseId}": {
+    get: operation({
+      summary: "Get a course by ID or slug",
+      description:
+        "Lesson content is only included for enrolled students and course managers.",
+      tags,
+      auth: "optional",
+      request: courseRefSchema,
+      response: envelope({
+        course: ref("Course"),
+        enrollment: {
+          oneOf: [ref("EnrollmentProgress"), { type: "null" }],
+          description: "The signed-in user's progress",
+        },
+      }),
+      errors: [404],
+    }),
+    put: operation({
+      summary: "Update a course",
+      description:
+        "The course instructor or admins. The body may be JSON or multipart with a new cover image.",
+      tags,
+      request: { ...courseRefSchema, ...updateCourseSchema },
+      files: coverImage,
+      response: courseResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a course with its content, enrollments and discussions",
+      tags,
+      request: courseRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/modules": {
+    post: operation({
+      summary: "Add a module",
+      tags,
+      request: { ...courseRefSchema, ...createModuleSchema },
+      status: 201,
+      response: envelope({ module: { $ref: moduleSchema } }),
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/modules/{moduleId}": {
+    put: operation({
+      summary: "Update a module",
+      tags,
+      request: { ...moduleRefSchema, ...updateModuleSchema },
+      response: envelope({ module: { $ref: moduleSchema } }),
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a module and its lessons",
+      tags,
+      request: moduleRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/modules/{moduleId}/lessons": {
+    post: operation({
+      summary: "Add a lesson",
+      description: "JSON, or multipart with attachments.",
+      tags,
+      request: { ...moduleRefSchema, ...createLessonSchema },
+      files: attachments,
+      status: 201,
+      response: envelope({ lesson: { $ref: lessonSchema } }),
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/lessons/{lessonId}": {
+    get: operation({
+      summary: "Get a lesson",
+      description: "Enrolled students; course managers can preview.",
+      tags: ["Learning"],
+      request: lessonRefSchema,
+      response: envelope({
+        module: { type: "object" },
+        lesson: { $ref: lessonSchema },
+      }),
+      errors: [403, 404],
+    }),
+    put: operation({
+      summary: "Update a lesson",
+      description: "JSON, or multipart with more attachments.",
+      tags,
+      request: { ...lessonRefSchema, ...updateLessonSchema },
+      files: attachments,
+      response: envelope({ lesson: { $ref: lessonSchema } }),
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a lesson and its attachments",
+      tags,
+      request: lessonRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/lessons/{lessonId}/attachments/{attachmentId}": {
+    delete: operation({
+      summary: "Delete a lesson attachment",
+      tags,
+      request: attachmentRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/lessons/{lessonId}/complete": {
+    post: operation({
+      summary: "Mark a lesson as completed",
+      description:
+        "Completing the last lesson completes the course and issues the certificate.",
+      tags: ["Learning"],
+      request: lessonRefSchema,
+      response: envelope({
+        courseCompleted: { type: "boolean" },
+        enrollment: ref("EnrollmentProgress"),
+        certificate: {
+          oneOf: [ref("Certificate"), { type: "null" }],
+        },
+      }),
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Mark a lesson as not completed",
+      tags: ["Learning"],
+      request: lessonRefSchema,
+      response: enrollmentResponse,
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/enrollment": {
+    post: operation({
+      summary: "Enroll in a published course",
+      tags: ["Learning"],
+      request: courseRefSchema,
+      status: 201,
+      response: enrollmentResponse,
+      errors: [404, 409],
+    }),
+    get: operation({
+      summary: "Get the signed-in user's progress in a course",
+      tags: ["Learning"],
+      request: courseRefSchema,
+      response: enrollmentResponse,
+      errors: [404],
+    }),
+    delete: operation({
+      summary: "Leave a course",
+      tags: ["Learning"],
+      request: courseRefSchema,
+      errors: [404],
+    }),
+  },
+  "/api/courses/{courseId}/roster": {
+    get: operation({
+      summary: "List the students of a course with their progress",
+      tags,
+      request: rosterSchema,
+      response: envelope({
+        summary: {
+          type: "object",
+          properties: {
+            totalStudents: { type: "integer" },
+            completedStudents: { type: "integer" },
+            averagePercentComplete: { type: "integer" },
+          },
+        },
+        students: {
+          type: "array",
+          items: { type: "object", description: "Student with progress" },
+        },
+        pagination: pagination("totalEnrollments"),
+      }),
+      errors: [403, 404],
+    }),
+  },
+  "/api/courses/{courseId}/roster/{studentId}/complete": {
+    post: operation({
+      summary: "Mark a student's enrollment as completed",
+      description: "Issues the certificate if the student has none yet.",
+      tags,
+      request: completeEnrollmentSchema,
+      response: envelope({
+        enrollment: ref("EnrollmentProgress"),
+        certificate: ref("Certificate"),
+      }),
+      errors: [403, 404],
+    }),
+  },
+};
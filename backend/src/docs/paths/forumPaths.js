@@ -0,0 +1,219 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import { courseRefSchema } from "../../validation/courseSchemas.js";
+import {
+  createBoardSchema,
+  updateBoardSchema,
+  boardRefSchema,
+  listThreadsSchema,
+  createThreadSchema,
+  getThreadSchema,
+  threadRefSchema,
+  createReplySchema,
+  replyRefSchema,
+  markAnswerSchema,
+  moderateThreadSchema,
+  moderateReplySchema,
+  reportThreadSchema,
+  reportReplySchema,
+  listReportsSchema,
+} from "../../validation/forumSchemas.js";
+
+// Routes of routes/forumRoutes.js (mounted at /api/courses/:courseId/forum)
+
+const tags = ["Forum"];
+const base = "/api/courses/{courseId}/forum";
+const boardResponse = envelope({ board: ref("ForumBoard") });
+const threadResponse = envelope({ thread: ref("ForumThread") });
+const replyResponse = envelope({ reply: ref("ForumReply") });
+
+const upvoteResponse = envelope({
+  upvoteCount: { type: "integer" },
+  hasUpvoted: { type: "boolean" },
+});
+
+const upvote = (noun, request) => ({
+  post: operation({
+    summary: `Upvote a ${noun}`,
+    description: "Authors cannot upvote their own posts.",
+    tags,
+    request,
+    response: upvoteResponse,
+    errors: [403, 404],
+  }),
+  delete: operation({
+    summary: `Remove an upvote from a ${noun}`,
+    tags,
+    request,
+    response: upvoteResponse,
+    errors: [403, 404],
+  }),
+});
+
+const report = (noun, request) => ({
+  post: operation({
+    summary: `Report a ${noun} to the moderators`,
+    tags,
+    request,
+    errors: [403, 404, 409],
+  }),
+});
+
+export const forumPaths = {
+  [`${base}/boards`]: {
+    get: operation({
+      summary: "List the discussion boards of a course",
+      description: "Course instructor, admins and enrolled students.",
+      tags,
+      request: courseRefSchema,
+      response: envelope({
+        boards: {
+          type: "array",
+          items: {
+            allOf: [
+              ref("ForumBoard"),
+              {
+                type: "object",
+                properties: { threadCount: { type: "integer" } },
+              },
+            ],
+          },
+        },
+      }),
+      errors: [403, 404],
+    }),
+    post: operation({
+      summary: "Create a board",
+      tags,
+      request: createBoardSchema,
+      status: 201,
+      response: boardResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/boards/{boardId}`]: {
+    patch: operation({
+      summary: "Update a board",
+      tags,
+      request: updateBoardSchema,
+      response: boardResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a board with its threads and replies",
+      description: "The general board cannot be deleted (400).",
+      tags,
+      request: boardRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/boards/{boardId}/threads`]: {
+    get: operation({
+      summary: "List the threads of a board",
+      description: "Pinned threads come first.",
+      tags,
+      request: listThreadsSchema,
+      response: envelope({
+        board: ref("ForumBoard"),
+        threads: { type: "array", items: ref("ForumThread") },
+        pagination: pagination("totalThreads"),
+      }),
+      errors: [403, 404],
+    }),
+    post: operation({
+      summary: "Start a thread (Markdown body; @username mentions notify)",
+      tags,
+      request: createThreadSchema,
+      status: 201,
+      response: threadResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/threads/{threadId}`]: {
+    get: operation({
+      summary: "Get a thread with its replies",
+      description:
+        "Top-level replies are paginated; each comes with its nested replies.",
+      tags,
+      request: getThreadSchema,
+      response: envelope({
+        thread: ref("ForumThread"),
+        replies: { type: "array", items: ref("ForumReply") },
+        pagination: pagination("totalReplies"),
+      }),
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/threads/{threadId}/replies`]: {
+    post: operation({
+      summary: "Reply to a thread or to another reply",
+      description: "Refused (403) when the thread is locked.",
+      tags,
+      request: createReplySchema,
+      status: 201,
+      response: replyResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/threads/{threadId}/upvote`]: upvote("thread", threadRefSchema),
+  [`${base}/replies/{replyId}/upvote`]: upvote("reply", replyRefSchema),
+  [`${base}/threads/{threadId}/report`]: report("thread", reportThreadSchema),
+  [`${base}/replies/{replyId}/report`]: report("reply", reportReplySchema),
+  [`${base}/threads/{threadId}/answer`]: {
+    put: operation({
+      summary: "Mark a reply as the accepted answer",
+      tags,
+      request: markAnswerSchema,
+      response: threadResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Clear the accepted answer",
+      tags,
+      request: threadRefSchema,
+      response: threadResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/threads/{threadId}/moderation`]: {
+    patch: operation({
+      summary: "Pin, lock or hide a thread, or dismiss its reports",
+      tags,
+      request: moderateThreadSchema,
+      response: threadResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/replies/{replyId}/moderation`]: {
+    patch: operation({
+      summary: "Hide a reply or dismiss its reports",
+      tags,
+      request: moderateReplySchema,
+      response: replyResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/reports`]: {
+    get: operation({
+      summary: "List reported posts, most reported first",
+      tags,
+      request: listReportsSchema,
+      response: envelope({
+        reports: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              kind: { type: "string", enum: ["thread", "reply"] },
+              post: {
+                oneOf: [ref("ForumThread"), ref("ForumReply")],
+              },
+            },
+          },
+        },
+        pagination: pagination("totalReports"),
+      }),
+      errors: [403, 404],
+    }),
+  },
+};
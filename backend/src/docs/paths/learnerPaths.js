@@ -0,0 +1,119 @@
+import { operation } from "../operation.js";
+import { envelope, pagination, ref } from "../schemas.js";
+import { myEnrollmentsSchema } from "../../validation/enrollmentSchemas.js";
+import { myGradesSchema } from "../../validation/assignmentSchemas.js";
+import {
+  certificateRefSchema,
+  revokeCertificateSchema,
+} from "../../validation/certificateSchemas.js";
+
+// Routes of routes/enrollmentRoutes.js (mounted at /api/enrollments) and
+// routes/certificateRoutes.js (mounted at /api/certificates)
+
+const courseSummary = {
+  type: "object",
+  description: "Title, slug, cover image and instructor of the course",
+};
+
+export const learnerPaths = {
+  "/api/enrollments/me": {
+    get: operation({
+      summary: "List the signed-in user's enrollments with progress",
+      tags: ["Learning"],
+      request: myEnrollmentsSchema,
+      response: envelope({
+        enrollments: {
+          type: "array",
+          items: {
+            allOf: [
+              ref("EnrollmentProgress"),
+              {
+                type: "object",
+                properties: { _id: { type: "string" }, course: courseSummary },
+              },
+            ],
+          },
+        },
+        pagination: pagination("totalEnrollments"),
+      }),
+    }),
+  },
+  "/api/enrollments/me/resume": {
+    get: operation({
+      summary: "The lesson to continue with in the most recent course",
+      tags: ["Learning"],
+      response: envelope({
+        resume: {
+          oneOf: [
+            {
+              type: "object",
+              properties: {
+                course: courseSummary,
+                lesson: { type: "object" },
+                progress: { type: "object" },
+              },
+            },
+            { type: "null" },
+          ],
+        },
+      }),
+    }),
+  },
+  "/api/enrollments/me/grades": {
+    get: operation({
+      summary: "The signed-in student's assignment submissions and grades",
+      tags: ["Assignments"],
+      request: myGradesSchema,
+      response: envelope({
+        grades: { type: "array", items: { type: "object" } },
+        pagination: pagination("totalSubmissions"),
+      }),
+    }),
+  },
+  "/api/certificates/me": {
+    get: operation({
+      summary: "List the signed-in user's certificates",
+      tags: ["Certificates"],
+      response: envelope({
+        certificates: { type: "array", items: ref("Certificate") },
+      }),
+    }),
+  },
+  "/api/certificates/{certificateId}/verify": {
+    get: operation({
+      summary: "Check that a certificate is genuine",
+      description:
+        "Public (linked from the QR code on the certificate). Revoked certificates are reported with `valid: false`.",
+      tags: ["Certificates"],
+      auth: "none",
+      request: certificateRefSchema,
+      response: envelope({
+        valid: { type: "boolean" },
+        certificate: ref("Certificate"),
+      }),
+      errors: [404, 429],
+    }),
+  },
+  "/api/certificates/{certificateId}/pdf": {
+    get: operation({
+      summary: "Download a certificate as PDF",
+      description: "The certificate holder, or admins.",
+      tags: ["Certificates"],
+      request: certificateRefSchema,
+      content: {
+        "application/pdf": { schema: { type: "string", format: "binary" } },
+      },
+      errors: [403, 404, 410],
+    }),
+  },
+  "/api/certificates/{certificateId}/revoke": {
+    post: operation({
+      summary: "Revoke a certificate",
+      description: "Admin only.",
+      tags: ["Certificates"],
+      request: revokeCertificateSchema,
+      response: envelope({ certificate: ref("Certificate") }),
+      errors: [403, 404],
+    }),
+  },
+};
@@ -0,0 +1,117 @@
+import { operation } from "../operation.js";
+import { envelope, ref } from "../schemas.js";
+import { courseRefSchema } from "../../validation/courseSchemas.js";
+import {
+  createQuizSchema,
+  updateQuizSchema,
+  quizRefSchema,
+  attemptRefSchema,
+  submitAttemptSchema,
+  listAttemptsSchema,
+} from "../../validation/quizSchemas.js";
+
+// Routes of routes/quizRoutes.js (mounted at /api/courses/:courseId/quizzes)
+
+const tags = ["Quizzes"];
+const base = "/api/courses/{courseId}/quizzes";
+const quizResponse = envelope({ quiz: ref("Quiz") });
+const attemptResponse = envelope({ attempt: ref("QuizAttempt") });
+
+export const quizPaths = {
+  [base]: {
+    get: operation({
+      summary: "List the quizzes of a course",
+      description:
+        "Enrolled students see published quizzes; the course instructor and admins see all.",
+      tags,
+      request: courseRefSchema,
+      response: envelope({ quizzes: { type: "array", items: ref("Quiz") } }),
+      errors: [403, 404],
+    }),
+    post: operation({
+      summary: "Create a quiz",
+      tags,
+      request: { ...courseRefSchema, ...createQuizSchema },
+      status: 201,
+      response: quizResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{quizId}`]: {
+    get: operation({
+      summary: "Get a quiz",
+      description:
+        "Students get the questions without answers, plus their attempts and how many remain.",
+      tags,
+      request: quizRefSchema,
+      response: envelope({
+        quiz: ref("Quiz"),
+        attempts: { type: "array", items: ref("QuizAttempt") },
+        attemptsRemaining: { type: ["integer", "null"] },
+      }),
+      errors: [403, 404],
+    }),
+    put: operation({
+      summary: "Update a quiz",
+      tags,
+      request: { ...quizRefSchema, ...updateQuizSchema },
+      response: quizResponse,
+      errors: [403, 404],
+    }),
+    delete: operation({
+      summary: "Delete a quiz and its attempts",
+      tags,
+      request: quizRefSchema,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{quizId}/analytics`]: {
+    get: operation({
+      summary: "Score distribution and per-question statistics",
+      tags,
+      request: quizRefSchema,
+      response: envelope({ analytics: { type: "object" } }),
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{quizId}/attempts`]: {
+    post: operation({
+      summary: "Start an attempt (or resume the one in progress)",
+      description: "201 for a new attempt, 200 when resuming.",
+      tags,
+      request: quizRefSchema,
+      status: 201,
+      response: attemptResponse,
+      errors: [403, 404, 409],
+    }),
+    get: operation({
+      summary: "List attempts",
+      description:
+        "Students see their own attempts; the course instructor and admins see everyone's.",
+      tags,
+      request: listAttemptsSchema,
+      response: envelope({
+        attempts: { type: "array", items: ref("QuizAttempt") },
+      }),
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{quizId}/attempts/{attemptId}`]: {
+    get: operation({
+      summary: "Get an attempt",
+      tags,
+      request: attemptRefSchema,
+      response: attemptResponse,
+      errors: [403, 404],
+    }),
+  },
+  [`${base}/{quizId}/attempts/{attemptId}/submit`]: {
+    post: operation({
+      summary: "Submit the answers of an attempt for grading",
+      tags,
+      request: submitAttemptSchema,
+      response: attemptResponse,
+      errors: [403, 404, 409],
+    }),
+  },
+};
@@ -0,0 +1,271 @@
+import { z } from "zod";
+import Auth from "../models/authModel.js";
+import Course from "../models/courseModel.js";
+import Quiz from "../models/quizModel.js";
+import QuizAttempt from "../models/quizAttemptModel.js";
+import Assignment from "../models/assignmentModel.js";
+import Submission from "../models/submissionModel.js";
+import Certificate from "../models/certificateModel.js";
+import Notification from "../models/notificationModel.js";
+import ForumBoard from "../models/forumBoardModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply from "../models/forumReplyModel.js";
+import LoginAttempt from "../models/loginAttemptModel.js";
+import AuditLog from "../models/auditLogModel.js";
+
+// JSON Schema of a zod request schema, as the client sends it (before coercion and defaults)
+export const fromZod = (schema) => {
+  const jsonSchema = z.toJSONSchema(schema, {
+    io: "input",
+    unrepresentable: "any",
+  });
+  delete jsonSchema.$schema;
+  return jsonSchema;
+};
+
+// Mongoose refuses to convert Mixed paths (they hold any value), so describe them as such;
+// the override only affects toJSONSchema and is applied to nested schemas too
+const describeMixedPaths = (schema) => {
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.instance === "Mixed") {
+      schemaType.toJSONSchema = () => ({ description: "Any JSON value" });
+    }
+    if (schemaType.schema) describeMixedPaths(schemaType.schema);
+  });
+};
+
+/**
+ * JSON Schema of a mongoose model as the API returns it
+ * How: `omit` drops stored fields the API never sends (secrets, storage keys) and `extra`
+ *      adds computed ones (e.g. from a toJSON override)
+ */
+const fromModel = (Model, { omit = [], extra = {} } = {}) => {
+  describeMixedPaths(Model.schema);
+  const { properties, required = [] } = Model.schema.toJSONSchema();
+  const hidden = ["__v", ...omit];
+
+  for (const field of hidden) delete properties[field];
+  return {
+    type: "object",
+    required: required.filter((field) => !hidden.includes(field)),
+    properties: { ...properties, ...extra },
+  };
+};
+
+// Reference to a schema in components.schemas
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// The standard success envelope with the route's own fields next to `success` and `message`
+export const envelope = (properties = {}) => ({
+  type: "object",
+  required: ["success", "message"],
+  properties: {
+    success: { type: "boolean", const: true },
+    message: { type: "string" },
+    ...properties,
+  },
+});
+
+// Pagination block of list responses; `total` names the count field (e.g. "totalUsers")
+export const pagination = (total) => ({
+  type: "object",
+  required: [
+    "currentPage",
+    "totalPages",
+    total,
+    "hasNextPage",
+    "hasPrevPage",
+  ],
+  properties: {
+    currentPage: { type: "integer" },
+    totalPages: { type: "integer" },
+    [total]: { type: "integer" },
+    hasNextPage: { type: "boolean" },
+    hasPrevPage: { type: "boolean" },
+  },
+});
+
+export const schemas = {
+  ErrorResponse: {
+    type: "object",
+    required: ["success", "message"],
+    properties: {
+      success: { type: "boolean", const: false },
+      message: { type: "string" },
+      error: {
+        type: "string",
+        description: "Machine readable code, e.g. UNAUTHORIZED or FILE_TOO_LARGE",
+      },
+    },
+  },
+  ValidationErrorResponse: {
+    type: "object",
+    required: ["success", "message", "errors"],
+    properties: {
+      success: { type: "boolean", const: false },
+      message: { type: "string", const: "Validation error." },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["field", "location", "message"],
+          properties: {
+            field: {
+              type: "string",
+              description: "Dotted path, e.g. rubric.0.title",
+            },
+            location: { type: "string", enum: ["params", "query", "body"] },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  TooManyRequestsResponse: {
+    type: "object",
+    required: ["success", "message", "error", "retryAfter"],
+    properties: {
+      success: { type: "boolean", const: false },
+      message: { type: "string" },
+      error: { type: "string", const: "TOO_MANY_REQUESTS" },
+      retryAfter: { type: "integer", description: "Seconds to wait" },
+    },
+  },
+  // See the toJSON override in models/authModel.js
+  User: fromModel(Auth, {
+    omit: ["password", "twoFactor"],
+    extra: {
+      hasPassword: { type: "boolean" },
+      twoFactor: {
+        type: "object",
+        properties: { enabled: { type: "boolean" } },
+      },
+    },
+  }),
+  Session: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      device: { type: "string", example: "Chrome on Windows" },
+      userAgent: { type: "string" },
+      ip: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+      lastUsedAt: { type: "string", format: "date-time" },
+      expiresAt: { type: "string", format: "date-time" },
+      current: {
+        type: "boolean",
+        description: "Whether this is the session of the request",
+      },
+    },
+  },
+  // Response of the login endpoints: a session, or a token for the second factor
+  LoginResponse: {
+    oneOf: [
+      envelope({
+        mfaRequired: { type: "boolean", const: false },
+        user: ref("User"),
+        token: { type: "string", description: "Access token (Bearer)" },
+        refreshToken: { type: "string" },
+        expiresIn: { type: "string", example: "15m" },
+      }),
+      envelope({
+        mfaRequired: { type: "boolean", const: true },
+        enrollmentRequired: {
+          type: "boolean",
+          description: "The role requires 2FA and the user has not set it up yet",
+        },
+        mfaToken: {
+          type: "string",
+          description: "Exchange at /api/auth/login/2fa, or use for /2fa/setup when enrolling",
+        },
+      }),
+    ],
+  },
+  LoginAttempt: fromModel(LoginAttempt),
+  AuditLogEntry: fromModel(AuditLog),
+  Course: fromModel(Course, { omit: ["coverImageKey"] }),
+  // See describeProgress in controllers/enrollmentController.js
+  EnrollmentProgress: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["active", "completed"] },
+      enrolledAt: { type: "string", format: "date-time" },
+      completedAt: { type: ["string", "null"], format: "date-time" },
+      completedLessons: { type: "integer" },
+      totalLessons: { type: "integer" },
+      percentComplete: { type: "integer", minimum: 0, maximum: 100 },
+      lastAccessedLesson: { type: ["string", "null"] },
+      lastAccessedAt: { type: ["string", "null"], format: "date-time" },
+      resumeLesson: {
+        type: ["object", "null"],
+        description: "The lesson to continue with",
+      },
+    },
+  },
+  Quiz: fromModel(Quiz),
+  QuizAttempt: fromModel(QuizAttempt),
+  Assignment: fromModel(Assignment),
+  Submission: fromModel(Submission),
+  Certificate: fromModel(Certificate),
+  Notification: fromModel(Notification),
+  ForumBoard: fromModel(ForumBoard),
+  // See describePost in controllers/forumController.js; moderators also get `reports`
+  ForumThread: fromModel(ForumThread, {
+    omit: ["upvotes", "reports"],
+    extra: { hasUpvoted: { type: "boolean" } },
+  }),
+  ForumReply: fromModel(ForumReply, {
+    omit: ["upvotes", "reports"],
+    extra: { hasUpvoted: { type: "boolean" } },
+  }),
+};
+
+const errorContent = (schema) => ({
+  "application/json": { schema: ref(schema) },
+});
+
+export const responses = {
+  BadRequest: {
+    description:
+      "Field-level validation errors, or a request that cannot be carried out (e.g. a rejected upload)",
+    content: {
+      "application/json": {
+        schema: {
+          oneOf: [ref("ValidationErrorResponse"), ref("ErrorResponse")],
+        },
+      },
+    },
+  },
+  Unauthorized: {
+    description:
+      "Missing, invalid or expired token (error: UNAUTHORIZED, INVALID_TOKEN, TOKEN_EXPIRED or SESSION_REVOKED)",
+    content: errorContent("ErrorResponse"),
+  },
+  Forbidden: {
+    description: "Signed in, but not allowed to do this (error: FORBIDDEN)",
+    content: errorContent("ErrorResponse"),
+  },
+  NotFound: {
+    description: "The resource does not exist (or is hidden from the user)",
+    content: errorContent("ErrorResponse"),
+  },
+  Conflict: {
+    description: "The request conflicts with the current state",
+    content: errorContent("ErrorResponse"),
+  },
+  Gone: {
+    description: "The resource existed but has been withdrawn (e.g. a revoked certificate)",
+    content: errorContent("ErrorResponse"),
+  },
+  TooManyRequests: {
+    description: "Rate limited; retry after the number of seconds in Retry-After",
+    headers: {
+      "Retry-After": { schema: { type: "integer" } },
+    },
+    content: errorContent("TooManyRequestsResponse"),
+  },
+  InternalError: {
+    description: "Unexpected server error",
+    content: errorContent("ErrorResponse"),
+  },
+};
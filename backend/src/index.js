@@ -1,85 +1,36 @@
-import express from "express";
-import cors from "cors";
-import morgan from "morgan";
 import mongoose from "mongoose";
-import path from "path";
-import { fileURLToPath } from "url";
 import dotenv from "dotenv";
 
 // Import database connection
 import connectDB from "./config/db.js";
 
-// Import routes
-import authRoutes from "./routes/authRoutes.js";
-
-// Import middleware
-import { handleMulterError } from "./config/multer.js";
+// Import app factory
+import createApp from "./app.js";
+import { assertJwtConfig } from "./config/jwt.js";
+import { assertMailConfig } from "./services/mailer/index.js";
+import { attachNotifications } from "./services/notifications/index.js";
+import { scheduleAccountPurge } from "./services/personalDataService.js";
 
 // Load environment variables
 dotenv.config();
 
-// Get current directory (ES6 modules)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Refuse to start with an insecure JWT or mail configuration (production only)
+try {
+  assertJwtConfig();
+  assertMailConfig();
+} catch (error) {
+  console.error(`Configuration error: ${error.message}`);
+  process.exit(1);
+}
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 3000;
 
 // Connect to database
 connectDB();
 
-// Middleware
-app.use(
-  cors({
-    origin: process.env.FRONTEND_URL || "http://localhost:5173", // Vite default port
-    credentials: true,
-  })
-);
-
-app.use(morgan("dev")); // Logging
-app.use(express.json({ limit: "10mb" })); // Parse JSON bodies
-app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Parse URL-encoded bodies
-
-// Serve static files (uploaded images)
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
-
-// Health check route
-app.get("/", (req, res) => {
-  res.json({
-    success: true,
-    message: "🚀 Novanector API Server is running!",
-    version: "1.0.0",
-    endpoints: {
-      auth: "/api/auth",
-      uploads: "/uploads",
-    },
-  });
-});
-
-// API Routes
-app.use("/api/auth", authRoutes);
-
-// Handle multer errors
-app.use(handleMulterError);
-
-// 404 Handler
-app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.originalUrl} not found`,
-  });
-});
-
-// Global error handler
-app.use((error, req, res, next) => {
-  console.error("Global error:", error);
-
-  res.status(error.status || 500).json({
-    success: false,
-    message: error.message || "Internal server error",
-    ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
-  });
-});
+// Erase deleted accounts once their grace period is over
+scheduleAccountPurge();
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
@@ -89,8 +40,11 @@ process.on("SIGINT", async () => {
   process.exit(0);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🌟 Server listening on port ${PORT}`);
   console.log(`🔗 Server URL: http://localhost:${PORT}`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api/auth`);
+  console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`);
 });
+
+// Live notifications share the HTTP server (WebSocket upgrades on /ws/notifications)
+attachNotifications(server);
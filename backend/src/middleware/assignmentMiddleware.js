@@ -0,0 +1,23 @@
+import Assignment from "../models/assignmentModel.js";
+
+// Load the assignment named by :assignmentId into req.assignment (it must belong to req.course)
+// Note: Runs after loadCourse; drafts are filtered by the controllers
+export const loadAssignment = async (req, res, next) => {
+  try {
+    const assignment = await Assignment.findOne({
+      _id: req.params.assignmentId,
+      course: req.course._id,
+    });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found.",
+      });
+    }
+
+    req.assignment = assignment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
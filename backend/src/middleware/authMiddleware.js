@@ -0,0 +1,207 @@
+import jwt from "jsonwebtoken";
+import Auth from "../models/authModel.js";
+import Session from "../models/sessionModel.js";
+import policies from "../config/policies.js";
+import { getJwtSecret } from "../config/jwt.js";
+import { verifyMfaToken } from "../services/twoFactorService.js";
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.get("authorization");
+  if (!header) return null;
+
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+};
+
+// Verify a token and load the user it belongs to
+// Why: Loading the user on every request means role changes and deletions take effect immediately
+const resolveUser = async (token) => {
+  const payload = jwt.verify(token, getJwtSecret());
+  const user = await Auth.findById(payload.userId);
+  return { payload, user };
+};
+
+// Access tokens are bound to a session; logging out or revoking it invalidates them
+export const isSessionActive = async (sessionId) =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+
+// Resolve an access token outside of an HTTP request (e.g. the notification WebSocket)
+// Returns null instead of a 401 when the token, user or session is no longer valid
+export const resolveAccessToken = async (token) => {
+  try {
+    const { payload, user } = await resolveUser(token);
+    if (payload.type || !user || !payload.sid) return null;
+    if (!(await isSessionActive(payload.sid))) return null;
+    return { payload, user };
+  } catch (error) {
+    const invalid = ["TokenExpiredError", "JsonWebTokenError", "CastError"];
+    if (invalid.includes(error.name)) return null;
+    throw error;
+  }
+};
+
+const sendUnauthorized = (res, message, error = "UNAUTHORIZED") =>
+  res.status(401).json({
+    success: false,
+    message,
+    error,
+  });
+
+const sendForbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message,
+    error: "FORBIDDEN",
+  });
+
+// Require a valid bearer token and attach the authenticated user to req.user
+export const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return sendUnauthorized(res, "Authentication token is required.");
+  }
+
+  try {
+    const { payload, user } = await resolveUser(token);
+    // Only access tokens are accepted here (not e.g. "mfa pending" tokens)
+    if (payload.type) {
+      return sendUnauthorized(
+        res,
+        "Invalid authentication token.",
+        "INVALID_TOKEN"
+      );
+    }
+    if (!user) {
+      return sendUnauthorized(res, "User for this token no longer exists.");
+    }
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+      return sendUnauthorized(
+        res,
+        "Session has ended. Please log in again.",
+        "SESSION_REVOKED"
+      );
+    }
+
+    req.user = user;
+    req.auth = payload;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return sendUnauthorized(
+        res,
+        "Authentication token has expired.",
+        "TOKEN_EXPIRED"
+      );
+    }
+    if (error.name === "JsonWebTokenError" || error.name === "CastError") {
+      return sendUnauthorized(
+        res,
+        "Invalid authentication token.",
+        "INVALID_TOKEN"
+      );
+    }
+    next(error);
+  }
+};
+
+// Accept either a normal access token or an "mfa pending" token issued for 2FA enrollment
+// Why: Users whose role requires 2FA must be able to enroll before they can get a session
+export const authenticateForEnrollment = async (req, res, next) => {
+  const token = getBearerToken(req);
+  const payload = token ? verifyMfaToken(token) : null;
+  if (!payload) return authenticate(req, res, next);
+
+  if (!payload.enroll) {
+    return sendUnauthorized(
+      res,
+      "Invalid authentication token.",
+      "INVALID_TOKEN"
+    );
+  }
+
+  try {
+    const user = await Auth.findById(payload.userId);
+    if (!user) {
+      return sendUnauthorized(res, "User for this token no longer exists.");
+    }
+
+    req.user = user;
+    req.auth = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when a valid token is present, but let anonymous requests through
+export const optionalAuthenticate = async (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+  return authenticate(req, res, next);
+};
+
+// Enforce the role/ownership rules of a policy from config/policies.js
+export const authorize = (policyName) => {
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown authorization policy: ${policyName}`);
+  }
+
+  return (req, res, next) => {
+    if (policy.public) return next();
+
+    if (!req.user) {
+      return sendUnauthorized(res, "Authentication token is required.");
+    }
+
+    const hasRole = (policy.roles || []).includes(req.user.role);
+    const isSelf =
+      policy.allowSelf &&
+      req.params.userId !== undefined &&
+      req.user._id.toString() === req.params.userId;
+    const ownerId = policy.getOwnerId?.(req);
+    const isOwner = Boolean(ownerId) && req.user._id.equals(ownerId);
+
+    if (!hasRole && !isSelf && !isOwner) {
+      return sendForbidden(
+        res,
+        "You do not have permission to perform this action."
+      );
+    }
+
+    next();
+  };
+};
+
+// Reject request bodies that set fields only admins may change
+// Why: Runs after multer so multipart bodies are parsed before the check
+export const restrictFields = (policyName) => {
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown authorization policy: ${policyName}`);
+  }
+
+  return (req, res, next) => {
+    const restricted = policy.adminOnlyFields || [];
+    if (req.user?.role === "admin" || !req.body) return next();
+
+    const forbiddenField = restricted.find(
+      (field) => req.body[field] !== undefined
+    );
+    if (forbiddenField) {
+      return sendForbidden(
+        res,
+        `Only admins can change the '${forbiddenField}' field.`
+      );
+    }
+
+    next();
+  };
+};
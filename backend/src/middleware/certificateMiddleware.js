@@ -0,0 +1,22 @@
+import Certificate from "../models/certificateModel.js";
+
+// Load the certificate named by :certificateId (its public ID) into req.certificate
+// Why: authorize() needs the certificate to check ownership (see config/policies.js)
+export const loadCertificate = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found.",
+      });
+    }
+
+    req.certificate = certificate;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
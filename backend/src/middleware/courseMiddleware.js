@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import Course from "../models/courseModel.js";
+import Enrollment from "../models/enrollmentModel.js";
+
+// Look a course up by id or slug
+export const findCourseByRef = (ref) =>
+  Course.findOne({
+    $or: [
+      { slug: String(ref).toLowerCase() },
+      ...(mongoose.isValidObjectId(ref) ? [{ _id: ref }] : []),
+    ],
+  });
+
+// Load the course named by :courseId (id or slug) into req.course
+// Why: authorize() needs the course to check ownership (see config/policies.js)
+export const loadCourse = async (req, res, next) => {
+  try {
+    const course = await findCourseByRef(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found.",
+      });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Whether the user may see drafts and other unpublished details of a course
+export const canManageCourse = (user, course) =>
+  Boolean(user) &&
+  (user.role === "admin" ||
+    user._id.equals(course.instructor?._id ?? course.instructor));
+
+// Allow the course instructor, admins and enrolled students (sets req.enrollment for students)
+// Note: Runs after loadCourse
+export const requireEnrollment = async (req, res, next) => {
+  try {
+    if (canManageCourse(req.user, req.course)) return next();
+
+    const enrollment = await Enrollment.findOne({
+      student: req.user._id,
+      course: req.course._id,
+    });
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "Enroll in this course to continue.",
+        error: "FORBIDDEN",
+      });
+    }
+
+    req.enrollment = enrollment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
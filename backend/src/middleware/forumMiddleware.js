@@ -0,0 +1,74 @@
+import ForumBoard from "../models/forumBoardModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply from "../models/forumReplyModel.js";
+import { canManageCourse } from "./courseMiddleware.js";
+
+// Loaders for routes/forumRoutes.js
+// Note: They run after loadCourse, and every record must belong to req.course. Hidden posts are
+//       only found by moderators (threads still show hidden replies as placeholders)
+
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+export const loadBoard = async (req, res, next) => {
+  try {
+    const board = await ForumBoard.findOne({
+      _id: req.params.boardId,
+      course: req.course._id,
+    });
+    if (!board) return sendNotFound(res, "Board not found.");
+
+    req.board = board;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const loadThread = async (req, res, next) => {
+  try {
+    const thread = await ForumThread.findOne({
+      _id: req.params.threadId,
+      course: req.course._id,
+    });
+    if (
+      !thread ||
+      (thread.isHidden && !canManageCourse(req.user, req.course))
+    ) {
+      return sendNotFound(res, "Thread not found.");
+    }
+
+    req.thread = thread;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Loads req.reply and its thread into req.thread
+export const loadReply = async (req, res, next) => {
+  try {
+    const reply = await ForumReply.findOne({
+      _id: req.params.replyId,
+      course: req.course._id,
+    });
+    const thread = reply && (await ForumThread.findById(reply.thread));
+    const isHidden = reply?.isHidden || thread?.isHidden;
+    if (
+      !reply ||
+      !thread ||
+      (isHidden && !canManageCourse(req.user, req.course))
+    ) {
+      return sendNotFound(res, "Reply not found.");
+    }
+
+    req.reply = reply;
+    req.thread = thread;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
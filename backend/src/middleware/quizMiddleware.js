@@ -0,0 +1,23 @@
+import Quiz from "../models/quizModel.js";
+
+// Load the quiz named by :quizId into req.quiz (it must belong to req.course)
+// Note: Runs after loadCourse; drafts are filtered by the controllers
+export const loadQuiz = async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findOne({
+      _id: req.params.quizId,
+      course: req.course._id,
+    });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found.",
+      });
+    }
+
+    req.quiz = quiz;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
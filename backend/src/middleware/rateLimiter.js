@@ -0,0 +1,64 @@
+import { getRateLimitStore } from "../services/rateLimit/index.js";
+import { getClientIp } from "../utils/requestInfo.js";
+
+// Send the standard 429 response with a Retry-After header (in seconds)
+export const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: message || "Too many requests. Please try again later.",
+    error: "TOO_MANY_REQUESTS",
+    retryAfter: retryAfterSeconds,
+  });
+};
+
+// Key requests by client IP address
+export const byIp = (req) => `ip:${getClientIp(req)}`;
+
+// Key requests by the (normalized) email in the body; requests without one are not limited
+export const byEmail = (req) =>
+  typeof req.body?.email === "string"
+    ? `email:${req.body.email.trim().toLowerCase()}`
+    : null;
+
+/**
+ * Fixed-window rate limiter
+ * How: Counts requests per key in the configured store and answers 429 once `max` is exceeded
+ * Options: name (key prefix), windowMs, max, keyGenerator, message, onLimitReached(req)
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message,
+  onLimitReached,
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await getRateLimitStore().increment(
+        `${name}:${key}`,
+        windowMs
+      );
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+
+      if (count > max) {
+        const retryAfter = Math.max(
+          1,
+          Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+        );
+        if (onLimitReached) await onLimitReached(req);
+        return sendTooManyRequests(res, retryAfter, message);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,46 @@
+import { sendValidationError } from "../utils/httpError.js";
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Declarative request validation
+ * How: `validate({ params, query, body })` takes zod schemas per request location, replaces each
+ *      location with the parsed (trimmed, coerced, defaulted) value and rejects the request with
+ *      field-level errors when any of them fails
+ * Note: Place it after multer on multipart routes so the body is parsed first
+ */
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
+
+  for (const location of LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) continue;
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        errors.push({
+          field: issue.path.join(".") || location,
+          location,
+          message: issue.message,
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) return sendValidationError(res, errors);
+
+  for (const [location, value] of Object.entries(parsed)) {
+    // req.query is a getter in some Express versions, so redefine instead of assigning
+    Object.defineProperty(req, location, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+  next();
+};
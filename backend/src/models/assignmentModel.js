@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+export const ASSIGNMENT_STATUSES = ["draft", "published"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One rubric criterion; the assignment is worth the sum of all criteria
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+    maxlength: 1000,
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const assignmentSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    // Optional lesson the assignment belongs to (a lesson id inside the course)
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    // Assignment brief (Markdown)
+    instructions: {
+      type: String,
+      default: "",
+      maxlength: 20000,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    rubric: {
+      type: [criterionSchema],
+      validate: {
+        validator: (criteria) => criteria.length > 0,
+        message: "An assignment needs at least one rubric criterion.",
+      },
+    },
+    // Late submissions lose `latePenaltyPerDay` percent per started day, up to `maxLatePenalty`
+    allowLateSubmissions: {
+      type: Boolean,
+      default: true,
+    },
+    latePenaltyPerDay: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100,
+    },
+    maxLatePenalty: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+    // Drafts are only visible to the course instructor and admins
+    status: {
+      type: String,
+      enum: ASSIGNMENT_STATUSES,
+      default: "draft",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assignmentSchema.methods.getMaxPoints = function () {
+  return this.rubric.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+};
+
+// Started days past the due date (0 when on time)
+assignmentSchema.methods.getDaysLate = function (submittedAt = new Date()) {
+  const lateMs = submittedAt.getTime() - this.dueAt.getTime();
+  return lateMs > 0 ? Math.ceil(lateMs / DAY_MS) : 0;
+};
+
+// Percentage deducted for a submission that is `daysLate` days late
+assignmentSchema.methods.getLatePenalty = function (daysLate) {
+  return Math.min(daysLate * this.latePenaltyPerDay, this.maxLatePenalty);
+};
+
+const Assignment = mongoose.model("Assignment", assignmentSchema);
+
+export default Assignment;
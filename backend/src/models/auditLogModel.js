@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "user.register",
+  "user.login",
+  "user.login_failed",
+  "user.update",
+  "user.role_change",
+  "user.picture_update",
+  "user.password_reset",
+  "user.password_change",
+  "user.delete",
+  "user.restore",
+  "user.purge",
+  "user.data_export",
+];
+
+// One changed field; values of redacted fields are left out (see config/audit.js)
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    redacted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Append-only record of account and permission changes
+ * How: Written by services/auditService.js; the query hooks below reject every update and
+ *      delete through mongoose, and old entries are only removed by the TTL index on expiresAt
+ * Why: The usernames and emails are copied in, so entries stay readable after the account
+ *      they describe is changed or deleted
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    // null for anonymous requests (registration, failed logins)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    actorUsername: {
+      type: String,
+      default: null,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    targetUsername: {
+      type: String,
+      default: null,
+    },
+    targetEmail: {
+      type: String,
+      default: null,
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+    // Action-specific details (e.g. the login failure reason)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    // null keeps the entry forever
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const rejectChange = function () {
+  throw new Error("Audit log entries cannot be modified or deleted.");
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+// Saving an existing document would be an update as well
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
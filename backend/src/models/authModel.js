@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { accountLockout, getLockoutDuration } from "../config/rateLimits.js";
 
 const authSchema = new mongoose.Schema(
   {
@@ -24,9 +25,12 @@ const authSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid email!`,
       },
     },
+    // Optional for accounts that only sign in through an identity provider
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.identities?.length;
+      },
       minlength: 9,
     },
     profilePicture: {
@@ -41,17 +45,175 @@ const authSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid image URL!`,
       },
     },
+    // Storage key of an uploaded profile picture (null for the default or external pictures)
+    profilePictureKey: {
+      type: String,
+      default: null,
+    },
+    // Processed sizes of the uploaded picture ("original", "64", "256", "512")
+    // so clients can pick the smallest one that fits
+    profilePictureVariants: [
+      {
+        _id: false,
+        label: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        key: {
+          type: String,
+          required: true,
+        },
+        width: Number,
+        height: Number,
+      },
+    ],
     role: {
       type: String,
       enum: ["admin", "instructor", "student"],
       default: "student",
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // Linked OAuth2 / OpenID Connect identities ("Sign in with ...")
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          default: null,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Which notifications the user receives (see services/notifications)
+    notificationPreferences: {
+      // Push new notifications over the WebSocket as they happen
+      realtime: {
+        type: Boolean,
+        default: true,
+      },
+      // Types neither stored nor pushed (account notices are always delivered)
+      mutedTypes: {
+        type: [String],
+        default: [],
+      },
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret of the active enrollment
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Secret generated by /2fa/setup, kept until confirmed with a valid code
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Soft deletion: a deleted account is signed out and hidden until an admin restores it
+    // or purgeAccount (services/personalDataService.js) erases it after purgeAfter
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    purgeAfter: {
+      type: Date,
+      default: null,
+      index: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// One account per provider identity
+authSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+/**
+ * Hide soft-deleted accounts from lookups (login, token checks, user lists, mentions, ...)
+ * How: Skipped for queries that filter on deletedAt themselves or set the `withDeleted`
+ *      option, e.g. uniqueness checks (a deleted account keeps its email and username until
+ *      it is purged, so it can be restored)
+ */
+authSchema.pre(["find", "findOne", "countDocuments"], function () {
+  if (this.getOptions().withDeleted) return;
+  if (this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+});
+
+// Same for aggregations (admin statistics); a pipeline that starts by matching on
+// deletedAt keeps its own filter
+// Note: Aggregate options go to the MongoDB driver, so `withDeleted` is not used here
+authSchema.pre("aggregate", function () {
+  const [first] = this.pipeline();
+  if (first?.$match?.deletedAt !== undefined) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Whether the account was deleted and is waiting to be purged
+authSchema.methods.isDeleted = function () {
+  return Boolean(this.deletedAt);
+};
+
 // Hash password before saving
 authSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -69,13 +231,48 @@ authSchema.pre("save", async function (next) {
 
 // Instance method to check password
 authSchema.methods.comparePassword = async function (candidatePassword) {
+  // Federated-only accounts have no password to compare against
+  if (!this.password || !candidatePassword) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the account is temporarily locked after too many failed logins
+authSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login and lock the account with exponential backoff past the threshold
+// Why: updateOne avoids re-running document validators and the password hook
+authSchema.methods.registerFailedLogin = async function () {
+  const failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+  const update = { failedLoginAttempts };
+
+  if (failedLoginAttempts >= accountLockout.threshold) {
+    update.lockUntil = new Date(
+      Date.now() + getLockoutDuration(failedLoginAttempts)
+    );
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, update);
+  this.set(update);
+};
+
+// Clear failed login tracking after a successful login
+authSchema.methods.resetFailedLogins = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  const update = { failedLoginAttempts: 0, lockUntil: null };
+  await this.constructor.updateOne({ _id: this._id }, update);
+  this.set(update);
+};
+
 // Remove password from JSON output
 authSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  userObject.hasPassword = Boolean(this.password);
+  // Expose only whether 2FA is on, never the secrets
+  userObject.twoFactor = { enabled: Boolean(this.twoFactor?.enabled) };
   return userObject;
 };
 
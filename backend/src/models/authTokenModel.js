@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Single-use tokens sent by email (verification and password reset); only the hash is stored
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+export default AuthToken;
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// "NN-XXXX-XXXX-XXXX" (generated by services/certificateService.js)
+export const CERTIFICATE_ID_PATTERN = /^NN(-[A-Z2-9]{4}){3}$/;
+
+/**
+ * Course completion certificate
+ * How: Names and the course title are copied in when the certificate is issued, so the
+ *      certificate (and its public verification) stays the same if the user or course is
+ *      renamed or deleted later
+ */
+const certificateSchema = new mongoose.Schema(
+  {
+    // Public identifier printed on the PDF and used for verification
+    certificateId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+      index: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    studentName: {
+      type: String,
+      required: true,
+    },
+    courseTitle: {
+      type: String,
+      required: true,
+    },
+    instructorName: {
+      type: String,
+      default: null,
+    },
+    // Completion date shown on the certificate
+    completedAt: {
+      type: Date,
+      required: true,
+    },
+    // null when issued automatically on completing every lesson
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["valid", "revoked"],
+      default: "valid",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    revocationReason: {
+      type: String,
+      trim: true,
+      default: null,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One valid certificate per student and course (a revoked one can be replaced)
+certificateSchema.index(
+  { student: 1, course: 1 },
+  { unique: true, partialFilterExpression: { status: "valid" } }
+);
+
+// What anyone holding the certificate ID may see
+certificateSchema.methods.toPublicJSON = function () {
+  return {
+    certificateId: this.certificateId,
+    studentName: this.studentName,
+    courseTitle: this.courseTitle,
+    instructorName: this.instructorName,
+    completedAt: this.completedAt,
+    issuedAt: this.createdAt,
+    status: this.status,
+    revokedAt: this.revokedAt,
+  };
+};
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+export default Certificate;
@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+import { slugify } from "../utils/slugify.js";
+
+export const COURSE_LEVELS = ["beginner", "intermediate", "advanced"];
+export const COURSE_STATUSES = ["draft", "published"];
+
+// Files attached to a lesson (stored through services/storage)
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  size: Number,
+  contentType: String,
+});
+
+const lessonSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    videoUrl: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return v === null || /^https?:\/\/\S+$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid video URL!`,
+      },
+    },
+    // Lesson text (Markdown)
+    content: {
+      type: String,
+      default: "",
+      maxlength: 50000,
+    },
+    durationMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    attachments: [attachmentSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Modules and their lessons are ordered by their position in the arrays
+const moduleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 2000,
+    },
+    lessons: [lessonSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const courseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 120,
+    },
+    // Human-readable identifier used in course URLs (generated from the title)
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 5000,
+    },
+    // Uploaded through config/multer.js; same key/variants layout as profile pictures
+    coverImage: {
+      type: String,
+      default: null,
+    },
+    coverImageKey: {
+      type: String,
+      default: null,
+    },
+    coverImageVariants: [
+      {
+        _id: false,
+        label: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        key: {
+          type: String,
+          required: true,
+        },
+        width: Number,
+        height: Number,
+      },
+    ],
+    category: {
+      type: String,
+      trim: true,
+      default: "general",
+      maxlength: 50,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // Price in the platform currency; 0 means free
+    price: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    level: {
+      type: String,
+      enum: COURSE_LEVELS,
+      default: "beginner",
+    },
+    // Drafts are only visible to their instructor and admins
+    status: {
+      type: String,
+      enum: COURSE_STATUSES,
+      default: "draft",
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    modules: [moduleSchema],
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+courseSchema.index({ status: 1, category: 1, createdAt: -1 });
+courseSchema.index({ tags: 1 });
+
+// Derive a slug from the title that no other course uses ("intro-to-go", "intro-to-go-2", ...)
+courseSchema.statics.generateSlug = async function (title, excludeId = null) {
+  const base = slugify(title) || "course";
+
+  let candidate = base;
+  let suffix = 2;
+  while (
+    await this.exists({
+      slug: candidate,
+      ...(excludeId && { _id: { $ne: excludeId } }),
+    })
+  ) {
+    candidate = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+};
+
+// Lesson ids in course order (module by module)
+courseSchema.methods.getLessonIds = function () {
+  return this.modules.flatMap((module) =>
+    module.lessons.map((lesson) => lesson._id.toString())
+  );
+};
+
+// Find a lesson and the module containing it, or null
+courseSchema.methods.findLesson = function (lessonId) {
+  for (const module of this.modules) {
+    const lesson = module.lessons.id(lessonId);
+    if (lesson) return { module, lesson };
+  }
+  return null;
+};
+
+// Storage keys of every lesson attachment in the course
+courseSchema.methods.getAttachmentKeys = function () {
+  return this.modules.flatMap((module) =>
+    module.lessons.flatMap((lesson) =>
+      lesson.attachments.map((attachment) => attachment.key)
+    )
+  );
+};
+
+// Catalog fields only (for lists of enrollments, certificates, ...)
+courseSchema.methods.toSummary = function () {
+  return {
+    _id: this._id,
+    title: this.title,
+    slug: this.slug,
+    coverImage: this.coverImage,
+    category: this.category,
+    level: this.level,
+    status: this.status,
+    instructor: this.instructor,
+  };
+};
+
+// Course with the module/lesson structure but without lesson content
+// Why: Visitors see what a course covers; videos, text and files are for enrolled students
+courseSchema.methods.toOutline = function () {
+  const course = this.toJSON();
+  course.modules = course.modules.map((module) => ({
+    ...module,
+    lessons: module.lessons.map(({ _id, title, durationMinutes }) => ({
+      _id,
+      title,
+      durationMinutes,
+    })),
+  }));
+  return course;
+};
+
+// Record when a course was first published
+courseSchema.pre("save", function (next) {
+  if (this.isModified("status") && this.status === "published") {
+    this.publishedAt = this.publishedAt || new Date();
+  }
+  next();
+});
+
+const Course = mongoose.model("Course", courseSchema);
+
+export default Course;
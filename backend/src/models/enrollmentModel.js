@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// A student's membership in a course, with per-lesson progress
+const enrollmentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    // "completed" once every lesson of the course has been completed
+    status: {
+      type: String,
+      enum: ["active", "completed"],
+      default: "active",
+    },
+    completedLessons: [
+      {
+        _id: false,
+        lesson: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        completedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Where "resume" sends the student back to
+    lastAccessedLesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // "lessons" when finishing every lesson completed the course, "manual" when an
+    // instructor or admin marked it completed (that is kept even with lessons left open)
+    completionSource: {
+      type: String,
+      enum: ["lessons", "manual"],
+      default: null,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ student: 1, lastAccessedAt: -1 });
+
+enrollmentSchema.methods.hasCompletedLesson = function (lessonId) {
+  return this.completedLessons.some(
+    (entry) => entry.lesson.toString() === lessonId.toString()
+  );
+};
+
+const Enrollment = mongoose.model("Enrollment", enrollmentSchema);
+
+export default Enrollment;
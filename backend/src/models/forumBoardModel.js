@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+/**
+ * Discussion board of a course
+ * How: Every course has one general board (created the first time the boards are listed, see
+ *      ensureGeneralBoard) plus any number of topic boards created by its instructor
+ */
+const forumBoardSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 500,
+    },
+    isGeneral: {
+      type: Boolean,
+      default: false,
+    },
+    // Lower positions are listed first (the general board always comes first)
+    position: {
+      type: Number,
+      default: 0,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+forumBoardSchema.index({ course: 1, position: 1 });
+
+// At most one general board per course
+forumBoardSchema.index(
+  { course: 1, isGeneral: 1 },
+  { unique: true, partialFilterExpression: { isGeneral: true } }
+);
+
+// Find or create the course's general board (safe to call concurrently thanks to the index)
+forumBoardSchema.statics.ensureGeneralBoard = async function (courseId) {
+  try {
+    return await this.findOneAndUpdate(
+      { course: courseId, isGeneral: true },
+      {
+        $setOnInsert: {
+          title: "General",
+          description: "Questions and discussion about anything in the course.",
+          position: -1,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOne({ course: courseId, isGeneral: true });
+  }
+};
+
+const ForumBoard = mongoose.model("ForumBoard", forumBoardSchema);
+
+export default ForumBoard;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { postFields } from "./forumThreadModel.js";
+
+// Replies nest up to this many levels below the thread (top-level replies have depth 0)
+export const MAX_REPLY_DEPTH = 5;
+
+/**
+ * Reply in a forum thread
+ * How: `parent` is the reply being answered (null for top-level replies) and `root` the
+ *      top-level reply of the branch, so a page of top-level replies and all their descendants
+ *      can be loaded with one query
+ */
+const forumReplySchema = new mongoose.Schema(
+  {
+    ...postFields,
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumThread",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumReply",
+      default: null,
+    },
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumReply",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: MAX_REPLY_DEPTH,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+forumReplySchema.index({ thread: 1, parent: 1, createdAt: 1 });
+forumReplySchema.index({ thread: 1, root: 1 });
+forumReplySchema.index({ course: 1, reportCount: 1 });
+
+const ForumReply = mongoose.model("ForumReply", forumReplySchema);
+
+export default ForumReply;
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+
+const reportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 500,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Fields shared by threads and replies (see models/forumReplyModel.js)
+ * How: `body` is the Markdown the author wrote and `bodyHtml` its sanitized rendering
+ *      (services/forumService.js); upvotes and reports keep the user ids so each user counts once
+ */
+export const postFields = {
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Auth",
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 20000,
+  },
+  bodyHtml: {
+    type: String,
+    default: "",
+  },
+  // Users named with @username in the body
+  mentions: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Auth",
+      },
+      username: String,
+    },
+  ],
+  upvotes: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+  },
+  upvoteCount: {
+    type: Number,
+    default: 0,
+  },
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Auth",
+    default: null,
+  },
+  // Reports waiting for a moderator (cleared when they are dismissed)
+  reports: {
+    type: [reportSchema],
+    default: [],
+  },
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+};
+
+export const FORUM_THREAD_SORTS = ["activity", "votes", "newest"];
+
+const forumThreadSchema = new mongoose.Schema(
+  {
+    ...postFields,
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumBoard",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // Last post in the thread (sort key for "activity")
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    // Locked threads accept no new replies
+    isLocked: {
+      type: Boolean,
+      default: false,
+    },
+    // Reply the instructor marked as the answer
+    answer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumReply",
+      default: null,
+    },
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    answeredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Board listings: pinned threads first, then the requested sort
+forumThreadSchema.index({ board: 1, isPinned: -1, lastActivityAt: -1 });
+forumThreadSchema.index({ board: 1, isPinned: -1, upvoteCount: -1 });
+forumThreadSchema.index({ board: 1, isPinned: -1, createdAt: -1 });
+forumThreadSchema.index({ course: 1, reportCount: 1 });
+
+const ForumThread = mongoose.model("ForumThread", forumThreadSchema);
+
+export default ForumThread;
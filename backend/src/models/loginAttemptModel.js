@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Record of every login attempt so admins can see which accounts are being targeted
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: "",
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "unknown_email",
+        "invalid_password",
+        "invalid_mfa_code",
+        "account_locked",
+        "rate_limited",
+      ],
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Keep attempts for 90 days
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// "role_changed" and "account_deleted" are account notices and cannot be muted
+export const NOTIFICATION_TYPES = [
+  "role_changed",
+  "account_deleted",
+  "certificate_issued",
+  "assignment_graded",
+  "forum_reply",
+  "forum_mention",
+];
+export const MANDATORY_NOTIFICATION_TYPES = ["role_changed", "account_deleted"];
+
+/**
+ * Inbox entry of one user
+ * How: Created by services/notifications (which also pushes it over the WebSocket); readAt is
+ *      null until the user marks it read
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    body: {
+      type: String,
+      default: "",
+      maxlength: 2000,
+    },
+    // Frontend path the notification leads to (e.g. "/certificates/NN-...")
+    link: {
+      type: String,
+      default: null,
+    },
+    // Type-specific details for clients (IDs, old and new values)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Inbox listing (newest first) and unread counts
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
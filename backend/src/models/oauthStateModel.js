@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Pending authorization requests, looked up by the `state` parameter on callback
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // Frontend URL to send the browser back to after the callback
+    redirectTo: {
+      type: String,
+      default: null,
+    },
+    // Set when a signed-in user is linking a provider to their account
+    linkUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
+
+export default OAuthState;
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+
+export const ATTEMPT_STATUSES = ["in_progress", "submitted", "expired"];
+
+// One graded answer; `response` holds whatever the student sent for the question type
+const answerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false,
+    },
+    pointsAwarded: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const quizAttemptSchema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    attemptNumber: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ATTEMPT_STATUSES,
+      default: "in_progress",
+    },
+    // Order the questions (and their options) were shown in
+    questionOrder: [
+      {
+        _id: false,
+        question: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        options: [mongoose.Schema.Types.ObjectId],
+      },
+    ],
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // null when the quiz has no time limit
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    answers: [answerSchema],
+    score: {
+      type: Number,
+      default: null,
+    },
+    maxScore: {
+      type: Number,
+      default: null,
+    },
+    percentScore: {
+      type: Number,
+      default: null,
+    },
+    passed: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+quizAttemptSchema.index(
+  { quiz: 1, student: 1, attemptNumber: 1 },
+  { unique: true }
+);
+quizAttemptSchema.index({ quiz: 1, status: 1 });
+
+// Grading result without the question order (attempt history lists)
+quizAttemptSchema.methods.toSummary = function () {
+  return {
+    _id: this._id,
+    attemptNumber: this.attemptNumber,
+    status: this.status,
+    startedAt: this.startedAt,
+    expiresAt: this.expiresAt,
+    submittedAt: this.submittedAt,
+    score: this.score,
+    maxScore: this.maxScore,
+    percentScore: this.percentScore,
+    passed: this.passed,
+  };
+};
+
+const QuizAttempt = mongoose.model("QuizAttempt", quizAttemptSchema);
+
+export default QuizAttempt;
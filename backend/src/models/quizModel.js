@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+
+export const QUESTION_TYPES = [
+  "single_choice",
+  "multiple_choice",
+  "true_false",
+  "short_answer",
+  "numeric",
+];
+export const QUIZ_STATUSES = ["draft", "published"];
+
+export const CHOICE_TYPES = ["single_choice", "multiple_choice"];
+
+// Answer-key fields; never sent to students (see toStudentView)
+const ANSWER_KEY_FIELDS = [
+  "correctBoolean",
+  "acceptedAnswers",
+  "caseSensitive",
+  "correctNumber",
+  "tolerance",
+  "explanation",
+];
+
+const optionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// The answer key lives on the question; which fields are used depends on `type`
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true,
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  // single_choice / multiple_choice
+  options: [optionSchema],
+  // true_false
+  correctBoolean: {
+    type: Boolean,
+    default: null,
+  },
+  // short_answer (compared after trimming and collapsing whitespace)
+  acceptedAnswers: {
+    type: [String],
+    default: [],
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  // numeric (correct when within ± tolerance)
+  correctNumber: {
+    type: Number,
+    default: null,
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Shown to the instructor only
+  explanation: {
+    type: String,
+    trim: true,
+    default: "",
+    maxlength: 2000,
+  },
+});
+
+const quizSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    // Optional lesson the quiz belongs to (a lesson id inside the course)
+    lesson: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 2000,
+    },
+    // null means no time limit / unlimited attempts
+    timeLimitMinutes: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxAttempts: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Percentage needed to pass
+    passingScore: {
+      type: Number,
+      default: 70,
+      min: 0,
+      max: 100,
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
+    // Drafts are only visible to the course instructor and admins
+    status: {
+      type: String,
+      enum: QUIZ_STATUSES,
+      default: "draft",
+    },
+    questions: [questionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+quizSchema.methods.getMaxScore = function () {
+  return this.questions.reduce((sum, question) => sum + question.points, 0);
+};
+
+// Quiz details without questions (for quiz lists and the start screen)
+quizSchema.methods.toSummary = function () {
+  return {
+    _id: this._id,
+    course: this.course,
+    lesson: this.lesson,
+    title: this.title,
+    description: this.description,
+    timeLimitMinutes: this.timeLimitMinutes,
+    maxAttempts: this.maxAttempts,
+    passingScore: this.passingScore,
+    status: this.status,
+    questionCount: this.questions.length,
+    maxScore: this.getMaxScore(),
+  };
+};
+
+/**
+ * Questions as a student sees them during an attempt
+ * How: Follows the attempt's question/option order and drops every answer-key field
+ *      (correct options, accepted answers, numbers, explanations)
+ */
+quizSchema.methods.toStudentView = function (questionOrder) {
+  return questionOrder
+    .map(({ question: questionId, options: optionOrder }) => {
+      const question = this.questions.id(questionId);
+      if (!question) return null;
+
+      const view = question.toObject();
+      for (const field of ANSWER_KEY_FIELDS) delete view[field];
+      view.options = optionOrder
+        .map((optionId) => question.options.id(optionId))
+        .filter(Boolean)
+        .map((option) => ({ _id: option._id, text: option.text }));
+      return view;
+    })
+    .filter(Boolean);
+};
+
+const Quiz = mongoose.model("Quiz", quizSchema);
+
+export default Quiz;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Server-wide security settings managed by admins (a single document keyed "global")
+const securitySettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+    // Roles whose members must have two-factor authentication enabled to sign in
+    requireTwoFactorRoles: {
+      type: [String],
+      enum: ["admin", "instructor", "student"],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Fetch the settings document, creating it with defaults on first use
+securitySettingSchema.statics.getGlobal = async function () {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SecuritySetting = mongoose.model(
+  "SecuritySetting",
+  securitySettingSchema
+);
+
+export default SecuritySetting;
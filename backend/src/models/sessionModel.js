@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// A session is one signed-in device; every refresh token issued to it shares the session id
+// (the token "family"), so revoking the session invalidates all of them at once
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "revoked",
+        "reuse_detected",
+        "password_reset",
+        "password_change",
+        "account_deleted",
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used to authenticate or refresh
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+// A grade given to a submission; earlier grades are kept in gradeHistory when it is regraded
+const gradeSchema = new mongoose.Schema(
+  {
+    rubricScores: [
+      {
+        _id: false,
+        criterion: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        points: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        comment: {
+          type: String,
+          trim: true,
+          default: "",
+          maxlength: 2000,
+        },
+      },
+    ],
+    // Sum of the rubric scores before the late penalty
+    rawScore: {
+      type: Number,
+      required: true,
+    },
+    latePenalty: {
+      type: Number,
+      default: 0,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 5000,
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    gradedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const submissionSchema = new mongoose.Schema(
+  {
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Auth",
+      required: true,
+    },
+    // Uploaded through config/multer.js (uploadSubmissionFiles)
+    files: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        key: {
+          type: String,
+          required: true,
+        },
+        size: Number,
+        contentType: String,
+      },
+    ],
+    comment: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 2000,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isLate: {
+      type: Boolean,
+      default: false,
+    },
+    // Started days past the due date when it was submitted
+    daysLate: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["submitted", "graded"],
+      default: "submitted",
+    },
+    grade: {
+      type: gradeSchema,
+      default: null,
+    },
+    gradeHistory: [gradeSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ student: 1, submittedAt: -1 });
+
+const Submission = mongoose.model("Submission", submissionSchema);
+
+export default Submission;
@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  getStatsOverview,
+  getStatsSeries,
+  getStatsBreakdown,
+} from "../controllers/statsController.js";
+import { listAuditLog } from "../controllers/auditController.js";
+import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  statsSeriesSchema,
+  statsBreakdownSchema,
+} from "../validation/statsSchemas.js";
+import { listAuditLogSchema } from "../validation/auditSchemas.js";
+
+const router = express.Router();
+
+// Admin dashboard statistics (admin only, see config/policies.js)
+router.get("/stats", authenticate, authorize("viewStats"), getStatsOverview);
+router.get(
+  "/stats/series/:series",
+  authenticate,
+  authorize("viewStats"),
+  validate(statsSeriesSchema),
+  getStatsSeries
+);
+router.get(
+  "/stats/breakdowns/:breakdown",
+  authenticate,
+  authorize("viewStats"),
+  validate(statsBreakdownSchema),
+  getStatsBreakdown
+);
+
+// Audit log of account and permission changes (admin only)
+router.get(
+  "/audit",
+  authenticate,
+  authorize("viewAuditLog"),
+  validate(listAuditLogSchema),
+  listAuditLog
+);
+
+export default router;
@@ -0,0 +1,119 @@
+import express from "express";
+import {
+  listAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getMySubmission,
+  listSubmissions,
+  gradeSubmission,
+} from "../controllers/assignmentController.js";
+import { uploadSubmissionFiles } from "../config/multer.js";
+import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import {
+  loadCourse,
+  requireEnrollment,
+} from "../middleware/courseMiddleware.js";
+import { loadAssignment } from "../middleware/assignmentMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { courseRefSchema } from "../validation/courseSchemas.js";
+import {
+  createAssignmentSchema,
+  updateAssignmentSchema,
+  assignmentRefSchema,
+  submitAssignmentSchema,
+  listSubmissionsSchema,
+  gradeSubmissionSchema,
+} from "../validation/assignmentSchemas.js";
+
+// Mounted at /api/courses/:courseId/assignments (see routes/courseRoutes.js)
+const router = express.Router({ mergeParams: true });
+
+// Every assignment route needs a signed-in user
+router.use(authenticate);
+
+// Assignment routes (course instructor, admins and enrolled students)
+router.get(
+  "/",
+  validate(courseRefSchema),
+  loadCourse,
+  requireEnrollment,
+  listAssignments
+);
+router.get(
+  "/:assignmentId",
+  validate(assignmentRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadAssignment,
+  getAssignment
+);
+
+// Assignment management routes (see config/policies.js)
+router.post(
+  "/",
+  validate(courseRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  validate(createAssignmentSchema),
+  createAssignment
+);
+router.put(
+  "/:assignmentId",
+  validate(assignmentRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadAssignment,
+  validate(updateAssignmentSchema),
+  updateAssignment
+);
+router.delete(
+  "/:assignmentId",
+  validate(assignmentRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadAssignment,
+  deleteAssignment
+);
+
+// Submission routes (students)
+router.post(
+  "/:assignmentId/submission",
+  validate(assignmentRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadAssignment,
+  uploadSubmissionFiles,
+  validate(submitAssignmentSchema),
+  submitAssignment
+);
+router.get(
+  "/:assignmentId/submission",
+  validate(assignmentRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadAssignment,
+  getMySubmission
+);
+
+// Grading routes (course instructor and admins)
+router.get(
+  "/:assignmentId/submissions",
+  validate(listSubmissionsSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadAssignment,
+  listSubmissions
+);
+router.put(
+  "/:assignmentId/submissions/:submissionId/grade",
+  validate(gradeSubmissionSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadAssignment,
+  gradeSubmission
+);
+
+export default router;
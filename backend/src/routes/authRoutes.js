@@ -6,12 +6,141 @@ import {
   getAllUsers,
   updateUserProfile,
   updateProfilePicture,
+  checkProfileAvailability,
   deleteUser,
+  restoreUser,
+  exportUserData,
 } from "../controllers/authController.js";
+import {
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+} from "../controllers/sessionController.js";
+import {
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} from "../controllers/accountController.js";
+import {
+  getLoginAttempts,
+  getTargetedAccounts,
+  unlockUser,
+} from "../controllers/securityController.js";
+import {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from "../controllers/twoFactorController.js";
+import {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuthProvider,
+} from "../controllers/oauthController.js";
 import { uploadProfilePicture } from "../config/multer.js";
+import {
+  authenticate,
+  authenticateForEnrollment,
+  optionalAuthenticate,
+  authorize,
+  restrictFields,
+} from "../middleware/authMiddleware.js";
+import { rateLimit, byIp, byEmail } from "../middleware/rateLimiter.js";
+import { validate } from "../middleware/validate.js";
+import {
+  registerSchema,
+  loginSchema,
+  twoFactorLoginSchema,
+  verifyEmailSchema,
+  emailOnlySchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  sessionIdSchema,
+  oauthStartSchema,
+  oauthLinkSchema,
+  oauthCallbackSchema,
+  oauthProviderSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  twoFactorPolicySchema,
+  listUsersSchema,
+  userIdSchema,
+  exportUserDataSchema,
+  updateUserSchema,
+  availabilitySchema,
+  loginAttemptsSchema,
+  targetedAccountsSchema,
+} from "../validation/authSchemas.js";
+import { rateLimits } from "../config/rateLimits.js";
+import { recordLoginAttempt } from "../services/loginAttemptService.js";
 
 const router = express.Router();
 
+// Brute-force protection (thresholds live in config/rateLimits.js)
+const recordRateLimitedLogin = (req) =>
+  recordLoginAttempt(req, { email: req.body?.email, reason: "rate_limited" });
+
+const loginLimiters = [
+  rateLimit({
+    name: "login-ip",
+    ...rateLimits.loginPerIp,
+    keyGenerator: byIp,
+    message: "Too many login attempts from this IP. Please try again later.",
+    onLimitReached: recordRateLimitedLogin,
+  }),
+  rateLimit({
+    name: "login-email",
+    ...rateLimits.loginPerEmail,
+    keyGenerator: byEmail,
+    message: "Too many login attempts for this account. Please try again later.",
+    onLimitReached: recordRateLimitedLogin,
+  }),
+];
+
+const registerLimiter = rateLimit({
+  name: "register-ip",
+  ...rateLimits.registerPerIp,
+  message: "Too many accounts created from this IP. Please try again later.",
+});
+
+const emailLimiter = rateLimit({
+  name: "email-ip",
+  ...rateLimits.emailPerIp,
+  message: "Too many email requests. Please try again later.",
+});
+
+const passwordChangeLimiter = rateLimit({
+  name: "password-change-user",
+  ...rateLimits.passwordChangePerUser,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: "Too many password change attempts. Please try again later.",
+});
+
+const availabilityLimiter = rateLimit({
+  name: "availability-user",
+  ...rateLimits.availabilityPerUser,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: "Too many availability checks. Please try again later.",
+});
+
+const dataExportLimiter = rateLimit({
+  name: "data-export-user",
+  ...rateLimits.dataExportPerUser,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: "Too many data exports. Please try again later.",
+});
+
 // Test route
 router.get("/", (req, res) => {
   res.json({
@@ -21,18 +150,199 @@ router.get("/", (req, res) => {
 });
 
 // Authentication routes
-router.post("/register", uploadProfilePicture, createAuth);
-router.post("/login", loginAuth);
+router.post(
+  "/register",
+  registerLimiter,
+  optionalAuthenticate,
+  authorize("register"),
+  uploadProfilePicture,
+  restrictFields("register"),
+  validate(registerSchema),
+  createAuth
+);
+router.post("/login", loginLimiters, validate(loginSchema), loginAuth);
+router.post(
+  "/login/2fa",
+  loginLimiters[0],
+  validate(twoFactorLoginSchema),
+  verifyTwoFactorLogin
+);
+
+// Email verification and password recovery routes
+router.post("/verify-email", validate(verifyEmailSchema), verifyEmail);
+router.post(
+  "/resend-verification",
+  emailLimiter,
+  validate(emailOnlySchema),
+  resendVerification
+);
+router.post(
+  "/forgot-password",
+  emailLimiter,
+  validate(emailOnlySchema),
+  forgotPassword
+);
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
+router.post(
+  "/change-password",
+  authenticate,
+  passwordChangeLimiter,
+  validate(changePasswordSchema),
+  changePassword
+);
 
-// User management routes
-router.get("/users", getAllUsers);
-router.get("/users/:userId", getSingleUser);
-router.put("/users/:userId", uploadProfilePicture, updateUserProfile);
+// OAuth2 / OpenID Connect sign-in routes (providers configured via env)
+router.get("/oauth/providers", getOAuthProviders);
+router.get("/oauth/:provider", validate(oauthStartSchema), startOAuthLogin);
+router.get(
+  "/oauth/:provider/callback",
+  validate(oauthCallbackSchema),
+  oauthCallback
+);
+router.post(
+  "/oauth/:provider/link",
+  authenticate,
+  validate(oauthLinkSchema),
+  startOAuthLink
+);
+router.delete(
+  "/oauth/:provider",
+  authenticate,
+  validate(oauthProviderSchema),
+  unlinkOAuthProvider
+);
+
+// Two-factor authentication routes
+router.post("/2fa/setup", authenticateForEnrollment, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  authenticateForEnrollment,
+  validate(twoFactorCodeSchema),
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authenticate,
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  validate(twoFactorCodeSchema),
+  regenerateRecoveryCodes
+);
+router.get(
+  "/2fa/policy",
+  authenticate,
+  authorize("manageTwoFactorPolicy"),
+  getTwoFactorPolicy
+);
+router.put(
+  "/2fa/policy",
+  authenticate,
+  authorize("manageTwoFactorPolicy"),
+  validate(twoFactorPolicySchema),
+  updateTwoFactorPolicy
+);
+
+// Session routes
+router.post("/refresh", validate(refreshTokenSchema), refreshToken);
+router.post("/logout", optionalAuthenticate, validate(logoutSchema), logout);
+router.post("/logout-all", authenticate, logoutAll);
+router.get("/sessions", authenticate, getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  validate(sessionIdSchema),
+  revokeSession
+);
+
+// User management routes (require a valid token, see config/policies.js)
+router.get(
+  "/users",
+  authenticate,
+  authorize("listUsers"),
+  validate(listUsersSchema),
+  getAllUsers
+);
+router.get(
+  "/users/:userId",
+  authenticate,
+  validate(userIdSchema),
+  authorize("getUser"),
+  getSingleUser
+);
+router.put(
+  "/users/:userId",
+  authenticate,
+  validate(userIdSchema),
+  authorize("updateUser"),
+  uploadProfilePicture,
+  restrictFields("updateUser"),
+  validate(updateUserSchema),
+  updateUserProfile
+);
+router.get(
+  "/users/:userId/availability",
+  authenticate,
+  validate(availabilitySchema),
+  authorize("checkAvailability"),
+  availabilityLimiter,
+  checkProfileAvailability
+);
 router.put(
   "/users/:userId/picture",
+  authenticate,
+  validate(userIdSchema),
+  authorize("updatePicture"),
   uploadProfilePicture,
   updateProfilePicture
 );
-router.delete("/users/:userId", deleteUser);
+router.delete(
+  "/users/:userId",
+  authenticate,
+  validate(userIdSchema),
+  authorize("deleteUser"),
+  deleteUser
+);
+router.post(
+  "/users/:userId/restore",
+  authenticate,
+  validate(userIdSchema),
+  authorize("restoreUser"),
+  restoreUser
+);
+router.get(
+  "/users/:userId/export",
+  authenticate,
+  validate(exportUserDataSchema),
+  authorize("exportUserData"),
+  dataExportLimiter,
+  exportUserData
+);
+router.post(
+  "/users/:userId/unlock",
+  authenticate,
+  validate(userIdSchema),
+  authorize("unlockUser"),
+  unlockUser
+);
+
+// Security monitoring routes (admin only)
+router.get(
+  "/security/login-attempts",
+  authenticate,
+  authorize("viewLoginAttempts"),
+  validate(loginAttemptsSchema),
+  getLoginAttempts
+);
+router.get(
+  "/security/targeted-accounts",
+  authenticate,
+  authorize("viewLoginAttempts"),
+  validate(targetedAccountsSchema),
+  getTargetedAccounts
+);
 
 export default router;
@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  verifyCertificate,
+  getMyCertificates,
+  downloadCertificate,
+  revokeCertificate,
+} from "../controllers/certificateController.js";
+import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import { loadCertificate } from "../middleware/certificateMiddleware.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+import { validate } from "../middleware/validate.js";
+import { rateLimits } from "../config/rateLimits.js";
+import {
+  certificateRefSchema,
+  revokeCertificateSchema,
+} from "../validation/certificateSchemas.js";
+
+const router = express.Router();
+
+const verifyLimiter = rateLimit({
+  name: "certificate-verify-ip",
+  ...rateLimits.certificateVerifyPerIp,
+  message: "Too many verification requests. Please try again later.",
+});
+
+// Public verification route (linked from the QR code on every certificate)
+router.get(
+  "/:certificateId/verify",
+  verifyLimiter,
+  validate(certificateRefSchema),
+  verifyCertificate
+);
+
+// Certificate routes (see config/policies.js)
+router.get("/me", authenticate, getMyCertificates);
+router.get(
+  "/:certificateId/pdf",
+  authenticate,
+  validate(certificateRefSchema),
+  loadCertificate,
+  authorize("downloadCertificate"),
+  downloadCertificate
+);
+router.post(
+  "/:certificateId/revoke",
+  authenticate,
+  authorize("revokeCertificate"),
+  validate(revokeCertificateSchema),
+  loadCertificate,
+  revokeCertificate
+);
+
+export default router;
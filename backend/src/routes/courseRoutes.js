@@ -0,0 +1,238 @@
+import express from "express";
+import {
+  listCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+} from "../controllers/courseController.js";
+import {
+  createModule,
+  updateModule,
+  deleteModule,
+  createLesson,
+  updateLesson,
+  deleteLesson,
+  deleteAttachment,
+  getLesson,
+} from "../controllers/courseContentController.js";
+import {
+  enrollInCourse,
+  unenrollFromCourse,
+  getCourseProgress,
+  completeLesson,
+  uncompleteLesson,
+  getCourseRoster,
+  completeEnrollment,
+} from "../controllers/enrollmentController.js";
+import {
+  uploadCourseCover,
+  uploadLessonAttachments,
+} from "../config/multer.js";
+import {
+  authenticate,
+  optionalAuthenticate,
+  authorize,
+  restrictFields,
+} from "../middleware/authMiddleware.js";
+import { loadCourse } from "../middleware/courseMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  courseRefSchema,
+  createCourseSchema,
+  updateCourseSchema,
+  listCoursesSchema,
+  createModuleSchema,
+  updateModuleSchema,
+  moduleRefSchema,
+  createLessonSchema,
+  updateLessonSchema,
+  lessonRefSchema,
+  attachmentRefSchema,
+} from "../validation/courseSchemas.js";
+import {
+  rosterSchema,
+  completeEnrollmentSchema,
+} from "../validation/enrollmentSchemas.js";
+import quizRoutes from "./quizRoutes.js";
+import assignmentRoutes from "./assignmentRoutes.js";
+import forumRoutes from "./forumRoutes.js";
+
+const router = express.Router();
+
+// Catalog routes (public; signed-in admins and instructors also see drafts, see listCourses)
+router.get("/", optionalAuthenticate, validate(listCoursesSchema), listCourses);
+router.get(
+  "/:courseId",
+  optionalAuthenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  getCourse
+);
+
+// Course management routes (see config/policies.js)
+router.post(
+  "/",
+  authenticate,
+  authorize("createCourse"),
+  uploadCourseCover,
+  restrictFields("createCourse"),
+  validate(createCourseSchema),
+  createCourse
+);
+router.put(
+  "/:courseId",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  uploadCourseCover,
+  restrictFields("manageCourse"),
+  validate(updateCourseSchema),
+  updateCourse
+);
+router.delete(
+  "/:courseId",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  deleteCourse
+);
+
+// Curriculum management routes (same manageCourse policy as the course itself)
+router.post(
+  "/:courseId/modules",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  validate(createModuleSchema),
+  createModule
+);
+router.put(
+  "/:courseId/modules/:moduleId",
+  authenticate,
+  validate(moduleRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  validate(updateModuleSchema),
+  updateModule
+);
+router.delete(
+  "/:courseId/modules/:moduleId",
+  authenticate,
+  validate(moduleRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  deleteModule
+);
+router.post(
+  "/:courseId/modules/:moduleId/lessons",
+  authenticate,
+  validate(moduleRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  uploadLessonAttachments,
+  validate(createLessonSchema),
+  createLesson
+);
+router.put(
+  "/:courseId/lessons/:lessonId",
+  authenticate,
+  validate(lessonRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  uploadLessonAttachments,
+  validate(updateLessonSchema),
+  updateLesson
+);
+router.delete(
+  "/:courseId/lessons/:lessonId",
+  authenticate,
+  validate(lessonRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  deleteLesson
+);
+router.delete(
+  "/:courseId/lessons/:lessonId/attachments/:attachmentId",
+  authenticate,
+  validate(attachmentRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  deleteAttachment
+);
+
+// Learning routes (enrolled students; managers can preview lessons)
+router.get(
+  "/:courseId/lessons/:lessonId",
+  authenticate,
+  validate(lessonRefSchema),
+  loadCourse,
+  getLesson
+);
+router.post(
+  "/:courseId/lessons/:lessonId/complete",
+  authenticate,
+  validate(lessonRefSchema),
+  loadCourse,
+  completeLesson
+);
+router.delete(
+  "/:courseId/lessons/:lessonId/complete",
+  authenticate,
+  validate(lessonRefSchema),
+  loadCourse,
+  uncompleteLesson
+);
+
+// Enrollment routes
+router.post(
+  "/:courseId/enrollment",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  enrollInCourse
+);
+router.get(
+  "/:courseId/enrollment",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  getCourseProgress
+);
+router.delete(
+  "/:courseId/enrollment",
+  authenticate,
+  validate(courseRefSchema),
+  loadCourse,
+  unenrollFromCourse
+);
+router.get(
+  "/:courseId/roster",
+  authenticate,
+  validate(rosterSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  getCourseRoster
+);
+router.post(
+  "/:courseId/roster/:studentId/complete",
+  authenticate,
+  validate(completeEnrollmentSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  completeEnrollment
+);
+
+// Quizzes and attempts (routes/quizRoutes.js)
+router.use("/:courseId/quizzes", quizRoutes);
+
+// Assignments, submissions and grading (routes/assignmentRoutes.js)
+router.use("/:courseId/assignments", assignmentRoutes);
+
+// Discussion boards, threads and moderation (routes/forumRoutes.js)
+router.use("/:courseId/forum", forumRoutes);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import swaggerUi from "swagger-ui-express";
+import { getOpenApiDocument } from "../docs/openapi.js";
+
+// Mounted at /api (see app.js)
+const router = express.Router();
+
+// Machine readable API description
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// Interactive explorer (Swagger UI) loading the document above
+router.use(
+  "/docs",
+  swaggerUi.serve,
+  swaggerUi.setup(null, {
+    customSiteTitle: "Novanector API",
+    swaggerOptions: { url: "/api/openapi.json", persistAuthorization: true },
+  })
+);
+
+export default router;
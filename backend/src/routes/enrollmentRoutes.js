@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  getMyEnrollments,
+  resumeLearning,
+} from "../controllers/enrollmentController.js";
+import { getMyGrades } from "../controllers/assignmentController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { myEnrollmentsSchema } from "../validation/enrollmentSchemas.js";
+import { myGradesSchema } from "../validation/assignmentSchemas.js";
+
+const router = express.Router();
+
+// Learner dashboard routes (enrolling itself lives under /api/courses/:courseId/enrollment)
+router.get(
+  "/me",
+  authenticate,
+  validate(myEnrollmentsSchema),
+  getMyEnrollments
+);
+router.get("/me/resume", authenticate, resumeLearning);
+router.get("/me/grades", authenticate, validate(myGradesSchema), getMyGrades);
+
+export default router;
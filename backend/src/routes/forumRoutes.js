@@ -0,0 +1,216 @@
+import express from "express";
+import {
+  listBoards,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  listThreads,
+  createThread,
+  getThread,
+  createReply,
+  upvoteThread,
+  removeThreadUpvote,
+  upvoteReply,
+  removeReplyUpvote,
+  markAnswer,
+  unmarkAnswer,
+  moderateThread,
+  moderateReply,
+  reportThread,
+  reportReply,
+  listReports,
+} from "../controllers/forumController.js";
+import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import {
+  loadCourse,
+  requireEnrollment,
+} from "../middleware/courseMiddleware.js";
+import {
+  loadBoard,
+  loadThread,
+  loadReply,
+} from "../middleware/forumMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { courseRefSchema } from "../validation/courseSchemas.js";
+import {
+  createBoardSchema,
+  updateBoardSchema,
+  boardRefSchema,
+  listThreadsSchema,
+  createThreadSchema,
+  getThreadSchema,
+  threadRefSchema,
+  createReplySchema,
+  replyRefSchema,
+  markAnswerSchema,
+  moderateThreadSchema,
+  moderateReplySchema,
+  reportThreadSchema,
+  reportReplySchema,
+  listReportsSchema,
+} from "../validation/forumSchemas.js";
+
+// Mounted at /api/courses/:courseId/forum (see routes/courseRoutes.js)
+const router = express.Router({ mergeParams: true });
+
+// Every forum route needs a signed-in user
+router.use(authenticate);
+
+// Board routes (course instructor, admins and enrolled students)
+router.get(
+  "/boards",
+  validate(courseRefSchema),
+  loadCourse,
+  requireEnrollment,
+  listBoards
+);
+router.get(
+  "/boards/:boardId/threads",
+  validate(listThreadsSchema),
+  loadCourse,
+  requireEnrollment,
+  loadBoard,
+  listThreads
+);
+router.post(
+  "/boards/:boardId/threads",
+  validate(createThreadSchema),
+  loadCourse,
+  requireEnrollment,
+  loadBoard,
+  createThread
+);
+
+// Board management routes (see config/policies.js)
+router.post(
+  "/boards",
+  validate(createBoardSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  createBoard
+);
+router.patch(
+  "/boards/:boardId",
+  validate(updateBoardSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadBoard,
+  updateBoard
+);
+router.delete(
+  "/boards/:boardId",
+  validate(boardRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadBoard,
+  deleteBoard
+);
+
+// Thread and reply routes
+router.get(
+  "/threads/:threadId",
+  validate(getThreadSchema),
+  loadCourse,
+  requireEnrollment,
+  loadThread,
+  getThread
+);
+router.post(
+  "/threads/:threadId/replies",
+  validate(createReplySchema),
+  loadCourse,
+  requireEnrollment,
+  loadThread,
+  createReply
+);
+router.post(
+  "/threads/:threadId/upvote",
+  validate(threadRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadThread,
+  upvoteThread
+);
+router.delete(
+  "/threads/:threadId/upvote",
+  validate(threadRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadThread,
+  removeThreadUpvote
+);
+router.post(
+  "/replies/:replyId/upvote",
+  validate(replyRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadReply,
+  upvoteReply
+);
+router.delete(
+  "/replies/:replyId/upvote",
+  validate(replyRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadReply,
+  removeReplyUpvote
+);
+router.post(
+  "/threads/:threadId/report",
+  validate(reportThreadSchema),
+  loadCourse,
+  requireEnrollment,
+  loadThread,
+  reportThread
+);
+router.post(
+  "/replies/:replyId/report",
+  validate(reportReplySchema),
+  loadCourse,
+  requireEnrollment,
+  loadReply,
+  reportReply
+);
+
+// Answer and moderation routes (course instructor and admins)
+router.put(
+  "/threads/:threadId/answer",
+  validate(markAnswerSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadThread,
+  markAnswer
+);
+router.delete(
+  "/threads/:threadId/answer",
+  validate(threadRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadThread,
+  unmarkAnswer
+);
+router.patch(
+  "/threads/:threadId/moderation",
+  validate(moderateThreadSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadThread,
+  moderateThread
+);
+router.patch(
+  "/replies/:replyId/moderation",
+  validate(moderateReplySchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadReply,
+  moderateReply
+);
+router.get(
+  "/reports",
+  validate(listReportsSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  listReports
+);
+
+export default router;
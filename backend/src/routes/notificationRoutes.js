@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notificationController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listNotificationsSchema,
+  notificationRefSchema,
+  updatePreferencesSchema,
+} from "../validation/notificationSchemas.js";
+
+const router = express.Router();
+
+// Every route works on the signed-in user's own inbox
+// (live delivery is over the WebSocket at /ws/notifications, see services/notifications)
+router.use(authenticate);
+
+router.get("/", validate(listNotificationsSchema), listNotifications);
+router.post("/read-all", markAllNotificationsRead);
+router.get("/preferences", getNotificationPreferences);
+router.put(
+  "/preferences",
+  validate(updatePreferencesSchema),
+  updateNotificationPreferences
+);
+router.patch(
+  "/:notificationId/read",
+  validate(notificationRefSchema),
+  markNotificationRead
+);
+
+export default router;
@@ -0,0 +1,123 @@
+import express from "express";
+import {
+  listQuizzes,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
+  startAttempt,
+  submitAttempt,
+  listAttempts,
+  getAttempt,
+  getQuizAnalytics,
+} from "../controllers/quizController.js";
+import { authenticate, authorize } from "../middleware/authMiddleware.js";
+import {
+  loadCourse,
+  requireEnrollment,
+} from "../middleware/courseMiddleware.js";
+import { loadQuiz } from "../middleware/quizMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { courseRefSchema } from "../validation/courseSchemas.js";
+import {
+  createQuizSchema,
+  updateQuizSchema,
+  quizRefSchema,
+  attemptRefSchema,
+  submitAttemptSchema,
+  listAttemptsSchema,
+} from "../validation/quizSchemas.js";
+
+// Mounted at /api/courses/:courseId/quizzes (see routes/courseRoutes.js)
+const router = express.Router({ mergeParams: true });
+
+// Every quiz route needs a signed-in user
+router.use(authenticate);
+
+// Quiz routes (course instructor, admins and enrolled students)
+router.get(
+  "/",
+  validate(courseRefSchema),
+  loadCourse,
+  requireEnrollment,
+  listQuizzes
+);
+router.get(
+  "/:quizId",
+  validate(quizRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadQuiz,
+  getQuiz
+);
+
+// Quiz management routes (see config/policies.js)
+router.post(
+  "/",
+  validate(courseRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  validate(createQuizSchema),
+  createQuiz
+);
+router.put(
+  "/:quizId",
+  validate(quizRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadQuiz,
+  validate(updateQuizSchema),
+  updateQuiz
+);
+router.delete(
+  "/:quizId",
+  validate(quizRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadQuiz,
+  deleteQuiz
+);
+router.get(
+  "/:quizId/analytics",
+  validate(quizRefSchema),
+  loadCourse,
+  authorize("manageCourse"),
+  loadQuiz,
+  getQuizAnalytics
+);
+
+// Attempt routes
+router.post(
+  "/:quizId/attempts",
+  validate(quizRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadQuiz,
+  startAttempt
+);
+router.get(
+  "/:quizId/attempts",
+  validate(listAttemptsSchema),
+  loadCourse,
+  requireEnrollment,
+  loadQuiz,
+  listAttempts
+);
+router.get(
+  "/:quizId/attempts/:attemptId",
+  validate(attemptRefSchema),
+  loadCourse,
+  requireEnrollment,
+  loadQuiz,
+  getAttempt
+);
+router.post(
+  "/:quizId/attempts/:attemptId/submit",
+  validate(submitAttemptSchema),
+  loadCourse,
+  requireEnrollment,
+  loadQuiz,
+  submitAttempt
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { purgeDeletedAccounts } from "../services/personalDataService.js";
+
+/**
+ * Erase deleted accounts whose grace period is over (the server also does this periodically)
+ * Usage: npm run accounts:purge [-- --dry-run]
+ */
+dotenv.config();
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+await connectDB();
+
+try {
+  const purged = await purgeDeletedAccounts({ dryRun });
+
+  console.log(
+    `${dryRun ? "Would purge" : "Purged"} ${purged.length} deleted account(s).`
+  );
+  purged.forEach((user) => console.log(`  - ${user.username} (${user._id})`));
+} catch (error) {
+  console.error("Error purging deleted accounts:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
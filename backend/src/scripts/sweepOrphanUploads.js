@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { sweepOrphanedUploads } from "../services/storage/orphanSweep.js";
+
+/**
+ * Remove uploaded files that no document references
+ * Usage: npm run uploads:sweep [-- --dry-run] [-- --grace-minutes=60]
+ */
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const graceArg = args.find((arg) => arg.startsWith("--grace-minutes="));
+const graceMinutes = graceArg ? parseInt(graceArg.split("=")[1], 10) : 60;
+
+await connectDB();
+
+try {
+  const removed = await sweepOrphanedUploads({
+    graceMs: graceMinutes * 60 * 1000,
+    dryRun,
+  });
+
+  console.log(
+    `${dryRun ? "Would remove" : "Removed"} ${removed.length} orphaned file(s).`
+  );
+  removed.forEach((key) => console.log(`  - ${key}`));
+} catch (error) {
+  console.error("Error sweeping orphaned uploads:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
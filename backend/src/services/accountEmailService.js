@@ -0,0 +1,13 @@
+import { sendMail } from "./mailer/index.js";
+import { verificationEmail, passwordResetEmail } from "./mailer/templates.js";
+import { createAuthToken } from "./authTokenService.js";
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user._id, "email_verification");
+  return sendMail({ to: user.email, ...verificationEmail(user, token) });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createAuthToken(user._id, "password_reset");
+  return sendMail({ to: user.email, ...passwordResetEmail(user, token) });
+};
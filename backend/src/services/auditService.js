@@ -0,0 +1,73 @@
+import AuditLog from "../models/auditLogModel.js";
+import {
+  getAuditRetentionDays,
+  REDACTED_AUDIT_FIELDS,
+} from "../config/audit.js";
+import { getClientIp, getUserAgent } from "../utils/requestInfo.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account fields tracked in before/after diffs
+export const AUDITED_USER_FIELDS = [
+  "username",
+  "email",
+  "role",
+  "emailVerified",
+  "profilePicture",
+];
+
+// Current values of `fields` (dotted paths allowed), for diffing after a change
+export const snapshotFields = (doc, fields = AUDITED_USER_FIELDS) =>
+  Object.fromEntries(fields.map((field) => [field, doc.get(field) ?? null]));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields that differ between two snapshots
+ * How: Redacted fields (passwords, 2FA secrets) are listed as changed without their values
+ */
+export const diffFields = (before, after) =>
+  Object.keys({ ...before, ...after })
+    .filter((field) => !sameValue(before[field], after[field]))
+    .map((field) =>
+      REDACTED_AUDIT_FIELDS.includes(field)
+        ? { field, redacted: true }
+        : { field, from: before[field] ?? null, to: after[field] ?? null }
+    );
+
+// A change that only records that a redacted field was set (e.g. a new password)
+export const redactedChange = (field) => ({ field, redacted: true });
+
+/**
+ * Append an entry to the audit log
+ * How: `actor` defaults to the signed-in user; usernames and the target's email are copied in.
+ *      IP and user agent come from the request (`req` is null for background jobs)
+ * Why: Auditing must never block the action itself, so failures are logged and swallowed
+ */
+export const recordAudit = async (
+  req,
+  { action, actor = req?.user, target = null, changes = [], metadata = {} }
+) => {
+  try {
+    const retentionDays = getAuditRetentionDays();
+
+    await AuditLog.create({
+      action,
+      actor: actor?._id ?? null,
+      actorUsername: actor?.username ?? null,
+      target: target?._id ?? null,
+      targetUsername: target?.username ?? null,
+      targetEmail: target?.email ?? null,
+      changes,
+      metadata,
+      ip: req ? getClientIp(req) : "",
+      userAgent: req ? getUserAgent(req) : "",
+      expiresAt:
+        retentionDays > 0
+          ? new Date(Date.now() + retentionDays * DAY_MS)
+          : null,
+    });
+  } catch (error) {
+    console.error("Error recording audit log entry:", error);
+  }
+};
@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import AuthToken from "../models/authTokenModel.js";
+import { hashToken } from "./tokenService.js";
+import { HttpError } from "../utils/httpError.js";
+
+// How long each kind of emailed token stays valid
+const TOKEN_LIFETIMES = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000, // 1 hour
+};
+
+/**
+ * Create a new emailed token for a user
+ * How: Invalidates any earlier unused token with the same purpose, so only the latest link works
+ */
+export const createAuthToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await AuthToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[purpose]),
+  });
+
+  return token;
+};
+
+// Mark a token as used and return the id of the user it was issued to
+export const consumeAuthToken = async (token, purpose) => {
+  const stored = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+  if (!stored) {
+    throw new HttpError(
+      400,
+      "This link is invalid or has expired.",
+      "INVALID_TOKEN"
+    );
+  }
+
+  return stored.user;
+};
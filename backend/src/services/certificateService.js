@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import Auth from "../models/authModel.js";
+import Certificate from "../models/certificateModel.js";
+import { getPublicBaseUrl } from "./storage/publicUrl.js";
+import { notify } from "./notifications/index.js";
+
+// Unambiguous characters only (no 0/O, 1/I/L), so IDs can be typed from a printout
+const ID_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+// "NN-XXXX-XXXX-XXXX" (see CERTIFICATE_ID_PATTERN)
+const generateCertificateId = () => {
+  const groups = Array.from({ length: 3 }, () =>
+    Array.from(
+      { length: 4 },
+      () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]
+    ).join("")
+  );
+  return `NN-${groups.join("-")}`;
+};
+
+// Public page employers are sent to by the QR code
+export const getVerificationUrl = (certificateId) =>
+  `${getPublicBaseUrl()}/api/certificates/${certificateId}/verify`;
+
+/**
+ * Issue the certificate for a completed enrollment
+ * How: Returns the existing valid certificate if there is one, so completing a course twice
+ *      (or an instructor marking it complete again) never produces a second certificate
+ */
+export const issueCertificate = async ({
+  enrollment,
+  course,
+  issuedBy = null,
+}) => {
+  const query = {
+    student: enrollment.student,
+    course: course._id,
+    status: "valid",
+  };
+
+  const existing = await Certificate.findOne(query);
+  if (existing) return existing;
+
+  const [student, instructor] = await Promise.all([
+    Auth.findById(enrollment.student, "username"),
+    Auth.findById(course.instructor?._id ?? course.instructor, "username"),
+  ]);
+
+  // Retry on duplicate keys: either another request issued it first or the ID collided
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      const certificate = await Certificate.create({
+        ...query,
+        certificateId: generateCertificateId(),
+        studentName: student?.username || "Former student",
+        courseTitle: course.title,
+        instructorName: instructor?.username || null,
+        completedAt: enrollment.completedAt || new Date(),
+        issuedBy,
+      });
+
+      await notify(certificate.student, {
+        type: "certificate_issued",
+        title: "You earned a certificate",
+        body: `Congratulations on completing ${certificate.courseTitle}!`,
+        link: `/certificates/${certificate.certificateId}`,
+        data: {
+          course: certificate.course,
+          certificateId: certificate.certificateId,
+        },
+      });
+      return certificate;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const issued = await Certificate.findOne(query);
+      if (issued) return issued;
+    }
+  }
+  throw new Error("Could not generate a unique certificate ID.");
+};
+
+const formatDate = (date) =>
+  date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * Render a certificate as a landscape A4 PDF
+ * How: Built from the stored snapshot on every download (nothing is written to storage); the QR
+ *      code points at the public verification endpoint
+ */
+export const renderCertificatePdf = async (certificate) => {
+  const verificationUrl = getVerificationUrl(certificate.certificateId);
+  const qrCode = await QRCode.toBuffer(verificationUrl, {
+    margin: 1,
+    width: 240,
+  });
+
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: "landscape",
+    margin: 50,
+    info: {
+      Title: `Certificate ${certificate.certificateId}`,
+      Subject: certificate.courseTitle,
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 200;
+
+  doc.lineWidth(3).rect(30, 30, width - 60, height - 60).stroke("#1e3a8a");
+  doc.lineWidth(1).rect(40, 40, width - 80, height - 80).stroke("#93c5fd");
+
+  doc
+    .fillColor("#1e3a8a")
+    .font("Helvetica-Bold")
+    .fontSize(34)
+    .text("Certificate of Completion", 100, 90, {
+      width: contentWidth,
+      align: "center",
+    });
+
+  doc
+    .moveDown(1.2)
+    .fillColor("#374151")
+    .font("Helvetica")
+    .fontSize(16)
+    .text("This certifies that", { width: contentWidth, align: "center" })
+    .moveDown(0.6)
+    .fillColor("#111827")
+    .font("Helvetica-Bold")
+    .fontSize(28)
+    .text(certificate.studentName, { width: contentWidth, align: "center" })
+    .moveDown(0.6)
+    .fillColor("#374151")
+    .font("Helvetica")
+    .fontSize(16)
+    .text("has successfully completed the course", {
+      width: contentWidth,
+      align: "center",
+    })
+    .moveDown(0.6)
+    .fillColor("#111827")
+    .font("Helvetica-Bold")
+    .fontSize(22)
+    .text(certificate.courseTitle, { width: contentWidth, align: "center" });
+
+  const footerY = height - 170;
+  doc
+    .fillColor("#374151")
+    .font("Helvetica")
+    .fontSize(12)
+    .text(`Date: ${formatDate(certificate.completedAt)}`, 80, footerY)
+    .text(`Instructor: ${certificate.instructorName || "-"}`, 80, footerY + 20)
+    .text(`Certificate ID: ${certificate.certificateId}`, 80, footerY + 40)
+    .fontSize(9)
+    .fillColor("#6b7280")
+    .text(`Verify at ${verificationUrl}`, 80, footerY + 64, {
+      width: width - 320,
+    });
+
+  doc.image(qrCode, width - 200, footerY - 20, { width: 110 });
+
+  doc.end();
+  return finished;
+};
@@ -0,0 +1,117 @@
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import Auth from "../models/authModel.js";
+import Enrollment from "../models/enrollmentModel.js";
+
+const MAX_MENTIONS = 20;
+
+// "@username" not preceded by a word character (so e-mail addresses are not mentions) and not
+// ending in punctuation ("thanks @alice." mentions "alice")
+const MENTION_PATTERN = /(?<![\w@])@(\w[\w.-]{1,18}\w)/g;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "strong",
+    "em",
+    "del",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    code: ["class"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    h1: "h3",
+    h2: "h4",
+    a: sanitizeHtml.simpleTransform("a", {
+      rel: "nofollow noopener noreferrer",
+      target: "_blank",
+    }),
+  },
+};
+
+/**
+ * Render forum Markdown to HTML that is safe to insert into the page
+ * How: marked (GitHub flavoured, line breaks kept) followed by an allowlist sanitizer; raw HTML,
+ *      images and javascript: links are dropped; h1/h2 become h3/h4 to stay below the page title
+ */
+export const renderMarkdown = (markdown) =>
+  sanitizeHtml(
+    marked.parse(markdown, { gfm: true, breaks: true, async: false }),
+    SANITIZE_OPTIONS
+  );
+
+export const extractMentionedUsernames = (markdown) => [
+  ...new Set(
+    Array.from(markdown.matchAll(MENTION_PATTERN), (match) => match[1])
+  ),
+];
+
+/**
+ * Resolve @mentions to users who can read the course forum
+ * How: Usernames are matched exactly; mentions of users who are neither enrolled nor managing
+ *      the course are ignored, so a mention never points someone at a forum they cannot open
+ */
+export const resolveMentions = async (markdown, course) => {
+  const usernames = extractMentionedUsernames(markdown).slice(0, MAX_MENTIONS);
+  if (usernames.length === 0) return [];
+
+  const users = await Auth.find(
+    { username: { $in: usernames } },
+    "username role"
+  );
+  const enrolled = await Enrollment.find(
+    { course: course._id, student: { $in: users.map((user) => user._id) } },
+    "student"
+  );
+  const enrolledIds = new Set(
+    enrolled.map((enrollment) => enrollment.student.toString())
+  );
+
+  return users
+    .filter(
+      (user) =>
+        user.role === "admin" ||
+        user._id.equals(course.instructor) ||
+        enrolledIds.has(user._id.toString())
+    )
+    .map((user) => ({ user: user._id, username: user.username }));
+};
+
+// Nest replies under their parents; `roots` keeps the order of the page being shown
+export const buildReplyTree = (roots, descendants, describe) => {
+  const nodes = new Map();
+  for (const reply of [...roots, ...descendants]) {
+    nodes.set(reply._id.toString(), { ...describe(reply), replies: [] });
+  }
+
+  for (const reply of descendants) {
+    const parent = nodes.get(reply.parent?.toString());
+    if (parent) parent.replies.push(nodes.get(reply._id.toString()));
+  }
+
+  return roots.map((reply) => nodes.get(reply._id.toString()));
+};
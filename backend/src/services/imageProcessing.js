@@ -0,0 +1,89 @@
+import sharp from "sharp";
+import { detectImageType } from "../utils/fileSignature.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Formats sharp can decode that we accept as input
+const PROCESSABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/tiff",
+];
+
+// Largest side of the normalized full-size image
+const MAX_DIMENSION = 2048;
+
+// Reject images that would decode to more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const getOutputFormat = () =>
+  process.env.IMAGE_OUTPUT_FORMAT === "jpeg" ? "jpeg" : "webp";
+
+const encode = (pipeline, format) =>
+  format === "jpeg"
+    ? pipeline.jpeg({ quality: 82, mozjpeg: true })
+    : pipeline.webp({ quality: 82 });
+
+/**
+ * Verify and normalize an uploaded image
+ * How: Checks magic bytes, auto-rotates from EXIF orientation, then re-encodes without any
+ *      metadata (EXIF/GPS/ICC are dropped because sharp only keeps them with withMetadata()).
+ *      Produces the full-size image plus one square thumbnail per entry in `sizes`.
+ * Returns: { contentType, extension, variants: [{ label, buffer, width, height }] }
+ */
+export const processImage = async (buffer, { sizes = [] } = {}) => {
+  const detected = detectImageType(buffer);
+  if (!detected || !PROCESSABLE_TYPES.includes(detected.mime)) {
+    throw new HttpError(
+      400,
+      "File content is not a supported image. Only JPEG, PNG, GIF, WebP, and TIFF images are allowed.",
+      "INVALID_FILE_CONTENT"
+    );
+  }
+
+  const format = getOutputFormat();
+  const source = () =>
+    sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  const render = async (label, pipeline) => {
+    const { data, info } = await encode(pipeline, format).toBuffer({
+      resolveWithObject: true,
+    });
+    return { label, buffer: data, width: info.width, height: info.height };
+  };
+
+  try {
+    const variants = [
+      await render(
+        "original",
+        source().resize(MAX_DIMENSION, MAX_DIMENSION, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+      ),
+    ];
+
+    for (const size of sizes) {
+      variants.push(
+        await render(
+          String(size),
+          source().resize(size, size, { fit: "cover", position: "attention" })
+        )
+      );
+    }
+
+    return {
+      contentType: `image/${format}`,
+      extension: format === "jpeg" ? ".jpg" : ".webp",
+      variants,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(
+      400,
+      "Image could not be processed. It may be corrupt or too large.",
+      "INVALID_FILE_CONTENT"
+    );
+  }
+};
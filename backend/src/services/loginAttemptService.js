@@ -0,0 +1,32 @@
+import LoginAttempt from "../models/loginAttemptModel.js";
+import { getClientIp, getUserAgent } from "../utils/requestInfo.js";
+import { recordAudit } from "./auditService.js";
+
+// Store a login attempt; failures to record never block the login itself
+export const recordLoginAttempt = async (req, { email, user, reason }) => {
+  try {
+    await LoginAttempt.create({
+      email: typeof email === "string" ? email : undefined,
+      user: user?._id || null,
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      success: reason === "success",
+      reason,
+    });
+  } catch (error) {
+    console.error("Error recording login attempt:", error);
+  }
+
+  // Rate limited attempts stay out of the audit log, an attack would flood it
+  if (reason === "rate_limited") return;
+
+  await recordAudit(req, {
+    action: reason === "success" ? "user.login" : "user.login_failed",
+    actor: user || null,
+    target: user || null,
+    metadata: {
+      reason,
+      ...(typeof email === "string" && { email }),
+    },
+  });
+};
@@ -0,0 +1,48 @@
+import { issueSession } from "./tokenService.js";
+import { isTwoFactorRequired, signMfaToken } from "./twoFactorService.js";
+
+/**
+ * Decide what happens after a user proved their first factor (password or identity provider)
+ * How: Users with 2FA get an "mfa pending" token to exchange at /login/2fa; users whose role
+ *      requires 2FA but who have not enrolled get one restricted to the enrollment endpoints;
+ *      everyone else receives a session straight away
+ */
+export const beginLogin = async (user, req) => {
+  if (user.twoFactor?.enabled) {
+    return { mfaRequired: true, mfaToken: signMfaToken(user) };
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    return {
+      mfaRequired: true,
+      enrollmentRequired: true,
+      mfaToken: signMfaToken(user, { enroll: true }),
+    };
+  }
+
+  return { mfaRequired: false, ...(await issueSession(user, req)) };
+};
+
+// Response body for a login step, shared by every sign-in method
+export const buildLoginResponse = (user, result) => {
+  if (result.mfaRequired) {
+    return {
+      success: true,
+      message: result.enrollmentRequired
+        ? "Two-factor authentication must be set up to continue."
+        : "Two-factor authentication code required.",
+      mfaRequired: true,
+      enrollmentRequired: Boolean(result.enrollmentRequired),
+      mfaToken: result.mfaToken,
+    };
+  }
+
+  return {
+    success: true,
+    message: "Login successful.",
+    user: user.toJSON(),
+    token: result.accessToken,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+  };
+};
@@ -0,0 +1,73 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import createSmtpTransport from "./transports/smtpTransport.js";
+import createFileTransport from "./transports/fileTransport.js";
+import createConsoleTransport from "./transports/consoleTransport.js";
+
+// Get current directory (ES6 modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mailer abstraction
+ * How: Picks a transport from MAIL_TRANSPORT ("smtp", "file" or "console") the first time mail is sent
+ * Why: Controllers only call sendMail, so local development and tests work without a mail server
+ * Note: Only development and test fall back to "console"; production must set "smtp" or "file"
+ */
+let transport = null;
+
+const PRODUCTION_TRANSPORTS = ["smtp", "file"];
+
+// Refuse to start in production without a real mail transport
+// Why: The console transport would write reset and verification tokens to the server log
+export const assertMailConfig = () => {
+  if (process.env.NODE_ENV !== "production") return;
+
+  if (!PRODUCTION_TRANSPORTS.includes(process.env.MAIL_TRANSPORT)) {
+    throw new Error(
+      'MAIL_TRANSPORT must be set to "smtp" or "file" in production.'
+    );
+  }
+};
+
+const createTransportFromEnv = () => {
+  assertMailConfig();
+  const type = process.env.MAIL_TRANSPORT || "console";
+
+  switch (type) {
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({
+        directory:
+          process.env.MAIL_FILE_DIR || path.join(__dirname, "../../../tmp/mail"),
+      });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+  }
+};
+
+// Replace the active transport (e.g. with an in-memory one in tests)
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = createTransportFromEnv();
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "Novanector <no-reply@novanector.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
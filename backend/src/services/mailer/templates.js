@@ -0,0 +1,30 @@
+// Email templates for account flows; each returns { subject, text, html }
+
+const getAppUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const verificationEmail = (user, token) => {
+  const link = `${getAppUrl()}/verify-email?token=${token}`;
+
+  return {
+    subject: "Verify your Novanector email address",
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours. If you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email address</a></p><p>This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`,
+  };
+};
+
+export const passwordResetEmail = (user, token) => {
+  const link = `${getAppUrl()}/reset-password?token=${token}`;
+
+  return {
+    subject: "Reset your Novanector password",
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`,
+  };
+};
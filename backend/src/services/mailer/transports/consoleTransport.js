@@ -0,0 +1,13 @@
+// Print messages to the console instead of delivering them (local development default)
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log("📧 Outgoing email");
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+export default createConsoleTransport;
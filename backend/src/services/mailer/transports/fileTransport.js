@@ -0,0 +1,22 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Write each message as a JSON file so tests and developers can inspect what was "sent"
+const createFileTransport = ({ directory }) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+
+    return { messageId, filePath };
+  },
+});
+
+export default createFileTransport;
@@ -0,0 +1,77 @@
+import Auth from "../../models/authModel.js";
+import Notification, {
+  MANDATORY_NOTIFICATION_TYPES,
+} from "../../models/notificationModel.js";
+import {
+  attachNotificationSocket,
+  disconnectUser,
+  pushToUser,
+  CLOSE_CODES,
+} from "./socketServer.js";
+
+export { NOTIFICATION_SOCKET_PATH } from "./socketServer.js";
+
+export const countUnread = (userId) =>
+  Notification.countDocuments({ user: userId, readAt: null });
+
+// Whether the user's preferences let a notification of this type through
+const isMuted = (user, type) =>
+  !MANDATORY_NOTIFICATION_TYPES.includes(type) &&
+  (user.notificationPreferences?.mutedTypes || []).includes(type);
+
+/**
+ * Store a notification in the user's inbox and push it to their open sockets
+ * How: Muted types are dropped; with realtime pushes turned off the notification is only stored
+ * Why: Notifications are a side effect, so failures are logged instead of failing the request
+ *      that caused them
+ */
+export const notify = async (userId, { type, title, body, link, data }) => {
+  try {
+    const user = await Auth.findById(userId, "notificationPreferences");
+    if (!user || isMuted(user, type)) return null;
+
+    const notification = await Notification.create({
+      user: userId,
+      type,
+      title,
+      body,
+      link,
+      data,
+    });
+
+    if (user.notificationPreferences?.realtime !== false) {
+      pushToUser(userId, {
+        type: "notification",
+        notification,
+        unreadCount: await countUnread(userId),
+      });
+    }
+    return notification;
+  } catch (error) {
+    console.error("Error sending notification:", error);
+    return null;
+  }
+};
+
+// Tell a deleted user's open sockets why they are being closed
+// Note: The inbox is kept so a restored account gets it back; the account purge removes it
+export const notifyAccountDeleted = async (userId) => {
+  disconnectUser(userId, CLOSE_CODES.accountDeleted, "Account deleted", {
+    type: "account_deleted",
+    message: "Your account has been deleted.",
+  });
+};
+
+// Serve the notification WebSocket on the HTTP server (called by index.js)
+export const attachNotifications = (server) =>
+  attachNotificationSocket(server, {
+    onReady: async (user) => ({ unreadCount: await countUnread(user._id) }),
+  });
+
+// Keep the badge of the user's other tabs in sync after they read notifications
+export const pushUnreadCount = async (userId) => {
+  pushToUser(userId, {
+    type: "unread_count",
+    unreadCount: await countUnread(userId),
+  });
+};
@@ -0,0 +1,176 @@
+import { WebSocketServer, WebSocket } from "ws";
+import {
+  isSessionActive,
+  resolveAccessToken,
+} from "../../middleware/authMiddleware.js";
+
+export const NOTIFICATION_SOCKET_PATH = "/ws/notifications";
+
+// Close codes sent to clients (4000-4999 are free for applications)
+export const CLOSE_CODES = {
+  unauthorized: 4401,
+  authTimeout: 4408,
+  sessionEnded: 4001,
+  accountDeleted: 4003,
+};
+
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Open, authenticated sockets per user id (one user can have several tabs/devices)
+const connections = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const register = (userId, socket) => {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+};
+
+const unregister = (userId, socket) => {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) connections.delete(userId);
+};
+
+// Send a message to every open socket of a user; returns how many received it
+export const pushToUser = (userId, message) => {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) return 0;
+
+  for (const socket of sockets) send(socket, message);
+  return sockets.size;
+};
+
+// Send a final message to every socket of a user and close them
+export const disconnectUser = (userId, code, reason, message) => {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) return;
+
+  for (const socket of sockets) {
+    if (message) send(socket, message);
+    socket.close(code, reason);
+  }
+};
+
+const parseMessage = (data) => {
+  try {
+    return JSON.parse(data.toString());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Authenticate a new socket
+ * How: The client's first message must be { type: "auth", token } with an access token
+ *      (browsers cannot set an Authorization header on WebSockets, and a token in the URL
+ *      would end up in access logs); unauthenticated sockets are closed after AUTH_TIMEOUT_MS
+ */
+const handleConnection = (socket, { onReady }) => {
+  socket.isAlive = true;
+  socket.on("pong", () => {
+    socket.isAlive = true;
+  });
+
+  const authTimer = setTimeout(() => {
+    socket.close(CLOSE_CODES.authTimeout, "Authentication timed out");
+  }, AUTH_TIMEOUT_MS);
+
+  socket.once("message", async (data) => {
+    clearTimeout(authTimer);
+
+    const message = parseMessage(data);
+    if (message?.type !== "auth" || typeof message.token !== "string") {
+      return socket.close(CLOSE_CODES.unauthorized, "Authentication required");
+    }
+
+    try {
+      const resolved = await resolveAccessToken(message.token);
+      if (!resolved) {
+        return socket.close(CLOSE_CODES.unauthorized, "Invalid token");
+      }
+
+      // The client may have gone away while the token was checked, and a socket
+      // registered after its close event would never be removed
+      if (socket.readyState !== WebSocket.OPEN) return;
+
+      const userId = resolved.user._id.toString();
+      socket.userId = userId;
+      socket.sessionId = resolved.payload.sid;
+      register(userId, socket);
+      socket.on("close", () => unregister(userId, socket));
+
+      send(socket, { type: "ready", ...(await onReady(resolved.user)) });
+    } catch (error) {
+      console.error("Error authenticating notification socket:", error);
+      socket.close(1011, "Internal server error");
+    }
+  });
+
+  socket.on("close", () => clearTimeout(authTimer));
+  socket.on("error", (error) => {
+    console.error("Notification socket error:", error);
+  });
+};
+
+// Drop sockets that stopped answering pings or whose session was logged out or revoked
+const checkSockets = async (wss) => {
+  for (const socket of wss.clients) {
+    if (!socket.isAlive) {
+      socket.terminate();
+      continue;
+    }
+    socket.isAlive = false;
+    socket.ping();
+
+    if (socket.sessionId) {
+      try {
+        if (!(await isSessionActive(socket.sessionId))) {
+          socket.close(CLOSE_CODES.sessionEnded, "Session has ended");
+        }
+      } catch (error) {
+        console.error("Error checking notification socket session:", error);
+      }
+    }
+  }
+};
+
+/**
+ * Serve the notification WebSocket on an existing HTTP server
+ * How: Takes over upgrade requests for NOTIFICATION_SOCKET_PATH only; `onReady(user)` returns
+ *      extra fields for the "ready" message (e.g. the unread count)
+ * Note: Connections are tracked in memory, so with several instances a user only receives
+ *       pushes from the instance their socket is connected to
+ */
+export const attachNotificationSocket = (
+  server,
+  { onReady = () => ({}) } = {}
+) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== NOTIFICATION_SOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, req);
+    });
+  });
+
+  wss.on("connection", (socket) => handleConnection(socket, { onReady }));
+
+  const heartbeat = setInterval(() => checkSockets(wss), HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
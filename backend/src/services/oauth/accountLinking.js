@@ -0,0 +1,126 @@
+import Auth from "../../models/authModel.js";
+import { HttpError } from "../../utils/httpError.js";
+import { isValidImageUrl } from "../../config/multer.js";
+
+// Derive a free username (3-20 characters, schema limits) from the provider profile
+const generateUsername = async (profile) => {
+  const source = profile.name || profile.email?.split("@")[0] || "user";
+  let base = source.replace(/[^a-zA-Z0-9_]/g, "").substring(0, 14);
+  if (base.length < 3) base = `user${base}`;
+
+  let candidate = base;
+  // Usernames of deleted accounts stay reserved until they are purged
+  while (
+    await Auth.exists({ username: candidate }).setOptions({ withDeleted: true })
+  ) {
+    candidate = `${base}${Math.floor(100000 + Math.random() * 900000)}`;
+  }
+  return candidate;
+};
+
+const toIdentity = (providerId, profile) => ({
+  provider: providerId,
+  subject: profile.subject,
+  email: profile.email,
+  linkedAt: new Date(),
+});
+
+// Refuse sign-in to a deleted account (it keeps its identities and email until purged)
+const assertNotDeleted = (user) => {
+  if (user.isDeleted()) {
+    throw new HttpError(
+      403,
+      "This account has been deleted.",
+      "ACCOUNT_DELETED"
+    );
+  }
+};
+
+/**
+ * Resolve the account for a provider sign-in
+ * How: 1. an account already linked to this provider identity
+ *      2. an existing account with the same email, linked only when both sides verified it
+ *      3. a new password-less account
+ * Why: Linking on unverified emails would let anyone take over an account by
+ *      registering the victim's address at a provider (or locally) first
+ */
+export const findOrCreateFederatedUser = async (providerId, profile) => {
+  const linked = await Auth.findOne({
+    identities: {
+      $elemMatch: { provider: providerId, subject: profile.subject },
+    },
+  }).setOptions({ withDeleted: true });
+  if (linked) {
+    assertNotDeleted(linked);
+    return { user: linked, created: false };
+  }
+
+  if (!profile.email) {
+    throw new HttpError(
+      400,
+      "The identity provider did not share an email address.",
+      "OAUTH_EMAIL_REQUIRED"
+    );
+  }
+
+  const existing = await Auth.findOne({ email: profile.email }).setOptions({
+    withDeleted: true,
+  });
+  if (existing) {
+    assertNotDeleted(existing);
+    if (!profile.emailVerified || !existing.emailVerified) {
+      throw new HttpError(
+        409,
+        "An account with this email already exists. Sign in with your password and link the provider from your account settings.",
+        "OAUTH_ACCOUNT_EXISTS"
+      );
+    }
+
+    existing.identities.push(toIdentity(providerId, profile));
+    await existing.save();
+    return { user: existing, created: false };
+  }
+
+  const user = new Auth({
+    username: await generateUsername(profile),
+    email: profile.email,
+    identities: [toIdentity(providerId, profile)],
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : null,
+    ...(profile.picture &&
+      isValidImageUrl(profile.picture) && { profilePicture: profile.picture }),
+  });
+  await user.save();
+
+  return { user, created: true };
+};
+
+// Attach a provider identity to a signed-in user's account
+export const linkIdentity = async (userId, providerId, profile) => {
+  const owner = await Auth.findOne({
+    identities: {
+      $elemMatch: { provider: providerId, subject: profile.subject },
+    },
+  }).setOptions({ withDeleted: true });
+  if (owner && owner._id.toString() !== userId.toString()) {
+    throw new HttpError(
+      409,
+      "This provider account is already linked to another user.",
+      "OAUTH_IDENTITY_IN_USE"
+    );
+  }
+
+  const user = await Auth.findById(userId);
+  if (!user) throw new HttpError(404, "User not found.");
+
+  if (!owner) {
+    // Replace any earlier identity from the same provider
+    user.identities = user.identities.filter(
+      (identity) => identity.provider !== providerId
+    );
+    user.identities.push(toIdentity(providerId, profile));
+    await user.save();
+  }
+
+  return user;
+};
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { HttpError } from "../../utils/httpError.js";
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Discovery documents and key sets, cached per issuer / URL for the life of the process
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+// PKCE (RFC 7636) verifier and its S256 challenge
+export const createPkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+export const createRandomToken = () => base64Url(crypto.randomBytes(24));
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new HttpError(
+      502,
+      `Identity provider request failed (${response.status}).`,
+      "OAUTH_PROVIDER_ERROR"
+    );
+  }
+  return body;
+};
+
+const discover = async (issuer) => {
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    discoveryCache.set(issuer, await fetchJson(url));
+  }
+  return discoveryCache.get(issuer);
+};
+
+// Resolve endpoints from discovery (OIDC) with explicit configuration taking precedence
+const resolveEndpoints = async (provider) => {
+  const discovered = provider.issuer ? await discover(provider.issuer) : {};
+
+  return {
+    authorizationUrl:
+      provider.authorizationUrl || discovered.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovered.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovered.userinfo_endpoint,
+    jwksUri: discovered.jwks_uri,
+    issuer: discovered.issuer || provider.issuer,
+  };
+};
+
+// Build the URL the browser is redirected to for the authorization-code + PKCE flow
+export const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge }
+) => {
+  const { authorizationUrl } = await resolveEndpoints(provider);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes.join(" "),
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (provider.type === "oidc") params.set("nonce", nonce);
+
+  return `${authorizationUrl}?${params.toString()}`;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((key) => key.kid === kid) || (!kid && keys[0]);
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+
+  // Unknown kid: the provider may have rotated its keys, so refetch once
+  if (!jwk) {
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new HttpError(
+      401,
+      "Identity token signed with an unknown key.",
+      "OAUTH_INVALID_ID_TOKEN"
+    );
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const verifyIdToken = async (idToken, provider, endpoints, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new HttpError(
+      401,
+      "Malformed identity token.",
+      "OAUTH_INVALID_ID_TOKEN"
+    );
+  }
+
+  const key = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+      issuer: endpoints.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw new HttpError(
+      401,
+      `Identity token rejected: ${error.message}`,
+      "OAUTH_INVALID_ID_TOKEN"
+    );
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new HttpError(
+      401,
+      "Identity token nonce mismatch.",
+      "OAUTH_INVALID_ID_TOKEN"
+    );
+  }
+  return claims;
+};
+
+// GitHub only returns a public email on /user; the verified primary one comes from /user/emails
+const fetchGithubEmail = async (provider, accessToken) => {
+  const emails = await fetchJson(provider.emailsUrl, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const primary = (emails || []).find((entry) => entry.primary);
+  return primary
+    ? { email: primary.email, emailVerified: Boolean(primary.verified) }
+    : {};
+};
+
+/**
+ * Exchange an authorization code and return a normalized profile
+ * Returns: { subject, email, emailVerified, name, picture }
+ */
+export const fetchProfile = async (provider, { code, codeVerifier, nonce }) => {
+  const endpoints = await resolveEndpoints(provider);
+
+  const tokens = await fetchJson(endpoints.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens?.access_token) {
+    throw new HttpError(
+      401,
+      tokens?.error_description || "Authorization code was rejected.",
+      "OAUTH_CODE_REJECTED"
+    );
+  }
+
+  let claims = {};
+  if (provider.type === "oidc") {
+    if (!tokens.id_token) {
+      throw new HttpError(
+        401,
+        "Identity provider did not return an ID token.",
+        "OAUTH_INVALID_ID_TOKEN"
+      );
+    }
+    claims = await verifyIdToken(tokens.id_token, provider, endpoints, nonce);
+  }
+
+  // Fill in anything the ID token did not carry from the userinfo endpoint
+  if (endpoints.userinfoUrl && (!claims.sub || !claims.email)) {
+    const userinfo = await fetchJson(endpoints.userinfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    claims = { ...userinfo, ...claims };
+  }
+
+  const profile = {
+    subject: String(claims.sub ?? claims.id ?? ""),
+    email: claims.email?.toLowerCase() || null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name || claims.login || claims.preferred_username || null,
+    picture: claims.picture || claims.avatar_url || null,
+  };
+
+  if (provider.emailsUrl) {
+    const { email, emailVerified } = await fetchGithubEmail(
+      provider,
+      tokens.access_token
+    );
+    if (email) {
+      profile.email = email.toLowerCase();
+      profile.emailVerified = emailVerified;
+    }
+  }
+
+  if (!profile.subject) {
+    throw new HttpError(
+      502,
+      "Identity provider did not return a user id.",
+      "OAUTH_PROVIDER_ERROR"
+    );
+  }
+  return profile;
+};
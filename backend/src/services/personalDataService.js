@@ -0,0 +1,223 @@
+import { ZipArchive } from "archiver";
+import Auth from "../models/authModel.js";
+import Session from "../models/sessionModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import AuthToken from "../models/authTokenModel.js";
+import Enrollment from "../models/enrollmentModel.js";
+import QuizAttempt from "../models/quizAttemptModel.js";
+import Submission from "../models/submissionModel.js";
+import Certificate from "../models/certificateModel.js";
+import Notification from "../models/notificationModel.js";
+import LoginAttempt from "../models/loginAttemptModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply from "../models/forumReplyModel.js";
+import { removeStoredFiles, resolveStoredKey } from "./storage/index.js";
+import { recordAudit } from "./auditService.js";
+import { getPurgeIntervalMinutes } from "../config/accounts.js";
+
+// Other users' ids and moderation details are left out of exported forum posts
+const FORUM_POST_EXPORT = "-upvotes -reports -hiddenBy -bodyHtml -__v";
+
+/**
+ * Records that belong to a user account
+ * How: `filter` selects the user's documents. `exportSelect` is the projection used by the
+ *      data export (false leaves the collection out, e.g. token hashes), `purge: false` keeps
+ *      the documents when the account is erased and `getFileKeys` lists their uploads
+ * Why: The export and the purge read the same table, so a feature that stores per-user data
+ *      only has to add its entry here
+ */
+export const personalDataSources = [
+  {
+    name: "sessions",
+    model: Session,
+    filter: (user) => ({ user: user._id }),
+    exportSelect: "-__v",
+  },
+  {
+    name: "refreshTokens",
+    model: RefreshToken,
+    filter: (user) => ({ user: user._id }),
+    exportSelect: false,
+  },
+  {
+    name: "authTokens",
+    model: AuthToken,
+    filter: (user) => ({ user: user._id }),
+    exportSelect: false,
+  },
+  {
+    name: "enrollments",
+    model: Enrollment,
+    filter: (user) => ({ student: user._id }),
+    exportSelect: "-__v",
+  },
+  {
+    name: "quizAttempts",
+    model: QuizAttempt,
+    filter: (user) => ({ student: user._id }),
+    exportSelect: "-__v",
+  },
+  {
+    name: "submissions",
+    model: Submission,
+    filter: (user) => ({ student: user._id }),
+    exportSelect: "-__v",
+    getFileKeys: (doc) => (doc.files || []).map((file) => file.key),
+  },
+  {
+    name: "certificates",
+    model: Certificate,
+    filter: (user) => ({ student: user._id }),
+    exportSelect: "-__v",
+  },
+  {
+    name: "notifications",
+    model: Notification,
+    filter: (user) => ({ user: user._id }),
+    exportSelect: "-__v",
+  },
+  {
+    name: "loginAttempts",
+    model: LoginAttempt,
+    // Failed attempts against an unknown email only store the address
+    filter: (user) => ({ $or: [{ user: user._id }, { email: user.email }] }),
+    exportSelect: "-__v",
+  },
+  // Posts stay in the course discussions after the account is erased
+  {
+    name: "forumThreads",
+    model: ForumThread,
+    filter: (user) => ({ author: user._id }),
+    exportSelect: FORUM_POST_EXPORT,
+    purge: false,
+  },
+  {
+    name: "forumReplies",
+    model: ForumReply,
+    filter: (user) => ({ author: user._id }),
+    exportSelect: FORUM_POST_EXPORT,
+    purge: false,
+  },
+];
+
+// Storage keys of a user's uploaded picture and all of its processed variants
+export const getProfilePictureKeys = (user) => [
+  resolveStoredKey(user.profilePictureKey, user.profilePicture),
+  ...(user.profilePictureVariants || []).map((variant) => variant.key),
+];
+
+/**
+ * Everything stored about a user, for the "download my data" export
+ * How: The profile as the API returns it plus one array per exportable source; uploaded files
+ *      are included as the URLs they are served from
+ */
+export const collectPersonalData = async (user) => {
+  const data = { exportedAt: new Date(), profile: user.toJSON() };
+
+  for (const source of personalDataSources) {
+    if (source.exportSelect === false) continue;
+
+    data[source.name] = await source.model
+      .find(source.filter(user))
+      .select(source.exportSelect)
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  return data;
+};
+
+/**
+ * ZIP archive of an export: manifest.json plus one JSON file per section (profile.json,
+ * enrollments.json, ...)
+ * How: Returns the archive stream; the caller pipes it to the response
+ */
+export const createPersonalDataArchive = (data) => {
+  const { exportedAt, ...sections } = data;
+  const files = Object.keys(sections).map((name) => `${name}.json`);
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+
+  archive.append(JSON.stringify({ exportedAt, files }, null, 2), {
+    name: "manifest.json",
+  });
+  for (const [name, value] of Object.entries(sections)) {
+    archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+  }
+
+  archive.finalize();
+  return archive;
+};
+
+/**
+ * Erase a deleted account for good
+ * How: Removes the user's uploads and per-user records (see personalDataSources), then the
+ *      account itself. The audit log keeps its entries until they expire
+ */
+export const purgeAccount = async (user) => {
+  const fileKeys = getProfilePictureKeys(user);
+
+  for (const source of personalDataSources) {
+    if (source.purge === false) continue;
+
+    const filter = source.filter(user);
+    if (source.getFileKeys) {
+      const docs = await source.model.find(filter).lean();
+      fileKeys.push(...docs.flatMap(source.getFileKeys));
+    }
+    await source.model.deleteMany(filter);
+  }
+
+  await Auth.deleteOne({ _id: user._id });
+  await removeStoredFiles(fileKeys);
+
+  await recordAudit(null, {
+    action: "user.purge",
+    actor: null,
+    target: user,
+    metadata: { deletedAt: user.deletedAt, deletedBy: user.deletedBy },
+  });
+};
+
+/**
+ * Purge every deleted account whose grace period is over
+ * How: A failure is logged and the account is retried on the next run; `dryRun` only lists
+ *      the accounts that are due
+ */
+export const purgeDeletedAccounts = async ({ dryRun = false } = {}) => {
+  const due = await Auth.find({
+    deletedAt: { $ne: null },
+    purgeAfter: { $lte: new Date() },
+  });
+
+  const purged = [];
+  for (const user of due) {
+    try {
+      if (!dryRun) await purgeAccount(user);
+      purged.push(user);
+    } catch (error) {
+      console.error(`Error purging account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+// Run the purge periodically in the server process (called by index.js)
+// Why: unref() so a pending run never keeps the process alive on shutdown
+export const scheduleAccountPurge = () => {
+  const minutes = getPurgeIntervalMinutes();
+  if (minutes === 0) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeDeletedAccounts();
+      if (purged.length > 0) {
+        console.log(`Purged ${purged.length} deleted account(s).`);
+      }
+    } catch (error) {
+      console.error("Error purging deleted accounts:", error);
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,83 @@
+/**
+ * Learning progress for an enrollment
+ * How: Percentages are computed from the course's current lessons on every read, so adding or
+ *      removing lessons never leaves a stale value behind; completions of deleted lessons are ignored
+ */
+const getCompletedSet = (enrollment) =>
+  new Set(enrollment.completedLessons.map((entry) => entry.lesson.toString()));
+
+export const calculateProgress = (enrollment, course) => {
+  const lessonIds = course.getLessonIds();
+  const completed = getCompletedSet(enrollment);
+  const completedCount = lessonIds.filter((id) => completed.has(id)).length;
+
+  return {
+    completedLessons: completedCount,
+    totalLessons: lessonIds.length,
+    percentComplete: lessonIds.length
+      ? Math.round((completedCount / lessonIds.length) * 100)
+      : 0,
+    lastAccessedLesson: enrollment.lastAccessedLesson,
+    lastAccessedAt: enrollment.lastAccessedAt,
+  };
+};
+
+// Lesson to continue with: the last opened one unless it is finished, else the next unfinished one
+export const getResumeLessonId = (enrollment, course) => {
+  const lessonIds = course.getLessonIds();
+  const completed = getCompletedSet(enrollment);
+  const lastIndex = lessonIds.indexOf(
+    enrollment.lastAccessedLesson?.toString()
+  );
+
+  if (lastIndex !== -1 && !completed.has(lessonIds[lastIndex])) {
+    return lessonIds[lastIndex];
+  }
+
+  const isOpen = (id) => !completed.has(id);
+  return (
+    lessonIds.slice(lastIndex + 1).find(isOpen) ||
+    lessonIds.find(isOpen) ||
+    null
+  );
+};
+
+// Mark the enrollment completed once every lesson is done (and active again if lessons were added
+// or un-completed); a completion an instructor or admin set by hand stays
+// Returns true when this call completed the course
+export const updateCompletionStatus = (enrollment, course) => {
+  const { completedLessons, totalLessons } = calculateProgress(
+    enrollment,
+    course
+  );
+  const isComplete = totalLessons > 0 && completedLessons === totalLessons;
+
+  if (isComplete && enrollment.status !== "completed") {
+    enrollment.status = "completed";
+    enrollment.completedAt = new Date();
+    enrollment.completionSource = "lessons";
+    return true;
+  }
+  if (
+    !isComplete &&
+    enrollment.status === "completed" &&
+    enrollment.completionSource !== "manual"
+  ) {
+    enrollment.status = "active";
+    enrollment.completedAt = null;
+    enrollment.completionSource = null;
+  }
+  return false;
+};
+
+// Summary of a lesson for "resume" responses
+export const describeLesson = (course, lessonId) => {
+  const found = lessonId && course.findLesson(lessonId);
+  if (!found) return null;
+
+  return {
+    _id: found.lesson._id,
+    title: found.lesson.title,
+    module: { _id: found.module._id, title: found.module.title },
+  };
+};
@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import { CHOICE_TYPES } from "../models/quizModel.js";
+
+/**
+ * Quiz attempts: question order, grading and analytics
+ * How: Grading runs only on the server against the stored answer key; choice questions are
+ *      all-or-nothing (the selected options must match the correct ones exactly)
+ */
+
+// Extra time accepted after expiresAt for requests that were in flight
+export const SUBMIT_GRACE_MS = 30 * 1000;
+
+// Fisher-Yates shuffle (returns a new array)
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Question and option order for a new attempt
+export const buildQuestionOrder = (quiz) => {
+  const questions = quiz.shuffleQuestions
+    ? shuffle(quiz.questions)
+    : quiz.questions;
+
+  return questions.map((question) => {
+    const optionIds = question.options.map((option) => option._id);
+    return {
+      question: question._id,
+      options: quiz.shuffleOptions ? shuffle(optionIds) : optionIds,
+    };
+  });
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, " ");
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Whether a response answers the question correctly
+const isCorrectResponse = (question, response) => {
+  if (response === null || response === undefined) return false;
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const selected = new Set([response].flat().map(String));
+    const correct = question.options
+      .filter((option) => option.isCorrect)
+      .map((option) => option._id.toString());
+    return (
+      selected.size === correct.length &&
+      correct.every((optionId) => selected.has(optionId))
+    );
+  }
+
+  switch (question.type) {
+    case "true_false":
+      return String(response) === String(question.correctBoolean);
+    case "short_answer": {
+      const answer = normalizeText(response, question.caseSensitive);
+      return question.acceptedAnswers.some(
+        (accepted) => normalizeText(accepted, question.caseSensitive) === answer
+      );
+    }
+    case "numeric": {
+      const value = response === "" ? NaN : Number(response);
+      return (
+        Number.isFinite(value) &&
+        // Small epsilon so 0.1 + 0.2 style rounding does not fail a tolerance of 0
+        Math.abs(value - question.correctNumber) <= question.tolerance + 1e-9
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Grade an attempt
+ * How: Only questions that were part of the attempt are graded; unanswered questions score 0.
+ *      Pass an empty list to close an attempt without accepting answers (e.g. after the time limit)
+ */
+export const gradeAttempt = (quiz, attempt, responses) => {
+  const responseByQuestion = new Map(
+    responses.map((entry) => [entry.question, entry.answer])
+  );
+
+  attempt.answers = attempt.questionOrder
+    .map(({ question: questionId }) => quiz.questions.id(questionId))
+    .filter(Boolean)
+    .map((question) => {
+      const response =
+        responseByQuestion.get(question._id.toString()) ?? null;
+      const isCorrect = isCorrectResponse(question, response);
+      return {
+        question: question._id,
+        response,
+        isCorrect,
+        pointsAwarded: isCorrect ? question.points : 0,
+      };
+    });
+
+  const maxScore = attempt.questionOrder.reduce(
+    (sum, { question }) => sum + (quiz.questions.id(question)?.points ?? 0),
+    0
+  );
+  const score = attempt.answers.reduce(
+    (sum, answer) => sum + answer.pointsAwarded,
+    0
+  );
+
+  attempt.score = score;
+  attempt.maxScore = maxScore;
+  attempt.percentScore = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  attempt.passed = attempt.percentScore >= quiz.passingScore;
+  attempt.submittedAt = new Date();
+};
+
+export const isAttemptExpired = (attempt, now = Date.now()) =>
+  Boolean(attempt.expiresAt) &&
+  now > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+/**
+ * Per-question statistics over submitted attempts (instructor view)
+ * How: Choice questions also count how often each option was picked, which shows the
+ *      distractors students fall for
+ */
+export const buildQuizAnalytics = (quiz, attempts) => {
+  const graded = attempts.filter(
+    (attempt) => attempt.status !== "in_progress"
+  );
+  const students = new Set(
+    graded.map((attempt) => attempt.student.toString())
+  );
+
+  const questions = quiz.questions.map((question) => {
+    const answers = graded
+      .flatMap((attempt) => attempt.answers)
+      .filter((answer) => answer.question.equals(question._id));
+    const correct = answers.filter((answer) => answer.isCorrect).length;
+    const answered = answers.filter((answer) => answer.response !== null);
+
+    const stats = {
+      _id: question._id,
+      type: question.type,
+      prompt: question.prompt,
+      points: question.points,
+      attempts: answers.length,
+      unanswered: answers.length - answered.length,
+      correctCount: correct,
+      correctRate: answers.length
+        ? Math.round((correct / answers.length) * 100)
+        : null,
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      stats.options = question.options.map((option) => ({
+        _id: option._id,
+        text: option.text,
+        isCorrect: option.isCorrect,
+        selectedCount: answered.filter((answer) =>
+          [answer.response].flat().map(String).includes(option._id.toString())
+        ).length,
+      }));
+    }
+
+    return stats;
+  });
+
+  const percentages = graded.map((attempt) => attempt.percentScore);
+
+  return {
+    totalAttempts: graded.length,
+    totalStudents: students.size,
+    averagePercentScore: percentages.length
+      ? Math.round(
+          percentages.reduce((sum, value) => sum + value, 0) /
+            percentages.length
+        )
+      : null,
+    passRate: graded.length
+      ? Math.round(
+          (graded.filter((attempt) => attempt.passed).length / graded.length) *
+            100
+        )
+      : null,
+    questions,
+  };
+};
@@ -0,0 +1,32 @@
+import createMemoryStore from "./memoryStore.js";
+import createMongoStore from "./mongoStore.js";
+
+/**
+ * Rate limit store selection
+ * How: RATE_LIMIT_STORE picks "memory" (default) or "mongo" the first time a limiter runs
+ * Why: Memory is enough for one instance; several instances must share counters through MongoDB
+ */
+let store = null;
+
+const createStoreFromEnv = () => {
+  const type = process.env.RATE_LIMIT_STORE || "memory";
+
+  switch (type) {
+    case "memory":
+      return createMemoryStore();
+    case "mongo":
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+  }
+};
+
+export const getRateLimitStore = () => {
+  if (!store) store = createStoreFromEnv();
+  return store;
+};
+
+// Replace the active store (e.g. with a fresh memory store in tests)
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
@@ -0,0 +1,42 @@
+import RateLimit from "../../models/rateLimitModel.js";
+
+/**
+ * MongoDB-backed fixed-window counter store
+ * How: A single upsert with an update pipeline either increments the current window or starts a new one
+ * Why: Counters stay consistent across several server instances without a read-modify-write race
+ */
+const createMongoStore = () => ({
+  name: "mongo",
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const windowActive = { $gt: ["$resetAt", now] };
+
+    const entry = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: {
+              $cond: [windowActive, { $add: ["$count", 1] }, 1],
+            },
+            resetAt: {
+              $cond: [
+                windowActive,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  },
+  reset: async (key) => {
+    await RateLimit.deleteOne({ key });
+  },
+});
+
+export default createMongoStore;
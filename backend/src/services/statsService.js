@@ -0,0 +1,238 @@
+import Auth from "../models/authModel.js";
+import LoginAttempt from "../models/loginAttemptModel.js";
+import Session from "../models/sessionModel.js";
+import Course from "../models/courseModel.js";
+import Enrollment from "../models/enrollmentModel.js";
+import Quiz from "../models/quizModel.js";
+import QuizAttempt from "../models/quizAttemptModel.js";
+import Assignment from "../models/assignmentModel.js";
+import Submission from "../models/submissionModel.js";
+import Certificate from "../models/certificateModel.js";
+import ForumThread from "../models/forumThreadModel.js";
+import ForumReply from "../models/forumReplyModel.js";
+import Notification from "../models/notificationModel.js";
+
+export const GRANULARITIES = ["day", "week", "month"];
+
+// Longest series a single request may ask for (e.g. ~2.7 years of days)
+export const MAX_BUCKETS = 1000;
+
+/**
+ * Time series available under /api/admin/stats/series/:series
+ * How: Each entry counts documents of `model` by the date in `dateField` (optionally filtered by
+ *      `match`); with `distinct` it counts distinct values of that field instead (active users)
+ * Note: Login series only reach back 90 days, the retention of LoginAttempt
+ */
+export const SERIES = {
+  signups: { model: Auth, dateField: "createdAt" },
+  logins: {
+    model: LoginAttempt,
+    dateField: "createdAt",
+    match: { success: true },
+  },
+  failedLogins: {
+    model: LoginAttempt,
+    dateField: "createdAt",
+    match: { success: false },
+  },
+  activeUsers: {
+    model: LoginAttempt,
+    dateField: "createdAt",
+    match: { success: true },
+    distinct: "user",
+  },
+  enrollments: { model: Enrollment, dateField: "createdAt" },
+  courseCompletions: {
+    model: Enrollment,
+    dateField: "completedAt",
+    match: { status: "completed" },
+  },
+  quizAttempts: {
+    model: QuizAttempt,
+    dateField: "submittedAt",
+    match: { status: "submitted" },
+  },
+  submissions: { model: Submission, dateField: "submittedAt" },
+  certificates: { model: Certificate, dateField: "createdAt" },
+  forumThreads: { model: ForumThread, dateField: "createdAt" },
+  forumReplies: { model: ForumReply, dateField: "createdAt" },
+};
+
+// Totals shown by the overview; add new collections here as the server grows
+// Note: Every entry is `{ model, match? }`; a bare model cannot be told apart from an
+//       entry because mongoose models have a static `model()` method
+const COUNTED_COLLECTIONS = {
+  users: { model: Auth },
+  activeSessions: {
+    model: Session,
+    match: () => ({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+  },
+  courses: { model: Course },
+  enrollments: { model: Enrollment },
+  quizzes: { model: Quiz },
+  quizAttempts: { model: QuizAttempt },
+  assignments: { model: Assignment },
+  submissions: { model: Submission },
+  certificates: { model: Certificate, match: () => ({ status: "valid" }) },
+  forumThreads: { model: ForumThread },
+  forumReplies: { model: ForumReply },
+  notifications: { model: Notification },
+};
+
+const DEFAULT_PROFILE_PICTURE = Auth.schema.path("profilePicture").defaultValue;
+
+/**
+ * Distributions available under /api/admin/stats/breakdowns/:breakdown
+ * How: `group` is the $group key expression; the result lists every value with its count
+ */
+export const BREAKDOWNS = {
+  roles: { model: Auth, group: "$role" },
+  // Default picture, an uploaded one or one taken from an identity provider
+  profilePictures: {
+    model: Auth,
+    group: {
+      $switch: {
+        branches: [
+          { case: { $ne: ["$profilePictureKey", null] }, then: "uploaded" },
+          {
+            case: { $eq: ["$profilePicture", DEFAULT_PROFILE_PICTURE] },
+            then: "default",
+          },
+        ],
+        default: "external",
+      },
+    },
+  },
+  emailVerification: {
+    model: Auth,
+    group: { $cond: ["$emailVerified", "verified", "unverified"] },
+  },
+  twoFactor: {
+    model: Auth,
+    group: { $cond: ["$twoFactor.enabled", "enabled", "disabled"] },
+  },
+  courseStatuses: { model: Course, group: "$status" },
+  enrollmentStatuses: { model: Enrollment, group: "$status" },
+};
+
+// Start of the UTC day, ISO week (Monday) or month containing `date`
+export const truncateDate = (date, granularity) => {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (granularity === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  if (granularity === "month") start.setUTCDate(1);
+  return start;
+};
+
+const nextBucket = (date, granularity) => {
+  const next = new Date(date);
+  if (granularity === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (granularity === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (granularity === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Start dates of every bucket between `from` and `to` (both inclusive), at most MAX_BUCKETS
+export const listBuckets = (from, to, granularity) => {
+  const buckets = [];
+  for (
+    let bucket = truncateDate(from, granularity);
+    bucket <= to && buckets.length < MAX_BUCKETS;
+    bucket = nextBucket(bucket, granularity)
+  ) {
+    buckets.push(bucket);
+  }
+  return buckets;
+};
+
+// Whether the range needs more buckets than listBuckets returns
+export const exceedsMaxBuckets = (from, to, granularity) => {
+  const buckets = listBuckets(from, to, granularity);
+  return (
+    buckets.length === MAX_BUCKETS &&
+    nextBucket(buckets.at(-1), granularity) <= to
+  );
+};
+
+/**
+ * Count a series per day, week or month
+ * How: $dateTrunc groups in MongoDB (UTC, weeks start on Monday); buckets without documents are
+ *      filled with 0 so charts get a continuous axis
+ */
+export const getSeries = async (name, { from, to, granularity }) => {
+  const { model, dateField, match = {}, distinct } = SERIES[name];
+  const period = {
+    $dateTrunc: {
+      date: `$${dateField}`,
+      unit: granularity,
+      startOfWeek: "monday",
+    },
+  };
+
+  const rows = await model.aggregate([
+    { $match: { ...match, [dateField]: { $gte: from, $lte: to } } },
+    distinct
+      ? { $group: { _id: period, values: { $addToSet: `$${distinct}` } } }
+      : { $group: { _id: period, count: { $sum: 1 } } },
+  ]);
+
+  const counts = new Map(
+    rows.map((row) => [
+      row._id.getTime(),
+      distinct ? row.values.filter(Boolean).length : row.count,
+    ])
+  );
+  const points = listBuckets(from, to, granularity).map((bucket) => ({
+    period: bucket.toISOString(),
+    count: counts.get(bucket.getTime()) || 0,
+  }));
+
+  return {
+    series: name,
+    granularity,
+    from,
+    to,
+    // Sum of the buckets (for activeUsers a user active in two buckets counts twice)
+    total: points.reduce((sum, point) => sum + point.count, 0),
+    points,
+  };
+};
+
+// Distribution of a breakdown, optionally limited to documents created between `from` and `to`
+export const getBreakdown = async (name, { from, to } = {}) => {
+  const { model, group } = BREAKDOWNS[name];
+
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lte = to;
+
+  const rows = await model.aggregate([
+    { $match: from || to ? { createdAt } : {} },
+    { $group: { _id: group, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+
+  return {
+    breakdown: name,
+    from: from ?? null,
+    to: to ?? null,
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    values: rows.map((row) => ({ value: row._id ?? "none", count: row.count })),
+  };
+};
+
+// Totals of every collection in COUNTED_COLLECTIONS
+export const getCollectionCounts = async () => {
+  const entries = await Promise.all(
+    Object.entries(COUNTED_COLLECTIONS).map(
+      async ([name, { model, match }]) => [
+        name,
+        await model.countDocuments(match ? match() : {}),
+      ]
+    )
+  );
+  return Object.fromEntries(entries);
+};
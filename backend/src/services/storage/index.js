@@ -0,0 +1,93 @@
+import path from "path";
+import express from "express";
+import { fileURLToPath } from "url";
+import createLocalDriver from "./localDriver.js";
+import createMemoryDriver from "./memoryDriver.js";
+import createS3Driver from "./s3Driver.js";
+
+// Get current directory (ES6 modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Upload storage selection
+ * How: STORAGE_DRIVER picks "local" (default, UPLOADS_DIR), "s3" (S3_* settings) or "memory"
+ *      the first time storage is used. Every driver exposes put/delete/list/getUrl/keyFromUrl.
+ * Why: Controllers store keys and stable URLs without knowing where the bytes live
+ */
+let storage = null;
+
+const createStorageFromEnv = () => {
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  switch (driver) {
+    case "local":
+      return createLocalDriver({
+        root:
+          process.env.UPLOADS_DIR || path.join(__dirname, "../../../uploads"),
+      });
+    case "s3":
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+      });
+    case "memory":
+      return createMemoryDriver();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+export const getStorage = () => {
+  if (!storage) storage = createStorageFromEnv();
+  return storage;
+};
+
+// Replace the active driver (e.g. with a memory driver in tests)
+export const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+// Delete a stored file without failing the request that triggered it
+export const removeStoredFile = async (key) => {
+  if (!key) return;
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
+export const removeStoredFiles = async (keys) => {
+  const unique = [...new Set(keys.filter(Boolean))];
+  await Promise.all(unique.map(removeStoredFile));
+};
+
+// Key of a stored file, falling back to the URL for documents saved before keys were recorded
+export const resolveStoredKey = (key, url) =>
+  key || getStorage().keyFromUrl(url) || null;
+
+// Middleware serving /uploads for drivers that keep files on this server
+export const createUploadsHandler = () => {
+  const current = getStorage();
+
+  if (current.name === "local") {
+    return express.static(current.root);
+  }
+
+  if (current.name === "memory") {
+    return async (req, res, next) => {
+      const file = await current.get(decodeURIComponent(req.path.slice(1)));
+      if (!file) return next();
+      res.type(file.contentType).send(file.buffer);
+    };
+  }
+
+  // Object storage serves its own files
+  return (req, res, next) => next();
+};
@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import path from "path";
+import { getPublicBaseUrl, keyFromUploadsUrl } from "./publicUrl.js";
+
+// Files on the local disk, served by express.static under /uploads
+const createLocalDriver = ({ root }) => {
+  // Resolve a key inside the root directory, refusing "../" escapes
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const walk = async (directory) => {
+    const entries = await fs
+      .readdir(directory, { withFileTypes: true })
+      .catch(() => []);
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(fullPath)));
+      } else {
+        const stats = await fs.stat(fullPath);
+        files.push({
+          key: path.relative(root, fullPath).split(path.sep).join("/"),
+          size: stats.size,
+          lastModified: stats.mtime,
+        });
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: "local",
+    root,
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${getPublicBaseUrl()}/uploads/${key}` };
+    },
+    delete: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    list: async (prefix = "") =>
+      (await walk(path.resolve(root, prefix))).filter((file) =>
+        file.key.startsWith(prefix)
+      ),
+    getUrl: (key) => `${getPublicBaseUrl()}/uploads/${key}`,
+    keyFromUrl: keyFromUploadsUrl,
+  };
+};
+
+export default createLocalDriver;
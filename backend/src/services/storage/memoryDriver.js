@@ -0,0 +1,34 @@
+import { getPublicBaseUrl, keyFromUploadsUrl } from "./publicUrl.js";
+
+// Files kept in process memory (tests and throwaway environments); served under /uploads
+const createMemoryDriver = () => {
+  const files = new Map();
+
+  return {
+    name: "memory",
+    put: async (key, buffer, { contentType } = {}) => {
+      files.set(key, {
+        buffer: Buffer.from(buffer),
+        contentType: contentType || "application/octet-stream",
+        lastModified: new Date(),
+      });
+      return { key, url: `${getPublicBaseUrl()}/uploads/${key}` };
+    },
+    get: async (key) => files.get(key) || null,
+    delete: async (key) => {
+      files.delete(key);
+    },
+    list: async (prefix = "") =>
+      [...files.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, file]) => ({
+          key,
+          size: file.buffer.length,
+          lastModified: file.lastModified,
+        })),
+    getUrl: (key) => `${getPublicBaseUrl()}/uploads/${key}`,
+    keyFromUrl: keyFromUploadsUrl,
+  };
+};
+
+export default createMemoryDriver;
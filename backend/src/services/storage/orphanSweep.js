@@ -0,0 +1,101 @@
+import Auth from "../../models/authModel.js";
+import Course from "../../models/courseModel.js";
+import Submission from "../../models/submissionModel.js";
+import { getStorage } from "./index.js";
+
+/**
+ * Collections that reference stored files
+ * How: Each source names a model, the fields to load and how to read storage keys from a
+ *      document; features that store uploads add their own entry here
+ */
+export const referenceSources = [
+  {
+    model: Auth,
+    projection: {
+      profilePictureKey: 1,
+      profilePicture: 1,
+      "profilePictureVariants.key": 1,
+    },
+    // Older documents only stored the URL, so the key is recovered from it
+    getKeys: (doc, storage) => [
+      doc.profilePictureKey,
+      storage.keyFromUrl(doc.profilePicture),
+      ...(doc.profilePictureVariants || []).map((variant) => variant.key),
+    ],
+  },
+  {
+    model: Course,
+    projection: {
+      coverImageKey: 1,
+      coverImage: 1,
+      "coverImageVariants.key": 1,
+      "modules.lessons.attachments.key": 1,
+    },
+    getKeys: (doc, storage) => [
+      doc.coverImageKey,
+      storage.keyFromUrl(doc.coverImage),
+      ...(doc.coverImageVariants || []).map((variant) => variant.key),
+      ...(doc.modules || []).flatMap((module) =>
+        (module.lessons || []).flatMap((lesson) =>
+          (lesson.attachments || []).map((attachment) => attachment.key)
+        )
+      ),
+    ],
+  },
+  {
+    model: Submission,
+    projection: { "files.key": 1 },
+    getKeys: (doc) => (doc.files || []).map((file) => file.key),
+  },
+];
+
+// Every storage key still referenced by a document
+const collectReferencedKeys = async () => {
+  const storage = getStorage();
+  const referenced = new Set();
+
+  for (const { model, projection, getKeys } of referenceSources) {
+    // withDeleted: pictures of deleted accounts are kept until the account is purged
+    const cursor = model
+      .find({}, projection)
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      getKeys(doc, storage)
+        .filter(Boolean)
+        .forEach((key) => referenced.add(key));
+    }
+  }
+
+  return referenced;
+};
+
+/**
+ * Delete stored files no document references any more
+ * Why: Files younger than `graceMs` are kept so uploads of in-flight requests are not removed
+ */
+export const sweepOrphanedUploads = async ({
+  prefix = "",
+  graceMs = 60 * 60 * 1000,
+  dryRun = false,
+} = {}) => {
+  const storage = getStorage();
+  const referenced = await collectReferencedKeys();
+  const cutoff = Date.now() - graceMs;
+
+  const orphans = (await storage.list(prefix)).filter(
+    (file) =>
+      !referenced.has(file.key) &&
+      new Date(file.lastModified).getTime() < cutoff
+  );
+
+  if (!dryRun) {
+    for (const file of orphans) {
+      await storage.delete(file.key);
+    }
+  }
+
+  return orphans.map((file) => file.key);
+};
@@ -0,0 +1,19 @@
+// Base URL clients use to reach this server, independent of the Host header of any request
+export const getPublicBaseUrl = () =>
+  (
+    process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+  ).replace(/\/$/, "");
+
+// Key of a file served by this server under /uploads, taken from a stored URL
+// Why: Older documents only stored the URL, built from whatever host served the upload request
+export const keyFromUploadsUrl = (url) => {
+  if (!url) return null;
+  try {
+    const { pathname } = new URL(url);
+    return pathname.startsWith("/uploads/")
+      ? decodeURIComponent(pathname.slice("/uploads/".length))
+      : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,86 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...)
+ * How: `endpoint` + `forcePathStyle` point the SDK at self-hosted servers such as a local MinIO;
+ *      files are served straight from the bucket via `publicUrl`
+ */
+const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+}) => {
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && {
+      credentials: { accessKeyId, secretAccessKey },
+    }),
+  });
+
+  const baseUrl = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    list: async (prefix = "") => {
+      const files = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken,
+          })
+        );
+        for (const object of page.Contents || []) {
+          files.push({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+          });
+        }
+        ContinuationToken = page.IsTruncated
+          ? page.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+
+      return files;
+    },
+    getUrl: (key) => `${baseUrl}/${key}`,
+    keyFromUrl: (url) =>
+      url?.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null,
+  };
+};
+
+export default createS3Driver;
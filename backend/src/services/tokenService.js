@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Auth from "../models/authModel.js";
+import Session from "../models/sessionModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import {
+  getJwtSecret,
+  getAccessTokenTtl,
+  getRefreshTokenTtlDays,
+} from "../config/jwt.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  getClientIp,
+  getUserAgent,
+  describeDevice,
+} from "../utils/requestInfo.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign a short-lived access token bound to a session
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      sid: sessionId,
+    },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+// Create and store a new refresh token for a session
+const createRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    session: session._id,
+    user: session.user,
+    expiresAt: session.expiresAt,
+  });
+
+  return token;
+};
+
+const buildTokenPair = async (user, session) => ({
+  accessToken: signAccessToken(user, session._id),
+  refreshToken: await createRefreshToken(session),
+  expiresIn: getAccessTokenTtl(),
+  sessionId: session._id,
+});
+
+/**
+ * Start a new session for a user who just proved their identity
+ * How: Records the device/IP, then issues an access token and the first refresh token of the family
+ */
+export const issueSession = async (user, req) => {
+  const userAgent = getUserAgent(req);
+
+  const session = await Session.create({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: getClientIp(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * DAY_IN_MS),
+  });
+
+  return buildTokenPair(user, session);
+};
+
+export const revokeSession = async (sessionId, reason = "revoked") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+export const revokeAllSessions = async (userId, reason = "logout_all") =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// End every session of a user except the one making the request
+export const revokeOtherSessions = async (userId, keepSessionId, reason) =>
+  Session.updateMany(
+    { user: userId, _id: { $ne: keepSessionId }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Find the session a (possibly already used) refresh token belongs to
+export const findSessionByRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return null;
+  return Session.findById(stored.session);
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * How: Atomically marks the presented token as used and issues its successor in the same session.
+ *      A token that was already used means it leaked, so the whole family is revoked.
+ */
+export const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await revokeSession(reused.session, "reuse_detected");
+      throw new HttpError(
+        401,
+        "Refresh token has already been used. All tokens for this session were revoked.",
+        "REFRESH_TOKEN_REUSED"
+      );
+    }
+    throw new HttpError(401, "Invalid refresh token.", "INVALID_REFRESH_TOKEN");
+  }
+
+  const session = await Session.findById(stored.session);
+  if (!session || !session.isActive()) {
+    throw new HttpError(401, "Session has ended.", "SESSION_REVOKED");
+  }
+
+  const user = await Auth.findById(stored.user);
+  if (!user) {
+    await revokeSession(session._id);
+    throw new HttpError(401, "User for this session no longer exists.");
+  }
+
+  session.lastUsedAt = new Date();
+  session.ip = getClientIp(req);
+  await session.save();
+
+  return { user, ...(await buildTokenPair(user, session)) };
+};
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Auth from "../models/authModel.js";
+import SecuritySetting from "../models/securitySettingModel.js";
+import { getJwtSecret } from "../config/jwt.js";
+import { hashToken } from "./tokenService.js";
+import { verifyTotp } from "../utils/totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_TOKEN_TTL = "5m";
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) =>
+  hashToken(String(code).trim().toLowerCase());
+
+// Whether sign-in for this role requires two-factor authentication
+export const isTwoFactorRequired = async (role) => {
+  const settings = await SecuritySetting.getGlobal();
+  return settings.requireTwoFactorRoles.includes(role);
+};
+
+/**
+ * Short-lived token proving the password step succeeded
+ * How: Carries type "mfa_pending" so it is never accepted as an access token;
+ *      `enroll` marks users who must set up 2FA before they receive a session
+ */
+export const signMfaToken = (user, { enroll = false } = {}) =>
+  jwt.sign(
+    { userId: user._id, type: "mfa_pending", enroll },
+    getJwtSecret(),
+    { expiresIn: MFA_TOKEN_TTL }
+  );
+
+// Returns the token payload, or null when it is invalid, expired or of another type
+export const verifyMfaToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload.type === "mfa_pending" ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled
+ * How: Both checks are single conditional updates, so a TOTP step or recovery code
+ *      can be used only once even under concurrent requests
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled) return false;
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const result = await Auth.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": codeHash },
+      { $pull: { "twoFactor.recoveryCodes": codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await Auth.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { "twoFactor.lastUsedStep": step }
+  );
+  return result.modifiedCount === 1;
+};
@@ -0,0 +1,26 @@
+// Quote a CSV field when needed and defuse spreadsheet formulas ("=", "+", "-", "@" prefixes)
+// Why: Exported values can contain user input that Excel would otherwise evaluate
+const escapeField = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from objects; `columns` picks and orders the keys (header row included)
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(escapeField).join(","))
+    .join("\r\n") + "\r\n";
+
+// Send a CSV download
+export const sendCsv = (res, filename, csv) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  return res.status(200).send(csv);
+};
@@ -0,0 +1,4 @@
+// Escape user input for use inside a RegExp / MongoDB $regex
+// Why: Unescaped input allows invalid patterns and catastrophic backtracking (ReDoS)
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
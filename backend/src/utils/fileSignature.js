@@ -0,0 +1,53 @@
+// Detect a file's real type from its leading "magic" bytes instead of trusting the client
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const signatures = [
+  {
+    mime: "image/jpeg",
+    ext: ".jpg",
+    test: (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mime: "image/png",
+    ext: ".png",
+    test: (b) =>
+      startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mime: "image/gif",
+    ext: ".gif",
+    // "GIF8" (GIF87a / GIF89a)
+    test: (b) => startsWith(b, [0x47, 0x49, 0x46, 0x38]),
+  },
+  {
+    mime: "image/webp",
+    ext: ".webp",
+    // "RIFF" <size> "WEBP"
+    test: (b) =>
+      startsWith(b, [0x52, 0x49, 0x46, 0x46]) &&
+      startsWith(b, [0x57, 0x45, 0x42, 0x50], 8),
+  },
+  {
+    mime: "image/tiff",
+    ext: ".tiff",
+    // Little endian "II*\0" or big endian "MM\0*"
+    test: (b) =>
+      startsWith(b, [0x49, 0x49, 0x2a, 0x00]) ||
+      startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    mime: "image/bmp",
+    ext: ".bmp",
+    test: (b) => startsWith(b, [0x42, 0x4d]),
+  },
+];
+
+// Returns { mime, ext } or null when the content matches no known image format
+export const detectImageType = (buffer) => {
+  if (!buffer) return null;
+  const match = signatures.find((signature) => signature.test(buffer));
+  return match ? { mime: match.mime, ext: match.ext } : null;
+};
@@ -0,0 +1,44 @@
+// Error carrying an HTTP status and machine readable code
+// Why: Lets services fail with a specific response while controllers stay in charge of res.json
+export class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Send an HttpError in the standard { success, message, error } envelope
+export const sendHttpError = (res, error) =>
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.code && { error: error.code }),
+  });
+
+// Log an unexpected error and send a generic 500 (`action` completes "Error ...")
+export const sendInternalError = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: "Internal server error.",
+  });
+};
+
+// Send the standard validation error envelope:
+// { success: false, message: "Validation error.", errors: [{ field, location, message }] }
+export const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error.",
+    errors,
+  });
+
+// Field-level details of a mongoose ValidationError, in the same shape as request validation
+export const mongooseValidationDetails = (error) =>
+  Object.values(error.errors).map((err) => ({
+    field: err.path,
+    location: "body",
+    message: err.message,
+  }));
@@ -0,0 +1,35 @@
+// Helpers for describing where a request came from (used for sessions and auditing)
+
+// Client IP address as seen by Express (honours "trust proxy" when configured)
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+
+export const getUserAgent = (req) => req.get("user-agent") || "";
+
+// Build a short human readable label such as "Chrome on Windows"
+export const describeDevice = (userAgent = "") => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["curl", /^curl\//],
+  ];
+  const systems = [
+    ["Windows", /Windows/],
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser) return browser[0];
+  if (system) return system[0];
+  return "Unknown device";
+};
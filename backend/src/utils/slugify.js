@@ -0,0 +1,10 @@
+// URL-friendly slug from free text ("Intro to C++ & Go!" -> "intro-to-c-go")
+export const slugify = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 80)
+    .replace(/-+$/, "");
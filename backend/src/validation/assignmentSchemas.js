@@ -0,0 +1,116 @@
+import { z } from "zod";
+import { ASSIGNMENT_STATUSES } from "../models/assignmentModel.js";
+import { objectId, pagination } from "./common.js";
+import { courseRefSchema } from "./courseSchemas.js";
+
+// Request schemas for routes/assignmentRoutes.js
+
+const assignmentParams = courseRefSchema.params.extend({
+  assignmentId: objectId("assignment ID"),
+});
+
+const title = z
+  .string({ error: "Title is required." })
+  .trim()
+  .min(1, { error: "Title is required." })
+  .max(120);
+
+const dueAt = z.coerce.date({ error: "Due date must be a valid date." });
+
+const percentage = z.number().min(0).max(100);
+
+// `_id` keeps an existing criterion (and the grades given for it)
+const criterion = z.object({
+  _id: objectId("criterion ID").optional(),
+  title: z
+    .string()
+    .trim()
+    .min(1, { error: "Criterion title is required." })
+    .max(120),
+  description: z.string().trim().max(1000).optional(),
+  maxPoints: z.number({ error: "maxPoints is required." }).min(0).max(1000),
+});
+
+const rubric = z
+  .array(criterion)
+  .min(1, { error: "An assignment needs at least one rubric criterion." })
+  .max(30);
+
+const assignmentFields = {
+  instructions: z.string().max(20000).optional(),
+  lesson: objectId("lesson ID").nullable().optional(),
+  allowLateSubmissions: z.boolean().optional(),
+  latePenaltyPerDay: percentage.optional(),
+  maxLatePenalty: percentage.optional(),
+  status: z
+    .enum(ASSIGNMENT_STATUSES, {
+      error: `Status must be one of: ${ASSIGNMENT_STATUSES.join(", ")}.`,
+    })
+    .optional(),
+};
+
+export const createAssignmentSchema = {
+  params: courseRefSchema.params,
+  body: z.object({ title, dueAt, rubric, ...assignmentFields }),
+};
+
+export const updateAssignmentSchema = {
+  params: assignmentParams,
+  body: z.object({
+    title: title.optional(),
+    dueAt: dueAt.optional(),
+    rubric: rubric.optional(),
+    ...assignmentFields,
+  }),
+};
+
+export const assignmentRefSchema = {
+  params: assignmentParams,
+};
+
+// Multipart form: the files themselves are handled by uploadSubmissionFiles
+export const submitAssignmentSchema = {
+  params: assignmentParams,
+  body: z.object({
+    comment: z.string().trim().max(2000).optional(),
+  }),
+};
+
+export const listSubmissionsSchema = {
+  params: assignmentParams,
+  query: z.object({
+    ...pagination(20),
+    status: z
+      .enum(["submitted", "graded"], {
+        error: "Status must be 'submitted' or 'graded'.",
+      })
+      .optional(),
+  }),
+};
+
+export const gradeSubmissionSchema = {
+  params: assignmentParams.extend({
+    submissionId: objectId("submission ID"),
+  }),
+  body: z.object({
+    rubricScores: z
+      .array(
+        z.object({
+          criterion: objectId("criterion ID"),
+          points: z.number({ error: "Points must be a number." }).min(0),
+          comment: z.string().trim().max(2000).optional(),
+        })
+      )
+      .min(1, { error: "Score at least one rubric criterion." }),
+    feedback: z.string().trim().max(5000).optional(),
+    // Grade a late submission without deducting the late penalty
+    waiveLatePenalty: z.boolean().default(false),
+  }),
+};
+
+export const myGradesSchema = {
+  query: z.object({
+    ...pagination(20),
+    course: objectId("course ID").optional(),
+  }),
+};
@@ -0,0 +1,35 @@
+import { z } from "zod";
+import { AUDIT_ACTIONS } from "../models/auditLogModel.js";
+import { objectId, pagination } from "./common.js";
+
+// Request schemas for the audit log route in routes/adminRoutes.js
+
+export const listAuditLogSchema = {
+  query: z
+    .object({
+      ...pagination(50),
+      // One action or a comma separated list ("user.login,user.login_failed")
+      action: z
+        .string()
+        .transform((value) => value.split(",").map((action) => action.trim()))
+        .pipe(
+          z.array(
+            z.enum(AUDIT_ACTIONS, {
+              error: `Action must be one of: ${AUDIT_ACTIONS.join(", ")}.`,
+            })
+          )
+        )
+        .optional(),
+      actor: objectId("actor ID").optional(),
+      target: objectId("target ID").optional(),
+      // Entries where the user is either the actor or the target
+      user: objectId("user ID").optional(),
+      ip: z.string().trim().max(64).optional(),
+      from: z.coerce.date({ error: "From must be a valid date." }).optional(),
+      to: z.coerce.date({ error: "To must be a valid date." }).optional(),
+    })
+    .refine(({ from, to }) => !from || !to || from <= to, {
+      path: ["from"],
+      message: "From must be before to.",
+    }),
+};
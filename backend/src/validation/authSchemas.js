@@ -0,0 +1,209 @@
+import { z } from "zod";
+import {
+  booleanString,
+  email,
+  objectId,
+  pagination,
+  password,
+  role,
+  searchText,
+  token,
+  totpCode,
+  username,
+} from "./common.js";
+
+// Request schemas for routes/authRoutes.js, grouped by route
+
+const userIdParams = z.object({ userId: objectId("user ID") });
+
+export const registerSchema = {
+  body: z.object({
+    username,
+    email,
+    password,
+    role: role.optional(),
+  }),
+};
+
+export const loginSchema = {
+  body: z.object({
+    email,
+    password: z
+      .string({ error: "Password is required." })
+      .min(1, { error: "Password is required." })
+      .max(128),
+  }),
+};
+
+export const twoFactorLoginSchema = {
+  body: z
+    .object({
+      mfaToken: token("MFA token"),
+      code: totpCode.optional(),
+      recoveryCode: z.string().trim().max(32).optional(),
+    })
+    .refine((body) => body.code || body.recoveryCode, {
+      message: "An authentication code or recovery code is required.",
+      path: ["code"],
+    }),
+};
+
+export const verifyEmailSchema = {
+  body: z.object({ token: token("Verification token") }),
+};
+
+export const emailOnlySchema = {
+  body: z.object({ email }),
+};
+
+export const resetPasswordSchema = {
+  body: z.object({ token: token(), password }),
+};
+
+export const changePasswordSchema = {
+  body: z
+    .object({
+      // Left out by accounts that only sign in through an identity provider
+      currentPassword: z.string().max(128).optional(),
+      newPassword: password,
+    })
+    .refine((body) => body.newPassword !== body.currentPassword, {
+      message: "New password must be different from the current password.",
+      path: ["newPassword"],
+    }),
+};
+
+export const refreshTokenSchema = {
+  body: z.object({ refreshToken: token("Refresh token") }),
+};
+
+export const logoutSchema = {
+  body: z.object({ refreshToken: token("Refresh token").optional() }),
+};
+
+export const sessionIdSchema = {
+  params: z.object({ sessionId: objectId("session ID") }),
+};
+
+const providerParams = z.object({
+  provider: z
+    .string()
+    .regex(/^[a-z0-9_-]{1,32}$/, { error: "Invalid provider." }),
+});
+
+export const oauthStartSchema = {
+  params: providerParams,
+  query: z.object({ redirectTo: z.url().max(2048).optional() }),
+};
+
+export const oauthLinkSchema = {
+  params: providerParams,
+  body: z.object({ redirectTo: z.url().max(2048).optional() }),
+};
+
+export const oauthCallbackSchema = {
+  params: providerParams,
+  query: z.object({
+    code: z.string().max(2048).optional(),
+    state: z.string().max(256).optional(),
+    error: z.string().max(256).optional(),
+  }),
+};
+
+export const oauthProviderSchema = {
+  params: providerParams,
+};
+
+export const twoFactorCodeSchema = {
+  body: z.object({ code: totpCode }),
+};
+
+export const disableTwoFactorSchema = {
+  body: z
+    .object({
+      password: z.string({ error: "Password is required." }).min(1).max(128),
+      code: totpCode.optional(),
+      recoveryCode: z.string().trim().max(32).optional(),
+    })
+    .refine((body) => body.code || body.recoveryCode, {
+      message: "An authentication code or recovery code is required.",
+      path: ["code"],
+    }),
+};
+
+export const twoFactorPolicySchema = {
+  body: z.object({
+    requireTwoFactorRoles: z.array(role, {
+      error: "requireTwoFactorRoles must be an array of roles.",
+    }),
+  }),
+};
+
+export const listUsersSchema = {
+  query: z.object({
+    ...pagination(10),
+    role: role.optional(),
+    search: searchText.optional(),
+    // Deleted accounts waiting to be purged instead of active ones
+    deleted: booleanString.default(false),
+  }),
+};
+
+export const userIdSchema = {
+  params: userIdParams,
+};
+
+export const exportUserDataSchema = {
+  params: userIdParams,
+  query: z.object({
+    format: z
+      .enum(["json", "zip"], { error: "Format must be 'json' or 'zip'." })
+      .default("json"),
+  }),
+};
+
+export const updateUserSchema = {
+  body: z.object({
+    username: username.optional(),
+    email: email.optional(),
+    role: role.optional(),
+  }),
+};
+
+export const availabilitySchema = {
+  params: userIdParams,
+  query: z.object({
+    username: username.optional(),
+    email: email.optional(),
+  }),
+};
+
+export const loginAttemptsSchema = {
+  query: z.object({
+    ...pagination(20),
+    email: z.string().trim().toLowerCase().max(254).optional(),
+    ip: z.string().trim().max(64).optional(),
+    success: booleanString.optional(),
+    reason: z
+      .enum([
+        "success",
+        "unknown_email",
+        "invalid_password",
+        "invalid_mfa_code",
+        "account_locked",
+        "rate_limited",
+      ])
+      .optional(),
+  }),
+};
+
+export const targetedAccountsSchema = {
+  query: z.object({
+    hours: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(24 * 30)
+      .default(24),
+  }),
+};
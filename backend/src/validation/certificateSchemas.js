@@ -0,0 +1,25 @@
+import { z } from "zod";
+import { CERTIFICATE_ID_PATTERN } from "../models/certificateModel.js";
+
+// Request schemas for routes/certificateRoutes.js
+
+export const certificateRefSchema = {
+  params: z.object({
+    certificateId: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .regex(CERTIFICATE_ID_PATTERN, { error: "Invalid certificate ID." }),
+  }),
+};
+
+export const revokeCertificateSchema = {
+  params: certificateRefSchema.params,
+  body: z.object({
+    reason: z
+      .string({ error: "A reason is required." })
+      .trim()
+      .min(1, { error: "A reason is required." })
+      .max(500),
+  }),
+};
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { z } from "zod";
+
+/**
+ * Building blocks shared by the route schemas
+ * Why: Rules such as password length or page size live in one place instead of every controller
+ */
+export const ROLES = ["admin", "instructor", "student"];
+
+export const MAX_PAGE_SIZE = 100;
+
+export const objectId = (label = "ID") =>
+  z
+    .string()
+    .refine((value) => mongoose.Types.ObjectId.isValid(value), {
+      message: `Invalid ${label}.`,
+    });
+
+export const email = z
+  .string({ error: "Email is required." })
+  .trim()
+  .toLowerCase()
+  .pipe(z.email({ error: "Please provide a valid email address." }));
+
+export const password = z
+  .string({ error: "Password is required." })
+  .min(9, { error: "Password must be at least 9 characters long." })
+  .max(128, { error: "Password must be at most 128 characters long." });
+
+export const username = z
+  .string({ error: "Username is required." })
+  .trim()
+  .min(3, { error: "Username must be at least 3 characters long." })
+  .max(20, { error: "Username must be at most 20 characters long." });
+
+export const role = z.enum(ROLES, {
+  error: `Role must be one of: ${ROLES.join(", ")}.`,
+});
+
+export const token = (label = "Token") =>
+  z
+    .string({ error: `${label} is required.` })
+    .trim()
+    .min(1, { error: `${label} is required.` })
+    .max(2048);
+
+export const totpCode = z
+  .string()
+  .trim()
+  .regex(/^\d{6}$/, { error: "Authentication code must be 6 digits." });
+
+// Query string booleans ("true" / "false")
+export const booleanString = z
+  .enum(["true", "false"], { error: "Must be 'true' or 'false'." })
+  .transform((value) => value === "true");
+
+// Search text; escaped by controllers before it is used in a $regex
+export const searchText = z.string().trim().max(100);
+
+/**
+ * Pagination query parameters
+ * How: `page` must be a positive integer; `limit` is coerced and capped at MAX_PAGE_SIZE
+ */
+export const pagination = (defaultLimit = 10) => ({
+  page: z.coerce
+    .number({ error: "Page must be a number." })
+    .int({ error: "Page must be a whole number." })
+    .min(1, { error: "Page must be at least 1." })
+    .default(1),
+  limit: z.coerce
+    .number({ error: "Limit must be a number." })
+    .int({ error: "Limit must be a whole number." })
+    .min(1, { error: "Limit must be at least 1." })
+    .default(defaultLimit)
+    .transform((value) => Math.min(value, MAX_PAGE_SIZE)),
+});
@@ -0,0 +1,183 @@
+import { z } from "zod";
+import { COURSE_LEVELS, COURSE_STATUSES } from "../models/courseModel.js";
+import {
+  booleanString,
+  objectId,
+  pagination,
+  searchText,
+} from "./common.js";
+
+// Request schemas for routes/courseRoutes.js
+// Note: Create/update bodies may arrive as multipart form data, so numbers and lists are coerced
+
+const MAX_TAGS = 20;
+
+const title = z
+  .string({ error: "Title is required." })
+  .trim()
+  .min(3, { error: "Title must be at least 3 characters long." })
+  .max(120, { error: "Title must be at most 120 characters long." });
+
+const slug = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, {
+    error: "Slug may only contain lowercase letters, numbers and dashes.",
+  })
+  .max(80);
+
+// Accepts ["a", "b"] (JSON) as well as "a, b" (form field)
+const tags = z.preprocess(
+  (value) => (typeof value === "string" ? value.split(",") : value),
+  z
+    .array(z.string().trim().toLowerCase().max(30))
+    .transform((values) => [...new Set(values.filter(Boolean))])
+    .refine((values) => values.length <= MAX_TAGS, {
+      message: `A course can have at most ${MAX_TAGS} tags.`,
+    })
+);
+
+const price = z.coerce
+  .number({ error: "Price must be a number." })
+  .min(0, { error: "Price cannot be negative." })
+  .max(100000);
+
+const level = z.enum(COURSE_LEVELS, {
+  error: `Level must be one of: ${COURSE_LEVELS.join(", ")}.`,
+});
+
+const status = z.enum(COURSE_STATUSES, {
+  error: `Status must be one of: ${COURSE_STATUSES.join(", ")}.`,
+});
+
+const courseFields = {
+  slug: slug.optional(),
+  description: z.string().trim().max(5000).optional(),
+  category: z.string().trim().toLowerCase().min(1).max(50).optional(),
+  tags: tags.optional(),
+  price: price.optional(),
+  level: level.optional(),
+  status: status.optional(),
+  instructor: objectId("instructor ID").optional(),
+};
+
+// Course routes accept an id or a slug
+const courseId = z.string().trim().min(1).max(100);
+
+export const courseRefSchema = {
+  params: z.object({ courseId }),
+};
+
+export const createCourseSchema = {
+  body: z.object({ title, ...courseFields }),
+};
+
+export const updateCourseSchema = {
+  params: courseRefSchema.params,
+  body: z.object({ title: title.optional(), ...courseFields }),
+};
+
+export const listCoursesSchema = {
+  query: z
+    .object({
+      ...pagination(12),
+      search: searchText.optional(),
+      category: z.string().trim().toLowerCase().max(50).optional(),
+      tag: z.string().trim().toLowerCase().max(30).optional(),
+      level: level.optional(),
+      instructor: objectId("instructor ID").optional(),
+      minPrice: price.optional(),
+      maxPrice: price.optional(),
+      // Honoured for admins and for `mine=true`; everyone else only sees published courses
+      status: status.optional(),
+      mine: booleanString.optional(),
+      sort: z
+        .enum(["newest", "oldest", "price_asc", "price_desc", "title"])
+        .default("newest"),
+    })
+    .refine(
+      (query) =>
+        query.minPrice === undefined ||
+        query.maxPrice === undefined ||
+        query.minPrice <= query.maxPrice,
+      { message: "minPrice cannot exceed maxPrice.", path: ["minPrice"] }
+    ),
+};
+
+// Modules and lessons
+
+const moduleParams = z.object({ courseId, moduleId: objectId("module ID") });
+const lessonParams = z.object({ courseId, lessonId: objectId("lesson ID") });
+
+// Zero-based target index inside the module list / lesson list
+const position = z.coerce
+  .number({ error: "Position must be a number." })
+  .int()
+  .min(0, { error: "Position cannot be negative." });
+
+const moduleTitle = z
+  .string({ error: "Title is required." })
+  .trim()
+  .min(1, { error: "Title is required." })
+  .max(120, { error: "Title must be at most 120 characters long." });
+
+const moduleFields = {
+  description: z.string().trim().max(2000).optional(),
+  position: position.optional(),
+};
+
+// An empty string removes the video
+const videoUrl = z
+  .union([
+    z.literal(""),
+    z.url({
+      protocol: /^https?$/,
+      error: "Video URL must be an http(s) URL.",
+    }),
+  ])
+  .transform((value) => value || null);
+
+const lessonFields = {
+  videoUrl: videoUrl.optional(),
+  content: z.string().max(50000).optional(),
+  durationMinutes: z.coerce.number().min(0).max(10000).optional(),
+  position: position.optional(),
+};
+
+export const createModuleSchema = {
+  params: courseRefSchema.params,
+  body: z.object({ title: moduleTitle, ...moduleFields }),
+};
+
+export const updateModuleSchema = {
+  params: moduleParams,
+  body: z.object({ title: moduleTitle.optional(), ...moduleFields }),
+};
+
+export const moduleRefSchema = {
+  params: moduleParams,
+};
+
+export const createLessonSchema = {
+  params: moduleParams,
+  body: z.object({ title: moduleTitle, ...lessonFields }),
+};
+
+export const updateLessonSchema = {
+  params: lessonParams,
+  body: z.object({
+    title: moduleTitle.optional(),
+    ...lessonFields,
+    // Move the lesson to another module of the same course
+    moduleId: objectId("module ID").optional(),
+  }),
+};
+
+export const lessonRefSchema = {
+  params: lessonParams,
+};
+
+export const attachmentRefSchema = {
+  params: lessonParams.extend({ attachmentId: objectId("attachment ID") }),
+};
@@ -0,0 +1,31 @@
+import { z } from "zod";
+import { objectId, pagination } from "./common.js";
+import { courseRefSchema } from "./courseSchemas.js";
+
+// Request schemas for enrollment routes (routes/courseRoutes.js and routes/enrollmentRoutes.js)
+
+const status = z.enum(["active", "completed"], {
+  error: "Status must be 'active' or 'completed'.",
+});
+
+export const rosterSchema = {
+  params: courseRefSchema.params,
+  query: z.object({
+    ...pagination(20),
+    status: status.optional(),
+  }),
+};
+
+export const myEnrollmentsSchema = {
+  query: z.object({
+    ...pagination(20),
+    status: status.optional(),
+  }),
+};
+
+// An instructor marks a student's course as completed (issues the certificate)
+export const completeEnrollmentSchema = {
+  params: courseRefSchema.params.extend({
+    studentId: objectId("student ID"),
+  }),
+};
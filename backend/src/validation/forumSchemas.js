@@ -0,0 +1,153 @@
+import { z } from "zod";
+import { FORUM_THREAD_SORTS } from "../models/forumThreadModel.js";
+import { objectId, pagination, searchText } from "./common.js";
+import { courseRefSchema } from "./courseSchemas.js";
+
+// Request schemas for routes/forumRoutes.js
+
+const boardParams = courseRefSchema.params.extend({
+  boardId: objectId("board ID"),
+});
+
+const threadParams = courseRefSchema.params.extend({
+  threadId: objectId("thread ID"),
+});
+
+const replyParams = courseRefSchema.params.extend({
+  replyId: objectId("reply ID"),
+});
+
+const boardTitle = z
+  .string({ error: "Title is required." })
+  .trim()
+  .min(1, { error: "Title is required." })
+  .max(80);
+
+const body = z
+  .string({ error: "Body is required." })
+  .trim()
+  .min(1, { error: "Body is required." })
+  .max(20000);
+
+const reason = z
+  .string({ error: "A reason is required." })
+  .trim()
+  .min(1, { error: "A reason is required." })
+  .max(500);
+
+export const createBoardSchema = {
+  params: courseRefSchema.params,
+  body: z.object({
+    title: boardTitle,
+    description: z.string().trim().max(500).optional(),
+    position: z.number().int().min(0).optional(),
+  }),
+};
+
+export const updateBoardSchema = {
+  params: boardParams,
+  body: z.object({
+    title: boardTitle.optional(),
+    description: z.string().trim().max(500).optional(),
+    position: z.number().int().min(0).optional(),
+  }),
+};
+
+export const boardRefSchema = {
+  params: boardParams,
+};
+
+export const listThreadsSchema = {
+  params: boardParams,
+  query: z.object({
+    ...pagination(20),
+    sort: z
+      .enum(FORUM_THREAD_SORTS, {
+        error: `Sort must be one of: ${FORUM_THREAD_SORTS.join(", ")}.`,
+      })
+      .default("activity"),
+    search: searchText.optional(),
+  }),
+};
+
+export const createThreadSchema = {
+  params: boardParams,
+  body: z.object({
+    title: z
+      .string({ error: "Title is required." })
+      .trim()
+      .min(1, { error: "Title is required." })
+      .max(200),
+    body,
+  }),
+};
+
+// Top-level replies are paginated; each comes with all of its nested replies
+export const getThreadSchema = {
+  params: threadParams,
+  query: z.object({
+    ...pagination(20),
+    sort: z
+      .enum(["oldest", "votes"], { error: "Sort must be 'oldest' or 'votes'." })
+      .default("oldest"),
+  }),
+};
+
+export const threadRefSchema = {
+  params: threadParams,
+};
+
+export const createReplySchema = {
+  params: threadParams,
+  body: z.object({
+    body,
+    // Reply being answered (omit for a top-level reply)
+    parent: objectId("parent reply ID").optional(),
+  }),
+};
+
+export const replyRefSchema = {
+  params: replyParams,
+};
+
+export const markAnswerSchema = {
+  params: threadParams,
+  body: z.object({
+    reply: objectId("reply ID"),
+  }),
+};
+
+export const moderateThreadSchema = {
+  params: threadParams,
+  body: z.object({
+    isPinned: z.boolean().optional(),
+    isLocked: z.boolean().optional(),
+    isHidden: z.boolean().optional(),
+    dismissReports: z.boolean().optional(),
+  }),
+};
+
+export const moderateReplySchema = {
+  params: replyParams,
+  body: z.object({
+    isHidden: z.boolean().optional(),
+    dismissReports: z.boolean().optional(),
+  }),
+};
+
+export const reportThreadSchema = {
+  params: threadParams,
+  body: z.object({ reason }),
+};
+
+export const reportReplySchema = {
+  params: replyParams,
+  body: z.object({ reason }),
+};
+
+export const listReportsSchema = {
+  params: courseRefSchema.params,
+  query: z.object({
+    ...pagination(20),
+  }),
+};
@@ -0,0 +1,39 @@
+import { z } from "zod";
+import {
+  NOTIFICATION_TYPES,
+  MANDATORY_NOTIFICATION_TYPES,
+} from "../models/notificationModel.js";
+import { booleanString, objectId, pagination } from "./common.js";
+
+// Request schemas for routes/notificationRoutes.js
+
+const MUTABLE_TYPES = NOTIFICATION_TYPES.filter(
+  (type) => !MANDATORY_NOTIFICATION_TYPES.includes(type)
+);
+
+export const listNotificationsSchema = {
+  query: z.object({
+    ...pagination(20),
+    unread: booleanString.optional(),
+  }),
+};
+
+export const notificationRefSchema = {
+  params: z.object({
+    notificationId: objectId("notification ID"),
+  }),
+};
+
+export const updatePreferencesSchema = {
+  body: z.object({
+    realtime: z.boolean({ error: "realtime must be a boolean." }).optional(),
+    mutedTypes: z
+      .array(
+        z.enum(MUTABLE_TYPES, {
+          error: `Muted types must be among: ${MUTABLE_TYPES.join(", ")}.`,
+        })
+      )
+      .transform((types) => [...new Set(types)])
+      .optional(),
+  }),
+};
@@ -0,0 +1,164 @@
+import { z } from "zod";
+import { QUIZ_STATUSES } from "../models/quizModel.js";
+import { objectId } from "./common.js";
+import { courseRefSchema } from "./courseSchemas.js";
+
+// Request schemas for routes/quizRoutes.js
+
+const MAX_QUESTIONS = 200;
+const MAX_OPTIONS = 10;
+
+const quizParams = courseRefSchema.params.extend({
+  quizId: objectId("quiz ID"),
+});
+
+const prompt = z
+  .string({ error: "Prompt is required." })
+  .trim()
+  .min(1, { error: "Prompt is required." })
+  .max(2000);
+
+// Fields shared by every question type; `_id` keeps an existing question (and its analytics)
+const questionBase = {
+  _id: objectId("question ID").optional(),
+  prompt,
+  points: z.number().min(0).max(1000).default(1),
+  explanation: z.string().trim().max(2000).optional(),
+};
+
+const option = z.object({
+  _id: objectId("option ID").optional(),
+  text: z
+    .string()
+    .trim()
+    .min(1, { error: "Option text is required." })
+    .max(500),
+  isCorrect: z.boolean().default(false),
+});
+
+const options = z
+  .array(option)
+  .min(2, { error: "A question needs at least 2 options." })
+  .max(MAX_OPTIONS, {
+    error: `A question can have at most ${MAX_OPTIONS} options.`,
+  });
+
+const countCorrect = (question) =>
+  question.options.filter((entry) => entry.isCorrect).length;
+
+const question = z.discriminatedUnion(
+  "type",
+  [
+    z
+      .object({ ...questionBase, type: z.literal("single_choice"), options })
+      .refine((value) => countCorrect(value) === 1, {
+        message: "Mark exactly one option as correct.",
+        path: ["options"],
+      }),
+    z
+      .object({ ...questionBase, type: z.literal("multiple_choice"), options })
+      .refine((value) => countCorrect(value) >= 1, {
+        message: "Mark at least one option as correct.",
+        path: ["options"],
+      }),
+    z.object({
+      ...questionBase,
+      type: z.literal("true_false"),
+      correctBoolean: z.boolean({ error: "correctBoolean is required." }),
+    }),
+    z.object({
+      ...questionBase,
+      type: z.literal("short_answer"),
+      acceptedAnswers: z
+        .array(z.string().trim().min(1).max(200))
+        .min(1, { error: "Provide at least one accepted answer." })
+        .max(20),
+      caseSensitive: z.boolean().default(false),
+    }),
+    z.object({
+      ...questionBase,
+      type: z.literal("numeric"),
+      correctNumber: z.number({ error: "correctNumber is required." }),
+      tolerance: z.number().min(0).default(0),
+    }),
+  ],
+  {
+    error:
+      "Type must be one of: single_choice, multiple_choice, true_false, short_answer, numeric.",
+  }
+);
+
+const quizFields = {
+  description: z.string().trim().max(2000).optional(),
+  lesson: objectId("lesson ID").nullable().optional(),
+  timeLimitMinutes: z.number().int().min(1).max(600).nullable().optional(),
+  maxAttempts: z.number().int().min(1).max(100).nullable().optional(),
+  passingScore: z.number().min(0).max(100).optional(),
+  shuffleQuestions: z.boolean().optional(),
+  shuffleOptions: z.boolean().optional(),
+  status: z
+    .enum(QUIZ_STATUSES, {
+      error: `Status must be one of: ${QUIZ_STATUSES.join(", ")}.`,
+    })
+    .optional(),
+  questions: z
+    .array(question)
+    .max(MAX_QUESTIONS, {
+      error: `A quiz can have at most ${MAX_QUESTIONS} questions.`,
+    })
+    .optional(),
+};
+
+const title = z
+  .string({ error: "Title is required." })
+  .trim()
+  .min(1, { error: "Title is required." })
+  .max(120);
+
+export const createQuizSchema = {
+  params: courseRefSchema.params,
+  body: z.object({ title, ...quizFields }),
+};
+
+export const updateQuizSchema = {
+  params: quizParams,
+  body: z.object({ title: title.optional(), ...quizFields }),
+};
+
+export const quizRefSchema = {
+  params: quizParams,
+};
+
+export const attemptRefSchema = {
+  params: quizParams.extend({ attemptId: objectId("attempt ID") }),
+};
+
+// Answers are keyed by question id; the expected value depends on the question type:
+// option id (single choice), option ids (multiple choice), boolean, text or number
+export const submitAttemptSchema = {
+  params: attemptRefSchema.params,
+  body: z.object({
+    answers: z
+      .array(
+        z.object({
+          question: objectId("question ID"),
+          answer: z.union([
+            z.string().max(1000),
+            z.array(z.string().max(100)).max(MAX_OPTIONS),
+            z.boolean(),
+            z.number(),
+          ]),
+        })
+      )
+      .max(MAX_QUESTIONS)
+      .default([]),
+  }),
+};
+
+export const listAttemptsSchema = {
+  params: quizParams,
+  query: z.object({
+    // Instructors and admins may look at one student's attempts
+    student: objectId("student ID").optional(),
+  }),
+};
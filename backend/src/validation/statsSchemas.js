@@ -0,0 +1,81 @@
+import { z } from "zod";
+import {
+  SERIES,
+  BREAKDOWNS,
+  GRANULARITIES,
+  MAX_BUCKETS,
+  exceedsMaxBuckets,
+} from "../services/statsService.js";
+
+// Request schemas for routes/adminRoutes.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range shown when `from` is omitted, per granularity
+const DEFAULT_RANGE_DAYS = { day: 30, week: 12 * 7, month: 365 };
+
+const date = (label) =>
+  z.coerce.date({ error: `${label} must be a valid date.` }).optional();
+
+const format = z
+  .enum(["json", "csv"], { error: "Format must be 'json' or 'csv'." })
+  .default("json");
+
+export const statsSeriesSchema = {
+  params: z.object({
+    series: z.enum(Object.keys(SERIES), {
+      error: `Series must be one of: ${Object.keys(SERIES).join(", ")}.`,
+    }),
+  }),
+  query: z
+    .object({
+      from: date("From"),
+      to: date("To"),
+      granularity: z
+        .enum(GRANULARITIES, {
+          error: `Granularity must be one of: ${GRANULARITIES.join(", ")}.`,
+        })
+        .default("day"),
+      format,
+    })
+    .transform((query) => {
+      const to = query.to ?? new Date();
+      const from =
+        query.from ??
+        new Date(to.getTime() - DEFAULT_RANGE_DAYS[query.granularity] * DAY_MS);
+      return { ...query, from, to };
+    })
+    .superRefine(({ from, to, granularity }, ctx) => {
+      if (from > to) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["from"],
+          message: "From must be before to.",
+        });
+      } else if (exceedsMaxBuckets(from, to, granularity)) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["granularity"],
+          message: `The range is too long for this granularity (at most ${MAX_BUCKETS} periods).`,
+        });
+      }
+    }),
+};
+
+export const statsBreakdownSchema = {
+  params: z.object({
+    breakdown: z.enum(Object.keys(BREAKDOWNS), {
+      error: `Breakdown must be one of: ${Object.keys(BREAKDOWNS).join(", ")}.`,
+    }),
+  }),
+  query: z
+    .object({
+      from: date("From"),
+      to: date("To"),
+      format,
+    })
+    .refine(({ from, to }) => !from || !to || from <= to, {
+      path: ["from"],
+      message: "From must be before to.",
+    }),
+};
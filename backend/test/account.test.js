@@ -0,0 +1,257 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import AuditLog from "../src/models/auditLogModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  extractMailToken,
+  login,
+  DEFAULT_PASSWORD,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+describe("email verification", () => {
+  it("verifies the address with the emailed token, once", async () => {
+    await request(ctx.app).post("/api/auth/register").send({
+      username: "alice",
+      email: "alice@example.com",
+      password: "Password123!",
+    });
+    const token = extractMailToken(ctx.sentMail[0]);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/verify-email")
+      .send({ token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.emailVerified, true);
+
+    const reused = await request(ctx.app)
+      .post("/api/auth/verify-email")
+      .send({ token });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.error, "INVALID_TOKEN");
+  });
+
+  it("requires a token", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/verify-email")
+      .send({});
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].field, "token");
+  });
+
+  it("resends verification only to unverified accounts", async () => {
+    const unverified = await createUser({ emailVerified: false });
+    const verified = await createUser();
+
+    for (const email of [unverified.email, verified.email, "x@example.com"]) {
+      const response = await request(ctx.app)
+        .post("/api/auth/resend-verification")
+        .send({ email });
+      assert.equal(response.status, 200);
+    }
+
+    assert.deepEqual(
+      ctx.sentMail.map((message) => message.to),
+      [unverified.email]
+    );
+  });
+
+  it("invalidates earlier verification links", async () => {
+    const user = await createUser({ emailVerified: false });
+    for (let i = 0; i < 2; i++) {
+      await request(ctx.app)
+        .post("/api/auth/resend-verification")
+        .send({ email: user.email });
+    }
+    const [first, second] = ctx.sentMail.map(extractMailToken);
+
+    const stale = await request(ctx.app)
+      .post("/api/auth/verify-email")
+      .send({ token: first });
+    const fresh = await request(ctx.app)
+      .post("/api/auth/verify-email")
+      .send({ token: second });
+
+    assert.equal(stale.status, 400);
+    assert.equal(fresh.status, 200);
+  });
+});
+
+describe("password reset", () => {
+  it("resets the password and signs out every session", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const requested = await request(ctx.app)
+      .post("/api/auth/forgot-password")
+      .send({ email: user.email });
+    assert.equal(requested.status, 200);
+    const token = extractMailToken(ctx.sentMail[0]);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "NewPassword456!" });
+    assert.equal(response.status, 200);
+
+    const oldSession = await request(ctx.app)
+      .get("/api/auth/sessions")
+      .set("Authorization", auth);
+    assert.equal(oldSession.status, 401);
+    assert.equal(oldSession.body.error, "SESSION_REVOKED");
+
+    const relogin = await request(ctx.app)
+      .post("/api/auth/login")
+      .send({ email: user.email, password: "NewPassword456!" });
+    assert.equal(relogin.status, 200);
+  });
+
+  it("answers the same for unknown emails without sending mail", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    assert.equal(response.status, 200);
+    assert.equal(ctx.sentMail.length, 0);
+  });
+
+  it("answers the same when the email cannot be sent", async () => {
+    const user = await createUser({ emailVerified: false });
+    const push = mock.method(ctx.sentMail, "push", () => {
+      throw new Error("Mail server unavailable");
+    });
+    const logError = mock.method(console, "error", () => {});
+
+    try {
+      for (const route of ["forgot-password", "resend-verification"]) {
+        const [known, unknown] = await Promise.all(
+          [user.email, "nobody@example.com"].map((email) =>
+            request(ctx.app).post(`/api/auth/${route}`).send({ email })
+          )
+        );
+        assert.equal(known.status, 200);
+        assert.deepEqual(known.body, unknown.body);
+      }
+    } finally {
+      push.mock.restore();
+      logError.mock.restore();
+    }
+  });
+
+  it("rejects invalid tokens and weak passwords", async () => {
+    const user = await createUser();
+
+    const invalid = await request(ctx.app)
+      .post("/api/auth/reset-password")
+      .send({ token: "deadbeef", password: "NewPassword456!" });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "INVALID_TOKEN");
+
+    await request(ctx.app)
+      .post("/api/auth/forgot-password")
+      .send({ email: user.email });
+    const weak = await request(ctx.app)
+      .post("/api/auth/reset-password")
+      .send({ token: extractMailToken(ctx.sentMail[0]), password: "short" });
+    assert.equal(weak.status, 400);
+    assert.equal(weak.body.errors[0].field, "password");
+
+    const stored = await Auth.findById(user._id);
+    assert.ok(await stored.comparePassword("Password123!"));
+  });
+
+  it("rate limits email requests per IP", async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(ctx.app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "nobody@example.com" });
+    }
+
+    const response = await request(ctx.app)
+      .post("/api/auth/resend-verification")
+      .send({ email: "nobody@example.com" });
+
+    assert.equal(response.status, 429);
+  });
+});
+
+describe("password change", () => {
+  it("changes the password and signs out the other sessions", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await login(ctx.app, user);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/change-password")
+      .set("Authorization", auth)
+      .send({
+        currentPassword: DEFAULT_PASSWORD,
+        newPassword: "NewPassword456!",
+      });
+    assert.equal(response.status, 200);
+
+    const current = await request(ctx.app)
+      .get("/api/auth/sessions")
+      .set("Authorization", auth);
+    assert.equal(current.status, 200);
+
+    const otherSession = await request(ctx.app)
+      .get("/api/auth/sessions")
+      .set("Authorization", `Bearer ${other.token}`);
+    assert.equal(otherSession.status, 401);
+    assert.equal(otherSession.body.error, "SESSION_REVOKED");
+
+    const stored = await Auth.findById(user._id);
+    assert.ok(await stored.comparePassword("NewPassword456!"));
+
+    const entry = await AuditLog.findOne({ action: "user.password_change" });
+    assert.equal(String(entry.target), String(user._id));
+    assert.equal(entry.changes[0].field, "password");
+    assert.equal(entry.changes[0].redacted, true);
+  });
+
+  it("rejects a wrong current password", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/change-password")
+      .set("Authorization", auth)
+      .send({
+        currentPassword: "WrongPassword1!",
+        newPassword: "NewPassword456!",
+      });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "INVALID_PASSWORD");
+    const stored = await Auth.findById(user._id);
+    assert.ok(await stored.comparePassword(DEFAULT_PASSWORD));
+  });
+
+  it("validates the new password", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    for (const newPassword of ["short", DEFAULT_PASSWORD]) {
+      const response = await request(ctx.app)
+        .post("/api/auth/change-password")
+        .set("Authorization", auth)
+        .send({ currentPassword: DEFAULT_PASSWORD, newPassword });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.errors[0].field, "newPassword");
+    }
+  });
+
+  it("requires a signed-in user", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/change-password")
+      .send({
+        currentPassword: DEFAULT_PASSWORD,
+        newPassword: "NewPassword456!",
+      });
+
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import AuditLog from "../src/models/auditLogModel.js";
+import { purgeDeletedAccounts } from "../src/services/personalDataService.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  createTestImage,
+  login,
+  DEFAULT_PASSWORD,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+afterEach(() => {
+  delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+});
+
+const deleteAccount = (admin, user) =>
+  request(ctx.app)
+    .delete(`/api/auth/users/${user._id}`)
+    .set("Authorization", admin.auth);
+
+// Parse a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("Soft deletion", () => {
+  it("signs the user out and hides the account", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUserWithToken(ctx.app);
+
+    const response = await deleteAccount(admin, target.user);
+    assert.equal(response.status, 200);
+
+    const me = await request(ctx.app)
+      .get(`/api/auth/users/${target.user._id}`)
+      .set("Authorization", target.auth);
+    assert.equal(me.status, 401);
+
+    const loggedIn = await login(ctx.app, target.user);
+    assert.equal(loggedIn.success, false);
+
+    const active = await request(ctx.app)
+      .get("/api/auth/users")
+      .set("Authorization", admin.auth);
+    assert.deepEqual(
+      active.body.users.map((user) => user._id),
+      [admin.user._id.toString()]
+    );
+
+    const deleted = await request(ctx.app)
+      .get("/api/auth/users")
+      .query({ deleted: "true" })
+      .set("Authorization", admin.auth);
+    assert.equal(deleted.body.users.length, 1);
+    assert.equal(deleted.body.users[0]._id, target.user._id.toString());
+    assert.ok(deleted.body.users[0].purgeAfter);
+  });
+
+  it("keeps the email reserved until the account is purged", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const user = await createUser();
+    await deleteAccount(admin, user);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send({
+        username: "newowner",
+        email: user.email,
+        password: DEFAULT_PASSWORD,
+      });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "User with this email already exists.");
+  });
+
+  it("lets admins restore the account during the grace period", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const user = await createUser();
+    await deleteAccount(admin, user);
+
+    const forbidden = await request(ctx.app)
+      .post(`/api/auth/users/${user._id}/restore`)
+      .set("Authorization", (await createUserWithToken(ctx.app)).auth);
+    assert.equal(forbidden.status, 403);
+
+    const restored = await request(ctx.app)
+      .post(`/api/auth/users/${user._id}/restore`)
+      .set("Authorization", admin.auth);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.user.deletedAt, null);
+    assert.equal((await login(ctx.app, user)).success, true);
+
+    const again = await request(ctx.app)
+      .post(`/api/auth/users/${user._id}/restore`)
+      .set("Authorization", admin.auth);
+    assert.equal(again.status, 404);
+
+    const entry = await AuditLog.findOne({ action: "user.restore" });
+    assert.ok(entry.actor.equals(admin.user._id));
+    assert.ok(entry.target.equals(user._id));
+  });
+});
+
+describe("Account purge", () => {
+  it("erases accounts past the grace period with their uploads and records", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUserWithToken(ctx.app);
+    const kept = await createUser();
+    await request(ctx.app)
+      .put(`/api/auth/users/${target.user._id}/picture`)
+      .set("Authorization", target.auth)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+    const course = await Course.create({
+      title: "Intro to Go",
+      slug: "intro-to-go",
+      instructor: admin.user._id,
+    });
+    await Enrollment.create({ student: target.user._id, course: course._id });
+
+    process.env.ACCOUNT_DELETION_GRACE_DAYS = "0";
+    await deleteAccount(admin, target.user);
+    delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    await deleteAccount(admin, kept);
+
+    const purged = await purgeDeletedAccounts();
+
+    assert.deepEqual(
+      purged.map((user) => user._id.toString()),
+      [target.user._id.toString()]
+    );
+    const remaining = await Auth.find({ deletedAt: { $ne: null } });
+    assert.deepEqual(
+      remaining.map((user) => user._id.toString()),
+      [kept._id.toString()]
+    );
+    assert.equal(await Enrollment.countDocuments(), 0);
+    assert.equal((await ctx.storage.list("profile-pictures/")).length, 0);
+
+    const entry = await AuditLog.findOne({ action: "user.purge" });
+    assert.equal(entry.actor, null);
+    assert.equal(entry.targetUsername, target.user.username);
+  });
+});
+
+describe("GET /api/auth/users/:userId/export", () => {
+  it("bundles the user's profile and records as JSON", async () => {
+    const student = await createUserWithToken(ctx.app);
+    const course = await Course.create({
+      title: "Intro to Go",
+      slug: "intro-to-go",
+      instructor: (await createUser({ role: "instructor" }))._id,
+    });
+    await Enrollment.create({ student: student.user._id, course: course._id });
+
+    const response = await request(ctx.app)
+      .get(`/api/auth/users/${student.user._id}/export`)
+      .set("Authorization", student.auth);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-disposition"], /attachment/);
+    const data = JSON.parse(response.text);
+    assert.equal(data.profile.email, student.user.email);
+    assert.equal(data.enrollments.length, 1);
+    assert.equal(data.sessions.length, 1);
+    assert.equal(data.refreshTokens, undefined);
+    assert.doesNotMatch(response.text, /"password"|tokenHash/);
+
+    const entry = await AuditLog.findOne({ action: "user.data_export" });
+    assert.equal(entry.metadata.format, "json");
+  });
+
+  it("offers a ZIP archive", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}/export`)
+      .query({ format: "zip" })
+      .set("Authorization", auth)
+      .buffer(true)
+      .parse(binaryParser);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers["content-type"], "application/zip");
+    assert.equal(response.body.subarray(0, 2).toString(), "PK");
+    assert.ok(response.body.includes("profile.json"));
+  });
+
+  it("is only available to the user and admins", async () => {
+    const { user } = await createUserWithToken(ctx.app);
+    const other = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}/export`)
+      .set("Authorization", other.auth);
+
+    assert.equal(response.status, 403);
+  });
+});
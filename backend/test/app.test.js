@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp } from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+describe("app", () => {
+  it("answers the health check", async () => {
+    const response = await request(ctx.app).get("/");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.endpoints.auth, "/api/auth");
+  });
+
+  it("answers the auth test route", async () => {
+    const response = await request(ctx.app).get("/api/auth");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.message, "Auth API is working!");
+  });
+
+  it("returns 404 for unknown routes", async () => {
+    const response = await request(ctx.app).get("/api/unknown");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.success, false);
+    assert.match(response.body.message, /\/api\/unknown not found/);
+  });
+
+  it("serves files from the storage driver under /uploads", async () => {
+    await ctx.storage.put("images/test.png", Buffer.from("image-bytes"), {
+      contentType: "image/png",
+    });
+
+    const response = await request(ctx.app).get("/uploads/images/test.png");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers["content-type"], "image/png");
+    assert.equal(response.body.toString(), "image-bytes");
+  });
+});
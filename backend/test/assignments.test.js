@@ -0,0 +1,301 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import Assignment from "../src/models/assignmentModel.js";
+import Submission from "../src/models/submissionModel.js";
+import {
+  setupTestApp,
+  createUserWithToken,
+  waitForCleanup,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createCourseWithAssignment = async (assignmentOverrides = {}) => {
+  const instructor = await createUserWithToken(ctx.app, {
+    role: "instructor",
+  });
+  const course = await Course.create({
+    title: "Intro to Go",
+    slug: "intro-to-go",
+    instructor: instructor.user._id,
+    status: "published",
+  });
+  const assignment = await Assignment.create({
+    course: course._id,
+    title: "Build a CLI",
+    dueAt: new Date(Date.now() + DAY_MS),
+    status: "published",
+    rubric: [
+      { title: "Correctness", maxPoints: 60 },
+      { title: "Code quality", maxPoints: 40 },
+    ],
+    ...assignmentOverrides,
+  });
+  return { instructor, course, assignment };
+};
+
+const enroll = async (course) => {
+  const student = await createUserWithToken(ctx.app);
+  await Enrollment.create({ student: student.user._id, course: course._id });
+  return student;
+};
+
+const assignmentUrl = (course, assignment) =>
+  `/api/courses/${course.slug}/assignments/${assignment._id}`;
+
+const submitPdf = (url, auth, content = "%PDF-1.4 report") =>
+  request(ctx.app)
+    .post(`${url}/submission`)
+    .set("Authorization", auth)
+    .field("comment", "Here is my work")
+    .attach("files", Buffer.from(content), {
+      filename: "report.pdf",
+      contentType: "application/pdf",
+    });
+
+const fullMarks = (assignment) =>
+  assignment.rubric.map((criterion) => ({
+    criterion: criterion._id.toString(),
+    points: criterion.maxPoints,
+  }));
+
+describe("Assignment management", () => {
+  it("lets the instructor create assignments with a rubric", async () => {
+    const { instructor, course } = await createCourseWithAssignment();
+
+    const response = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/assignments`)
+      .set("Authorization", instructor.auth)
+      .send({
+        title: "Write tests",
+        dueAt: new Date(Date.now() + 7 * DAY_MS).toISOString(),
+        latePenaltyPerDay: 5,
+        rubric: [{ title: "Coverage", maxPoints: 10 }],
+      });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.assignment.status, "draft");
+    assert.equal(response.body.assignment.rubric.length, 1);
+
+    const invalid = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/assignments`)
+      .set("Authorization", instructor.auth)
+      .send({ title: "No rubric", dueAt: "soon", rubric: [] });
+
+    assert.equal(invalid.status, 400);
+    const fields = invalid.body.errors.map((error) => error.field);
+    assert.ok(fields.includes("dueAt"));
+    assert.ok(fields.includes("rubric"));
+  });
+
+  it("hides drafts from students", async () => {
+    const { course, assignment } = await createCourseWithAssignment({
+      status: "draft",
+    });
+    const student = await enroll(course);
+
+    const list = await request(ctx.app)
+      .get(`/api/courses/${course.slug}/assignments`)
+      .set("Authorization", student.auth);
+    const details = await request(ctx.app)
+      .get(assignmentUrl(course, assignment))
+      .set("Authorization", student.auth);
+
+    assert.equal(list.body.assignments.length, 0);
+    assert.equal(details.status, 404);
+  });
+});
+
+describe("Submissions", () => {
+  it("stores the uploaded files and replaces them on resubmission", async () => {
+    const { course, assignment } = await createCourseWithAssignment();
+    const student = await enroll(course);
+    const url = assignmentUrl(course, assignment);
+
+    const first = await submitPdf(url, student.auth);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.submission.isLate, false);
+    assert.equal(first.body.submission.files[0].name, "report.pdf");
+
+    const second = await submitPdf(url, student.auth, "%PDF-1.4 v2");
+    assert.equal(second.status, 200);
+    await waitForCleanup();
+
+    const stored = await ctx.storage.list("submissions/");
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].key, second.body.submission.files[0].key);
+  });
+
+  it("rejects unsupported types and files over the limit of their type", async () => {
+    const { course, assignment } = await createCourseWithAssignment();
+    const student = await enroll(course);
+    const url = `${assignmentUrl(course, assignment)}/submission`;
+
+    const script = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth)
+      .attach("files", Buffer.from("MZ"), {
+        filename: "run.exe",
+        contentType: "application/octet-stream",
+      });
+    assert.equal(script.status, 400);
+
+    // 11MB is within the ZIP limit but over the PDF limit
+    const large = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth)
+      .attach("files", Buffer.alloc(11 * 1024 * 1024), {
+        filename: "huge.pdf",
+        contentType: "application/pdf",
+      });
+    assert.equal(large.status, 400);
+    assert.equal(large.body.error, "FILE_TOO_LARGE");
+
+    const empty = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth)
+      .field("comment", "Forgot the file");
+    assert.equal(empty.status, 400);
+    assert.equal((await ctx.storage.list("submissions/")).length, 0);
+  });
+
+  it("marks late submissions and refuses them when not allowed", async () => {
+    const { course, assignment } = await createCourseWithAssignment({
+      dueAt: new Date(Date.now() - 1.5 * DAY_MS),
+      latePenaltyPerDay: 10,
+    });
+    const closed = await Assignment.create({
+      course: course._id,
+      title: "Closed",
+      dueAt: new Date(Date.now() - DAY_MS),
+      status: "published",
+      allowLateSubmissions: false,
+      rubric: [{ title: "Done", maxPoints: 1 }],
+    });
+    const student = await enroll(course);
+
+    const late = await submitPdf(
+      assignmentUrl(course, assignment),
+      student.auth
+    );
+    assert.equal(late.status, 201);
+    assert.equal(late.body.submission.isLate, true);
+    assert.equal(late.body.submission.daysLate, 2);
+
+    const refused = await submitPdf(
+      assignmentUrl(course, closed),
+      student.auth
+    );
+    assert.equal(refused.status, 400);
+    await waitForCleanup();
+    assert.equal((await ctx.storage.list("submissions/")).length, 1);
+  });
+
+  it("requires enrollment", async () => {
+    const { course, assignment } = await createCourseWithAssignment();
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await submitPdf(assignmentUrl(course, assignment), auth);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("Grading", () => {
+  it("grades with the rubric, applies the late penalty and keeps history", async () => {
+    const { instructor, course, assignment } =
+      await createCourseWithAssignment({
+        dueAt: new Date(Date.now() - 1.5 * DAY_MS),
+        latePenaltyPerDay: 10,
+      });
+    const student = await enroll(course);
+    const url = assignmentUrl(course, assignment);
+    const submitted = await submitPdf(url, student.auth);
+    const gradeUrl = `${url}/submissions/${submitted.body.submission._id}/grade`;
+
+    const graded = await request(ctx.app)
+      .put(gradeUrl)
+      .set("Authorization", instructor.auth)
+      .send({
+        rubricScores: [
+          {
+            criterion: assignment.rubric[0]._id.toString(),
+            points: 50,
+            comment: "One edge case fails",
+          },
+          { criterion: assignment.rubric[1]._id.toString(), points: 40 },
+        ],
+        feedback: "Nice work",
+      });
+
+    assert.equal(graded.status, 200);
+    const { grade } = graded.body.submission;
+    assert.equal(grade.rawScore, 90);
+    assert.equal(grade.latePenalty, 20);
+    assert.equal(grade.score, 72);
+    assert.equal(grade.maxScore, 100);
+
+    const regraded = await request(ctx.app)
+      .put(gradeUrl)
+      .set("Authorization", instructor.auth)
+      .send({ rubricScores: fullMarks(assignment), waiveLatePenalty: true });
+
+    assert.equal(regraded.body.submission.grade.score, 100);
+    assert.equal(regraded.body.submission.gradeHistory.length, 1);
+    assert.equal(regraded.body.submission.gradeHistory[0].score, 72);
+
+    const resubmit = await submitPdf(url, student.auth);
+    assert.equal(resubmit.status, 400);
+
+    const grades = await request(ctx.app)
+      .get("/api/enrollments/me/grades")
+      .set("Authorization", student.auth);
+    assert.equal(grades.status, 200);
+    assert.equal(grades.body.grades[0].grade.score, 100);
+    assert.equal(grades.body.grades[0].gradeHistory.length, 1);
+    assert.equal(grades.body.grades[0].assignment.title, "Build a CLI");
+  });
+
+  it("validates rubric scores", async () => {
+    const { instructor, course, assignment } =
+      await createCourseWithAssignment();
+    const student = await enroll(course);
+    const url = assignmentUrl(course, assignment);
+    const submitted = await submitPdf(url, student.auth);
+
+    const response = await request(ctx.app)
+      .put(`${url}/submissions/${submitted.body.submission._id}/grade`)
+      .set("Authorization", instructor.auth)
+      .send({
+        rubricScores: [
+          { criterion: assignment.rubric[0]._id.toString(), points: 61 },
+        ],
+      });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field),
+      ["rubricScores.0.points", "rubricScores"]
+    );
+    const submission = await Submission.findById(submitted.body.submission._id);
+    assert.equal(submission.status, "submitted");
+  });
+
+  it("lets only the course instructor see and grade submissions", async () => {
+    const { course, assignment } = await createCourseWithAssignment();
+    const student = await enroll(course);
+    const url = assignmentUrl(course, assignment);
+    await submitPdf(url, student.auth);
+
+    const response = await request(ctx.app)
+      .get(`${url}/submissions`)
+      .set("Authorization", student.auth);
+
+    assert.equal(response.status, 403);
+  });
+});
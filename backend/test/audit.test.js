@@ -0,0 +1,137 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import AuditLog from "../src/models/auditLogModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  DEFAULT_PASSWORD,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  delete process.env.AUDIT_LOG_RETENTION_DAYS;
+});
+
+describe("Audit log recording", () => {
+  it("records registrations without the password", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .set("User-Agent", "audit-test")
+      .send({
+        username: "newcomer",
+        email: "newcomer@example.com",
+        password: DEFAULT_PASSWORD,
+      });
+    assert.equal(response.status, 201);
+
+    const entry = await AuditLog.findOne({ action: "user.register" });
+    assert.equal(entry.actorUsername, "newcomer");
+    assert.equal(entry.targetEmail, "newcomer@example.com");
+    assert.equal(entry.userAgent, "audit-test");
+    assert.ok(entry.changes.some((change) => change.field === "role"));
+    assert.doesNotMatch(JSON.stringify(entry), /password/i);
+    assert.doesNotMatch(JSON.stringify(entry), new RegExp(DEFAULT_PASSWORD));
+  });
+
+  it("records role changes with the admin as actor and a field diff", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const student = await createUser();
+
+    await request(ctx.app)
+      .put(`/api/auth/users/${student._id}`)
+      .set("Authorization", admin.auth)
+      .send({ role: "instructor", username: "promoted" });
+
+    const entry = await AuditLog.findOne({ action: "user.role_change" });
+    assert.ok(entry.actor.equals(admin.user._id));
+    assert.ok(entry.target.equals(student._id));
+    assert.deepEqual(
+      entry.changes.map(({ field, from, to }) => ({ field, from, to })),
+      [
+        { field: "username", from: student.username, to: "promoted" },
+        { field: "role", from: "student", to: "instructor" },
+      ]
+    );
+  });
+
+  it("records failed logins and deletions", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const user = await createUser();
+
+    await request(ctx.app)
+      .post("/api/auth/login")
+      .send({ email: user.email, password: "WrongPassword1!" });
+    await request(ctx.app)
+      .delete(`/api/auth/users/${user._id}`)
+      .set("Authorization", admin.auth);
+
+    const failed = await AuditLog.findOne({ action: "user.login_failed" });
+    assert.equal(failed.metadata.reason, "invalid_password");
+    assert.ok(failed.target.equals(user._id));
+
+    const deleted = await AuditLog.findOne({ action: "user.delete" });
+    assert.equal(deleted.targetUsername, user.username);
+    assert.ok(deleted.actor.equals(admin.user._id));
+  });
+});
+
+describe("Audit log storage", () => {
+  it("rejects updates and deletions", async () => {
+    await createUserWithToken(ctx.app);
+    const entry = await AuditLog.findOne({ action: "user.login" });
+
+    await assert.rejects(
+      AuditLog.updateOne({ _id: entry._id }, { action: "user.delete" }),
+      /cannot be modified/
+    );
+    await assert.rejects(AuditLog.deleteMany({}), /cannot be modified/);
+    entry.ip = "10.0.0.1";
+    await assert.rejects(entry.save(), /cannot be modified/);
+  });
+
+  it("expires entries after the configured retention", async () => {
+    process.env.AUDIT_LOG_RETENTION_DAYS = "30";
+    await createUserWithToken(ctx.app);
+    process.env.AUDIT_LOG_RETENTION_DAYS = "0";
+    await createUserWithToken(ctx.app);
+
+    const [kept, forever] = await AuditLog.find({
+      action: "user.login",
+    }).sort({ createdAt: 1, _id: 1 });
+    const days = (kept.expiresAt - kept.createdAt) / DAY_MS;
+    assert.ok(Math.abs(days - 30) < 0.01);
+    assert.equal(forever.expiresAt, null);
+  });
+});
+
+describe("GET /api/admin/audit", () => {
+  it("filters entries by action and user", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const other = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get("/api/admin/audit")
+      .query({ action: "user.login,user.login_failed", user: other.user._id })
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.entries.length, 1);
+    assert.equal(response.body.entries[0].action, "user.login");
+    assert.equal(response.body.entries[0].targetUsername, other.user.username);
+  });
+
+  it("is limited to admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get("/api/admin/audit")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+});
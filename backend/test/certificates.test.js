@@ -0,0 +1,138 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import Certificate from "../src/models/certificateModel.js";
+import { setupTestApp, createUserWithToken } from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+// Published single-lesson course with an enrolled student
+const createEnrollment = async () => {
+  const instructor = await createUserWithToken(ctx.app, {
+    role: "instructor",
+  });
+  const course = await Course.create({
+    title: "Intro to Go",
+    slug: "intro-to-go",
+    instructor: instructor.user._id,
+    status: "published",
+    modules: [{ title: "Basics", lessons: [{ title: "Hello" }] }],
+  });
+  const student = await createUserWithToken(ctx.app);
+  await Enrollment.create({ student: student.user._id, course: course._id });
+  return { instructor, course, student };
+};
+
+const completeCourse = (course, student) => {
+  const lesson = course.modules[0].lessons[0];
+  return request(ctx.app)
+    .post(`/api/courses/${course.slug}/lessons/${lesson._id}/complete`)
+    .set("Authorization", student.auth);
+};
+
+describe("Certificate issuing", () => {
+  it("issues a certificate when the last lesson is completed", async () => {
+    const { course, student } = await createEnrollment();
+
+    const completed = await completeCourse(course, student);
+
+    assert.equal(completed.status, 200);
+    assert.equal(completed.body.courseCompleted, true);
+    const { certificate } = completed.body;
+    assert.match(certificate.certificateId, /^NN(-[A-Z2-9]{4}){3}$/);
+    assert.equal(certificate.studentName, student.user.username);
+    assert.equal(certificate.courseTitle, "Intro to Go");
+
+    const mine = await request(ctx.app)
+      .get("/api/certificates/me")
+      .set("Authorization", student.auth);
+    assert.equal(mine.body.certificates.length, 1);
+  });
+
+  it("lets the instructor mark a course complete without a duplicate", async () => {
+    const { instructor, course, student } = await createEnrollment();
+    const url = `/api/courses/${course.slug}/roster/${student.user._id}/complete`;
+
+    const first = await request(ctx.app)
+      .post(url)
+      .set("Authorization", instructor.auth);
+    const second = await request(ctx.app)
+      .post(url)
+      .set("Authorization", instructor.auth);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.enrollment.status, "completed");
+    assert.equal(
+      second.body.certificate.certificateId,
+      first.body.certificate.certificateId
+    );
+    assert.equal(await Certificate.countDocuments(), 1);
+
+    const forbidden = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    assert.equal(forbidden.status, 403);
+  });
+});
+
+describe("Certificate access", () => {
+  it("verifies certificates publicly and reports revocation", async () => {
+    const { course, student } = await createEnrollment();
+    const { certificateId } = (await completeCourse(course, student)).body
+      .certificate;
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const verified = await request(ctx.app).get(
+      `/api/certificates/${certificateId.toLowerCase()}/verify`
+    );
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.valid, true);
+    assert.equal(verified.body.certificate.certificateId, certificateId);
+
+    const unknown = await request(ctx.app).get(
+      "/api/certificates/NN-AAAA-BBBB-CCCC/verify"
+    );
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.valid, false);
+
+    const revoked = await request(ctx.app)
+      .post(`/api/certificates/${certificateId}/revoke`)
+      .set("Authorization", admin.auth)
+      .send({ reason: "Academic misconduct" });
+    assert.equal(revoked.status, 200);
+
+    const after = await request(ctx.app).get(
+      `/api/certificates/${certificateId}/verify`
+    );
+    assert.equal(after.body.valid, false);
+    assert.equal(after.body.certificate.status, "revoked");
+  });
+
+  it("lets only the owner and admins download the PDF", async () => {
+    const { instructor, course, student } = await createEnrollment();
+    const { certificateId } = (await completeCourse(course, student)).body
+      .certificate;
+    const url = `/api/certificates/${certificateId}/pdf`;
+
+    const download = await request(ctx.app)
+      .get(url)
+      .set("Authorization", student.auth)
+      .buffer(true);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers["content-type"], "application/pdf");
+    assert.equal(download.body.subarray(0, 5).toString(), "%PDF-");
+
+    const other = await request(ctx.app)
+      .get(url)
+      .set("Authorization", instructor.auth);
+    assert.equal(other.status, 403);
+
+    const revoke = await request(ctx.app)
+      .post(`/api/certificates/${certificateId}/revoke`)
+      .set("Authorization", instructor.auth)
+      .send({ reason: "Not allowed" });
+    assert.equal(revoke.status, 403);
+  });
+});
@@ -0,0 +1,369 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  createTestImage,
+  waitForCleanup,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+// Create a course directly in the database
+const createCourse = async (instructor, overrides = {}) => {
+  const title = overrides.title || `Course ${Date.now()} ${Math.random()}`;
+  return Course.create({
+    title,
+    slug: await Course.generateSlug(title),
+    instructor: instructor._id,
+    status: "published",
+    ...overrides,
+  });
+};
+
+describe("POST /api/courses", () => {
+  it("creates a draft owned by the instructor with a generated slug", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+
+    const response = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", auth)
+      .send({
+        title: "Intro to Go",
+        tags: ["Go", "backend", "go"],
+        price: 19.99,
+      });
+
+    assert.equal(response.status, 201);
+    const { course } = response.body;
+    assert.equal(course.slug, "intro-to-go");
+    assert.equal(course.status, "draft");
+    assert.deepEqual(course.tags, ["go", "backend"]);
+    assert.equal(course.instructor._id, user._id.toString());
+    assert.equal(course.instructor.username, user.username);
+  });
+
+  it("keeps slugs unique", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "instructor" });
+    const create = (body) =>
+      request(ctx.app).post("/api/courses").set("Authorization", auth).send(body);
+
+    await create({ title: "Intro to Go" });
+    const second = await create({ title: "Intro to Go" });
+    const explicit = await create({ title: "Other", slug: "intro-to-go" });
+
+    assert.equal(second.body.course.slug, "intro-to-go-2");
+    assert.equal(explicit.status, 400);
+    assert.equal(explicit.body.message, "Slug is already in use.");
+  });
+
+  it("is not available to students", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", auth)
+      .send({ title: "Intro to Go" });
+
+    assert.equal(response.status, 403);
+  });
+
+  it("only lets admins assign another instructor", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const other = await createUserWithToken(ctx.app, { role: "instructor" });
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const body = { title: "Assigned", instructor: instructor._id.toString() };
+
+    const asInstructor = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", other.auth)
+      .send(body);
+    const asAdmin = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", admin.auth)
+      .send(body);
+
+    assert.equal(asInstructor.status, 403);
+    assert.equal(asAdmin.status, 201);
+    assert.equal(
+      asAdmin.body.course.instructor._id,
+      instructor._id.toString()
+    );
+  });
+
+  it("validates the body", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "instructor" });
+
+    const response = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", auth)
+      .send({ title: "Go", price: -5, level: "expert" });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field).sort(),
+      ["level", "price", "title"]
+    );
+  });
+
+  it("accepts a cover image in a multipart body", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "instructor" });
+
+    const response = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", auth)
+      .field("title", "With cover")
+      .field("tags", "design, ui")
+      .field("price", "0")
+      .attach("coverImage", await createTestImage(), "cover.png");
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.course.tags, ["design", "ui"]);
+    assert.match(response.body.course.coverImage, /\/course-covers\/.+\.webp$/);
+    assert.equal((await ctx.storage.list("course-covers/")).length, 1);
+  });
+});
+
+describe("GET /api/courses", () => {
+  it("lists only published courses to the public", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    await createCourse(instructor, { title: "Published" });
+    await createCourse(instructor, { title: "Draft", status: "draft" });
+
+    const response = await request(ctx.app).get("/api/courses");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.courses.map((course) => course.title),
+      ["Published"]
+    );
+    assert.equal(response.body.pagination.totalCourses, 1);
+  });
+
+  it("filters, searches and sorts", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    await createCourse(instructor, {
+      title: "Go basics",
+      category: "programming",
+      tags: ["go"],
+      price: 30,
+    });
+    await createCourse(instructor, {
+      title: "Advanced Go",
+      category: "programming",
+      tags: ["go"],
+      price: 10,
+      level: "advanced",
+    });
+    await createCourse(instructor, { title: "Watercolor", category: "art" });
+
+    const byTag = await request(ctx.app)
+      .get("/api/courses")
+      .query({ tag: "go", sort: "price_asc" });
+    assert.deepEqual(
+      byTag.body.courses.map((course) => course.title),
+      ["Advanced Go", "Go basics"]
+    );
+
+    const filtered = await request(ctx.app)
+      .get("/api/courses")
+      .query({ category: "programming", level: "advanced", maxPrice: 20 });
+    assert.equal(filtered.body.courses.length, 1);
+
+    const searched = await request(ctx.app)
+      .get("/api/courses")
+      .query({ search: "water" });
+    assert.deepEqual(
+      searched.body.courses.map((course) => course.title),
+      ["Watercolor"]
+    );
+  });
+
+  it("shows instructors their own drafts with mine=true", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    await createCourse(user, { status: "draft" });
+    await createCourse(await createUser({ role: "instructor" }));
+
+    const mine = await request(ctx.app)
+      .get("/api/courses")
+      .query({ mine: "true" })
+      .set("Authorization", auth);
+    const anonymous = await request(ctx.app)
+      .get("/api/courses")
+      .query({ mine: "true" });
+
+    assert.equal(mine.body.courses.length, 1);
+    assert.equal(mine.body.courses[0].status, "draft");
+    assert.equal(anonymous.status, 401);
+  });
+
+  it("lets admins filter by status", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const instructor = await createUser({ role: "instructor" });
+    await createCourse(instructor, { status: "draft" });
+    await createCourse(instructor);
+
+    const response = await request(ctx.app)
+      .get("/api/courses")
+      .query({ status: "draft" })
+      .set("Authorization", auth);
+
+    assert.equal(response.body.courses.length, 1);
+    assert.equal(response.body.courses[0].status, "draft");
+  });
+});
+
+describe("GET /api/courses/:courseId", () => {
+  it("finds courses by id or slug", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const course = await createCourse(instructor, { title: "Intro to Go" });
+
+    const byId = await request(ctx.app).get(`/api/courses/${course._id}`);
+    const bySlug = await request(ctx.app).get("/api/courses/intro-to-go");
+
+    assert.equal(byId.status, 200);
+    assert.equal(bySlug.body.course._id, course._id.toString());
+    assert.equal(bySlug.body.course.instructor.username, instructor.username);
+  });
+
+  it("hides drafts from everyone but their instructor and admins", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCourse(user, { status: "draft" });
+    const student = await createUserWithToken(ctx.app);
+
+    const asOwner = await request(ctx.app)
+      .get(`/api/courses/${course.slug}`)
+      .set("Authorization", auth);
+    const asStudent = await request(ctx.app)
+      .get(`/api/courses/${course.slug}`)
+      .set("Authorization", student.auth);
+
+    assert.equal(asOwner.status, 200);
+    assert.equal(asStudent.status, 404);
+  });
+
+  it("returns 404 for unknown courses", async () => {
+    const response = await request(ctx.app).get("/api/courses/no-such-course");
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("PUT /api/courses/:courseId", () => {
+  it("lets the owning instructor publish and edit", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCourse(user, {
+      title: "Intro to Go",
+      status: "draft",
+    });
+
+    const response = await request(ctx.app)
+      .put(`/api/courses/${course._id}`)
+      .set("Authorization", auth)
+      .send({ title: "Go for beginners", status: "published" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.course.title, "Go for beginners");
+    assert.equal(response.body.course.slug, "intro-to-go");
+    assert.ok(response.body.course.publishedAt);
+  });
+
+  it("forbids other instructors but allows admins", async () => {
+    const owner = await createUser({ role: "instructor" });
+    const course = await createCourse(owner);
+    const other = await createUserWithToken(ctx.app, { role: "instructor" });
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const asOther = await request(ctx.app)
+      .put(`/api/courses/${course._id}`)
+      .set("Authorization", other.auth)
+      .send({ price: 5 });
+    const asAdmin = await request(ctx.app)
+      .put(`/api/courses/${course._id}`)
+      .set("Authorization", admin.auth)
+      .send({ price: 5 });
+
+    assert.equal(asOther.status, 403);
+    assert.equal(asAdmin.status, 200);
+    assert.equal(asAdmin.body.course.price, 5);
+  });
+
+  it("replaces the cover image and deletes the old file", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCourse(user);
+    const upload = async () =>
+      request(ctx.app)
+        .put(`/api/courses/${course._id}`)
+        .set("Authorization", auth)
+        .attach("coverImage", await createTestImage(), "cover.png");
+
+    await upload();
+    const second = await upload();
+
+    const stored = await ctx.storage.list("course-covers/");
+    assert.deepEqual(
+      stored.map((file) => file.key),
+      [second.body.course.coverImageKey]
+    );
+  });
+
+  it("does not keep uploads of rejected edits", async () => {
+    const owner = await createUser({ role: "instructor" });
+    const course = await createCourse(owner);
+    const { auth } = await createUserWithToken(ctx.app, { role: "instructor" });
+
+    const response = await request(ctx.app)
+      .put(`/api/courses/${course._id}`)
+      .set("Authorization", auth)
+      .attach("coverImage", await createTestImage(), "cover.png");
+    await waitForCleanup();
+
+    assert.equal(response.status, 403);
+    assert.equal((await ctx.storage.list("course-covers/")).length, 0);
+  });
+});
+
+describe("DELETE /api/courses/:courseId", () => {
+  it("deletes the course and its cover image", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const created = await request(ctx.app)
+      .post("/api/courses")
+      .set("Authorization", auth)
+      .field("title", "With cover")
+      .attach("coverImage", await createTestImage(), "cover.png");
+
+    const response = await request(ctx.app)
+      .delete(`/api/courses/${created.body.course._id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(await Course.countDocuments({ instructor: user._id }), 0);
+    assert.equal((await ctx.storage.list("course-covers/")).length, 0);
+  });
+
+  it("forbids students", async () => {
+    const course = await createCourse(await createUser({ role: "instructor" }));
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .delete(`/api/courses/${course._id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,353 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  waitForCleanup,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+// Published course with two modules of two lessons each
+const createCurriculum = async (instructor) =>
+  Course.create({
+    title: "Intro to Go",
+    slug: "intro-to-go",
+    instructor: instructor._id,
+    status: "published",
+    modules: [
+      {
+        title: "Basics",
+        lessons: [
+          { title: "Hello", content: "# Hello", durationMinutes: 5 },
+          { title: "Types", content: "# Types", durationMinutes: 10 },
+        ],
+      },
+      {
+        title: "Concurrency",
+        lessons: [{ title: "Goroutines" }, { title: "Channels" }],
+      },
+    ],
+  });
+
+const enroll = async (course) => {
+  const student = await createUserWithToken(ctx.app);
+  await Enrollment.create({ student: student.user._id, course: course._id });
+  return student;
+};
+
+describe("Curriculum management", () => {
+  it("lets the instructor add, reorder and delete modules", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(user);
+    const base = `/api/courses/${course.slug}/modules`;
+
+    const created = await request(ctx.app)
+      .post(base)
+      .set("Authorization", auth)
+      .send({ title: "Setup", position: 0 });
+    assert.equal(created.status, 201);
+
+    let saved = await Course.findById(course._id);
+    assert.deepEqual(
+      saved.modules.map((module) => module.title),
+      ["Setup", "Basics", "Concurrency"]
+    );
+
+    const moved = await request(ctx.app)
+      .put(`${base}/${created.body.module._id}`)
+      .set("Authorization", auth)
+      .send({ position: 2 });
+    assert.equal(moved.status, 200);
+
+    saved = await Course.findById(course._id);
+    assert.equal(saved.modules[2].title, "Setup");
+
+    const deleted = await request(ctx.app)
+      .delete(`${base}/${saved.modules[0]._id}`)
+      .set("Authorization", auth);
+    assert.equal(deleted.status, 200);
+
+    saved = await Course.findById(course._id);
+    assert.deepEqual(
+      saved.modules.map((module) => module.title),
+      ["Concurrency", "Setup"]
+    );
+  });
+
+  it("creates lessons with attachments and moves them between modules", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(user);
+    const [basics, concurrency] = course.modules;
+
+    const created = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/modules/${basics._id}/lessons`)
+      .set("Authorization", auth)
+      .field("title", "Slices")
+      .field("videoUrl", "https://videos.example.com/slices")
+      .field("position", "1")
+      .attach("attachments", Buffer.from("%PDF-1.4 notes"), {
+        filename: "notes.pdf",
+        contentType: "application/pdf",
+      });
+
+    assert.equal(created.status, 201);
+    const { lesson } = created.body;
+    assert.equal(lesson.attachments.length, 1);
+    assert.equal(lesson.attachments[0].name, "notes.pdf");
+    assert.equal((await ctx.storage.list("lesson-attachments/")).length, 1);
+
+    const moved = await request(ctx.app)
+      .put(`/api/courses/${course.slug}/lessons/${lesson._id}`)
+      .set("Authorization", auth)
+      .send({ moduleId: concurrency._id.toString(), position: 0 });
+    assert.equal(moved.status, 200);
+
+    const saved = await Course.findById(course._id);
+    assert.equal(saved.modules[0].lessons.length, 2);
+    assert.equal(saved.modules[1].lessons[0].title, "Slices");
+    assert.equal(saved.modules[1].lessons[0].attachments.length, 1);
+
+    const removed = await request(ctx.app)
+      .delete(`/api/courses/${course.slug}/lessons/${lesson._id}`)
+      .set("Authorization", auth);
+    assert.equal(removed.status, 200);
+    await waitForCleanup();
+    assert.equal((await ctx.storage.list("lesson-attachments/")).length, 0);
+  });
+
+  it("rejects unsupported attachment types and cleans up on failure", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(user);
+    const url = `/api/courses/${course.slug}/modules/${course.modules[0]._id}/lessons`;
+
+    const rejected = await request(ctx.app)
+      .post(url)
+      .set("Authorization", auth)
+      .field("title", "Script")
+      .attach("attachments", Buffer.from("echo hi"), {
+        filename: "run.sh",
+        contentType: "application/x-sh",
+      });
+    assert.equal(rejected.status, 400);
+
+    // Title is missing, so the stored attachment must be removed again
+    const invalid = await request(ctx.app)
+      .post(url)
+      .set("Authorization", auth)
+      .attach("attachments", Buffer.from("notes"), {
+        filename: "notes.txt",
+        contentType: "text/plain",
+      });
+    assert.equal(invalid.status, 400);
+    await waitForCleanup();
+    assert.equal((await ctx.storage.list("lesson-attachments/")).length, 0);
+  });
+
+  it("is limited to the course instructor and admins", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const other = await createUserWithToken(ctx.app, { role: "instructor" });
+    const course = await createCurriculum(instructor);
+
+    const response = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/modules`)
+      .set("Authorization", other.auth)
+      .send({ title: "Hijack" });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("Enrollment", () => {
+  it("enrolls once in published courses only", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const course = await createCurriculum(instructor);
+    const draft = await Course.create({
+      title: "Draft",
+      slug: "draft",
+      instructor: instructor._id,
+    });
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const first = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/enrollment`)
+      .set("Authorization", auth);
+    const second = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/enrollment`)
+      .set("Authorization", auth);
+    const hidden = await request(ctx.app)
+      .post(`/api/courses/${draft.slug}/enrollment`)
+      .set("Authorization", auth);
+
+    assert.equal(first.status, 201);
+    assert.equal(first.body.enrollment.totalLessons, 4);
+    assert.equal(first.body.enrollment.resumeLesson.title, "Hello");
+    assert.equal(second.status, 409);
+    assert.equal(hidden.status, 404);
+  });
+
+  it("hides lesson content until the user enrolls", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const course = await createCurriculum(instructor);
+    const lessonId = course.modules[0].lessons[0]._id;
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const outline = await request(ctx.app).get(`/api/courses/${course.slug}`);
+    assert.equal(outline.body.course.modules[0].lessons[0].title, "Hello");
+    assert.equal(outline.body.course.modules[0].lessons[0].content, undefined);
+    assert.equal(outline.body.enrollment, null);
+
+    const forbidden = await request(ctx.app)
+      .get(`/api/courses/${course.slug}/lessons/${lessonId}`)
+      .set("Authorization", auth);
+    assert.equal(forbidden.status, 403);
+
+    await Enrollment.create({ student: user._id, course: course._id });
+
+    const full = await request(ctx.app)
+      .get(`/api/courses/${course.slug}`)
+      .set("Authorization", auth);
+    assert.equal(full.body.course.modules[0].lessons[0].content, "# Hello");
+    assert.equal(full.body.enrollment.percentComplete, 0);
+
+    const lesson = await request(ctx.app)
+      .get(`/api/courses/${course.slug}/lessons/${lessonId}`)
+      .set("Authorization", auth);
+    assert.equal(lesson.status, 200);
+    assert.equal(lesson.body.module.title, "Basics");
+  });
+
+  it("tracks completed lessons and completes the course", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const course = await createCurriculum(instructor);
+    const { auth } = await enroll(course);
+    const lessonIds = course.getLessonIds();
+    const complete = (lessonId) =>
+      request(ctx.app)
+        .post(`/api/courses/${course.slug}/lessons/${lessonId}/complete`)
+        .set("Authorization", auth);
+
+    const first = await complete(lessonIds[0]);
+    await complete(lessonIds[0]);
+    assert.equal(first.body.enrollment.completedLessons, 1);
+    assert.equal(first.body.enrollment.percentComplete, 25);
+    assert.equal(first.body.enrollment.resumeLesson.title, "Types");
+
+    await complete(lessonIds[1]);
+    await complete(lessonIds[2]);
+    const last = await complete(lessonIds[3]);
+    assert.equal(last.body.courseCompleted, true);
+    assert.equal(last.body.enrollment.status, "completed");
+    assert.equal(last.body.enrollment.percentComplete, 100);
+
+    const undone = await request(ctx.app)
+      .delete(`/api/courses/${course.slug}/lessons/${lessonIds[3]}/complete`)
+      .set("Authorization", auth);
+    assert.equal(undone.body.enrollment.status, "active");
+    assert.equal(undone.body.enrollment.completedLessons, 3);
+  });
+
+  it("keeps a course the instructor marked as completed", async () => {
+    const instructor = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(instructor.user);
+    const student = await enroll(course);
+    const lessonId = course.getLessonIds()[0];
+    const lessonUrl = `/api/courses/${course.slug}/lessons/${lessonId}/complete`;
+
+    const completed = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/roster/${student.user._id}/complete`)
+      .set("Authorization", instructor.auth);
+    assert.equal(completed.status, 200);
+
+    await request(ctx.app).post(lessonUrl).set("Authorization", student.auth);
+    const undone = await request(ctx.app)
+      .delete(lessonUrl)
+      .set("Authorization", student.auth);
+    assert.equal(undone.body.enrollment.status, "completed");
+
+    const enrollment = await Enrollment.findOne({ student: student.user._id });
+    assert.equal(enrollment.completionSource, "manual");
+    assert.equal(String(enrollment.completedBy), String(instructor.user._id));
+    assert.ok(enrollment.completedAt);
+  });
+
+  it("resumes the most recently studied course", async () => {
+    const instructor = await createUser({ role: "instructor" });
+    const course = await createCurriculum(instructor);
+    const { auth } = await enroll(course);
+    const lessonId = course.modules[1].lessons[0]._id;
+
+    const empty = await request(ctx.app)
+      .get("/api/enrollments/me")
+      .set("Authorization", auth);
+    assert.equal(empty.body.enrollments.length, 1);
+
+    await request(ctx.app)
+      .get(`/api/courses/${course.slug}/lessons/${lessonId}`)
+      .set("Authorization", auth);
+
+    const resume = await request(ctx.app)
+      .get("/api/enrollments/me/resume")
+      .set("Authorization", auth);
+
+    assert.equal(resume.status, 200);
+    assert.equal(resume.body.resume.course.slug, course.slug);
+    assert.equal(resume.body.resume.lesson.title, "Goroutines");
+    assert.equal(resume.body.resume.lesson.module.title, "Concurrency");
+  });
+
+  it("shows the roster to the instructor only", async () => {
+    const instructor = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(instructor.user);
+    const student = await enroll(course);
+    await enroll(course);
+
+    await request(ctx.app)
+      .post(
+        `/api/courses/${course.slug}/lessons/${course.getLessonIds()[0]}/complete`
+      )
+      .set("Authorization", student.auth);
+
+    const roster = await request(ctx.app)
+      .get(`/api/courses/${course.slug}/roster`)
+      .set("Authorization", instructor.auth);
+    const forbidden = await request(ctx.app)
+      .get(`/api/courses/${course.slug}/roster`)
+      .set("Authorization", student.auth);
+
+    assert.equal(roster.status, 200);
+    assert.equal(roster.body.summary.totalStudents, 2);
+    assert.equal(roster.body.summary.averagePercentComplete, 13);
+    assert.equal(roster.body.students.length, 2);
+    assert.equal(forbidden.status, 403);
+  });
+
+  it("removes enrollments when the course is deleted", async () => {
+    const instructor = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+    const course = await createCurriculum(instructor.user);
+    await enroll(course);
+
+    const response = await request(ctx.app)
+      .delete(`/api/courses/${course.slug}`)
+      .set("Authorization", instructor.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(await Enrollment.countDocuments(), 0);
+  });
+});
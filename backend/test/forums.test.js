@@ -0,0 +1,289 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import ForumThread from "../src/models/forumThreadModel.js";
+import Notification from "../src/models/notificationModel.js";
+import { setupTestApp, createUserWithToken } from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const createCourse = async () => {
+  const instructor = await createUserWithToken(ctx.app, {
+    role: "instructor",
+  });
+  const course = await Course.create({
+    title: "Intro to Go",
+    slug: "intro-to-go",
+    instructor: instructor.user._id,
+    status: "published",
+  });
+  return { instructor, course, base: `/api/courses/${course.slug}/forum` };
+};
+
+const enroll = async (course) => {
+  const student = await createUserWithToken(ctx.app);
+  await Enrollment.create({ student: student.user._id, course: course._id });
+  return student;
+};
+
+const getGeneralBoard = async (base, auth) => {
+  const response = await request(ctx.app)
+    .get(`${base}/boards`)
+    .set("Authorization", auth);
+  return response.body.boards.find((board) => board.isGeneral);
+};
+
+const postThread = (base, board, auth, fields = {}) =>
+  request(ctx.app)
+    .post(`${base}/boards/${board._id}/threads`)
+    .set("Authorization", auth)
+    .send({ title: "How do channels work?", body: "Help!", ...fields });
+
+const postReply = (base, thread, auth, fields = {}) =>
+  request(ctx.app)
+    .post(`${base}/threads/${thread._id}/replies`)
+    .set("Authorization", auth)
+    .send({ body: "Like pipes.", ...fields });
+
+describe("Boards and threads", () => {
+  it("creates the general board and lets instructors add topic boards", async () => {
+    const { instructor, course, base } = await createCourse();
+    const student = await enroll(course);
+
+    const created = await request(ctx.app)
+      .post(`${base}/boards`)
+      .set("Authorization", instructor.auth)
+      .send({ title: "Week 1", description: "Setup questions" });
+    assert.equal(created.status, 201);
+
+    const forbidden = await request(ctx.app)
+      .post(`${base}/boards`)
+      .set("Authorization", student.auth)
+      .send({ title: "Off topic" });
+    assert.equal(forbidden.status, 403);
+
+    const boards = await request(ctx.app)
+      .get(`${base}/boards`)
+      .set("Authorization", student.auth);
+    assert.deepEqual(
+      boards.body.boards.map((board) => board.title),
+      ["General", "Week 1"]
+    );
+
+    const outsider = await createUserWithToken(ctx.app);
+    const denied = await request(ctx.app)
+      .get(`${base}/boards`)
+      .set("Authorization", outsider.auth);
+    assert.equal(denied.status, 403);
+  });
+
+  it("sanitizes Markdown and resolves mentions of course members", async () => {
+    const { instructor, course, base } = await createCourse();
+    const student = await enroll(course);
+    const outsider = await createUserWithToken(ctx.app);
+    const board = await getGeneralBoard(base, student.auth);
+
+    const response = await postThread(base, board, student.auth, {
+      body: `**Stuck** <script>alert(1)</script> @${instructor.user.username} @${outsider.user.username}`,
+    });
+
+    assert.equal(response.status, 201);
+    const { thread } = response.body;
+    assert.match(thread.bodyHtml, /<strong>Stuck<\/strong>/);
+    assert.doesNotMatch(thread.bodyHtml, /script/);
+    assert.deepEqual(
+      thread.mentions.map((mention) => mention.username),
+      [instructor.user.username]
+    );
+
+    const notifications = await Notification.find({ type: "forum_mention" });
+    assert.equal(notifications.length, 1);
+    assert.ok(notifications[0].user.equals(instructor.user._id));
+  });
+
+  it("lists pinned threads first, then by votes", async () => {
+    const { instructor, course, base } = await createCourse();
+    const author = await enroll(course);
+    const voter = await enroll(course);
+    const board = await getGeneralBoard(base, author.auth);
+
+    const threads = [];
+    for (const title of ["Pinned", "Popular", "Quiet"]) {
+      const response = await postThread(base, board, author.auth, { title });
+      threads.push(response.body.thread);
+    }
+    await request(ctx.app)
+      .post(`${base}/threads/${threads[1]._id}/upvote`)
+      .set("Authorization", voter.auth);
+    await request(ctx.app)
+      .patch(`${base}/threads/${threads[0]._id}/moderation`)
+      .set("Authorization", instructor.auth)
+      .send({ isPinned: true });
+
+    const response = await request(ctx.app)
+      .get(`${base}/boards/${board._id}/threads?sort=votes&limit=2`)
+      .set("Authorization", voter.auth);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.threads.map((thread) => thread.title),
+      ["Pinned", "Popular"]
+    );
+    assert.equal(response.body.threads[1].hasUpvoted, true);
+    assert.equal(response.body.pagination.totalThreads, 3);
+  });
+});
+
+describe("Replies and votes", () => {
+  it("nests replies and notifies the author being answered", async () => {
+    const { course, base } = await createCourse();
+    const asker = await enroll(course);
+    const helper = await enroll(course);
+    const board = await getGeneralBoard(base, asker.auth);
+    const { thread } = (await postThread(base, board, asker.auth)).body;
+
+    const top = (await postReply(base, thread, helper.auth)).body.reply;
+    const nested = await postReply(base, thread, asker.auth, {
+      body: "Thanks!",
+      parent: top._id,
+    });
+    assert.equal(nested.status, 201);
+    assert.equal(nested.body.reply.depth, 1);
+
+    const details = await request(ctx.app)
+      .get(`${base}/threads/${thread._id}`)
+      .set("Authorization", asker.auth);
+    assert.equal(details.body.thread.replyCount, 2);
+    assert.equal(details.body.replies.length, 1);
+    assert.equal(details.body.replies[0].replies[0].body, "Thanks!");
+
+    const replyNotifications = await Notification.find({ type: "forum_reply" });
+    const notified = replyNotifications.map((notification) =>
+      notification.user.toString()
+    );
+    assert.deepEqual(
+      notified.sort(),
+      [asker.user._id.toString(), helper.user._id.toString()].sort()
+    );
+  });
+
+  it("counts each upvote once and refuses votes on your own post", async () => {
+    const { course, base } = await createCourse();
+    const author = await enroll(course);
+    const voter = await enroll(course);
+    const board = await getGeneralBoard(base, author.auth);
+    const { thread } = (await postThread(base, board, author.auth)).body;
+    const url = `${base}/threads/${thread._id}/upvote`;
+
+    await request(ctx.app).post(url).set("Authorization", voter.auth);
+    const again = await request(ctx.app)
+      .post(url)
+      .set("Authorization", voter.auth);
+    assert.equal(again.body.upvoteCount, 1);
+
+    const own = await request(ctx.app)
+      .post(url)
+      .set("Authorization", author.auth);
+    assert.equal(own.status, 400);
+
+    const removed = await request(ctx.app)
+      .delete(url)
+      .set("Authorization", voter.auth);
+    assert.equal(removed.body.upvoteCount, 0);
+  });
+
+  it("lets the instructor mark the answer", async () => {
+    const { instructor, course, base } = await createCourse();
+    const student = await enroll(course);
+    const board = await getGeneralBoard(base, student.auth);
+    const { thread } = (await postThread(base, board, student.auth)).body;
+    const { reply } = (await postReply(base, thread, instructor.auth)).body;
+    const url = `${base}/threads/${thread._id}/answer`;
+
+    const denied = await request(ctx.app)
+      .put(url)
+      .set("Authorization", student.auth)
+      .send({ reply: reply._id });
+    assert.equal(denied.status, 403);
+
+    const marked = await request(ctx.app)
+      .put(url)
+      .set("Authorization", instructor.auth)
+      .send({ reply: reply._id });
+    assert.equal(marked.status, 200);
+    assert.equal(marked.body.thread.answer, reply._id);
+  });
+});
+
+describe("Moderation", () => {
+  it("locks threads against new replies from students", async () => {
+    const { instructor, course, base } = await createCourse();
+    const student = await enroll(course);
+    const board = await getGeneralBoard(base, student.auth);
+    const { thread } = (await postThread(base, board, student.auth)).body;
+
+    await request(ctx.app)
+      .patch(`${base}/threads/${thread._id}/moderation`)
+      .set("Authorization", instructor.auth)
+      .send({ isLocked: true });
+
+    const blocked = await postReply(base, thread, student.auth);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.error, "THREAD_LOCKED");
+
+    const allowed = await postReply(base, thread, instructor.auth);
+    assert.equal(allowed.status, 201);
+  });
+
+  it("collects reports and hides posts from students", async () => {
+    const { instructor, course, base } = await createCourse();
+    const author = await enroll(course);
+    const reporter = await enroll(course);
+    const board = await getGeneralBoard(base, author.auth);
+    const { thread } = (await postThread(base, board, author.auth)).body;
+    const spam = await postReply(base, thread, author.auth, { body: "Spam" });
+    const { reply } = spam.body;
+    const reportUrl = `${base}/replies/${reply._id}/report`;
+
+    const reported = await request(ctx.app)
+      .post(reportUrl)
+      .set("Authorization", reporter.auth)
+      .send({ reason: "Spam" });
+    assert.equal(reported.status, 200);
+    const duplicate = await request(ctx.app)
+      .post(reportUrl)
+      .set("Authorization", reporter.auth)
+      .send({ reason: "Still spam" });
+    assert.equal(duplicate.status, 409);
+
+    const queue = await request(ctx.app)
+      .get(`${base}/reports`)
+      .set("Authorization", instructor.auth);
+    assert.equal(queue.body.reports.length, 1);
+    assert.equal(queue.body.reports[0].kind, "reply");
+
+    await request(ctx.app)
+      .patch(`${base}/replies/${reply._id}/moderation`)
+      .set("Authorization", instructor.auth)
+      .send({ isHidden: true, dismissReports: true });
+    await request(ctx.app)
+      .patch(`${base}/threads/${thread._id}/moderation`)
+      .set("Authorization", instructor.auth)
+      .send({ isHidden: true });
+
+    const hiddenThread = await request(ctx.app)
+      .get(`${base}/threads/${thread._id}`)
+      .set("Authorization", reporter.auth);
+    assert.equal(hiddenThread.status, 404);
+
+    await ForumThread.updateOne({ _id: thread._id }, { isHidden: false });
+    const visible = await request(ctx.app)
+      .get(`${base}/threads/${thread._id}`)
+      .set("Authorization", reporter.auth);
+    assert.equal(visible.body.replies[0].isHidden, true);
+    assert.equal(visible.body.replies[0].body, null);
+    assert.equal(visible.body.replies[0].reports, undefined);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Every route registered on an Express app, as "METHOD /path/{param}"
+ * How: Walks the router stack. Mount paths of nested routers are only kept as the regexp
+ *      Express 4 compiled them into, so they are turned back into paths (":param" segments
+ *      from `layer.keys`) before the route's own path is appended.
+ * Why: Lets test/openapi.test.js compare the app with the OpenAPI document
+ */
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) return "";
+
+  let key = 0;
+  return layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(
+      /\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g,
+      () => `/:${layer.keys[key++].name}`
+    )
+    .replace(/\\(.)/g, "$1");
+};
+
+// "/api/courses/:courseId/" -> "/api/courses/{courseId}"
+const toTemplate = (path) =>
+  path.replace(/(.)\/$/, "$1").replace(/:(\w+)/g, "{$1}") || "/";
+
+const walk = (stack, prefix, routes) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === "_all") continue;
+        routes.push(
+          `${method.toUpperCase()} ${toTemplate(prefix + layer.route.path)}`
+        );
+      }
+    } else if (layer.name === "router") {
+      walk(layer.handle.stack, prefix + mountPath(layer), routes);
+    }
+  }
+  return routes;
+};
+
+export const listRoutes = (app) => walk(app._router.stack, "", []);
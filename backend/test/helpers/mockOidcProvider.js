@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+/**
+ * Minimal OpenID Connect provider for the OAuth tests
+ * How: Serves discovery, JWKS and a token endpoint that checks the PKCE verifier and returns
+ *      an ID token for `provider.nextProfile`. Tests approve a login by calling
+ *      `authorize(authorizationUrl)`, which returns the code/state the callback expects.
+ */
+export const startMockOidcProvider = async ({ clientId }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = "test-key";
+  const pending = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const provider = {
+    issuer,
+    nextProfile: null,
+
+    // Simulate the user approving the consent screen
+    authorize: (authorizationUrl) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString("hex");
+      pending.set(code, {
+        codeChallenge: params.get("code_challenge"),
+        nonce: params.get("nonce"),
+        profile: provider.nextProfile,
+      });
+      return { code, state: params.get("state") };
+    },
+
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" }],
+    });
+  });
+
+  app.post("/token", (req, res) => {
+    const grant = pending.get(req.body.code);
+    pending.delete(req.body.code);
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+    if (!grant || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.profile, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      id_token: idToken,
+    });
+  });
+
+  return provider;
+};
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import LoginAttempt from "../src/models/loginAttemptModel.js";
+import {
+  setupTestApp,
+  createUser,
+  DEFAULT_PASSWORD,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const login = (body) => request(ctx.app).post("/api/auth/login").send(body);
+
+describe("POST /api/auth/login", () => {
+  it("returns an access token, refresh token and the user", async () => {
+    const user = await createUser();
+
+    const response = await login({
+      email: user.email.toUpperCase(),
+      password: DEFAULT_PASSWORD,
+    });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+    assert.ok(response.body.expiresIn > 0);
+    assert.equal(response.body.user.email, user.email);
+    assert.equal(response.body.user.password, undefined);
+
+    const attempt = await LoginAttempt.findOne({ email: user.email });
+    assert.equal(attempt.reason, "success");
+  });
+
+  it("rejects a wrong password", async () => {
+    const user = await createUser();
+
+    const response = await login({ email: user.email, password: "wrong-pass" });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, "Invalid email or password.");
+    const stored = await Auth.findById(user._id);
+    assert.equal(stored.failedLoginAttempts, 1);
+  });
+
+  it("rejects an unknown email with the same message", async () => {
+    const response = await login({
+      email: "nobody@example.com",
+      password: DEFAULT_PASSWORD,
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, "Invalid email or password.");
+    const attempt = await LoginAttempt.findOne({ email: "nobody@example.com" });
+    assert.equal(attempt.reason, "unknown_email");
+  });
+
+  it("rejects query operators instead of strings", async () => {
+    await createUser();
+
+    const response = await login({
+      email: { $ne: null },
+      password: { $ne: null },
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field).sort(),
+      ["email", "password"]
+    );
+  });
+
+  it("locks the account after repeated failures", async () => {
+    const user = await createUser();
+
+    for (let i = 0; i < 5; i++) {
+      await login({ email: user.email, password: "wrong-pass" });
+    }
+    const response = await login({
+      email: user.email,
+      password: DEFAULT_PASSWORD,
+    });
+
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers["retry-after"]) > 0);
+    const attempt = await LoginAttempt.findOne({ reason: "account_locked" });
+    assert.ok(attempt);
+  });
+
+  it("rate limits attempts per account", async () => {
+    const user = await createUser();
+    // Lockout would kick in first, so keep the password correct
+    for (let i = 0; i < 10; i++) {
+      await login({ email: user.email, password: DEFAULT_PASSWORD });
+    }
+
+    const response = await login({
+      email: user.email,
+      password: DEFAULT_PASSWORD,
+    });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.error, "TOO_MANY_REQUESTS");
+    const attempt = await LoginAttempt.findOne({ reason: "rate_limited" });
+    assert.equal(attempt.email, user.email);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import request from "supertest";
+import WebSocket from "ws";
+import Notification from "../src/models/notificationModel.js";
+import Session from "../src/models/sessionModel.js";
+import {
+  attachNotifications,
+  notify,
+} from "../src/services/notifications/index.js";
+import { pushToUser } from "../src/services/notifications/socketServer.js";
+import { setupTestApp, createUserWithToken } from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+// The sockets need a listening server (supertest starts its own per request)
+let server;
+let socketUrl;
+
+before(async () => {
+  server = http.createServer(ctx.app);
+  attachNotifications(server);
+  server.listen(0);
+  await once(server, "listening");
+  socketUrl = `ws://127.0.0.1:${server.address().port}/ws/notifications`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Collects incoming messages so tests can await the next one
+const connect = async (token) => {
+  const socket = new WebSocket(socketUrl);
+  const queue = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    const resolve = waiting.shift();
+    if (resolve) resolve(message);
+    else queue.push(message);
+  });
+  const nextMessage = () =>
+    queue.length
+      ? Promise.resolve(queue.shift())
+      : new Promise((resolve) => waiting.push(resolve));
+
+  await once(socket, "open");
+  if (token) socket.send(JSON.stringify({ type: "auth", token }));
+  return { socket, nextMessage };
+};
+
+const changeRole = (admin, user, role) =>
+  request(ctx.app)
+    .put(`/api/auth/users/${user._id}`)
+    .set("Authorization", admin.auth)
+    .send({ role });
+
+describe("Notification socket", () => {
+  it("pushes a role change to the affected user", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const student = await createUserWithToken(ctx.app);
+    const { socket, nextMessage } = await connect(student.token);
+
+    const ready = await nextMessage();
+    assert.equal(ready.type, "ready");
+    assert.equal(ready.unreadCount, 0);
+
+    const updated = await changeRole(admin, student.user, "instructor");
+    assert.equal(updated.status, 200);
+
+    const pushed = await nextMessage();
+    assert.equal(pushed.type, "notification");
+    assert.equal(pushed.notification.type, "role_changed");
+    assert.deepEqual(pushed.notification.data, {
+      previousRole: "student",
+      role: "instructor",
+    });
+    assert.equal(pushed.unreadCount, 1);
+
+    socket.close();
+  });
+
+  it("rejects sockets without a valid access token", async () => {
+    const { socket } = await connect();
+    socket.send(JSON.stringify({ type: "auth", token: "not-a-token" }));
+
+    const [code] = await once(socket, "close");
+    assert.equal(code, 4401);
+  });
+
+  it("forgets sockets closed before authentication finished", async () => {
+    const student = await createUserWithToken(ctx.app);
+    const { socket } = await connect();
+    const closed = once(socket, "close");
+
+    // Hold the session lookup until the client is gone
+    let lookup;
+    const exists = Session.exists;
+    const sessionExists = mock.method(Session, "exists", function (...args) {
+      lookup = closed.then(() => exists.apply(this, args));
+      return lookup;
+    });
+    socket.send(JSON.stringify({ type: "auth", token: student.token }));
+    socket.close();
+
+    await closed;
+    while (!lookup) await new Promise((resolve) => setImmediate(resolve));
+    await lookup;
+    await new Promise((resolve) => setImmediate(resolve));
+    sessionExists.mock.restore();
+
+    assert.equal(pushToUser(student.user._id, { type: "ping" }), 0);
+  });
+
+  it("closes the sockets of a deleted account", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const student = await createUserWithToken(ctx.app);
+    const { socket, nextMessage } = await connect(student.token);
+    await nextMessage();
+    await notify(student.user._id, {
+      type: "certificate_issued",
+      title: "You earned a certificate",
+    });
+    await nextMessage();
+
+    const closed = once(socket, "close");
+    await request(ctx.app)
+      .delete(`/api/auth/users/${student.user._id}`)
+      .set("Authorization", admin.auth);
+
+    assert.equal((await nextMessage()).type, "account_deleted");
+    assert.equal((await closed)[0], 4003);
+    // The inbox is only removed when the account is purged
+    assert.equal(await Notification.countDocuments(), 1);
+  });
+});
+
+describe("Notification inbox", () => {
+  it("lists notifications and marks them read", async () => {
+    const student = await createUserWithToken(ctx.app);
+    for (const title of ["First", "Second"]) {
+      await notify(student.user._id, { type: "certificate_issued", title });
+    }
+
+    const listed = await request(ctx.app)
+      .get("/api/notifications")
+      .set("Authorization", student.auth);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.unreadCount, 2);
+    assert.deepEqual(
+      listed.body.notifications.map((notification) => notification.title),
+      ["Second", "First"]
+    );
+
+    const [latest] = listed.body.notifications;
+    const read = await request(ctx.app)
+      .patch(`/api/notifications/${latest._id}/read`)
+      .set("Authorization", student.auth);
+    assert.equal(read.status, 200);
+    assert.ok(read.body.notification.readAt);
+
+    const unread = await request(ctx.app)
+      .get("/api/notifications?unread=true")
+      .set("Authorization", student.auth);
+    assert.equal(unread.body.notifications.length, 1);
+    assert.equal(unread.body.unreadCount, 1);
+
+    const all = await request(ctx.app)
+      .post("/api/notifications/read-all")
+      .set("Authorization", student.auth);
+    assert.equal(all.body.updated, 1);
+  });
+
+  it("keeps other users' notifications private", async () => {
+    const owner = await createUserWithToken(ctx.app);
+    const other = await createUserWithToken(ctx.app);
+    const notification = await notify(owner.user._id, {
+      type: "certificate_issued",
+      title: "Private",
+    });
+
+    const response = await request(ctx.app)
+      .patch(`/api/notifications/${notification._id}/read`)
+      .set("Authorization", other.auth);
+
+    assert.equal(response.status, 404);
+  });
+
+  it("respects muted types but always delivers account notices", async () => {
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+    const student = await createUserWithToken(ctx.app);
+
+    const saved = await request(ctx.app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", student.auth)
+      .send({ mutedTypes: ["certificate_issued"] });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.preferences, {
+      realtime: true,
+      mutedTypes: ["certificate_issued"],
+    });
+
+    const invalid = await request(ctx.app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", student.auth)
+      .send({ mutedTypes: ["role_changed"] });
+    assert.equal(invalid.status, 400);
+
+    await notify(student.user._id, {
+      type: "certificate_issued",
+      title: "Muted",
+    });
+    await changeRole(admin, student.user, "instructor");
+
+    const notifications = await Notification.find({ user: student.user._id });
+    assert.deepEqual(
+      notifications.map((notification) => notification.type),
+      ["role_changed"]
+    );
+  });
+});
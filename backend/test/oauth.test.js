@@ -0,0 +1,199 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+} from "./helpers/testApp.js";
+import { startMockOidcProvider } from "./helpers/mockOidcProvider.js";
+
+const ctx = setupTestApp();
+const FRONTEND_URL = "http://localhost:5173";
+let provider;
+
+before(async () => {
+  provider = await startMockOidcProvider({ clientId: "test-client" });
+  process.env.OAUTH_PROVIDERS = "mock";
+  process.env.OAUTH_MOCK_NAME = "Mock";
+  process.env.OAUTH_MOCK_CLIENT_ID = "test-client";
+  process.env.OAUTH_MOCK_ISSUER = provider.issuer;
+  process.env.FRONTEND_URL = FRONTEND_URL;
+});
+
+after(() => provider.close());
+
+// Walk through the browser redirects: start, consent at the provider, callback
+const signInWithProvider = async (profile, { redirectTo } = {}) => {
+  provider.nextProfile = profile;
+  const start = await request(ctx.app)
+    .get("/api/auth/oauth/mock")
+    .query(redirectTo ? { redirectTo } : {});
+  const { code, state } = provider.authorize(start.headers.location);
+
+  return request(ctx.app)
+    .get("/api/auth/oauth/mock/callback")
+    .query({ code, state });
+};
+
+describe("OAuth providers", () => {
+  it("lists configured providers", async () => {
+    const response = await request(ctx.app).get("/api/auth/oauth/providers");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.providers, [{ id: "mock", name: "Mock" }]);
+  });
+
+  it("redirects to the provider with PKCE parameters", async () => {
+    const response = await request(ctx.app).get("/api/auth/oauth/mock");
+
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.location);
+    assert.equal(location.origin, provider.issuer);
+    assert.equal(location.searchParams.get("code_challenge_method"), "S256");
+    assert.ok(location.searchParams.get("state"));
+    assert.ok(location.searchParams.get("nonce"));
+  });
+
+  it("returns 404 for providers that are not configured", async () => {
+    const response = await request(ctx.app).get("/api/auth/oauth/unknown");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "OAUTH_PROVIDER_NOT_FOUND");
+  });
+});
+
+describe("GET /api/auth/oauth/:provider/callback", () => {
+  it("creates an account for a new identity", async () => {
+    const response = await signInWithProvider({
+      sub: "subject-1",
+      email: "new@example.com",
+      email_verified: true,
+      name: "New User",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.created, true);
+    assert.ok(response.body.token);
+    assert.equal(response.body.user.email, "new@example.com");
+    assert.equal(response.body.user.hasPassword, false);
+  });
+
+  it("signs an existing linked identity in again", async () => {
+    const profile = { sub: "subject-1", email: "new@example.com" };
+    await signInWithProvider({ ...profile, email_verified: true });
+
+    const response = await signInWithProvider(profile);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.created, false);
+    assert.equal(await Auth.countDocuments(), 1);
+  });
+
+  it("refuses to link by email unless both sides verified it", async () => {
+    await createUser({ email: "taken@example.com", emailVerified: false });
+
+    const response = await signInWithProvider({
+      sub: "subject-2",
+      email: "taken@example.com",
+      email_verified: true,
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, "OAUTH_ACCOUNT_EXISTS");
+  });
+
+  it("sends the result back to the frontend in the URL fragment", async () => {
+    const response = await signInWithProvider(
+      { sub: "subject-3", email: "frag@example.com", email_verified: true },
+      { redirectTo: `${FRONTEND_URL}/oauth/callback` }
+    );
+
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.location);
+    assert.equal(location.origin, FRONTEND_URL);
+    const fragment = new URLSearchParams(location.hash.slice(1));
+    assert.ok(fragment.get("token"));
+    assert.equal(location.search, "");
+  });
+
+  it("rejects unknown or replayed state", async () => {
+    provider.nextProfile = { sub: "subject-4", email: "replay@example.com" };
+    const start = await request(ctx.app).get("/api/auth/oauth/mock");
+    const { code, state } = provider.authorize(start.headers.location);
+
+    const first = await request(ctx.app)
+      .get("/api/auth/oauth/mock/callback")
+      .query({ code, state });
+    const replay = await request(ctx.app)
+      .get("/api/auth/oauth/mock/callback")
+      .query({ code, state });
+
+    assert.equal(first.status, 200);
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.error, "OAUTH_INVALID_STATE");
+  });
+
+  it("reports a denied consent", async () => {
+    const start = await request(ctx.app).get("/api/auth/oauth/mock");
+    const state = new URL(start.headers.location).searchParams.get("state");
+
+    const response = await request(ctx.app)
+      .get("/api/auth/oauth/mock/callback")
+      .query({ state, error: "access_denied" });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "OAUTH_ACCESS_DENIED");
+  });
+});
+
+describe("linking providers", () => {
+  it("links and unlinks a provider for a signed-in user", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    provider.nextProfile = { sub: "subject-5", email: user.email };
+
+    const start = await request(ctx.app)
+      .post("/api/auth/oauth/mock/link")
+      .set("Authorization", auth)
+      .send({});
+    assert.equal(start.status, 200);
+    const { code, state } = provider.authorize(start.body.authorizationUrl);
+
+    const linked = await request(ctx.app)
+      .get("/api/auth/oauth/mock/callback")
+      .query({ code, state });
+    assert.equal(linked.status, 200);
+    assert.equal((await Auth.findById(user._id)).identities.length, 1);
+
+    const unlinked = await request(ctx.app)
+      .delete("/api/auth/oauth/mock")
+      .set("Authorization", auth);
+    assert.equal(unlinked.status, 200);
+    assert.equal((await Auth.findById(user._id)).identities.length, 0);
+  });
+
+  it("keeps the only sign-in method of a password-less account", async () => {
+    const signIn = await signInWithProvider({
+      sub: "subject-6",
+      email: "only@example.com",
+      email_verified: true,
+    });
+
+    const response = await request(ctx.app)
+      .delete("/api/auth/oauth/mock")
+      .set("Authorization", `Bearer ${signIn.body.token}`);
+
+    assert.equal(response.status, 400);
+  });
+
+  it("returns 404 when unlinking a provider that is not linked", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .delete("/api/auth/oauth/mock")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 404);
+  });
+});
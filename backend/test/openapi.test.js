@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp } from "./helpers/testApp.js";
+import { listRoutes } from "./helpers/listRoutes.js";
+
+const ctx = setupTestApp();
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+const documentedRoutes = (document) =>
+  Object.entries(document.paths).flatMap(([path, item]) =>
+    HTTP_METHODS.filter((method) => item[method]).map(
+      (method) => `${method.toUpperCase()} ${path}`
+    )
+  );
+
+const fetchDocument = async () => {
+  const response = await request(ctx.app).get("/api/openapi.json");
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+describe("GET /api/openapi.json", () => {
+  it("documents every route of the app", async () => {
+    const document = await fetchDocument();
+    const documented = new Set(documentedRoutes(document));
+
+    const missing = listRoutes(ctx.app).filter(
+      (route) => !documented.has(route)
+    );
+
+    assert.deepEqual(
+      missing,
+      [],
+      `Routes missing from the OpenAPI document (see src/docs/paths): ${missing.join(", ")}`
+    );
+  });
+
+  it("only documents routes that exist", async () => {
+    const document = await fetchDocument();
+    const routes = new Set(listRoutes(ctx.app));
+
+    const unknown = documentedRoutes(document).filter(
+      (route) => !routes.has(route)
+    );
+
+    assert.deepEqual(unknown, []);
+  });
+
+  it("declares every path parameter", async () => {
+    const document = await fetchDocument();
+
+    for (const [path, item] of Object.entries(document.paths)) {
+      const names = [...path.matchAll(/{(\w+)}/g)].map((match) => match[1]);
+      for (const method of HTTP_METHODS.filter((method) => item[method])) {
+        const declared = item[method].parameters
+          .filter((parameter) => parameter.in === "path")
+          .map((parameter) => parameter.name);
+        assert.deepEqual(
+          declared.sort(),
+          names.sort(),
+          `${method} ${path}`
+        );
+      }
+    }
+  });
+
+  it("describes the profile picture upload as multipart", async () => {
+    const document = await fetchDocument();
+
+    for (const [path, method] of [
+      ["/api/auth/register", "post"],
+      ["/api/auth/users/{userId}", "put"],
+      ["/api/auth/users/{userId}/picture", "put"],
+    ]) {
+      const { schema } =
+        document.paths[path][method].requestBody.content["multipart/form-data"];
+      assert.deepEqual(
+        {
+          type: schema.properties.profilePicture.type,
+          format: schema.properties.profilePicture.format,
+        },
+        { type: "string", format: "binary" },
+        `${method} ${path}`
+      );
+    }
+
+    const register =
+      document.paths["/api/auth/register"].post.requestBody.content[
+        "multipart/form-data"
+      ].schema;
+    assert.ok(register.properties.email);
+    assert.ok(register.required.includes("password"));
+  });
+
+  it("describes the error envelopes and the user list pagination", async () => {
+    const document = await fetchDocument();
+    const listUsers = document.paths["/api/auth/users"].get;
+
+    assert.deepEqual(listUsers.responses[400], {
+      $ref: "#/components/responses/BadRequest",
+    });
+    assert.deepEqual(listUsers.responses[401], {
+      $ref: "#/components/responses/Unauthorized",
+    });
+    assert.ok(document.components.schemas.ValidationErrorResponse);
+
+    const { properties } =
+      listUsers.responses[200].content["application/json"].schema;
+    assert.deepEqual(properties.pagination.required, [
+      "currentPage",
+      "totalPages",
+      "totalUsers",
+      "hasNextPage",
+      "hasPrevPage",
+    ]);
+    assert.equal(
+      listUsers.parameters.find((parameter) => parameter.name === "page").in,
+      "query"
+    );
+  });
+});
+
+describe("GET /api/docs", () => {
+  it("serves the interactive explorer", async () => {
+    const response = await request(ctx.app).get("/api/docs/");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /html/);
+    assert.match(response.text, /swagger-ui/);
+  });
+});
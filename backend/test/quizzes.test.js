@@ -0,0 +1,371 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Course from "../src/models/courseModel.js";
+import Enrollment from "../src/models/enrollmentModel.js";
+import Quiz from "../src/models/quizModel.js";
+import QuizAttempt from "../src/models/quizAttemptModel.js";
+import { setupTestApp, createUserWithToken } from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const QUESTIONS = [
+  {
+    type: "single_choice",
+    prompt: "Which keyword starts a goroutine?",
+    options: [
+      { text: "go", isCorrect: true },
+      { text: "async" },
+      { text: "spawn" },
+    ],
+  },
+  {
+    type: "multiple_choice",
+    prompt: "Which are Go types?",
+    points: 2,
+    options: [
+      { text: "int", isCorrect: true },
+      { text: "string", isCorrect: true },
+      { text: "var" },
+    ],
+  },
+  {
+    type: "true_false",
+    prompt: "Go has classes.",
+    correctBoolean: false,
+  },
+  {
+    type: "short_answer",
+    prompt: "Who designed Go at Google? (one name)",
+    acceptedAnswers: ["Rob Pike", "Ken Thompson", "Robert Griesemer"],
+  },
+  {
+    type: "numeric",
+    prompt: "Value of pi to two decimals?",
+    correctNumber: 3.14,
+    tolerance: 0.005,
+  },
+];
+
+const createCourseWithQuiz = async (quizOverrides = {}) => {
+  const instructor = await createUserWithToken(ctx.app, {
+    role: "instructor",
+  });
+  const course = await Course.create({
+    title: "Intro to Go",
+    slug: "intro-to-go",
+    instructor: instructor.user._id,
+    status: "published",
+  });
+  const quiz = await Quiz.create({
+    course: course._id,
+    title: "Basics check",
+    status: "published",
+    questions: QUESTIONS,
+    ...quizOverrides,
+  });
+  return { instructor, course, quiz };
+};
+
+const enroll = async (course) => {
+  const student = await createUserWithToken(ctx.app);
+  await Enrollment.create({ student: student.user._id, course: course._id });
+  return student;
+};
+
+const quizUrl = (course, quiz) =>
+  `/api/courses/${course.slug}/quizzes/${quiz._id}`;
+
+// One answer per question, produced by `byQuestion`
+const answersFor = (quiz, byQuestion) =>
+  quiz.questions.map((question) => ({
+    question: question._id.toString(),
+    answer: byQuestion(question),
+  }));
+
+const correctAnswer = (question) => {
+  switch (question.type) {
+    case "single_choice":
+      return question.options.find((o) => o.isCorrect)._id.toString();
+    case "multiple_choice":
+      return question.options
+        .filter((o) => o.isCorrect)
+        .map((o) => o._id.toString());
+    case "true_false":
+      return false;
+    case "short_answer":
+      return "  rob   PIKE ";
+    default:
+      return 3.141;
+  }
+};
+
+describe("Quiz management", () => {
+  it("lets the instructor create a quiz with validated questions", async () => {
+    const { instructor, course } = await createCourseWithQuiz();
+
+    const created = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/quizzes`)
+      .set("Authorization", instructor.auth)
+      .send({
+        title: "Final exam",
+        timeLimitMinutes: 30,
+        questions: QUESTIONS,
+      });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.quiz.status, "draft");
+    assert.equal(created.body.quiz.questions[0].options[0].isCorrect, true);
+
+    const invalid = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/quizzes`)
+      .set("Authorization", instructor.auth)
+      .send({
+        title: "Broken",
+        questions: [
+          {
+            type: "single_choice",
+            prompt: "No answer",
+            options: [{ text: "a" }, { text: "b" }],
+          },
+        ],
+      });
+
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, "questions.0.options");
+  });
+
+  it("is limited to the course instructor and admins", async () => {
+    const { course } = await createCourseWithQuiz();
+    const student = await enroll(course);
+
+    const response = await request(ctx.app)
+      .post(`/api/courses/${course.slug}/quizzes`)
+      .set("Authorization", student.auth)
+      .send({ title: "Sneaky" });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("Quiz attempts", () => {
+  it("never sends answer keys to students", async () => {
+    const { course, quiz } = await createCourseWithQuiz();
+    const student = await enroll(course);
+
+    const details = await request(ctx.app)
+      .get(quizUrl(course, quiz))
+      .set("Authorization", student.auth);
+    assert.equal(details.status, 200);
+    assert.equal(details.body.quiz.questions, undefined);
+
+    const started = await request(ctx.app)
+      .post(`${quizUrl(course, quiz)}/attempts`)
+      .set("Authorization", student.auth);
+    assert.equal(started.status, 201);
+
+    const body = JSON.stringify(started.body);
+    for (const field of [
+      "isCorrect",
+      "correctBoolean",
+      "acceptedAnswers",
+      "correctNumber",
+      "tolerance",
+    ]) {
+      assert.equal(body.includes(field), false, `${field} leaked`);
+    }
+    assert.equal(started.body.attempt.questions.length, QUESTIONS.length);
+  });
+
+  it("requires enrollment", async () => {
+    const { course, quiz } = await createCourseWithQuiz();
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post(`${quizUrl(course, quiz)}/attempts`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("grades every question type on the server", async () => {
+    const { course, quiz } = await createCourseWithQuiz();
+    const student = await enroll(course);
+    const url = `${quizUrl(course, quiz)}/attempts`;
+
+    const started = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    const attemptId = started.body.attempt._id;
+
+    const submitted = await request(ctx.app)
+      .post(`${url}/${attemptId}/submit`)
+      .set("Authorization", student.auth)
+      .send({ answers: answersFor(quiz, correctAnswer) });
+
+    assert.equal(submitted.status, 200);
+    const { attempt } = submitted.body;
+    assert.equal(attempt.status, "submitted");
+    assert.equal(attempt.score, 6);
+    assert.equal(attempt.maxScore, 6);
+    assert.equal(attempt.percentScore, 100);
+    assert.equal(attempt.passed, true);
+    assert.ok(attempt.answers.every((answer) => answer.isCorrect));
+
+    const again = await request(ctx.app)
+      .post(`${url}/${attemptId}/submit`)
+      .set("Authorization", student.auth)
+      .send({ answers: [] });
+    assert.equal(again.status, 400);
+  });
+
+  it("gives no credit for partially correct multiple choice answers", async () => {
+    const { course, quiz } = await createCourseWithQuiz();
+    const student = await enroll(course);
+    const url = `${quizUrl(course, quiz)}/attempts`;
+    const [, multiple] = quiz.questions;
+
+    const started = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    const submitted = await request(ctx.app)
+      .post(`${url}/${started.body.attempt._id}/submit`)
+      .set("Authorization", student.auth)
+      .send({
+        answers: [
+          {
+            question: multiple._id.toString(),
+            answer: [multiple.options[0]._id.toString()],
+          },
+        ],
+      });
+
+    assert.equal(submitted.body.attempt.score, 0);
+    assert.equal(submitted.body.attempt.passed, false);
+  });
+
+  it("enforces the attempt limit and keeps the history", async () => {
+    const { course, quiz } = await createCourseWithQuiz({ maxAttempts: 2 });
+    const student = await enroll(course);
+    const url = `${quizUrl(course, quiz)}/attempts`;
+
+    for (let i = 0; i < 2; i += 1) {
+      const started = await request(ctx.app)
+        .post(url)
+        .set("Authorization", student.auth);
+      assert.equal(started.body.attempt.attemptNumber, i + 1);
+      await request(ctx.app)
+        .post(`${url}/${started.body.attempt._id}/submit`)
+        .set("Authorization", student.auth)
+        .send({ answers: [] });
+    }
+
+    const third = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    assert.equal(third.status, 403);
+    assert.equal(third.body.error, "ATTEMPT_LIMIT_REACHED");
+
+    const history = await request(ctx.app)
+      .get(url)
+      .set("Authorization", student.auth);
+    assert.equal(history.body.attempts.length, 2);
+  });
+
+  it("returns the unfinished attempt instead of starting another", async () => {
+    const { course, quiz } = await createCourseWithQuiz();
+    const student = await enroll(course);
+    const url = `${quizUrl(course, quiz)}/attempts`;
+
+    const first = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    const second = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.attempt._id, first.body.attempt._id);
+  });
+
+  it("does not accept answers after the time limit", async () => {
+    const { course, quiz } = await createCourseWithQuiz({
+      timeLimitMinutes: 5,
+    });
+    const student = await enroll(course);
+    const url = `${quizUrl(course, quiz)}/attempts`;
+
+    const started = await request(ctx.app)
+      .post(url)
+      .set("Authorization", student.auth);
+    await QuizAttempt.updateOne(
+      { _id: started.body.attempt._id },
+      { expiresAt: new Date(Date.now() - 60 * 1000) }
+    );
+
+    const submitted = await request(ctx.app)
+      .post(`${url}/${started.body.attempt._id}/submit`)
+      .set("Authorization", student.auth)
+      .send({ answers: answersFor(quiz, correctAnswer) });
+
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.attempt.status, "expired");
+    assert.equal(submitted.body.attempt.score, 0);
+  });
+
+  it("shuffles questions per attempt when enabled", async () => {
+    const { course, quiz } = await createCourseWithQuiz({
+      shuffleQuestions: true,
+      shuffleOptions: true,
+    });
+    const student = await enroll(course);
+
+    const started = await request(ctx.app)
+      .post(`${quizUrl(course, quiz)}/attempts`)
+      .set("Authorization", student.auth);
+
+    const ids = started.body.attempt.questions.map((question) => question._id);
+    assert.deepEqual(
+      [...ids].sort(),
+      quiz.questions.map((question) => question._id.toString()).sort()
+    );
+  });
+});
+
+describe("GET /api/courses/:courseId/quizzes/:quizId/analytics", () => {
+  it("reports per-question results to the instructor", async () => {
+    const { instructor, course, quiz } = await createCourseWithQuiz();
+    const url = `${quizUrl(course, quiz)}/attempts`;
+
+    const good = await enroll(course);
+    const bad = await enroll(course);
+    for (const [student, answer] of [
+      [good, correctAnswer],
+      [bad, () => "wrong"],
+    ]) {
+      const started = await request(ctx.app)
+        .post(url)
+        .set("Authorization", student.auth);
+      await request(ctx.app)
+        .post(`${url}/${started.body.attempt._id}/submit`)
+        .set("Authorization", student.auth)
+        .send({ answers: answersFor(quiz, answer) });
+    }
+
+    const response = await request(ctx.app)
+      .get(`${quizUrl(course, quiz)}/analytics`)
+      .set("Authorization", instructor.auth);
+
+    assert.equal(response.status, 200);
+    const { analytics } = response.body;
+    assert.equal(analytics.totalAttempts, 2);
+    assert.equal(analytics.passRate, 50);
+    assert.equal(analytics.questions[0].correctRate, 50);
+    assert.equal(analytics.questions[0].options[0].selectedCount, 1);
+
+    const forbidden = await request(ctx.app)
+      .get(`${quizUrl(course, quiz)}/analytics`)
+      .set("Authorization", good.auth);
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  createTestImage,
+  waitForCleanup,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const validUser = {
+  username: "alice",
+  email: "Alice@Example.com",
+  password: "Password123!",
+};
+
+describe("POST /api/auth/register", () => {
+  it("creates a student and sends a verification email", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send(validUser);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.email, "alice@example.com");
+    assert.equal(response.body.user.role, "student");
+    assert.equal(response.body.user.emailVerified, false);
+    assert.equal(response.body.user.password, undefined);
+
+    assert.equal(ctx.sentMail.length, 1);
+    assert.equal(ctx.sentMail[0].to, "alice@example.com");
+
+    const stored = await Auth.findOne({ email: "alice@example.com" });
+    assert.notEqual(stored.password, validUser.password);
+  });
+
+  it("returns field-level validation errors", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send({ username: "a", email: "not-an-email", password: "short" });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Validation error.");
+    const fields = response.body.errors.map((error) => error.field).sort();
+    assert.deepEqual(fields, ["email", "password", "username"]);
+  });
+
+  it("rejects an email that is already registered", async () => {
+    await createUser({ email: "alice@example.com" });
+
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send(validUser);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "User with this email already exists.");
+  });
+
+  it("rejects a username that is already taken", async () => {
+    await createUser({ username: "alice" });
+
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send(validUser);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Username is already taken.");
+  });
+
+  it("reports duplicate keys raised by the unique index", async () => {
+    await createUser({ email: "alice@example.com" });
+    // Simulate a concurrent registration slipping past the existence check
+    const findOne = mock.method(Auth, "findOne", async () => null);
+
+    try {
+      const response = await request(ctx.app)
+        .post("/api/auth/register")
+        .send(validUser);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, "email already exists.");
+    } finally {
+      findOne.mock.restore();
+    }
+  });
+
+  it("only lets admins choose a role", async () => {
+    const anonymous = await request(ctx.app)
+      .post("/api/auth/register")
+      .send({ ...validUser, role: "admin" });
+    assert.equal(anonymous.status, 403);
+    assert.equal(anonymous.body.error, "FORBIDDEN");
+
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const asAdmin = await request(ctx.app)
+      .post("/api/auth/register")
+      .set("Authorization", auth)
+      .send({ ...validUser, role: "instructor" });
+    assert.equal(asAdmin.status, 201);
+    assert.equal(asAdmin.body.user.role, "instructor");
+  });
+
+  it("stores an uploaded profile picture with resized variants", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .field("username", validUser.username)
+      .field("email", validUser.email)
+      .field("password", validUser.password)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+
+    assert.equal(response.status, 201);
+    const { user } = response.body;
+    assert.match(user.profilePicture, /\/uploads\/profile-pictures\/.+\.webp$/);
+    assert.deepEqual(
+      user.profilePictureVariants.map((variant) => variant.label),
+      ["original", "64", "256", "512"]
+    );
+
+    const stored = await ctx.storage.list("profile-pictures/");
+    assert.equal(stored.length, 4);
+  });
+
+  it("removes the uploaded picture when registration fails", async () => {
+    await createUser({ email: "alice@example.com" });
+    const before = (await ctx.storage.list("profile-pictures/")).length;
+
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .field("username", validUser.username)
+      .field("email", validUser.email)
+      .field("password", validUser.password)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+    await waitForCleanup();
+
+    assert.equal(response.status, 400);
+    assert.equal((await ctx.storage.list("profile-pictures/")).length, before);
+  });
+
+  it("rate limits registrations per IP", async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(ctx.app).post("/api/auth/register").send({});
+    }
+
+    const response = await request(ctx.app)
+      .post("/api/auth/register")
+      .send(validUser);
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.error, "TOO_MANY_REQUESTS");
+    assert.ok(Number(response.headers["retry-after"]) > 0);
+  });
+});
+
+describe("profile picture upload errors", () => {
+  const register = () =>
+    request(ctx.app)
+      .post("/api/auth/register")
+      .field("username", validUser.username)
+      .field("email", validUser.email)
+      .field("password", validUser.password);
+
+  it("rejects files over 5MB", async () => {
+    const response = await register().attach(
+      "profilePicture",
+      Buffer.alloc(5 * 1024 * 1024 + 1),
+      "large.png"
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "FILE_TOO_LARGE");
+  });
+
+  it("rejects more than one file", async () => {
+    const image = await createTestImage();
+    const response = await register()
+      .attach("profilePicture", image, "one.png")
+      .attach("profilePicture", image, "two.png");
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "TOO_MANY_FILES");
+  });
+
+  it("rejects an unexpected field name", async () => {
+    const response = await register().attach(
+      "avatar",
+      await createTestImage(),
+      "avatar.png"
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "UNEXPECTED_FIELD");
+  });
+
+  it("rejects files that are not images", async () => {
+    const response = await register().attach(
+      "profilePicture",
+      Buffer.from("plain text"),
+      "notes.txt"
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "UPLOAD_ERROR");
+  });
+
+  it("rejects files whose content does not match an image type", async () => {
+    const response = await register().attach(
+      "profilePicture",
+      Buffer.from("<?php echo 'not an image'; ?>"),
+      "avatar.png"
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "INVALID_FILE_CONTENT");
+    assert.equal(await Auth.countDocuments(), 0);
+  });
+});
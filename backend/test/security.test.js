@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  DEFAULT_PASSWORD,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const failLogin = async (email, times) => {
+  for (let i = 0; i < times; i++) {
+    await request(ctx.app)
+      .post("/api/auth/login")
+      .send({ email, password: "wrong-pass" });
+  }
+};
+
+describe("GET /api/auth/security/login-attempts", () => {
+  it("lists and filters recorded attempts for admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUser();
+    await failLogin(target.email, 2);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/security/login-attempts")
+      .query({ email: target.email, success: "false" })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.attempts.length, 2);
+    assert.equal(response.body.attempts[0].reason, "invalid_password");
+    assert.equal(response.body.pagination.totalAttempts, 2);
+  });
+
+  it("is only available to admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/security/login-attempts")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("validates filters", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const response = await request(ctx.app)
+      .get("/api/auth/security/login-attempts")
+      .query({ success: "maybe", reason: "bogus" })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors.length, 2);
+  });
+});
+
+describe("GET /api/auth/security/targeted-accounts", () => {
+  it("summarizes failures and flags locked accounts", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUser();
+    await failLogin(target.email, 5);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/security/targeted-accounts")
+      .query({ hours: 1 })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    const account = response.body.accounts.find(
+      (entry) => entry.email === target.email
+    );
+    assert.equal(account.failedAttempts, 5);
+    assert.ok(account.lockedUntil);
+    assert.equal(response.body.ips.length, 1);
+  });
+});
+
+describe("POST /api/auth/users/:userId/unlock", () => {
+  it("lets admins lift a lockout", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUser();
+    await failLogin(target.email, 5);
+
+    const response = await request(ctx.app)
+      .post(`/api/auth/users/${target._id}/unlock`)
+      .set("Authorization", auth);
+    assert.equal(response.status, 200);
+
+    const stored = await Auth.findById(target._id);
+    assert.equal(stored.isLocked(), false);
+
+    const relogin = await request(ctx.app)
+      .post("/api/auth/login")
+      .send({ email: target.email, password: DEFAULT_PASSWORD });
+    assert.equal(relogin.status, 200);
+  });
+
+  it("is only available to admins", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post(`/api/auth/users/${user._id}/unlock`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  login,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const getSessions = (auth) =>
+  request(ctx.app).get("/api/auth/sessions").set("Authorization", auth);
+
+describe("authentication", () => {
+  it("requires a bearer token", async () => {
+    const response = await request(ctx.app).get("/api/auth/sessions");
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "UNAUTHORIZED");
+  });
+
+  it("rejects tokens with a bad signature", async () => {
+    const user = await createUser();
+    const forged = jwt.sign({ userId: user._id }, "wrong-secret");
+
+    const response = await getSessions(`Bearer ${forged}`);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "INVALID_TOKEN");
+  });
+
+  it("rejects expired tokens", async () => {
+    const user = await createUser();
+    const expired = jwt.sign(
+      { userId: user._id, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+
+    const response = await getSessions(`Bearer ${expired}`);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "TOKEN_EXPIRED");
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("rotates the refresh token", async () => {
+    const { refreshToken } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.notEqual(response.body.refreshToken, refreshToken);
+  });
+
+  it("revokes the session when a refresh token is reused", async () => {
+    const { refreshToken } = await createUserWithToken(ctx.app);
+    const first = await request(ctx.app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+
+    const reused = await request(ctx.app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.error, "REFRESH_TOKEN_REUSED");
+
+    const successor = await request(ctx.app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    assert.equal(successor.status, 401);
+    assert.equal(successor.body.error, "SESSION_REVOKED");
+  });
+
+  it("rejects unknown refresh tokens", async () => {
+    const response = await request(ctx.app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: "not-a-real-token" });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "INVALID_REFRESH_TOKEN");
+  });
+});
+
+describe("logout", () => {
+  it("ends the session of the access token", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/logout")
+      .set("Authorization", auth);
+    assert.equal(response.status, 200);
+
+    const after = await getSessions(auth);
+    assert.equal(after.status, 401);
+    assert.equal(after.body.error, "SESSION_REVOKED");
+  });
+
+  it("ends the session of a refresh token", async () => {
+    const { auth, refreshToken } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/logout")
+      .send({ refreshToken });
+    assert.equal(response.status, 200);
+
+    assert.equal((await getSessions(auth)).status, 401);
+  });
+
+  it("requires a token", async () => {
+    const response = await request(ctx.app).post("/api/auth/logout");
+
+    assert.equal(response.status, 401);
+  });
+
+  it("ends every session with logout-all", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await login(ctx.app, user);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/logout-all")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.revokedSessions, 2);
+    assert.equal((await getSessions(`Bearer ${other.token}`)).status, 401);
+  });
+});
+
+describe("session management", () => {
+  it("lists active sessions and marks the current one", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    await login(ctx.app, user);
+
+    const response = await getSessions(auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sessions.length, 2);
+    assert.equal(
+      response.body.sessions.filter((session) => session.current).length,
+      1
+    );
+  });
+
+  it("revokes a single session", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await login(ctx.app, user);
+    const { sessions } = (await getSessions(auth)).body;
+    const target = sessions.find((session) => !session.current);
+
+    const response = await request(ctx.app)
+      .delete(`/api/auth/sessions/${target.id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal((await getSessions(`Bearer ${other.token}`)).status, 401);
+    assert.equal((await getSessions(auth)).status, 200);
+  });
+
+  it("does not reveal other users' sessions", async () => {
+    const owner = await createUserWithToken(ctx.app);
+    const { auth } = await createUserWithToken(ctx.app);
+    const { sessions } = (await getSessions(owner.auth)).body;
+
+    const response = await request(ctx.app)
+      .delete(`/api/auth/sessions/${sessions[0].id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 404);
+  });
+
+  it("validates the session id", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .delete("/api/auth/sessions/not-an-id")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].field, "sessionId");
+  });
+});
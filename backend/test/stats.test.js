@@ -0,0 +1,171 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import { MAX_BUCKETS, listBuckets } from "../src/services/statsService.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createAdmin = () => createUserWithToken(ctx.app, { role: "admin" });
+
+// Move a user's signup date into the past
+const backdate = (user, daysAgo) =>
+  Auth.collection.updateOne(
+    { _id: user._id },
+    { $set: { createdAt: new Date(Date.now() - daysAgo * DAY_MS) } }
+  );
+
+describe("Admin statistics", () => {
+  it("summarizes collections, roles and profile pictures", async () => {
+    const admin = await createAdmin();
+    await createUser({ role: "instructor" });
+    await createUser({ profilePictureKey: "profile-pictures/a.png" });
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats")
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.collections.users, 3);
+    assert.deepEqual(response.body.roles, [
+      { value: "admin", count: 1 },
+      { value: "instructor", count: 1 },
+      { value: "student", count: 1 },
+    ]);
+    assert.deepEqual(response.body.profilePictures, [
+      { value: "default", count: 2 },
+      { value: "uploaded", count: 1 },
+    ]);
+    assert.equal(response.body.lastSevenDays.signups, 3);
+    assert.equal(response.body.lastSevenDays.activeUsers, 1);
+  });
+
+  it("leaves out deleted accounts", async () => {
+    const admin = await createAdmin();
+    await createUser({ role: "instructor" });
+    await createUser({ role: "instructor", deletedAt: new Date() });
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats")
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.collections.users, 2);
+    assert.deepEqual(response.body.roles, [
+      { value: "admin", count: 1 },
+      { value: "instructor", count: 1 },
+    ]);
+    assert.equal(response.body.lastSevenDays.signups, 2);
+  });
+
+  it("is limited to admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app, {
+      role: "instructor",
+    });
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats/series/signups")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("Statistics series", () => {
+  it("counts signups per day with empty days filled in", async () => {
+    const admin = await createAdmin();
+    await backdate(await createUser(), 2);
+    await backdate(await createUser(), 2);
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats/series/signups")
+      .query({ from: new Date(Date.now() - 3 * DAY_MS).toISOString() })
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.granularity, "day");
+    assert.equal(response.body.points.length, 4);
+    assert.deepEqual(
+      response.body.points.map((point) => point.count),
+      [0, 2, 0, 1]
+    );
+    assert.equal(response.body.total, 3);
+  });
+
+  it("exports a series as CSV", async () => {
+    const admin = await createAdmin();
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats/series/logins")
+      .query({ granularity: "week", format: "csv" })
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^text\/csv/);
+    assert.match(response.headers["content-disposition"], /logins-week-/);
+    const lines = response.text.trim().split("\r\n");
+    assert.equal(lines[0], "period,count");
+    assert.equal(lines.at(-1).split(",")[1], "1");
+  });
+
+  it("rejects unknown series and ranges that are too long", async () => {
+    const admin = await createAdmin();
+
+    const unknown = await request(ctx.app)
+      .get("/api/admin/stats/series/pageviews")
+      .set("Authorization", admin.auth);
+    assert.equal(unknown.status, 400);
+
+    const tooLong = await request(ctx.app)
+      .get("/api/admin/stats/series/signups")
+      .query({ from: "2000-01-01", granularity: "day" })
+      .set("Authorization", admin.auth);
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.errors[0].field, "granularity");
+  });
+
+  it("caps long ranges at MAX_BUCKETS periods", async () => {
+    const from = new Date("2000-01-01T00:00:00Z");
+    const longest = new Date(from.getTime() + (MAX_BUCKETS - 1) * DAY_MS);
+    const tooLong = new Date(longest.getTime() + DAY_MS);
+
+    assert.equal(listBuckets(from, new Date(), "day").length, MAX_BUCKETS);
+    assert.equal(listBuckets(from, tooLong, "day").length, MAX_BUCKETS);
+
+    const admin = await createAdmin();
+    const query = (to) =>
+      request(ctx.app)
+        .get("/api/admin/stats/series/signups")
+        .query({ from: from.toISOString(), to: to.toISOString() })
+        .set("Authorization", admin.auth);
+
+    const accepted = await query(longest);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.points.length, MAX_BUCKETS);
+    assert.equal((await query(tooLong)).status, 400);
+  });
+});
+
+describe("Statistics breakdowns", () => {
+  it("exports a breakdown as CSV", async () => {
+    const admin = await createAdmin();
+    await createUser({ emailVerified: false });
+
+    const response = await request(ctx.app)
+      .get("/api/admin/stats/breakdowns/emailVerification?format=csv")
+      .set("Authorization", admin.auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.text,
+      "value,count\r\nunverified,1\r\nverified,1\r\n"
+    );
+  });
+});
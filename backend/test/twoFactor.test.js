@@ -0,0 +1,249 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import SecuritySetting from "../src/models/securitySettingModel.js";
+import { generateTotp } from "../src/utils/totp.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  login,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+// A code for the next time step, so it is not rejected as a replay of the enrollment code
+const nextCode = (secret) => generateTotp(secret, Date.now() + 30 * 1000);
+
+// Enroll a signed-in user and return the secret and recovery codes
+const enroll = async (auth) => {
+  const setup = await request(ctx.app)
+    .post("/api/auth/2fa/setup")
+    .set("Authorization", auth);
+  const { secret } = setup.body;
+
+  const enabled = await request(ctx.app)
+    .post("/api/auth/2fa/enable")
+    .set("Authorization", auth)
+    .send({ code: generateTotp(secret) });
+
+  return { secret, recoveryCodes: enabled.body.recoveryCodes };
+};
+
+describe("two-factor enrollment", () => {
+  it("enables 2FA with a code from the authenticator app", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const setup = await request(ctx.app)
+      .post("/api/auth/2fa/setup")
+      .set("Authorization", auth);
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const wrong = await request(ctx.app)
+      .post("/api/auth/2fa/enable")
+      .set("Authorization", auth)
+      .send({ code: "000000" });
+    assert.equal(wrong.status, 400);
+
+    const enabled = await request(ctx.app)
+      .post("/api/auth/2fa/enable")
+      .set("Authorization", auth)
+      .send({ code: generateTotp(setup.body.secret) });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+
+    const stored = await Auth.findById(user._id);
+    assert.equal(stored.twoFactor.enabled, true);
+  });
+
+  it("refuses to set up 2FA twice", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+    await enroll(auth);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/2fa/setup")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 400);
+  });
+
+  it("requires a 6 digit code", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/2fa/enable")
+      .set("Authorization", auth)
+      .send({ code: "12ab" });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].field, "code");
+  });
+});
+
+describe("POST /api/auth/login/2fa", () => {
+  it("asks for a second factor and then issues a session", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const { secret } = await enroll(auth);
+
+    const first = await login(ctx.app, user);
+    assert.equal(first.mfaRequired, true);
+    assert.equal(first.token, undefined);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/login/2fa")
+      .send({ mfaToken: first.mfaToken, code: nextCode(secret) });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const { recoveryCodes } = await enroll(auth);
+
+    const { mfaToken } = await login(ctx.app, user);
+    const used = await request(ctx.app)
+      .post("/api/auth/login/2fa")
+      .send({ mfaToken, recoveryCode: recoveryCodes[0] });
+    const reused = await request(ctx.app)
+      .post("/api/auth/login/2fa")
+      .send({ mfaToken, recoveryCode: recoveryCodes[0] });
+
+    assert.equal(used.status, 200);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.error, "INVALID_MFA_CODE");
+  });
+
+  it("rejects wrong codes and invalid MFA tokens", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    await enroll(auth);
+    const { mfaToken } = await login(ctx.app, user);
+
+    const wrongCode = await request(ctx.app)
+      .post("/api/auth/login/2fa")
+      .send({ mfaToken, code: "000000" });
+    assert.equal(wrongCode.status, 401);
+    assert.equal(wrongCode.body.error, "INVALID_MFA_CODE");
+
+    const wrongToken = await request(ctx.app)
+      .post("/api/auth/login/2fa")
+      .send({ mfaToken: "invalid", code: "000000" });
+    assert.equal(wrongToken.status, 401);
+    assert.equal(wrongToken.body.error, "INVALID_MFA_TOKEN");
+  });
+
+  it("does not accept an MFA token as an access token", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    await enroll(auth);
+    const { mfaToken } = await login(ctx.app, user);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/sessions")
+      .set("Authorization", `Bearer ${mfaToken}`);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "INVALID_TOKEN");
+  });
+});
+
+describe("managing 2FA", () => {
+  it("regenerates recovery codes", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+    const { secret, recoveryCodes } = await enroll(auth);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/2fa/recovery-codes")
+      .set("Authorization", auth)
+      .send({ code: nextCode(secret) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.recoveryCodes.length, 10);
+    assert.notDeepEqual(response.body.recoveryCodes, recoveryCodes);
+  });
+
+  it("disables 2FA with the password and a second factor", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const { recoveryCodes } = await enroll(auth);
+
+    const wrongPassword = await request(ctx.app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", auth)
+      .send({ password: "wrong-pass", recoveryCode: recoveryCodes[0] });
+    assert.equal(wrongPassword.status, 401);
+
+    const response = await request(ctx.app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", auth)
+      .send({ password: "Password123!", recoveryCode: recoveryCodes[0] });
+    assert.equal(response.status, 200);
+
+    const stored = await Auth.findById(user._id);
+    assert.equal(stored.twoFactor.enabled, false);
+  });
+});
+
+describe("two-factor policy", () => {
+  it("is only available to admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/2fa/policy")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("lets admins require 2FA per role", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const invalid = await request(ctx.app)
+      .put("/api/auth/2fa/policy")
+      .set("Authorization", auth)
+      .send({ requireTwoFactorRoles: ["superuser"] });
+    assert.equal(invalid.status, 400);
+
+    const updated = await request(ctx.app)
+      .put("/api/auth/2fa/policy")
+      .set("Authorization", auth)
+      .send({ requireTwoFactorRoles: ["instructor", "instructor"] });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.requireTwoFactorRoles, ["instructor"]);
+
+    const read = await request(ctx.app)
+      .get("/api/auth/2fa/policy")
+      .set("Authorization", auth);
+    assert.deepEqual(read.body.requireTwoFactorRoles, ["instructor"]);
+  });
+
+  it("forces enrollment before issuing a session", async () => {
+    await SecuritySetting.create({ requireTwoFactorRoles: ["instructor"] });
+    const user = await createUser({ role: "instructor" });
+
+    const first = await login(ctx.app, user);
+    assert.equal(first.enrollmentRequired, true);
+    const enrollAuth = `Bearer ${first.mfaToken}`;
+
+    const setup = await request(ctx.app)
+      .post("/api/auth/2fa/setup")
+      .set("Authorization", enrollAuth);
+    const enabled = await request(ctx.app)
+      .post("/api/auth/2fa/enable")
+      .set("Authorization", enrollAuth)
+      .send({ code: generateTotp(setup.body.secret) });
+
+    assert.equal(enabled.status, 200);
+    assert.ok(enabled.body.token);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+
+    const disable = await request(ctx.app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", `Bearer ${enabled.body.token}`)
+      .send({
+        password: "Password123!",
+        recoveryCode: enabled.body.recoveryCodes[0],
+      });
+    assert.equal(disable.status, 403);
+  });
+});
@@ -0,0 +1,397 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import Auth from "../src/models/authModel.js";
+import {
+  setupTestApp,
+  createUser,
+  createUserWithToken,
+  createTestImage,
+  waitForCleanup,
+} from "./helpers/testApp.js";
+
+const ctx = setupTestApp();
+
+describe("GET /api/auth/users", () => {
+  it("is only available to admins", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .get("/api/auth/users")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, "FORBIDDEN");
+  });
+
+  it("paginates and filters users", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    for (let i = 0; i < 3; i++) await createUser({ role: "instructor" });
+    await createUser();
+
+    const response = await request(ctx.app)
+      .get("/api/auth/users")
+      .query({ role: "instructor", limit: 2, page: 2 })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.users.length, 1);
+    assert.deepEqual(response.body.pagination, {
+      currentPage: 2,
+      totalPages: 2,
+      totalUsers: 3,
+      hasNextPage: false,
+      hasPrevPage: true,
+    });
+    assert.equal(response.body.users[0].password, undefined);
+  });
+
+  it("matches search text literally", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    await createUser({ username: "dot.user" });
+    await createUser({ username: "dotXuser" });
+
+    const response = await request(ctx.app)
+      .get("/api/auth/users")
+      .query({ search: "dot." })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.users.map((user) => user.username),
+      ["dot.user"]
+    );
+  });
+
+  it("caps the page size", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    await Auth.insertMany(
+      Array.from({ length: 105 }, (_, i) => ({
+        username: `bulk${i}`,
+        email: `bulk${i}@example.com`,
+        password: "Password123!",
+      }))
+    );
+
+    const response = await request(ctx.app)
+      .get("/api/auth/users")
+      .query({ limit: 1000 })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.users.length, 100);
+  });
+
+  it("rejects invalid filters", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const response = await request(ctx.app)
+      .get("/api/auth/users")
+      .query({ page: 0, role: "nobody" })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.errors.map((error) => error.field).sort(),
+      ["page", "role"]
+    );
+  });
+});
+
+describe("GET /api/auth/users/:userId", () => {
+  it("lets users read their own profile but not others'", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+
+    const own = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth);
+    const foreign = await request(ctx.app)
+      .get(`/api/auth/users/${other._id}`)
+      .set("Authorization", auth);
+
+    assert.equal(own.status, 200);
+    assert.equal(own.body.user.email, user.email);
+    assert.equal(foreign.status, 403);
+  });
+
+  it("returns 404 for unknown users and 400 for invalid ids", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const missing = await request(ctx.app)
+      .get("/api/auth/users/507f1f77bcf86cd799439011")
+      .set("Authorization", auth);
+    const invalid = await request(ctx.app)
+      .get("/api/auth/users/not-an-id")
+      .set("Authorization", auth);
+
+    assert.equal(missing.status, 404);
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe("PUT /api/auth/users/:userId", () => {
+  it("updates the profile and asks to verify a new email", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ username: "renamed", email: "Renamed@Example.com" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.username, "renamed");
+    assert.equal(response.body.user.email, "renamed@example.com");
+    assert.equal(response.body.user.emailVerified, false);
+    assert.equal(ctx.sentMail[0].to, "renamed@example.com");
+  });
+
+  it("only lets admins change roles", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const admin = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const self = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ role: "admin" });
+    assert.equal(self.status, 403);
+
+    const byAdmin = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", admin.auth)
+      .send({ role: "instructor" });
+    assert.equal(byAdmin.status, 200);
+    assert.equal(byAdmin.body.user.role, "instructor");
+  });
+
+  it("rejects an email or username used by another account", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+
+    const email = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ email: other.email });
+    const username = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ username: other.username });
+
+    assert.equal(email.status, 400);
+    assert.equal(email.body.message, "Email is already taken.");
+    assert.equal(username.status, 400);
+    assert.equal(username.body.message, "Username is already taken.");
+  });
+
+  it("treats values of deleted accounts as taken", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const deleted = await createUser({ deletedAt: new Date() });
+
+    const email = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ email: deleted.email });
+    const username = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth)
+      .send({ username: deleted.username });
+
+    assert.equal(email.body.message, "Email is already taken.");
+    assert.equal(username.body.message, "Username is already taken.");
+  });
+
+  it("reports duplicate keys raised by the unique index", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+    // Simulate a concurrent update slipping past the existence checks (only the
+    // username lookup finds nothing; findById goes through findOne as well)
+    const lookup = Auth.findOne;
+    const findOne = mock.method(Auth, "findOne", function (filter, ...rest) {
+      const query = lookup.call(this, filter, ...rest);
+      return filter?.username ? query.where({ _id: null }) : query;
+    });
+
+    try {
+      const response = await request(ctx.app)
+        .put(`/api/auth/users/${user._id}`)
+        .set("Authorization", auth)
+        .send({ username: other.username });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, "username already exists.");
+    } finally {
+      findOne.mock.restore();
+    }
+  });
+
+  it("replaces the profile picture and deletes the old files", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const upload = async () =>
+      request(ctx.app)
+        .put(`/api/auth/users/${user._id}`)
+        .set("Authorization", auth)
+        .attach("profilePicture", await createTestImage(), "avatar.png");
+
+    const first = await upload();
+    const second = await upload();
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    const stored = (await ctx.storage.list("profile-pictures/")).map(
+      (file) => file.key
+    );
+    assert.deepEqual(
+      stored.sort(),
+      second.body.user.profilePictureVariants.map((v) => v.key).sort()
+    );
+  });
+});
+
+describe("GET /api/auth/users/:userId/availability", () => {
+  it("reports usernames and emails taken by other accounts", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+
+    const taken = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}/availability`)
+      .query({ username: other.username, email: other.email.toUpperCase() })
+      .set("Authorization", auth);
+    const own = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}/availability`)
+      .query({ username: user.username, email: "free@example.com" })
+      .set("Authorization", auth);
+
+    assert.equal(taken.status, 200);
+    assert.deepEqual(taken.body.available, { username: false, email: false });
+    assert.deepEqual(own.body.available, { username: true, email: true });
+  });
+
+  it("counts deleted accounts as taken", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+    const deleted = await createUser({ deletedAt: new Date() });
+
+    const response = await request(ctx.app)
+      .get(`/api/auth/users/${user._id}/availability`)
+      .query({ username: deleted.username })
+      .set("Authorization", auth);
+
+    assert.deepEqual(response.body.available, { username: false });
+  });
+
+  it("is limited to admins and the user themselves", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+
+    const response = await request(ctx.app)
+      .get(`/api/auth/users/${other._id}/availability`)
+      .query({ username: "someone" })
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("PUT /api/auth/users/:userId/picture", () => {
+  it("requires a file", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}/picture`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "No file uploaded.");
+  });
+
+  it("stores the new picture", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}/picture`)
+      .set("Authorization", auth)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.profilePictureVariants.length, 4);
+
+    const image = await request(ctx.app).get(
+      new URL(response.body.user.profilePicture).pathname
+    );
+    assert.equal(image.status, 200);
+    assert.equal(image.headers["content-type"], "image/webp");
+  });
+
+  it("does not keep uploads for another user's profile", async () => {
+    const { auth } = await createUserWithToken(ctx.app);
+    const other = await createUser();
+
+    const response = await request(ctx.app)
+      .put(`/api/auth/users/${other._id}/picture`)
+      .set("Authorization", auth)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+    await waitForCleanup();
+
+    assert.equal(response.status, 403);
+    assert.equal((await ctx.storage.list("profile-pictures/")).length, 0);
+  });
+
+  it("rejects oversized files", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .put(`/api/auth/users/${user._id}/picture`)
+      .set("Authorization", auth)
+      .attach(
+        "profilePicture",
+        Buffer.alloc(5 * 1024 * 1024 + 1),
+        "large.png"
+      );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "FILE_TOO_LARGE");
+  });
+});
+
+describe("DELETE /api/auth/users/:userId", () => {
+  it("soft deletes the user and keeps their picture until the purge", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+    const target = await createUserWithToken(ctx.app);
+    await request(ctx.app)
+      .put(`/api/auth/users/${target.user._id}/picture`)
+      .set("Authorization", target.auth)
+      .attach("profilePicture", await createTestImage(), "avatar.png");
+
+    const response = await request(ctx.app)
+      .delete(`/api/auth/users/${target.user._id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.purgeAfter);
+    assert.equal(await Auth.findById(target.user._id), null);
+    const deleted = await Auth.findById(target.user._id).setOptions({
+      withDeleted: true,
+    });
+    assert.ok(deleted.deletedAt);
+    assert.ok((await ctx.storage.list("profile-pictures/")).length > 0);
+  });
+
+  it("is only available to admins", async () => {
+    const { user, auth } = await createUserWithToken(ctx.app);
+
+    const response = await request(ctx.app)
+      .delete(`/api/auth/users/${user._id}`)
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("returns 404 for unknown users", async () => {
+    const { auth } = await createUserWithToken(ctx.app, { role: "admin" });
+
+    const response = await request(ctx.app)
+      .delete("/api/auth/users/507f1f77bcf86cd799439011")
+      .set("Authorization", auth);
+
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,37 @@
+import { api } from "./client"
+
+// Calls to the backend's /api/auth endpoints for signing in and out and for
+// the signed-in user's password. The sign-in calls send no access token: they
+// are how one is obtained.
+
+export function login(email, password) {
+  return api.post("/api/auth/login", { email, password }, { auth: false })
+}
+
+export function loginWithTwoFactor(mfaToken, { code, recoveryCode }) {
+  return api.post(
+    "/api/auth/login/2fa",
+    { mfaToken, code, recoveryCode },
+    { auth: false }
+  )
+}
+
+// `formData` holds username, email, password and optionally profilePicture;
+// admins creating an account with a `role` pass `{ auth: true }`
+export function register(formData, options) {
+  return api.post("/api/auth/register", formData, { auth: false, ...options })
+}
+
+// Ends the session on the server even when its access token has expired
+export function logout(refreshToken) {
+  return api.post("/api/auth/logout", { refreshToken }, { auth: false })
+}
+
+// Other sessions of the account are signed out; this one stays signed in.
+// Accounts without a password (identity provider only) leave out the current one.
+export function changePassword({ currentPassword, newPassword }) {
+  return api.post("/api/auth/change-password", {
+    currentPassword,
+    newPassword,
+  })
+}
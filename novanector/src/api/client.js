@@ -0,0 +1,223 @@
+import {
+  CancelledError,
+  NetworkError,
+  errorFromResponse,
+} from "./errors"
+import { getSession, setSession, tokenExpiresAt } from "./session"
+
+// Base URL of the Express backend (see .env.example)
+export const API_URL = (
+  import.meta.env.VITE_API_URL || "http://localhost:3000"
+).replace(/\/$/, "")
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 30 * 1000
+
+const NETWORK_MESSAGE = "Cannot reach the server. Check your connection."
+const CANCELLED_MESSAGE = "The request was cancelled."
+
+/**
+ * @typedef {object} UploadProgress
+ * @property {number} loaded Bytes sent so far
+ * @property {number} total
+ * @property {number} percent 0 to 100
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {"GET" | "POST" | "PUT" | "PATCH" | "DELETE"} [method]
+ * @property {Record<string, unknown>} [query] Query parameters; empty values are left out
+ * @property {object | FormData} [body] JSON body, or FormData for multipart uploads
+ * @property {boolean} [auth] Send the session's access token (default true)
+ * @property {string} [token] Access token to send instead of the session's
+ * @property {AbortSignal} [signal] Aborting rejects the request with a CancelledError
+ * @property {(progress: UploadProgress) => void} [onUploadProgress] Upload progress of the body
+ */
+
+let refreshing = null
+
+// Exchange the refresh token for a new pair. Refresh tokens are single use, so
+// concurrent callers share one request; a refused token ends the session.
+export function refreshAccessToken() {
+  if (!refreshing) {
+    const current = getSession()
+    if (!current) return Promise.resolve(null)
+
+    refreshing = apiRequest("/api/auth/refresh", {
+      method: "POST",
+      body: { refreshToken: current.refreshToken },
+      auth: false,
+    })
+      .then(({ user, token, refreshToken }) => {
+        setSession({ user, token, refreshToken })
+        return token
+      })
+      .catch((error) => {
+        if (error.status === 401) setSession(null)
+        throw error
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+// The session's access token, refreshed first when it is about to expire
+export async function getAccessToken() {
+  const current = getSession()
+  if (!current) return null
+  if (tokenExpiresAt(current.token) - Date.now() > REFRESH_MARGIN_MS) {
+    return current.token
+  }
+  return refreshAccessToken()
+}
+
+function buildUrl(path, query) {
+  const url = new URL(`${API_URL}${path}`)
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value === undefined || value === null || value === "") continue
+    url.searchParams.set(name, value)
+  }
+  return url.toString()
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {}
+  } catch {
+    return {}
+  }
+}
+
+async function sendWithFetch({ url, method, headers, body, signal }) {
+  let response
+  try {
+    response = await fetch(url, { method, headers, body, signal })
+  } catch (error) {
+    if (error.name === "AbortError") throw new CancelledError(CANCELLED_MESSAGE)
+    throw new NetworkError(NETWORK_MESSAGE)
+  }
+  return {
+    status: response.status,
+    data: parseJson(await response.text()),
+    retryAfter: response.headers.get("Retry-After"),
+  }
+}
+
+// fetch cannot report upload progress, so uploads that want it use XHR
+function sendWithXhr({ url, method, headers, body, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(method, url)
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value)
+    }
+
+    xhr.upload.onprogress = (event) => {
+      if (!event.lengthComputable) return
+      onUploadProgress({
+        loaded: event.loaded,
+        total: event.total,
+        percent: Math.round((event.loaded / event.total) * 100),
+      })
+    }
+    xhr.onload = () =>
+      resolve({
+        status: xhr.status,
+        data: parseJson(xhr.responseText),
+        retryAfter: xhr.getResponseHeader("Retry-After"),
+      })
+    xhr.onerror = () => reject(new NetworkError(NETWORK_MESSAGE))
+    xhr.onabort = () => reject(new CancelledError(CANCELLED_MESSAGE))
+
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true })
+    xhr.send(body)
+  })
+}
+
+/**
+ * Call the backend and resolve with the parsed response body
+ * Failed requests reject with an ApiError subclass (see api/errors.js). An
+ * expired access token is refreshed and the request sent once more.
+ * @param {string} path Path on the backend, e.g. "/api/auth/users"
+ * @param {RequestOptions} [options]
+ */
+export async function apiRequest(path, options = {}) {
+  const {
+    method = "GET",
+    query,
+    body,
+    auth = true,
+    token,
+    signal,
+    onUploadProgress,
+  } = options
+
+  const send = async (accessToken) => {
+    if (signal?.aborted) throw new CancelledError(CANCELLED_MESSAGE)
+
+    const headers = {}
+    if (accessToken) headers.Authorization = `Bearer ${accessToken}`
+    // FormData sets its own multipart content type with the boundary
+    const isFormData = body instanceof FormData
+    if (body !== undefined && !isFormData) {
+      headers["Content-Type"] = "application/json"
+    }
+
+    const request = {
+      url: buildUrl(path, query),
+      method,
+      headers,
+      body: body === undefined || isFormData ? body : JSON.stringify(body),
+      signal,
+      onUploadProgress,
+    }
+    return onUploadProgress ? sendWithXhr(request) : sendWithFetch(request)
+  }
+
+  const useSession = auth && !token
+  let response = await send(token || (useSession && (await getAccessToken())))
+
+  // The token expired in flight (or the clocks disagree): refresh and retry once
+  if (
+    useSession &&
+    response.status === 401 &&
+    response.data.error === "TOKEN_EXPIRED"
+  ) {
+    const refreshed = await refreshAccessToken()
+    if (refreshed) response = await send(refreshed)
+  }
+
+  if (response.status >= 400 || response.data.success === false) {
+    throw errorFromResponse(response.status, response.data, response.retryAfter)
+  }
+  return response.data
+}
+
+// Shorthands; `body` may be a plain object (sent as JSON) or FormData
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: "GET" }),
+  post: (path, body, options) =>
+    apiRequest(path, { ...options, method: "POST", body }),
+  put: (path, body, options) =>
+    apiRequest(path, { ...options, method: "PUT", body }),
+  patch: (path, body, options) =>
+    apiRequest(path, { ...options, method: "PATCH", body }),
+  delete: (path, options) =>
+    apiRequest(path, { ...options, method: "DELETE" }),
+}
+
+/**
+ * Start a request that can be cancelled without managing an AbortController
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} start
+ * @returns {{ promise: Promise<T>, cancel: () => void }}
+ */
+export function cancellable(start) {
+  const controller = new AbortController()
+  return {
+    promise: start(controller.signal),
+    cancel: () => controller.abort(),
+  }
+}
@@ -0,0 +1,118 @@
+// Errors thrown by the API client (see api/client.js). Every failed request
+// rejects with an ApiError subclass picked from the HTTP status, carrying the
+// backend's `{ success: false, message, error, errors }` envelope.
+
+/**
+ * @typedef {object} FieldError
+ * @property {string} field Dotted path, e.g. "rubric.0.title"
+ * @property {"params" | "query" | "body"} location
+ * @property {string} message
+ */
+
+export class ApiError extends Error {
+  name = "ApiError"
+
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] HTTP status (0 when there was no response)
+   * @param {string} [details.code] Machine readable code, e.g. "TOKEN_EXPIRED"
+   * @param {FieldError[]} [details.errors]
+   * @param {object} [details.data] The whole response body
+   */
+  constructor(message, { status = 0, code, errors = [], data } = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.errors = errors
+    this.data = data
+  }
+
+  // Validation messages by field name, e.g. { email: "Please provide a valid email address." }
+  fieldErrors() {
+    return Object.fromEntries(
+      this.errors.map(({ field, message }) => [field, message])
+    )
+  }
+}
+
+// 400 with field-level `errors`
+export class ValidationError extends ApiError {
+  name = "ValidationError"
+}
+
+// 401: missing, invalid or expired token, or a session that has ended
+export class UnauthorizedError extends ApiError {
+  name = "UnauthorizedError"
+}
+
+// 403
+export class ForbiddenError extends ApiError {
+  name = "ForbiddenError"
+}
+
+// 404
+export class NotFoundError extends ApiError {
+  name = "NotFoundError"
+}
+
+// 409
+export class ConflictError extends ApiError {
+  name = "ConflictError"
+}
+
+// 429; `retryAfter` is in seconds
+export class RateLimitError extends ApiError {
+  name = "RateLimitError"
+
+  constructor(message, details = {}) {
+    super(message, details)
+    this.retryAfter = details.retryAfter
+  }
+}
+
+// The server could not be reached
+export class NetworkError extends ApiError {
+  name = "NetworkError"
+}
+
+// The request was aborted through its AbortSignal
+export class CancelledError extends ApiError {
+  name = "CancelledError"
+}
+
+const ERRORS_BY_STATUS = {
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: RateLimitError,
+}
+
+// ApiError for a failed response with the parsed body `data`
+export function errorFromResponse(status, data = {}, retryAfterHeader) {
+  const details = {
+    status,
+    code: data.error,
+    errors: Array.isArray(data.errors) ? data.errors : [],
+    data,
+  }
+  const message = data.message || "Something went wrong. Please try again."
+
+  if (status === 400 && details.errors.length) {
+    return new ValidationError(message, details)
+  }
+  if (status === 429) {
+    const retryAfter = Number(data.retryAfter ?? retryAfterHeader)
+    return new RateLimitError(message, {
+      ...details,
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+    })
+  }
+  const ErrorClass = ERRORS_BY_STATUS[status] || ApiError
+  return new ErrorClass(message, details)
+}
+
+export function isCancelled(error) {
+  return error instanceof CancelledError
+}
@@ -0,0 +1,62 @@
+// The signed-in session ({ user, token, refreshToken }). It is kept in
+// localStorage so it survives reloads and is shared by every open tab; the API
+// client reads its tokens from here and AuthProvider re-renders on changes.
+
+/**
+ * @typedef {object} Session
+ * @property {object} user The user as the API returns it
+ * @property {string} token Access token (JWT, short lived)
+ * @property {string} refreshToken Single-use token for the next access token
+ */
+
+export const SESSION_KEY = "novanector.session"
+
+const listeners = new Set()
+
+function readStoredSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_KEY))
+    return stored?.token && stored?.refreshToken ? stored : null
+  } catch {
+    return null
+  }
+}
+
+let session = readStoredSession()
+
+/** @returns {Session | null} */
+export function getSession() {
+  return session
+}
+
+/** @param {Session | null} next */
+export function setSession(next) {
+  session = next
+  if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next))
+  else localStorage.removeItem(SESSION_KEY)
+  listeners.forEach((listener) => listener())
+}
+
+// Call `listener` whenever the session changes; returns the unsubscribe function
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Follow logins, logouts and token rotations made in other tabs (a null key
+// means the whole storage was cleared)
+window.addEventListener("storage", (event) => {
+  if (event.key !== SESSION_KEY && event.key !== null) return
+  session = readStoredSession()
+  listeners.forEach((listener) => listener())
+})
+
+// Expiry of a JWT in milliseconds (0 when it cannot be read)
+export function tokenExpiresAt(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")
+    return JSON.parse(atob(payload)).exp * 1000
+  } catch {
+    return 0
+  }
+}
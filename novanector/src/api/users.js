@@ -0,0 +1,68 @@
+import { api } from "./client"
+
+// Calls to the backend's /api/auth/users endpoints. Reading and editing a user
+// is open to admins and the user themselves; listing, deleting and restoring
+// are admin only.
+
+/**
+ * @param {{ page?: number, limit?: number, search?: string, role?: string, deleted?: boolean }} query
+ */
+export function listUsers(query, options) {
+  return api.get("/api/auth/users", { ...options, query })
+}
+
+export function getUser(userId, options) {
+  return api.get(`/api/auth/users/${userId}`, options)
+}
+
+// `changes` may hold username, email and (admins only) role
+export function updateUser(userId, changes, options) {
+  return api.put(`/api/auth/users/${userId}`, changes, options)
+}
+
+// Resolves with `available: { username?, email? }` for the values passed;
+// the user's own current values count as available
+export function checkAvailability(userId, { username, email }, options) {
+  return api.get(`/api/auth/users/${userId}/availability`, {
+    ...options,
+    query: { username, email },
+  })
+}
+
+// Messages of the update route for a username or email used by another account
+export const TAKEN_MESSAGES = {
+  username: "Username is already taken.",
+  email: "Email is already taken.",
+}
+
+// The update route reports a taken username or email as a plain 400 message;
+// this names the field it belongs to ("username" or "email"), if any
+export function takenField(error) {
+  return (
+    Object.keys(TAKEN_MESSAGES).find(
+      (field) => TAKEN_MESSAGES[field] === error?.message
+    ) ?? null
+  )
+}
+
+// Replace the profile picture; pass `onUploadProgress` to follow the upload
+export function updateProfilePicture(userId, file, options) {
+  const body = new FormData()
+  body.append("profilePicture", file)
+  return api.put(`/api/auth/users/${userId}/picture`, body, options)
+}
+
+// Signs the user out at once; the account is erased after the grace period
+// unless it is restored before
+export function deleteUser(userId, options) {
+  return api.delete(`/api/auth/users/${userId}`, options)
+}
+
+export function restoreUser(userId, options) {
+  return api.post(`/api/auth/users/${userId}/restore`, undefined, options)
+}
+
+// Lift the temporary lock after too many failed logins
+export function unlockUser(userId, options) {
+  return api.post(`/api/auth/users/${userId}/unlock`, undefined, options)
+}
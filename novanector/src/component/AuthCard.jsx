@@ -0,0 +1,17 @@
+// Centered card used by the login and registration pages
+function AuthCard({ title, subtitle, children, footer }) {
+  return (
+    <div className="mx-auto my-12 w-full max-w-md px-4">
+      <div className="rounded-xl border border-gray-200 bg-white p-8 shadow-sm">
+        <h1 className="text-2xl font-semibold text-gray-900">{title}</h1>
+        {subtitle && <p className="mt-1 text-sm text-gray-500">{subtitle}</p>}
+        <div className="mt-6">{children}</div>
+      </div>
+      {footer && (
+        <p className="mt-4 text-center text-sm text-gray-600">{footer}</p>
+      )}
+    </div>
+  )
+}
+
+export default AuthCard
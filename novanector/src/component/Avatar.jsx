@@ -0,0 +1,41 @@
+import { useState } from "react"
+
+// Smallest processed variant that stays sharp at `size` CSS pixels on high density screens
+function pictureUrl(user, size) {
+  const variants = (user.profilePictureVariants || [])
+    .filter((variant) => /^\d+$/.test(variant.label))
+    .sort((a, b) => Number(a.label) - Number(b.label))
+  const fitting = variants.find((variant) => Number(variant.label) >= size * 2)
+  return (fitting || variants.at(-1))?.url || user.profilePicture
+}
+
+function Avatar({ user, size = 32, className = "" }) {
+  const url = pictureUrl(user, size)
+  // Remember which URL failed so a new picture gets another chance
+  const [failedUrl, setFailedUrl] = useState(null)
+  const style = { width: size, height: size }
+
+  if (!url || failedUrl === url) {
+    return (
+      <span
+        className={`inline-flex items-center justify-center rounded-full bg-indigo-100 font-semibold uppercase text-indigo-700 ${className}`}
+        style={{ ...style, fontSize: size * 0.45 }}
+        aria-hidden="true"
+      >
+        {user.username?.[0] || "?"}
+      </span>
+    )
+  }
+
+  return (
+    <img
+      src={url}
+      alt=""
+      className={`rounded-full object-cover ${className}`}
+      style={style}
+      onError={() => setFailedUrl(url)}
+    />
+  )
+}
+
+export default Avatar
@@ -0,0 +1,271 @@
+import { useEffect, useRef, useState } from "react"
+
+// Size of the square crop area on screen, and of the picture that is uploaded
+const VIEWPORT = 256
+const OUTPUT = 512
+const MAX_ZOOM = 3
+const PAN_STEP = 10
+
+// Image size once turned by `rotation` (a multiple of 90 degrees)
+function rotatedSize(image, rotation) {
+  const { naturalWidth: width, naturalHeight: height } = image
+  return rotation % 180 === 0
+    ? { width, height }
+    : { width: height, height: width }
+}
+
+// Scale at which the (rotated) image just covers the crop area
+function coverScale(image, rotation) {
+  const { width, height } = rotatedSize(image, rotation)
+  return VIEWPORT / Math.min(width, height)
+}
+
+// Keep the image covering the whole crop area while panning
+function clampOffset(offset, image, rotation, zoom) {
+  const { width, height } = rotatedSize(image, rotation)
+  const scale = coverScale(image, rotation) * zoom
+  const maxX = (width * scale - VIEWPORT) / 2
+  const maxY = (height * scale - VIEWPORT) / 2
+  return {
+    x: Math.min(maxX, Math.max(-maxX, offset.x)),
+    y: Math.min(maxY, Math.max(-maxY, offset.y)),
+  }
+}
+
+// Paint the crop area onto a square canvas of `size` pixels
+function drawCrop(canvas, size, { image, rotation, zoom, offset }) {
+  const ratio = size / VIEWPORT
+  const context = canvas.getContext("2d")
+  context.clearRect(0, 0, size, size)
+  context.save()
+  context.translate(size / 2 + offset.x * ratio, size / 2 + offset.y * ratio)
+  context.rotate((rotation * Math.PI) / 180)
+  const scale = coverScale(image, rotation) * zoom * ratio
+  context.scale(scale, scale)
+  context.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2)
+  context.restore()
+}
+
+// PNG keeps transparency (PNG, GIF); everything else becomes a JPEG
+function outputType(file) {
+  return ["image/png", "image/gif"].includes(file.type)
+    ? "image/png"
+    : "image/jpeg"
+}
+
+/**
+ * Crop, zoom and rotate a picture before it is uploaded
+ * Drag (or use the arrow keys) to move the picture inside the circle. `onSave`
+ * receives a square File, or the original one when the browser cannot display
+ * it (e.g. TIFF in most browsers) and so cannot edit it.
+ */
+function AvatarEditor({
+  file,
+  busy = false,
+  busyLabel = "Uploading…",
+  onSave,
+  onCancel,
+}) {
+  const canvasRef = useRef(null)
+  const dragRef = useRef(null)
+  const [image, setImage] = useState(null)
+  const [loadFailed, setLoadFailed] = useState(false)
+  const [zoom, setZoom] = useState(1)
+  const [rotation, setRotation] = useState(0)
+  const [rawOffset, setRawOffset] = useState({ x: 0, y: 0 })
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    const url = URL.createObjectURL(file)
+    const element = new Image()
+    element.onload = () => setImage(element)
+    element.onerror = () => setLoadFailed(true)
+    element.src = url
+    return () => {
+      element.onload = null
+      element.onerror = null
+      URL.revokeObjectURL(url)
+    }
+  }, [file])
+
+  const offset = image
+    ? clampOffset(rawOffset, image, rotation, zoom)
+    : rawOffset
+  const { x: offsetX, y: offsetY } = offset
+
+  // Sharp on high density screens: the canvas has more pixels than CSS pixels
+  useEffect(() => {
+    if (!image) return
+    const canvas = canvasRef.current
+    const size = Math.round(VIEWPORT * (window.devicePixelRatio || 1))
+    canvas.width = size
+    canvas.height = size
+    drawCrop(canvas, size, {
+      image,
+      rotation,
+      zoom,
+      offset: { x: offsetX, y: offsetY },
+    })
+  }, [image, rotation, zoom, offsetX, offsetY])
+
+  const pan = (dx, dy) => setRawOffset({ x: offset.x + dx, y: offset.y + dy })
+
+  const handlePointerDown = (event) => {
+    if (!image || busy) return
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragRef.current = { x: event.clientX, y: event.clientY }
+  }
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return
+    pan(event.clientX - dragRef.current.x, event.clientY - dragRef.current.y)
+    dragRef.current = { x: event.clientX, y: event.clientY }
+  }
+
+  const handlePointerUp = () => {
+    dragRef.current = null
+  }
+
+  const handleKeyDown = (event) => {
+    const moves = {
+      ArrowLeft: [-PAN_STEP, 0],
+      ArrowRight: [PAN_STEP, 0],
+      ArrowUp: [0, -PAN_STEP],
+      ArrowDown: [0, PAN_STEP],
+    }
+    if (!moves[event.key]) return
+    event.preventDefault()
+    pan(...moves[event.key])
+  }
+
+  const rotate = (degrees) => setRotation((rotation + degrees + 360) % 360)
+
+  const handleSave = () => {
+    if (!image) {
+      onSave(file)
+      return
+    }
+    const canvas = document.createElement("canvas")
+    canvas.width = OUTPUT
+    canvas.height = OUTPUT
+    drawCrop(canvas, OUTPUT, { image, rotation, zoom, offset })
+
+    const type = outputType(file)
+    const name = `${file.name.replace(/\.[^.]+$/, "")}.${
+      type === "image/png" ? "png" : "jpg"
+    }`
+    setExporting(true)
+    canvas.toBlob(
+      (blob) => {
+        setExporting(false)
+        onSave(blob ? new File([blob], name, { type }) : file)
+      },
+      type,
+      0.9
+    )
+  }
+
+  const disabled = !image || busy || exporting
+  const buttonClass =
+    "rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50"
+
+  return (
+    <div className="space-y-4">
+      {loadFailed ? (
+        <p className="rounded-md bg-gray-50 px-3 py-2 text-sm text-gray-600">
+          Your browser cannot preview this picture, so it cannot be cropped
+          here. It will be uploaded as it is.
+        </p>
+      ) : (
+        <div
+          className="relative mx-auto overflow-hidden rounded-md bg-gray-900"
+          style={{ width: VIEWPORT, height: VIEWPORT }}
+        >
+          <canvas
+            ref={canvasRef}
+            tabIndex={0}
+            role="img"
+            aria-label="Crop area. Drag or use the arrow keys to move the picture."
+            className="h-full w-full cursor-move touch-none focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleKeyDown}
+          />
+          {/* Darken what falls outside the round avatar */}
+          <div className="pointer-events-none absolute inset-0 rounded-full shadow-[0_0_0_9999px_rgba(17,24,39,0.55)]"/>
+        </div>
+      )}
+
+      {!loadFailed && (
+        <div className="space-y-3">
+          <label className="flex items-center gap-3 text-sm text-gray-700">
+            <span className="w-12">Zoom</span>
+            <input
+              type="range"
+              min={1}
+              max={MAX_ZOOM}
+              step={0.01}
+              value={zoom}
+              onChange={(event) => setZoom(Number(event.target.value))}
+              disabled={disabled}
+              className="flex-1 accent-indigo-600"
+            />
+          </label>
+          <div className="flex justify-center gap-2">
+            <button
+              type="button"
+              className={buttonClass}
+              onClick={() => rotate(-90)}
+              disabled={disabled}
+            >
+              ⟲ Rotate left
+            </button>
+            <button
+              type="button"
+              className={buttonClass}
+              onClick={() => rotate(90)}
+              disabled={disabled}
+            >
+              Rotate right ⟳
+            </button>
+            <button
+              type="button"
+              className={buttonClass}
+              onClick={() => {
+                setZoom(1)
+                setRotation(0)
+                setRawOffset({ x: 0, y: 0 })
+              }}
+              disabled={disabled}
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2 border-t border-gray-100 pt-4">
+        <button
+          type="button"
+          className={buttonClass}
+          onClick={onCancel}
+          disabled={busy}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={(!image && !loadFailed) || busy || exporting}
+          className="rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {busy ? busyLabel : "Save picture"}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AvatarEditor
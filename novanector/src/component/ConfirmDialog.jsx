@@ -0,0 +1,47 @@
+import Modal from "./Modal"
+import FormAlert from "./FormAlert"
+
+// Asks before a destructive action; `onConfirm` may be async
+function ConfirmDialog({
+  title,
+  children,
+  confirmLabel = "Confirm",
+  busy = false,
+  error,
+  onConfirm,
+  onCancel,
+}) {
+  return (
+    <Modal
+      title={title}
+      onClose={busy ? () => {} : onCancel}
+      footer={
+        <>
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={busy}
+            className="rounded-md border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={busy}
+            className="rounded-md bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 disabled:opacity-60"
+          >
+            {busy ? "Working…" : confirmLabel}
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-3 text-sm text-gray-600">
+        <FormAlert>{error}</FormAlert>
+        {children}
+      </div>
+    </Modal>
+  )
+}
+
+export default ConfirmDialog
@@ -0,0 +1,19 @@
+// Message above a form for errors that do not belong to a single field
+function FormAlert({ children, tone = "error" }) {
+  if (!children) return null
+
+  const styles =
+    tone === "error"
+      ? "border-red-200 bg-red-50 text-red-700"
+      : "border-indigo-200 bg-indigo-50 text-indigo-700"
+  return (
+    <div
+      role={tone === "error" ? "alert" : "status"}
+      className={`rounded-md border px-3 py-2 text-sm ${styles}`}
+    >
+      {children}
+    </div>
+  )
+}
+
+export default FormAlert
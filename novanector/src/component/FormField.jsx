@@ -0,0 +1,36 @@
+import { useId } from "react"
+
+// Labelled input with its validation message
+function FormField({ label, error, hint, ...inputProps }) {
+  const id = useId()
+  const messageId = `${id}-message`
+
+  return (
+    <div className="space-y-1">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">
+        {label}
+      </label>
+      <input
+        id={id}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error || hint ? messageId : undefined}
+        className={`block w-full rounded-md border px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 ${
+          error
+            ? "border-red-400 focus:ring-red-200"
+            : "border-gray-300 focus:ring-indigo-200"
+        }`}
+        {...inputProps}
+      />
+      {(error || hint) && (
+        <p
+          id={messageId}
+          className={`text-xs ${error ? "text-red-600" : "text-gray-500"}`}
+        >
+          {error || hint}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default FormField
@@ -1,10 +1,71 @@
-import React from 'react'
+import { Link, NavLink } from "react-router-dom"
+import useAuth from "../hooks/useAuth"
+import Avatar from "./Avatar"
+
+const linkClass = ({ isActive }) =>
+  `text-sm font-medium ${
+    isActive ? "text-indigo-600" : "text-gray-600 hover:text-gray-900"
+  }`
 
 function Header() {
+  const { user, isLoading, logout } = useAuth()
+
   return (
-    <div>
-      Header
-    </div>
+    <header className="border-b border-gray-200 bg-white">
+      <div className="mx-auto flex h-16 max-w-6xl items-center justify-between px-4">
+        <Link to="/" className="text-lg font-bold text-indigo-600">
+          Novanector
+        </Link>
+
+        {!isLoading && (
+          <nav className="flex items-center gap-4">
+            {user ? (
+              <>
+                {user.role === "admin" && (
+                  <NavLink to="/admin" className={linkClass}>
+                    Admin
+                  </NavLink>
+                )}
+                <Link
+                  to="/profile"
+                  className="flex items-center gap-2 rounded-md hover:opacity-80"
+                  title="Your profile"
+                >
+                  <Avatar user={user} size={32}/>
+                  <div className="leading-tight">
+                    <p className="text-sm font-medium text-gray-900">
+                      {user.username}
+                    </p>
+                    <p className="text-xs capitalize text-gray-500">
+                      {user.role}
+                    </p>
+                  </div>
+                </Link>
+                <button
+                  type="button"
+                  onClick={logout}
+                  className="rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Log out
+                </button>
+              </>
+            ) : (
+              <>
+                <NavLink to="/login" className={linkClass}>
+                  Sign in
+                </NavLink>
+                <Link
+                  to="/register"
+                  className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-700"
+                >
+                  Sign up
+                </Link>
+              </>
+            )}
+          </nav>
+        )}
+      </div>
+    </header>
   )
 }
 
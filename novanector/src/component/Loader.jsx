@@ -0,0 +1,10 @@
+function Loader({ label = "Loading…" }) {
+  return (
+    <div className="flex justify-center py-16" role="status">
+      <span className="h-8 w-8 animate-spin rounded-full border-4 border-indigo-200 border-t-indigo-600"/>
+      <span className="sr-only">{label}</span>
+    </div>
+  )
+}
+
+export default Loader
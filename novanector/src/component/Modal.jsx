@@ -0,0 +1,45 @@
+import { useEffect, useId } from "react"
+
+// Dialog over the page; Escape and a click on the backdrop call `onClose`
+function Modal({ title, onClose, children, footer }) {
+  const titleId = useId()
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") onClose()
+    }
+    document.addEventListener("keydown", onKeyDown)
+    return () => document.removeEventListener("keydown", onKeyDown)
+  }, [onClose])
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose()
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        className="w-full max-w-md rounded-xl bg-white shadow-xl"
+      >
+        <h2
+          id={titleId}
+          className="border-b border-gray-100 px-6 py-4 text-lg font-semibold text-gray-900"
+        >
+          {title}
+        </h2>
+        <div className="px-6 py-4">{children}</div>
+        {footer && (
+          <div className="flex justify-end gap-2 border-t border-gray-100 px-6 py-4">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Modal
@@ -0,0 +1,37 @@
+// Page controls for a list loaded with usePaginatedRequest
+function Pagination({ pagination, page, onPageChange, itemLabel = "items" }) {
+  const { totalPages, total, hasNextPage, hasPrevPage } = pagination
+  const buttonClass =
+    "rounded-md border border-gray-300 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50"
+
+  return (
+    <div className="flex items-center justify-between text-sm text-gray-600">
+      <span>
+        {total} {itemLabel}
+      </span>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          className={buttonClass}
+          disabled={!hasPrevPage}
+          onClick={() => onPageChange(page - 1)}
+        >
+          Previous
+        </button>
+        <span>
+          Page {totalPages ? page : 0} of {totalPages}
+        </span>
+        <button
+          type="button"
+          className={buttonClass}
+          disabled={!hasNextPage}
+          onClick={() => onPageChange(page + 1)}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default Pagination
@@ -0,0 +1,4 @@
+import { createContext } from "react"
+
+// Signed-in user and session actions (provided by AuthProvider, read with useAuth)
+export const AuthContext = createContext(null)
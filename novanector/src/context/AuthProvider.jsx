@@ -0,0 +1,100 @@
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from "react"
+import * as authApi from "../api/auth"
+import { getUser } from "../api/users"
+import { getSession, setSession, subscribe } from "../api/session"
+import { AuthContext } from "./AuthContext"
+
+function toSession({ user, token, refreshToken }) {
+  return { user, token, refreshToken }
+}
+
+// Tokens live in api/session.js (the API client reads them from there); this
+// provider exposes the signed-in user and the actions that change the session
+function AuthProvider({ children }) {
+  const session = useSyncExternalStore(subscribe, getSession)
+  // A stored session is checked against the server before guards trust it
+  const [isLoading, setIsLoading] = useState(() => Boolean(getSession()))
+
+  // Reload the stored user; drop the session if the server has ended it
+  useEffect(() => {
+    const stored = getSession()
+    if (!stored) return
+
+    const controller = new AbortController()
+    getUser(stored.user._id, { signal: controller.signal })
+      .then(({ user }) => {
+        const current = getSession()
+        if (current) setSession({ ...current, user })
+      })
+      .catch((error) => {
+        // Offline or server errors keep the session; try again on next load
+        if ([401, 403, 404].includes(error.status)) setSession(null)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [])
+
+  // Resolves with the login response; when it has `mfaRequired` the caller
+  // asks for a code and finishes with completeTwoFactor
+  const login = useCallback(async (email, password) => {
+    const data = await authApi.login(email, password)
+    if (!data.mfaRequired) setSession(toSession(data))
+    return data
+  }, [])
+
+  const completeTwoFactor = useCallback(async (mfaToken, codes) => {
+    const data = await authApi.loginWithTwoFactor(mfaToken, codes)
+    setSession(toSession(data))
+    return data
+  }, [])
+
+  // Create the account, then sign in with it (registering returns no session)
+  const register = useCallback(
+    async (formData, options) => {
+      await authApi.register(formData, options)
+      return login(formData.get("email"), formData.get("password"))
+    },
+    [login]
+  )
+
+  const logout = useCallback(async () => {
+    const current = getSession()
+    setSession(null)
+    if (current) {
+      // The local session is gone either way; the server revokes it if it can
+      await authApi.logout(current.refreshToken).catch(() => {})
+    }
+  }, [])
+
+  // Replace the stored user after the profile changed
+  const updateUser = useCallback((user) => {
+    const current = getSession()
+    if (current) setSession({ ...current, user })
+  }, [])
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      isLoading,
+      login,
+      completeTwoFactor,
+      register,
+      logout,
+      updateUser,
+    }),
+    [session, isLoading, login, completeTwoFactor, register, logout, updateUser]
+  )
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export default AuthProvider
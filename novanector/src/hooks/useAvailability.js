@@ -0,0 +1,38 @@
+import { useCallback } from "react"
+import { checkAvailability } from "../api/users"
+import useDebouncedValue from "./useDebouncedValue"
+import useRequest from "./useRequest"
+
+/**
+ * Whether `value` is free as the user's username or email, checked while typing
+ * Returns "idle" (not enabled), "checking", "available", "taken" or "unknown"
+ * (the check failed; submitting will tell). Enable it only for valid values
+ * that differ from the user's current one.
+ * @param {string} userId
+ * @param {"username" | "email"} field
+ * @param {string} value
+ * @param {{ enabled?: boolean }} [options]
+ */
+function useAvailability(userId, field, value, { enabled = true } = {}) {
+  const trimmed = value.trim()
+  const debounced = useDebouncedValue(trimmed, 400)
+
+  // The answer is tagged with its value, so an older one is never shown
+  const request = useCallback(
+    (signal) =>
+      checkAvailability(userId, { [field]: debounced }, { signal }).then(
+        ({ available }) => ({ value: debounced, available: available[field] })
+      ),
+    [userId, field, debounced]
+  )
+  const { data, error } = useRequest(request, {
+    enabled: enabled && debounced === trimmed && Boolean(trimmed),
+  })
+
+  if (!enabled || !trimmed) return "idle"
+  if (error && debounced === trimmed) return "unknown"
+  if (data?.value !== trimmed) return "checking"
+  return data.available ? "available" : "taken"
+}
+
+export default useAvailability
@@ -0,0 +1,15 @@
+import { useEffect, useState } from "react"
+
+// `value` once it has stopped changing for `delay` ms (e.g. a search box)
+function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay)
+    return () => clearTimeout(timer)
+  }, [value, delay])
+
+  return debounced
+}
+
+export default useDebouncedValue
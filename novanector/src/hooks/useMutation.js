@@ -0,0 +1,47 @@
+import { useCallback, useRef, useState } from "react"
+import { isCancelled } from "../api/errors"
+
+const IDLE = { isLoading: false, error: null, progress: null }
+
+/**
+ * Run a request that changes data (form submit, upload, delete)
+ * `run(variables)` calls `mutate(variables, { signal, onUploadProgress })` and
+ * resolves with its result; it also rejects, so callers can react to failures.
+ * With `trackProgress`, `progress` follows the upload ({ loaded, total, percent }).
+ * @template V, T
+ * @param {(variables: V, options: object) => Promise<T>} mutate
+ * @param {{ trackProgress?: boolean }} [options]
+ */
+function useMutation(mutate, { trackProgress = false } = {}) {
+  const [state, setState] = useState(IDLE)
+  const controller = useRef(null)
+
+  const run = useCallback(
+    async (variables) => {
+      controller.current = new AbortController()
+      setState({ ...IDLE, isLoading: true })
+      try {
+        const result = await mutate(variables, {
+          signal: controller.current.signal,
+          onUploadProgress: trackProgress
+            ? (progress) => setState((previous) => ({ ...previous, progress }))
+            : undefined,
+        })
+        setState(IDLE)
+        return result
+      } catch (error) {
+        setState(isCancelled(error) ? IDLE : { ...IDLE, error })
+        throw error
+      }
+    },
+    [mutate, trackProgress]
+  )
+
+  // Abort the latest run (it rejects with a CancelledError)
+  const cancel = useCallback(() => controller.current?.abort(), [])
+  const reset = useCallback(() => setState(IDLE), [])
+
+  return { ...state, run, cancel, reset }
+}
+
+export default useMutation
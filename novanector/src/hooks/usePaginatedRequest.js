@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useMemo, useState } from "react"
+import useRequest from "./useRequest"
+
+/**
+ * @typedef {object} Pagination
+ * @property {number} page Current page, from 1
+ * @property {number} totalPages
+ * @property {number} total Number of matching items (`totalUsers`, `totalCourses`, ...)
+ * @property {boolean} hasNextPage
+ * @property {boolean} hasPrevPage
+ */
+
+const EMPTY_PAGINATION = {
+  page: 1,
+  totalPages: 0,
+  total: 0,
+  hasNextPage: false,
+  hasPrevPage: false,
+}
+
+// The backend's pagination block, e.g. from GET /api/auth/users:
+// { currentPage, totalPages, totalUsers, hasNextPage, hasPrevPage }
+function readPagination(pagination) {
+  if (!pagination) return EMPTY_PAGINATION
+
+  const totalKey = Object.keys(pagination).find(
+    (key) => key.startsWith("total") && key !== "totalPages"
+  )
+  return {
+    page: pagination.currentPage,
+    totalPages: pagination.totalPages,
+    total: pagination[totalKey] ?? 0,
+    hasNextPage: pagination.hasNextPage,
+    hasPrevPage: pagination.hasPrevPage,
+  }
+}
+
+/**
+ * Page through a list endpoint
+ * `request(query, { signal })` is called with `params` plus `page` and `limit`,
+ * and must be stable between renders (a function from src/api is). Changing
+ * `params` (filters, search) goes back to the first page.
+ * @param {(query: object, options: { signal: AbortSignal }) => Promise<object>} request
+ * @param {object} options
+ * @param {string} options.itemsKey Response field holding the items, e.g. "users"
+ * @param {object} [options.params] Filters sent with every page
+ * @param {number} [options.limit] Items per page
+ */
+function usePaginatedRequest(request, { itemsKey, params = {}, limit = 20 }) {
+  // Compare filters by value so callers can pass a new object on every render
+  const paramsKey = JSON.stringify(params)
+  const query = useMemo(() => JSON.parse(paramsKey), [paramsKey])
+
+  const [page, setPage] = useState(1)
+  const [pageParamsKey, setPageParamsKey] = useState(paramsKey)
+  if (pageParamsKey !== paramsKey) {
+    setPageParamsKey(paramsKey)
+    setPage(1)
+  }
+
+  const load = useCallback(
+    (signal) => request({ ...query, page, limit }, { signal }),
+    [request, query, page, limit]
+  )
+  const { data, error, isLoading, reload, setData } = useRequest(load)
+
+  const items = useMemo(() => data?.[itemsKey] ?? [], [data, itemsKey])
+  const pagination = readPagination(data?.pagination)
+
+  // Step back when the current page emptied, e.g. after deleting its last item
+  useEffect(() => {
+    if (data && !items.length && page > 1 && page > pagination.totalPages) {
+      setPage(Math.max(pagination.totalPages, 1))
+    }
+  }, [data, items.length, page, pagination.totalPages])
+
+  // Update the loaded items in place, e.g. after editing one of them
+  const setItems = useCallback(
+    (update) => {
+      setData((previous) =>
+        previous && {
+          ...previous,
+          [itemsKey]:
+            typeof update === "function"
+              ? update(previous[itemsKey])
+              : update,
+        }
+      )
+    },
+    [setData, itemsKey]
+  )
+
+  return {
+    items,
+    pagination,
+    page,
+    setPage,
+    nextPage: () => pagination.hasNextPage && setPage(page + 1),
+    prevPage: () => pagination.hasPrevPage && setPage(page - 1),
+    data,
+    error,
+    isLoading,
+    reload,
+    setItems,
+  }
+}
+
+export default usePaginatedRequest
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from "react"
+import { isCancelled } from "../api/errors"
+
+/**
+ * Load data when a component mounts and again whenever `request` changes
+ * `request(signal)` must be stable between renders (wrap it in useCallback);
+ * the previous call is cancelled when it changes or the component unmounts.
+ * While reloading, the previous `data` stays available.
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} request
+ * @param {{ enabled?: boolean }} [options] `enabled: false` skips loading
+ */
+function useRequest(request, { enabled = true } = {}) {
+  const [state, setState] = useState({
+    data: null,
+    error: null,
+    isLoading: enabled,
+  })
+  const [reloads, setReloads] = useState(0)
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const controller = new AbortController()
+    setState((previous) => ({ ...previous, error: null, isLoading: true }))
+    request(controller.signal)
+      .then((data) => {
+        if (controller.signal.aborted) return
+        setState({ data, error: null, isLoading: false })
+      })
+      .catch((error) => {
+        if (controller.signal.aborted || isCancelled(error)) return
+        setState((previous) => ({ ...previous, error, isLoading: false }))
+      })
+
+    return () => controller.abort()
+  }, [request, enabled, reloads])
+
+  const reload = useCallback(() => setReloads((count) => count + 1), [])
+
+  // Update the loaded data in place, e.g. after a successful change
+  const setData = useCallback((update) => {
+    setState((previous) => ({
+      ...previous,
+      data: typeof update === "function" ? update(previous.data) : update,
+    }))
+  }, [])
+
+  return { ...state, reload, setData }
+}
+
+export default useRequest
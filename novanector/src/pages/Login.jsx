@@ -0,0 +1,212 @@
+import { useState } from "react"
+import { Link, useLocation } from "react-router-dom"
+import useAuth from "../hooks/useAuth"
+import AuthCard from "../component/AuthCard"
+import FormAlert from "../component/FormAlert"
+import FormField from "../component/FormField"
+
+const submitClass =
+  "w-full rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-60"
+
+// Second step for accounts with two-factor authentication
+function TwoFactorForm({ challenge, onCancel }) {
+  const { completeTwoFactor } = useAuth()
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [code, setCode] = useState("")
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      await completeTwoFactor(
+        challenge.mfaToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      )
+    } catch (err) {
+      setError(err)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      <FormAlert>{error?.message}</FormAlert>
+      {useRecoveryCode ? (
+        <FormField
+          label="Recovery code"
+          name="recoveryCode"
+          autoComplete="off"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          required
+          autoFocus
+        />
+      ) : (
+        <FormField
+          label="Authentication code"
+          name="code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9]{6}"
+          maxLength={6}
+          hint="The 6-digit code from your authenticator app"
+          value={code}
+          onChange={(event) =>
+            setCode(event.target.value.replace(/\D/g, ""))
+          }
+          required
+          autoFocus
+        />
+      )}
+      <button
+        type="submit"
+        className={submitClass}
+        disabled={submitting || !code}
+      >
+        {submitting ? "Verifying…" : "Verify"}
+      </button>
+      <div className="flex justify-between text-sm">
+        <button
+          type="button"
+          className="text-indigo-600 hover:underline"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode)
+            setCode("")
+          }}
+        >
+          {useRecoveryCode
+            ? "Use an authenticator code"
+            : "Use a recovery code"}
+        </button>
+        <button
+          type="button"
+          className="text-gray-500 hover:underline"
+          onClick={onCancel}
+        >
+          Back
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function Login() {
+  const { login } = useAuth()
+  const location = useLocation()
+  const [form, setForm] = useState({ email: "", password: "" })
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  // Set when the password was right but a second factor is needed
+  const [challenge, setChallenge] = useState(null)
+
+  const fieldErrors = error?.fieldErrors?.() || {}
+
+  const handleChange = (event) => {
+    setForm({ ...form, [event.target.name]: event.target.value })
+  }
+
+  // On success GuestRoute sends the user on, so only failures are handled here
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      const data = await login(form.email, form.password)
+      if (data.mfaRequired) {
+        setChallenge(data)
+        setSubmitting(false)
+      }
+    } catch (err) {
+      setError(err)
+      setSubmitting(false)
+    }
+  }
+
+  if (challenge) {
+    return (
+      <AuthCard
+        title="Two-factor authentication"
+        subtitle={
+          challenge.enrollmentRequired
+            ? undefined
+            : "Enter the code from your authenticator app to finish signing in."
+        }
+      >
+        {challenge.enrollmentRequired ? (
+          <div className="space-y-4">
+            <FormAlert tone="info">
+              Your role requires two-factor authentication, which is not set up
+              for this account yet. Ask an administrator for help.
+            </FormAlert>
+            <button
+              type="button"
+              className="text-sm text-gray-500 hover:underline"
+              onClick={() => setChallenge(null)}
+            >
+              Back
+            </button>
+          </div>
+        ) : (
+          <TwoFactorForm
+            challenge={challenge}
+            onCancel={() => setChallenge(null)}
+          />
+        )}
+      </AuthCard>
+    )
+  }
+
+  return (
+    <AuthCard
+      title="Sign in"
+      subtitle="Welcome back to Novanector."
+      footer={
+        <>
+          New here?{" "}
+          <Link
+            to="/register"
+            state={location.state}
+            className="font-medium text-indigo-600 hover:underline"
+          >
+            Create an account
+          </Link>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <FormAlert>
+          {error && !error.errors?.length && error.message}
+        </FormAlert>
+        <FormField
+          label="Email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          value={form.email}
+          onChange={handleChange}
+          error={fieldErrors.email}
+          required
+          autoFocus
+        />
+        <FormField
+          label="Password"
+          name="password"
+          type="password"
+          autoComplete="current-password"
+          value={form.password}
+          onChange={handleChange}
+          error={fieldErrors.password}
+          required
+        />
+        <button type="submit" className={submitClass} disabled={submitting}>
+          {submitting ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </AuthCard>
+  )
+}
+
+export default Login
@@ -0,0 +1,400 @@
+import { useState } from "react"
+import { changePassword } from "../api/auth"
+import {
+  TAKEN_MESSAGES,
+  takenField,
+  updateProfilePicture,
+  updateUser as saveUser,
+} from "../api/users"
+import Avatar from "../component/Avatar"
+import AvatarEditor from "../component/AvatarEditor"
+import FormAlert from "../component/FormAlert"
+import FormField from "../component/FormField"
+import Modal from "../component/Modal"
+import useAuth from "../hooks/useAuth"
+import useAvailability from "../hooks/useAvailability"
+import {
+  PROFILE_PICTURE_ACCEPT,
+  checkProfilePicture,
+} from "../utils/profilePicture"
+
+const submitClass =
+  "rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-60"
+
+// Same rules as the backend's update schema, checked before sending
+function validateDetails(form) {
+  const errors = {}
+  const username = form.username.trim()
+  if (username.length < 3 || username.length > 20) {
+    errors.username = "Username must be 3 to 20 characters long."
+  }
+  if (!/^\S+@\S+\.\S+$/.test(form.email.trim())) {
+    errors.email = "Please provide a valid email address."
+  }
+  return errors
+}
+
+function Section({ title, description, children }) {
+  return (
+    <section className="rounded-xl border border-gray-200 bg-white p-6 shadow-sm">
+      <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+      {description && (
+        <p className="mt-1 text-sm text-gray-500">{description}</p>
+      )}
+      <div className="mt-4">{children}</div>
+    </section>
+  )
+}
+
+// Hint under a username/email field while its availability is checked
+function availabilityHint(status, field) {
+  if (status === "checking") return "Checking availability…"
+  if (status === "available") return "Available."
+  if (status === "taken") return TAKEN_MESSAGES[field]
+  return undefined
+}
+
+function PictureSection({ user, onSaved }) {
+  const [file, setFile] = useState(null)
+  const [error, setError] = useState(null)
+  const [uploadPercent, setUploadPercent] = useState(null)
+  const [uploading, setUploading] = useState(false)
+
+  // The limits are checked before the editor opens, and again for its output
+  const handleChoose = (event) => {
+    const chosen = event.target.files[0]
+    event.target.value = ""
+    if (!chosen) return
+    const problem = checkProfilePicture(chosen)
+    setError(problem)
+    if (!problem) setFile(chosen)
+  }
+
+  const handleSave = async (edited) => {
+    const problem = checkProfilePicture(edited)
+    if (problem) {
+      setError(problem)
+      setFile(null)
+      return
+    }
+
+    setUploading(true)
+    setUploadPercent(null)
+    try {
+      const data = await updateProfilePicture(user._id, edited, {
+        onUploadProgress: ({ percent }) => setUploadPercent(percent),
+      })
+      onSaved(data.user)
+      setFile(null)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+      setFile(null)
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <Section
+      title="Profile picture"
+      description="JPEG, PNG, GIF, WebP or TIFF, up to 5MB. You can crop and rotate it before uploading."
+    >
+      <div className="flex items-center gap-4">
+        <Avatar user={user} size={80}/>
+        <div className="space-y-2">
+          <label className="inline-block cursor-pointer rounded-md border border-gray-300 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50">
+            Change picture
+            <input
+              type="file"
+              accept={PROFILE_PICTURE_ACCEPT}
+              className="sr-only"
+              onChange={handleChoose}
+            />
+          </label>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+      </div>
+
+      {file && (
+        <Modal
+          title="Edit profile picture"
+          onClose={uploading ? () => {} : () => setFile(null)}
+        >
+          <AvatarEditor
+            file={file}
+            busy={uploading}
+            busyLabel={
+              uploadPercent !== null && uploadPercent < 100
+                ? `Uploading… ${uploadPercent}%`
+                : "Saving…"
+            }
+            onSave={handleSave}
+            onCancel={() => setFile(null)}
+          />
+        </Modal>
+      )}
+    </Section>
+  )
+}
+
+function DetailsSection({ user, onSaved }) {
+  const [form, setForm] = useState({
+    username: user.username,
+    email: user.email,
+  })
+  const [errors, setErrors] = useState({})
+  const [notice, setNotice] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const found = validateDetails(form)
+  const changed = {
+    username: form.username.trim() !== user.username,
+    email: form.email.trim().toLowerCase() !== user.email,
+  }
+  const usernameStatus = useAvailability(user._id, "username", form.username, {
+    enabled: changed.username && !found.username,
+  })
+  const emailStatus = useAvailability(user._id, "email", form.email, {
+    enabled: changed.email && !found.email,
+  })
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm({ ...form, [name]: value })
+    if (errors[name]) setErrors({ ...errors, [name]: undefined })
+  }
+
+  // Only changed fields are sent, so an unchanged email keeps its verification
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setNotice(null)
+    if (Object.values(found).some(Boolean)) {
+      setErrors(found)
+      return
+    }
+
+    const changes = {}
+    if (changed.username) changes.username = form.username.trim()
+    if (changed.email) changes.email = form.email.trim()
+    if (!Object.keys(changes).length) return
+
+    setSubmitting(true)
+    try {
+      const data = await saveUser(user._id, changes)
+      onSaved(data.user)
+      setForm({ username: data.user.username, email: data.user.email })
+      setNotice({
+        tone: "info",
+        text: changes.email
+          ? "Profile saved. Check your inbox to verify your new email address."
+          : "Profile saved.",
+      })
+    } catch (err) {
+      const field = takenField(err)
+      setErrors(field ? { [field]: err.message } : err.fieldErrors?.() || {})
+      if (!field && !err.errors?.length) {
+        setNotice({ tone: "error", text: err.message })
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const taken = usernameStatus === "taken" || emailStatus === "taken"
+
+  return (
+    <Section title="Account details">
+      <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <FormAlert tone={notice?.tone}>{notice?.text}</FormAlert>
+        <FormField
+          label="Username"
+          name="username"
+          autoComplete="username"
+          value={form.username}
+          onChange={handleChange}
+          error={
+            errors.username ||
+            (usernameStatus === "taken" ? TAKEN_MESSAGES.username : undefined)
+          }
+          hint={availabilityHint(usernameStatus, "username")}
+          required
+        />
+        <FormField
+          label="Email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          value={form.email}
+          onChange={handleChange}
+          error={
+            errors.email ||
+            (emailStatus === "taken" ? TAKEN_MESSAGES.email : undefined)
+          }
+          hint={
+            availabilityHint(emailStatus, "email") ||
+            (user.emailVerified ? undefined : "Not verified yet.")
+          }
+          required
+        />
+        <button
+          type="submit"
+          className={submitClass}
+          disabled={
+            submitting || taken || (!changed.username && !changed.email)
+          }
+        >
+          {submitting ? "Saving…" : "Save changes"}
+        </button>
+      </form>
+    </Section>
+  )
+}
+
+const EMPTY_PASSWORDS = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+}
+
+function PasswordSection({ user, onSaved }) {
+  // Accounts created through an identity provider set their first password
+  const hasPassword = user.hasPassword !== false
+  const [form, setForm] = useState(EMPTY_PASSWORDS)
+  const [errors, setErrors] = useState({})
+  const [notice, setNotice] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm({ ...form, [name]: value })
+    if (errors[name]) setErrors({ ...errors, [name]: undefined })
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setNotice(null)
+
+    const found = {}
+    if (hasPassword && !form.currentPassword) {
+      found.currentPassword = "Current password is required."
+    }
+    if (form.newPassword.length < 9 || form.newPassword.length > 128) {
+      found.newPassword = "Password must be 9 to 128 characters long."
+    } else if (hasPassword && form.newPassword === form.currentPassword) {
+      found.newPassword =
+        "New password must be different from the current password."
+    }
+    if (form.confirmPassword !== form.newPassword) {
+      found.confirmPassword = "Passwords do not match."
+    }
+    if (Object.keys(found).length) {
+      setErrors(found)
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      await changePassword({
+        currentPassword: hasPassword ? form.currentPassword : undefined,
+        newPassword: form.newPassword,
+      })
+      setForm(EMPTY_PASSWORDS)
+      setErrors({})
+      if (!hasPassword) onSaved({ ...user, hasPassword: true })
+      setNotice({
+        tone: "info",
+        text: "Password changed. Your other devices were signed out.",
+      })
+    } catch (err) {
+      if (err.code === "INVALID_PASSWORD") {
+        setErrors({ currentPassword: err.message })
+      } else {
+        setErrors(err.fieldErrors?.() || {})
+        if (!err.errors?.length) setNotice({ tone: "error", text: err.message })
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Section
+      title={hasPassword ? "Change password" : "Set a password"}
+      description={
+        hasPassword
+          ? "Your other devices are signed out when the password changes."
+          : "You sign in through an identity provider. A password lets you sign in with your email too."
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <FormAlert tone={notice?.tone}>{notice?.text}</FormAlert>
+        {/* Lets password managers tell which account the password is for */}
+        <input
+          type="text"
+          name="username"
+          autoComplete="username"
+          value={user.email}
+          readOnly
+          hidden
+        />
+        {hasPassword && (
+          <FormField
+            label="Current password"
+            name="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            value={form.currentPassword}
+            onChange={handleChange}
+            error={errors.currentPassword}
+            required
+          />
+        )}
+        <FormField
+          label="New password"
+          name="newPassword"
+          type="password"
+          autoComplete="new-password"
+          hint="At least 9 characters."
+          value={form.newPassword}
+          onChange={handleChange}
+          error={errors.newPassword}
+          required
+        />
+        <FormField
+          label="Confirm new password"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          error={errors.confirmPassword}
+          required
+        />
+        <button type="submit" className={submitClass} disabled={submitting}>
+          {submitting
+            ? "Saving…"
+            : hasPassword
+              ? "Change password"
+              : "Set password"}
+        </button>
+      </form>
+    </Section>
+  )
+}
+
+// The signed-in user's own account: picture, username/email and password
+function Profile() {
+  const { user, updateUser } = useAuth()
+
+  return (
+    <div className="mx-auto max-w-2xl space-y-6 px-4 py-8">
+      <h1 className="text-2xl font-semibold text-gray-900">Your profile</h1>
+      <PictureSection user={user} onSaved={updateUser}/>
+      <DetailsSection user={user} onSaved={updateUser}/>
+      <PasswordSection user={user} onSaved={updateUser}/>
+    </div>
+  )
+}
+
+export default Profile
@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react"
+import { Link, useLocation } from "react-router-dom"
+import useAuth from "../hooks/useAuth"
+import AuthCard from "../component/AuthCard"
+import FormAlert from "../component/FormAlert"
+import FormField from "../component/FormField"
+import {
+  PROFILE_PICTURE_ACCEPT,
+  checkProfilePicture,
+} from "../utils/profilePicture"
+
+// Same rules as the backend's register schema, checked before sending
+function validate(form) {
+  const errors = {}
+  const username = form.username.trim()
+  if (username.length < 3 || username.length > 20) {
+    errors.username = "Username must be 3 to 20 characters long."
+  }
+  if (!/^\S+@\S+\.\S+$/.test(form.email.trim())) {
+    errors.email = "Please provide a valid email address."
+  }
+  if (form.password.length < 9 || form.password.length > 128) {
+    errors.password = "Password must be 9 to 128 characters long."
+  }
+  if (form.confirmPassword !== form.password) {
+    errors.confirmPassword = "Passwords do not match."
+  }
+  return errors
+}
+
+// Optional profile picture with a preview of the chosen file
+function AvatarPicker({ file, error, onChange }) {
+  const [preview, setPreview] = useState(null)
+
+  useEffect(() => {
+    if (!file) {
+      setPreview(null)
+      return
+    }
+    const url = URL.createObjectURL(file)
+    setPreview(url)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  return (
+    <div className="space-y-1">
+      <span className="block text-sm font-medium text-gray-700">
+        Profile picture <span className="font-normal text-gray-400">(optional)</span>
+      </span>
+      <div className="flex items-center gap-4">
+        <span className="flex h-16 w-16 shrink-0 items-center justify-center overflow-hidden rounded-full bg-gray-100 text-xs text-gray-400">
+          {preview ? (
+            <img src={preview} alt="" className="h-full w-full object-cover"/>
+          ) : (
+            "None"
+          )}
+        </span>
+        <div className="space-x-3 text-sm">
+          <label className="cursor-pointer font-medium text-indigo-600 hover:underline">
+            {file ? "Change" : "Choose a picture"}
+            <input
+              type="file"
+              name="profilePicture"
+              accept={PROFILE_PICTURE_ACCEPT}
+              className="sr-only"
+              onChange={(event) => {
+                onChange(event.target.files[0] || null)
+                // Allow choosing the same file again after removing it
+                event.target.value = ""
+              }}
+            />
+          </label>
+          {file && (
+            <button
+              type="button"
+              className="text-gray-500 hover:underline"
+              onClick={() => onChange(null)}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+      <p className={`text-xs ${error ? "text-red-600" : "text-gray-500"}`}>
+        {error || "JPEG, PNG, GIF, WebP or TIFF, up to 5MB."}
+      </p>
+    </div>
+  )
+}
+
+function Register() {
+  const { register } = useAuth()
+  const location = useLocation()
+  const [form, setForm] = useState({
+    username: "",
+    email: "",
+    password: "",
+    confirmPassword: "",
+  })
+  const [picture, setPicture] = useState(null)
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [uploadPercent, setUploadPercent] = useState(null)
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm({ ...form, [name]: value })
+    if (errors[name]) setErrors({ ...errors, [name]: undefined })
+  }
+
+  const handlePicture = (file) => {
+    setPicture(file)
+    setErrors({
+      ...errors,
+      profilePicture: file ? checkProfilePicture(file) : undefined,
+    })
+  }
+
+  // On success the new user is signed in and GuestRoute sends them on
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setFormError(null)
+
+    const found = validate(form)
+    if (picture) found.profilePicture = checkProfilePicture(picture)
+    if (Object.values(found).some(Boolean)) {
+      setErrors(found)
+      return
+    }
+
+    // Multipart like the backend's register route expects, with the picture
+    // under `profilePicture`
+    const body = new FormData()
+    body.append("username", form.username.trim())
+    body.append("email", form.email.trim())
+    body.append("password", form.password)
+    if (picture) body.append("profilePicture", picture)
+
+    setSubmitting(true)
+    setUploadPercent(null)
+    try {
+      const data = await register(
+        body,
+        picture
+          ? { onUploadProgress: ({ percent }) => setUploadPercent(percent) }
+          : undefined
+      )
+      if (data.mfaRequired) {
+        setFormError(
+          "Your account was created. Sign in to finish setting it up."
+        )
+        setSubmitting(false)
+      }
+    } catch (err) {
+      setErrors(err.fieldErrors?.() || {})
+      if (!err.errors?.length) setFormError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <AuthCard
+      title="Create your account"
+      subtitle="Start learning with Novanector."
+      footer={
+        <>
+          Already have an account?{" "}
+          <Link
+            to="/login"
+            state={location.state}
+            className="font-medium text-indigo-600 hover:underline"
+          >
+            Sign in
+          </Link>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <FormAlert>{formError}</FormAlert>
+        <FormField
+          label="Username"
+          name="username"
+          autoComplete="username"
+          value={form.username}
+          onChange={handleChange}
+          error={errors.username}
+          required
+          autoFocus
+        />
+        <FormField
+          label="Email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          value={form.email}
+          onChange={handleChange}
+          error={errors.email}
+          required
+        />
+        <FormField
+          label="Password"
+          name="password"
+          type="password"
+          autoComplete="new-password"
+          hint="At least 9 characters."
+          value={form.password}
+          onChange={handleChange}
+          error={errors.password}
+          required
+        />
+        <FormField
+          label="Confirm password"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          error={errors.confirmPassword}
+          required
+        />
+        <AvatarPicker
+          file={picture}
+          error={errors.profilePicture}
+          onChange={handlePicture}
+        />
+        <button
+          type="submit"
+          className="w-full rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-60"
+          disabled={submitting}
+        >
+          {!submitting
+            ? "Create account"
+            : uploadPercent !== null && uploadPercent < 100
+              ? `Uploading picture… ${uploadPercent}%`
+              : "Creating account…"}
+        </button>
+      </form>
+    </AuthCard>
+  )
+}
+
+export default Register
@@ -0,0 +1,31 @@
+import { NavLink, Outlet } from "react-router-dom"
+
+const linkClass = ({ isActive }) =>
+  `block rounded-md px-3 py-2 text-sm font-medium ${
+    isActive
+      ? "bg-indigo-50 text-indigo-700"
+      : "text-gray-600 hover:bg-gray-50 hover:text-gray-900"
+  }`
+
+// Shell of the admin pages: section links beside the current page
+function AdminLayout() {
+  return (
+    <div className="mx-auto flex max-w-6xl gap-8 px-4 py-8">
+      <aside className="w-48 shrink-0">
+        <p className="px-3 pb-2 text-xs font-semibold uppercase tracking-wide text-gray-400">
+          Admin
+        </p>
+        <nav className="space-y-1">
+          <NavLink to="/admin/users" className={linkClass}>
+            Users
+          </NavLink>
+        </nav>
+      </aside>
+      <section className="min-w-0 flex-1">
+        <Outlet/>
+      </section>
+    </div>
+  )
+}
+
+export default AdminLayout
@@ -0,0 +1,226 @@
+import { useEffect, useState } from "react"
+import {
+  takenField,
+  updateProfilePicture,
+  updateUser,
+} from "../../api/users"
+import Avatar from "../../component/Avatar"
+import FormAlert from "../../component/FormAlert"
+import FormField from "../../component/FormField"
+import Modal from "../../component/Modal"
+import {
+  PROFILE_PICTURE_ACCEPT,
+  checkProfilePicture,
+} from "../../utils/profilePicture"
+
+// Same rules as the backend's update schema, checked before sending
+function validate(form) {
+  const errors = {}
+  const username = form.username.trim()
+  if (username.length < 3 || username.length > 20) {
+    errors.username = "Username must be 3 to 20 characters long."
+  }
+  if (!/^\S+@\S+\.\S+$/.test(form.email.trim())) {
+    errors.email = "Please provide a valid email address."
+  }
+  return errors
+}
+
+// Edit a user's username, email and profile picture. `onSaved` receives the
+// updated user whenever something was stored, even if a later step failed.
+function EditUserDialog({ user, onSaved, onClose }) {
+  const [form, setForm] = useState({
+    username: user.username,
+    email: user.email,
+  })
+  const [picture, setPicture] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [uploadPercent, setUploadPercent] = useState(null)
+
+  useEffect(() => {
+    if (!picture) {
+      setPreview(null)
+      return
+    }
+    const url = URL.createObjectURL(picture)
+    setPreview(url)
+    return () => URL.revokeObjectURL(url)
+  }, [picture])
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm({ ...form, [name]: value })
+    if (errors[name]) setErrors({ ...errors, [name]: undefined })
+  }
+
+  const handlePicture = (event) => {
+    const file = event.target.files[0] || null
+    event.target.value = ""
+    setPicture(file)
+    setErrors({
+      ...errors,
+      profilePicture: file ? checkProfilePicture(file) : undefined,
+    })
+  }
+
+  // Only changed fields are sent, so an unchanged email keeps its verification
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setFormError(null)
+
+    const found = validate(form)
+    if (picture) found.profilePicture = checkProfilePicture(picture)
+    if (Object.values(found).some(Boolean)) {
+      setErrors(found)
+      return
+    }
+
+    const changes = {}
+    for (const name of ["username", "email"]) {
+      const value = form[name].trim()
+      if (value !== user[name]) changes[name] = value
+    }
+    if (!Object.keys(changes).length && !picture) {
+      onClose()
+      return
+    }
+
+    setSubmitting(true)
+    setUploadPercent(null)
+    let saved = user
+    try {
+      if (Object.keys(changes).length) {
+        saved = (await updateUser(user._id, changes)).user
+      }
+      if (picture) {
+        saved = (
+          await updateProfilePicture(user._id, picture, {
+            onUploadProgress: ({ percent }) => setUploadPercent(percent),
+          })
+        ).user
+      }
+      onSaved(saved)
+      onClose()
+    } catch (err) {
+      // E.g. the new username was stored but the picture upload failed
+      if (saved !== user) onSaved(saved)
+      const field = takenField(err)
+      setErrors(
+        field ? { [field]: err.message } : err.fieldErrors?.() || {}
+      )
+      if (!field && !err.errors?.length) setFormError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  const pictureError = errors.profilePicture
+
+  return (
+    <Modal
+      title={`Edit ${user.username}`}
+      onClose={submitting ? () => {} : onClose}
+      footer={
+        <>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={submitting}
+            className="rounded-md border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            form="edit-user-form"
+            disabled={submitting}
+            className="rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 disabled:opacity-60"
+          >
+            {!submitting
+              ? "Save"
+              : uploadPercent !== null && uploadPercent < 100
+                ? `Uploading… ${uploadPercent}%`
+                : "Saving…"}
+          </button>
+        </>
+      }
+    >
+      <form
+        id="edit-user-form"
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        noValidate
+      >
+        <FormAlert>{formError}</FormAlert>
+        <div className="flex items-center gap-4">
+          {preview ? (
+            <img
+              src={preview}
+              alt=""
+              className="h-16 w-16 rounded-full object-cover"
+            />
+          ) : (
+            <Avatar user={user} size={64}/>
+          )}
+          <div className="space-y-1 text-sm">
+            <div className="space-x-3">
+              <label className="cursor-pointer font-medium text-indigo-600 hover:underline">
+                Replace picture
+                <input
+                  type="file"
+                  accept={PROFILE_PICTURE_ACCEPT}
+                  className="sr-only"
+                  onChange={handlePicture}
+                  disabled={submitting}
+                />
+              </label>
+              {picture && (
+                <button
+                  type="button"
+                  className="text-gray-500 hover:underline"
+                  onClick={() => {
+                    setPicture(null)
+                    setErrors({ ...errors, profilePicture: undefined })
+                  }}
+                >
+                  Undo
+                </button>
+              )}
+            </div>
+            <p
+              className={`text-xs ${pictureError ? "text-red-600" : "text-gray-500"}`}
+            >
+              {pictureError || "JPEG, PNG, GIF, WebP or TIFF, up to 5MB."}
+            </p>
+          </div>
+        </div>
+        <FormField
+          label="Username"
+          name="username"
+          value={form.username}
+          onChange={handleChange}
+          error={errors.username}
+          required
+        />
+        <FormField
+          label="Email"
+          name="email"
+          type="email"
+          value={form.email}
+          onChange={handleChange}
+          error={errors.email}
+          hint={
+            form.email.trim() !== user.email
+              ? "The user will have to verify the new address."
+              : undefined
+          }
+          required
+        />
+      </form>
+    </Modal>
+  )
+}
+
+export default EditUserDialog
@@ -0,0 +1,530 @@
+import { useState } from "react"
+import {
+  deleteUser,
+  listUsers,
+  restoreUser,
+  unlockUser,
+  updateUser,
+} from "../../api/users"
+import Avatar from "../../component/Avatar"
+import ConfirmDialog from "../../component/ConfirmDialog"
+import FormAlert from "../../component/FormAlert"
+import Loader from "../../component/Loader"
+import Pagination from "../../component/Pagination"
+import useAuth from "../../hooks/useAuth"
+import useDebouncedValue from "../../hooks/useDebouncedValue"
+import usePaginatedRequest from "../../hooks/usePaginatedRequest"
+import { ROLES, ROLE_LABELS } from "../../utils/roles"
+import EditUserDialog from "./EditUserDialog"
+
+const PAGE_SIZES = [10, 25, 50, 100]
+
+const inputClass =
+  "rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+const smallButtonClass =
+  "rounded-md border border-gray-300 px-2.5 py-1 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50"
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "—"
+}
+
+function Badge({ tone = "gray", children }) {
+  const tones = {
+    gray: "bg-gray-100 text-gray-600",
+    green: "bg-green-100 text-green-700",
+    amber: "bg-amber-100 text-amber-700",
+    red: "bg-red-100 text-red-700",
+  }
+  return (
+    <span
+      className={`inline-block rounded-full px-2 py-0.5 text-xs font-medium ${tones[tone]}`}
+    >
+      {children}
+    </span>
+  )
+}
+
+function StatusBadges({ user }) {
+  const locked = user.lockUntil && new Date(user.lockUntil) > new Date()
+  return (
+    <div className="flex flex-wrap gap-1">
+      {user.emailVerified ? (
+        <Badge tone="green">Verified</Badge>
+      ) : (
+        <Badge tone="amber">Unverified</Badge>
+      )}
+      {user.twoFactor?.enabled && <Badge>2FA</Badge>}
+      {locked && <Badge tone="red">Locked</Badge>}
+    </div>
+  )
+}
+
+// Run `action` for each user one after another, so one failure does not stop
+// the rest; resolves with the number done and a message per failure
+async function runForEach(users, action) {
+  const failures = []
+  let done = 0
+  for (const user of users) {
+    try {
+      await action(user)
+      done += 1
+    } catch (error) {
+      failures.push(`${user.username}: ${error.message}`)
+    }
+  }
+  return { done, failures }
+}
+
+// Admin console for accounts: search, filter, edit, delete and restore users,
+// one at a time or for the selected rows
+function Users() {
+  const { user: currentUser, updateUser: updateCurrentUser } = useAuth()
+  const [searchInput, setSearchInput] = useState("")
+  const search = useDebouncedValue(searchInput.trim())
+  const [role, setRole] = useState("")
+  const [status, setStatus] = useState("active")
+  const [limit, setLimit] = useState(PAGE_SIZES[0])
+  const showDeleted = status === "deleted"
+
+  const {
+    items: users,
+    pagination,
+    page,
+    setPage,
+    error,
+    isLoading,
+    reload,
+    setItems,
+  } = usePaginatedRequest(listUsers, {
+    itemsKey: "users",
+    params: { search, role, deleted: showDeleted },
+    limit,
+  })
+
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [pendingIds, setPendingIds] = useState(() => new Set())
+  const [notice, setNotice] = useState(null)
+  const [editing, setEditing] = useState(null)
+  // { users } waiting for confirmation, with the request's state
+  const [deleting, setDeleting] = useState(null)
+  const [bulkRole, setBulkRole] = useState("")
+  const [bulkBusy, setBulkBusy] = useState(false)
+
+  // Admins cannot select, demote or delete themselves from here
+  const isSelf = (user) => user._id === currentUser._id
+  const selectable = showDeleted ? [] : users.filter((user) => !isSelf(user))
+  const selected = selectable.filter((user) => selectedIds.has(user._id))
+  const allSelected =
+    selectable.length > 0 && selected.length === selectable.length
+
+  const toggleSelected = (userId) => {
+    const next = new Set(selectedIds)
+    if (next.has(userId)) next.delete(userId)
+    else next.add(userId)
+    setSelectedIds(next)
+  }
+
+  const toggleAll = () => {
+    setSelectedIds(
+      allSelected ? new Set() : new Set(selectable.map((user) => user._id))
+    )
+  }
+
+  const setPending = (userId, pending) => {
+    setPendingIds((previous) => {
+      const next = new Set(previous)
+      if (pending) next.add(userId)
+      else next.delete(userId)
+      return next
+    })
+  }
+
+  const replaceUser = (updated) => {
+    setItems((previous) =>
+      previous.map((user) => (user._id === updated._id ? updated : user))
+    )
+    if (isSelf(updated)) updateCurrentUser(updated)
+  }
+
+  // Inline actions on one row; failures are reported above the table
+  const runRowAction = async (user, action) => {
+    setPending(user._id, true)
+    setNotice(null)
+    try {
+      await action()
+    } catch (err) {
+      setNotice({ tone: "error", text: `${user.username}: ${err.message}` })
+    } finally {
+      setPending(user._id, false)
+    }
+  }
+
+  const changeRole = (user, newRole) =>
+    runRowAction(user, async () => {
+      const data = await updateUser(user._id, { role: newRole })
+      replaceUser(data.user)
+    })
+
+  const unlock = (user) =>
+    runRowAction(user, async () => {
+      const data = await unlockUser(user._id)
+      replaceUser(data.user)
+    })
+
+  const restore = (user) =>
+    runRowAction(user, async () => {
+      await restoreUser(user._id)
+      setNotice({ tone: "info", text: `${user.username} was restored.` })
+      reload()
+    })
+
+  const applyBulkRole = async () => {
+    const targets = selected.filter((user) => user.role !== bulkRole)
+    setBulkBusy(true)
+    setNotice(null)
+    const { done, failures } = await runForEach(targets, (user) =>
+      updateUser(user._id, { role: bulkRole })
+    )
+    setBulkBusy(false)
+    setNotice({
+      tone: failures.length ? "error" : "info",
+      text: `Changed the role of ${done} of ${targets.length} users to ${ROLE_LABELS[bulkRole]}.`,
+      failures,
+    })
+    setSelectedIds(new Set())
+    setBulkRole("")
+    reload()
+  }
+
+  const confirmDelete = async () => {
+    const targets = deleting.users
+    setDeleting({ ...deleting, busy: true, error: null })
+
+    // A single delete keeps the dialog open on failure to show why
+    if (targets.length === 1) {
+      try {
+        const data = await deleteUser(targets[0]._id)
+        setNotice({
+          tone: "info",
+          text: `${targets[0].username} was deleted. The account can be restored until ${formatDate(data.purgeAfter)}.`,
+        })
+      } catch (err) {
+        setDeleting({ ...deleting, busy: false, error: err.message })
+        return
+      }
+    } else {
+      const { done, failures } = await runForEach(targets, (user) =>
+        deleteUser(user._id)
+      )
+      setNotice({
+        tone: failures.length ? "error" : "info",
+        text: `Deleted ${done} of ${targets.length} users. Deleted accounts can be restored until they are purged.`,
+        failures,
+      })
+    }
+
+    setDeleting(null)
+    setSelectedIds(new Set())
+    reload()
+  }
+
+  return (
+    <div className="space-y-4">
+      <h1 className="text-2xl font-semibold text-gray-900">Users</h1>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          placeholder="Search username or email"
+          aria-label="Search users"
+          maxLength={100}
+          value={searchInput}
+          onChange={(event) => setSearchInput(event.target.value)}
+          className={`${inputClass} w-64`}
+        />
+        <select
+          aria-label="Filter by role"
+          value={role}
+          onChange={(event) => setRole(event.target.value)}
+          className={inputClass}
+        >
+          <option value="">All roles</option>
+          {ROLES.map((value) => (
+            <option key={value} value={value}>
+              {ROLE_LABELS[value]}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Account status"
+          value={status}
+          onChange={(event) => {
+            setStatus(event.target.value)
+            setSelectedIds(new Set())
+          }}
+          className={inputClass}
+        >
+          <option value="active">Active accounts</option>
+          <option value="deleted">Deleted accounts</option>
+        </select>
+        <select
+          aria-label="Users per page"
+          value={limit}
+          onChange={(event) => setLimit(Number(event.target.value))}
+          className={`${inputClass} ml-auto`}
+        >
+          {PAGE_SIZES.map((size) => (
+            <option key={size} value={size}>
+              {size} per page
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {notice && (
+        <FormAlert tone={notice.tone}>
+          <p>{notice.text}</p>
+          {notice.failures?.length > 0 && (
+            <ul className="mt-1 list-disc pl-5">
+              {notice.failures.map((failure) => (
+                <li key={failure}>{failure}</li>
+              ))}
+            </ul>
+          )}
+        </FormAlert>
+      )}
+      <FormAlert>{error?.message}</FormAlert>
+
+      {selected.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 rounded-md border border-indigo-200 bg-indigo-50 px-4 py-2 text-sm">
+          <span className="font-medium text-indigo-700">
+            {selected.length} selected
+          </span>
+          <select
+            aria-label="New role for the selected users"
+            value={bulkRole}
+            onChange={(event) => setBulkRole(event.target.value)}
+            disabled={bulkBusy}
+            className={`${inputClass} py-1`}
+          >
+            <option value="">Change role to…</option>
+            {ROLES.map((value) => (
+              <option key={value} value={value}>
+                {ROLE_LABELS[value]}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className={smallButtonClass}
+            disabled={!bulkRole || bulkBusy}
+            onClick={applyBulkRole}
+          >
+            {bulkBusy ? "Applying…" : "Apply"}
+          </button>
+          <button
+            type="button"
+            className="rounded-md bg-red-600 px-2.5 py-1 text-xs font-medium text-white hover:bg-red-700 disabled:opacity-50"
+            disabled={bulkBusy}
+            onClick={() => setDeleting({ users: selected })}
+          >
+            Delete selected
+          </button>
+          <button
+            type="button"
+            className="ml-auto text-indigo-700 hover:underline"
+            onClick={() => setSelectedIds(new Set())}
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      <div className="overflow-x-auto rounded-lg border border-gray-200 bg-white">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">
+            <tr>
+              {!showDeleted && (
+                <th className="w-10 px-4 py-3">
+                  <input
+                    type="checkbox"
+                    aria-label="Select all users on this page"
+                    checked={allSelected}
+                    ref={(element) => {
+                      if (element) {
+                        element.indeterminate =
+                          selected.length > 0 && !allSelected
+                      }
+                    }}
+                    onChange={toggleAll}
+                    disabled={!selectable.length}
+                  />
+                </th>
+              )}
+              <th className="px-4 py-3">User</th>
+              <th className="px-4 py-3">Role</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3">
+                {showDeleted ? "Purged on" : "Joined"}
+              </th>
+              <th className="px-4 py-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {users.map((user) => {
+              const self = isSelf(user)
+              const pending = pendingIds.has(user._id) || bulkBusy
+              const locked =
+                user.lockUntil && new Date(user.lockUntil) > new Date()
+              return (
+                <tr key={user._id} className={pending ? "opacity-60" : ""}>
+                  {!showDeleted && (
+                    <td className="px-4 py-3">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${user.username}`}
+                        checked={selectedIds.has(user._id) && !self}
+                        onChange={() => toggleSelected(user._id)}
+                        disabled={self}
+                      />
+                    </td>
+                  )}
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-3">
+                      <Avatar user={user} size={36}/>
+                      <div className="min-w-0">
+                        <p className="truncate font-medium text-gray-900">
+                          {user.username}
+                          {self && (
+                            <span className="ml-1 font-normal text-gray-400">
+                              (you)
+                            </span>
+                          )}
+                        </p>
+                        <p className="truncate text-gray-500">{user.email}</p>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-4 py-3">
+                    {showDeleted || self ? (
+                      ROLE_LABELS[user.role]
+                    ) : (
+                      <select
+                        aria-label={`Role of ${user.username}`}
+                        value={user.role}
+                        onChange={(event) =>
+                          changeRole(user, event.target.value)
+                        }
+                        disabled={pending}
+                        className={`${inputClass} py-1`}
+                      >
+                        {ROLES.map((value) => (
+                          <option key={value} value={value}>
+                            {ROLE_LABELS[value]}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    <StatusBadges user={user}/>
+                  </td>
+                  <td className="px-4 py-3 text-gray-500">
+                    {formatDate(showDeleted ? user.purgeAfter : user.createdAt)}
+                  </td>
+                  <td className="space-x-2 whitespace-nowrap px-4 py-3 text-right">
+                    {showDeleted ? (
+                      <button
+                        type="button"
+                        className={smallButtonClass}
+                        disabled={pending}
+                        onClick={() => restore(user)}
+                      >
+                        Restore
+                      </button>
+                    ) : (
+                      <>
+                        {locked && (
+                          <button
+                            type="button"
+                            className={smallButtonClass}
+                            disabled={pending}
+                            onClick={() => unlock(user)}
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className={smallButtonClass}
+                          disabled={pending}
+                          onClick={() => setEditing(user)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className={`${smallButtonClass} text-red-600`}
+                          disabled={pending || self}
+                          onClick={() => setDeleting({ users: [user] })}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+        {isLoading && !users.length && <Loader/>}
+        {!isLoading && !error && !users.length && (
+          <p className="px-4 py-8 text-center text-sm text-gray-500">
+            {search || role ? "No users match these filters." : "No users yet."}
+          </p>
+        )}
+      </div>
+
+      <Pagination
+        pagination={pagination}
+        page={page}
+        onPageChange={setPage}
+        itemLabel="users"
+      />
+
+      {editing && (
+        <EditUserDialog
+          user={editing}
+          onSaved={replaceUser}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      {deleting && (
+        <ConfirmDialog
+          title={
+            deleting.users.length === 1
+              ? `Delete ${deleting.users[0].username}?`
+              : `Delete ${deleting.users.length} users?`
+          }
+          confirmLabel="Delete"
+          busy={deleting.busy}
+          error={deleting.error}
+          onConfirm={confirmDelete}
+          onCancel={() => setDeleting(null)}
+        >
+          <p>
+            {deleting.users.length === 1
+              ? "The user is signed out right away and can no longer sign in."
+              : "The selected users are signed out right away and can no longer sign in."}{" "}
+            Deleted accounts stay restorable from the “Deleted accounts” view
+            until the grace period ends; after that they are erased for good.
+          </p>
+        </ConfirmDialog>
+      )}
+    </div>
+  )
+}
+
+export default Users
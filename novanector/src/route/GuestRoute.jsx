@@ -0,0 +1,23 @@
+import { Navigate, Outlet, useLocation } from "react-router-dom"
+import useAuth from "../hooks/useAuth"
+import Loader from "../component/Loader"
+import { homeFor } from "./roleHome"
+
+// Layout route for the login and register pages. Once a user is signed in they
+// continue to the page that sent them here, or to their role's home.
+function GuestRoute() {
+  const { user, isLoading } = useAuth()
+  const location = useLocation()
+
+  if (isLoading) return <Loader/>
+  if (user) {
+    const from = location.state?.from
+    const target = from
+      ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+      : homeFor(user.role)
+    return <Navigate to={target} replace/>
+  }
+  return <Outlet/>
+}
+
+export default GuestRoute
@@ -0,0 +1,22 @@
+import { Navigate, Outlet, useLocation } from "react-router-dom"
+import useAuth from "../hooks/useAuth"
+import Loader from "../component/Loader"
+import { homeFor } from "./roleHome"
+
+// Layout route for pages that need a signed-in user, optionally with one of `roles`.
+// Guests go to the login page (and come back after signing in); other roles go home.
+function ProtectedRoute({ roles }) {
+  const { user, isLoading } = useAuth()
+  const location = useLocation()
+
+  if (isLoading) return <Loader/>
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }}/>
+  }
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to={homeFor(user.role)} replace/>
+  }
+  return <Outlet/>
+}
+
+export default ProtectedRoute
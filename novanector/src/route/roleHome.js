@@ -0,0 +1,11 @@
+// Where each role lands after signing in, and when it opens a page meant for
+// other roles
+const ROLE_HOME = {
+  admin: "/admin/users",
+  instructor: "/",
+  student: "/",
+}
+
+export function homeFor(role) {
+  return ROLE_HOME[role] || "/"
+}
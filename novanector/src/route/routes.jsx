@@ -1,7 +1,16 @@
-import { createBrowserRouter } from "react-router-dom"
+import { Navigate, createBrowserRouter } from "react-router-dom"
 import App from "../App"
 import Home from "../pages/Home"
+import Login from "../pages/Login"
+import Register from "../pages/Register"
+import Profile from "../pages/Profile"
+import AdminLayout from "../pages/admin/AdminLayout"
+import Users from "../pages/admin/Users"
+import GuestRoute from "./GuestRoute"
+import ProtectedRoute from "./ProtectedRoute"
 
+// Pages for signed-in users go under a <ProtectedRoute/> element (with `roles`
+// to limit them), the login and registration pages under <GuestRoute/>
 const routes = createBrowserRouter([
     {
         path: "/",
@@ -11,8 +20,49 @@ const routes = createBrowserRouter([
                 path: "",
                 element: <Home/>
             },
+            {
+                element: <GuestRoute/>,
+                children: [
+                    {
+                        path: "login",
+                        element: <Login/>
+                    },
+                    {
+                        path: "register",
+                        element: <Register/>
+                    },
+                ]
+            },
+            {
+                element: <ProtectedRoute/>,
+                children: [
+                    {
+                        path: "profile",
+                        element: <Profile/>
+                    },
+                ]
+            },
+            {
+                element: <ProtectedRoute roles={["admin"]}/>,
+                children: [
+                    {
+                        path: "admin",
+                        element: <AdminLayout/>,
+                        children: [
+                            {
+                                index: true,
+                                element: <Navigate to="users" replace/>
+                            },
+                            {
+                                path: "users",
+                                element: <Users/>
+                            },
+                        ]
+                    },
+                ]
+            },
         ]
     }
 ])
 
-export default routes
\ No newline at end of file
+export default routes
@@ -0,0 +1,42 @@
+// Limits of the backend's profilePicture upload (see backend/src/config/multer.js)
+export const PROFILE_PICTURE_MAX_BYTES = 5 * 1024 * 1024
+
+export const PROFILE_PICTURE_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".webp",
+  ".tif",
+  ".tiff",
+]
+
+export const PROFILE_PICTURE_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/tiff",
+]
+
+// Value for the `accept` attribute of file inputs
+export const PROFILE_PICTURE_ACCEPT = [
+  ...PROFILE_PICTURE_TYPES,
+  ...PROFILE_PICTURE_EXTENSIONS,
+].join(",")
+
+// Message explaining why the server would refuse `file`, or null when it is acceptable
+export function checkProfilePicture(file) {
+  const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase()
+  if (
+    !PROFILE_PICTURE_TYPES.includes(file.type) ||
+    !PROFILE_PICTURE_EXTENSIONS.includes(extension)
+  ) {
+    return "Choose a JPEG, PNG, GIF, WebP or TIFF image."
+  }
+  if (file.size > PROFILE_PICTURE_MAX_BYTES) {
+    return "The picture must be 5MB or smaller."
+  }
+  return null
+}
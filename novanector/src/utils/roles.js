@@ -0,0 +1,8 @@
+// Roles of the backend (see backend/src/validation/common.js), least privileged first
+export const ROLES = ["student", "instructor", "admin"]
+
+export const ROLE_LABELS = {
+  student: "Student",
+  instructor: "Instructor",
+  admin: "Admin",
+}